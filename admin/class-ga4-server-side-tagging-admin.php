@@ -72,6 +72,8 @@ class GA4_Server_Side_Tagging_Admin
      
         // Register AJAX handlers
         add_action('wp_ajax_ga4_generate_encryption_key', array($this, 'ajax_generate_encryption_key'));
+        add_action('wp_ajax_ga4_rotate_encryption_key', array($this, 'ajax_rotate_encryption_key'));
+        add_action('wp_ajax_ga4_get_bot_stats', array($this, 'ajax_get_bot_stats'));
     }
 
     /**
@@ -333,6 +335,18 @@ class GA4_Server_Side_Tagging_Admin
             )
         );
 
+        register_setting(
+            'ga4_server_side_tagging_settings',
+            'ga4_request_signing_key',
+            array(
+                'type' => 'string',
+                'description' => 'Request Signing Key',
+                'sanitize_callback' => 'sanitize_text_field',
+                'show_in_rest' => false,
+                'default' => '',
+            )
+        );
+
         register_setting(
             'ga4_server_side_tagging_settings',
             'ga4_worker_api_key',
@@ -431,6 +445,18 @@ class GA4_Server_Side_Tagging_Admin
             )
         );
 
+        register_setting(
+            'ga4_server_side_tagging_settings',
+            'ga4_edge_geolocation',
+            array(
+                'type' => 'boolean',
+                'description' => 'Let the Cloudflare Worker set the visitor location from request.cf',
+                'sanitize_callback' => array($this, 'sanitize_checkbox'),
+                'show_in_rest' => false,
+                'default' => false,
+            )
+        );
+
         register_setting(
             'ga4_server_side_tagging_settings',
             'ga4_force_consent_enabled',
@@ -986,6 +1012,38 @@ class GA4_Server_Side_Tagging_Admin
             }
         }
 
+        if (isset($_POST['ga4_jwt_encryption_key_next'])) {
+            $next_encryption_key = sanitize_text_field(wp_unslash($_POST['ga4_jwt_encryption_key_next']));
+            if (empty($next_encryption_key)) {
+                update_option('ga4_jwt_encryption_key_next', '');
+            } elseif (\GA4ServerSideTagging\Utilities\GA4_Encryption_Util::validate_encryption_key($next_encryption_key)) {
+                \GA4ServerSideTagging\Utilities\GA4_Encryption_Util::stage_encryption_key($next_encryption_key);
+            } else {
+                add_settings_error(
+                    'ga4_settings_form',
+                    'invalid_next_encryption_key',
+                    'Invalid staged encryption key format. Must be 64 hexadecimal characters (256-bit key) or empty.',
+                    'error'
+                );
+            }
+        }
+
+        if (isset($_POST['ga4_request_signing_key'])) {
+            $request_signing_key = sanitize_text_field(wp_unslash($_POST['ga4_request_signing_key']));
+            if (empty($request_signing_key)) {
+                update_option('ga4_request_signing_key', '');
+            } elseif (\GA4ServerSideTagging\Utilities\GA4_Encryption_Util::validate_encryption_key($request_signing_key)) {
+                \GA4ServerSideTagging\Utilities\GA4_Encryption_Util::store_encrypted_key($request_signing_key, 'ga4_request_signing_key');
+            } else {
+                add_settings_error(
+                    'ga4_settings_form',
+                    'invalid_request_signing_key',
+                    'Invalid request signing key format. Must be 64 hexadecimal characters (256-bit key) or empty.',
+                    'error'
+                );
+            }
+        }
+
         if (isset($_POST['ga4_worker_api_key'])) {
             $worker_api_key = sanitize_text_field(wp_unslash($_POST['ga4_worker_api_key']));
             // Basic validation for Worker API key format (32 hex characters)
@@ -1068,6 +1126,7 @@ class GA4_Server_Side_Tagging_Admin
 
         // Process new IP and storage settings
         update_option('ga4_disable_all_ip', isset($_POST['ga4_disable_all_ip']));
+        update_option('ga4_edge_geolocation', isset($_POST['ga4_edge_geolocation']));
 
         // Admin consent override settings
         update_option('ga4_force_consent_enabled', isset($_POST['ga4_force_consent_enabled']));
@@ -1605,6 +1664,20 @@ class GA4_Server_Side_Tagging_Admin
         try {
             // Generate new encryption key (256-bit = 64 hex characters)
             $new_encryption_key = $this->generate_encryption_key();
+            $key_id = \GA4ServerSideTagging\Utilities\GA4_Encryption_Util::get_key_id($new_encryption_key);
+            
+            // With a key already in use, stage the new one so in-flight events keep verifying
+            $current_key = \GA4ServerSideTagging\Utilities\GA4_Encryption_Util::retrieve_encrypted_key('ga4_jwt_encryption_key');
+            if ($current_key) {
+                \GA4ServerSideTagging\Utilities\GA4_Encryption_Util::stage_encryption_key($new_encryption_key);
+                wp_send_json_success(array(
+                    'encryption_key' => $new_encryption_key,
+                    'key_id' => $key_id,
+                    'staged' => true,
+                    'message' => 'New encryption key staged (kid ' . $key_id . '). Add it to ENCRYPTION_KEYRING in your Cloudflare Worker, then switch signing.'
+                ));
+                return;
+            }
             
             // Save it to options with encryption
             \GA4ServerSideTagging\Utilities\GA4_Encryption_Util::store_encrypted_key($new_encryption_key, 'ga4_jwt_encryption_key');
@@ -1612,6 +1685,8 @@ class GA4_Server_Side_Tagging_Admin
             // Return success response
             wp_send_json_success(array(
                 'encryption_key' => $new_encryption_key,
+                'key_id' => $key_id,
+                'staged' => false,
                 'message' => 'New encryption key generated successfully!'
             ));
         } catch (\Exception $e) {
@@ -1619,6 +1694,122 @@ class GA4_Server_Side_Tagging_Admin
         }
     }
 
+    /**
+     * AJAX handler for the key rotation steps
+     * "activate" switches signing to the staged key, "retire" drops the previous key
+     * Retiring is refused while queued events remain, since they may be encrypted with the previous key,
+     * unless the request confirms it with "force"
+     *
+     * @since    3.0.0
+     */
+    public function ajax_rotate_encryption_key()
+    {
+        check_ajax_referer('ga4_generate_encryption_key', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(array('message' => 'Insufficient permissions'));
+            return;
+        }
+
+        $step = isset($_POST['step']) ? sanitize_key(wp_unslash($_POST['step'])) : '';
+
+        try {
+            if ($step === 'activate') {
+                $previous_key = \GA4ServerSideTagging\Utilities\GA4_Encryption_Util::retrieve_encrypted_key('ga4_jwt_encryption_key');
+                \GA4ServerSideTagging\Utilities\GA4_Encryption_Util::activate_staged_encryption_key();
+                $current_key = \GA4ServerSideTagging\Utilities\GA4_Encryption_Util::retrieve_encrypted_key('ga4_jwt_encryption_key');
+
+                $this->logger->info('JWT signing switched to staged encryption key');
+                wp_send_json_success(array(
+                    'encryption_key' => $current_key,
+                    'key_id' => \GA4ServerSideTagging\Utilities\GA4_Encryption_Util::get_key_id($current_key),
+                    'previous_key_id' => $previous_key ? \GA4ServerSideTagging\Utilities\GA4_Encryption_Util::get_key_id($previous_key) : '',
+                    'message' => 'Signing switched to the new key. Set it as ENCRYPTION_KEY in your Worker and keep the old key in ENCRYPTION_KEYRING until it is retired.'
+                ));
+            } elseif ($step === 'retire') {
+                // Queued events and their stored headers were encrypted when they were queued, possibly with the previous key
+                $queue_stats = $this->event_logger->get_queue_stats();
+                $queued_events = intval($queue_stats['pending']) + intval($queue_stats['processing']);
+                $force = !empty($_POST['force']) && sanitize_key(wp_unslash($_POST['force'])) === 'true';
+                if ($queued_events > 0 && !$force) {
+                    wp_send_json_error(array(
+                        'message' => sprintf('%d queued events may still be encrypted with the previous key. Wait until the cron job has sent them before retiring it.', $queued_events),
+                        'queued_events' => $queued_events
+                    ));
+                    return;
+                }
+
+                \GA4ServerSideTagging\Utilities\GA4_Encryption_Util::retire_previous_encryption_key();
+
+                $this->logger->info('Previous JWT encryption key retired');
+                wp_send_json_success(array(
+                    'message' => 'Previous key retired. Remove it from ENCRYPTION_KEYRING in your Worker.'
+                ));
+            } else {
+                wp_send_json_error(array('message' => 'Unknown rotation step'));
+            }
+        } catch (\Exception $e) {
+            wp_send_json_error(array('message' => 'Error rotating encryption key: ' . $e->getMessage()));
+        }
+    }
+
+    /**
+     * AJAX handler for the Worker bot detection statistics
+     * Fetches GET /admin/bot-stats from the Cloudflare Worker with the Worker API key,
+     * which needs the "stats" scope.
+     *
+     * @since    3.0.0
+     */
+    public function ajax_get_bot_stats()
+    {
+        check_ajax_referer('ga4_bot_stats', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(array('message' => 'Insufficient permissions'));
+            return;
+        }
+
+        $worker_url = get_option('ga4_cloudflare_worker_url', '');
+        $worker_api_key = \GA4ServerSideTagging\Utilities\GA4_Encryption_Util::retrieve_encrypted_key('ga4_worker_api_key');
+        if (empty($worker_url) || empty($worker_api_key)) {
+            wp_send_json_error(array('message' => 'Configure the Cloudflare Worker URL and Worker API key first'));
+            return;
+        }
+
+        $parts = wp_parse_url($worker_url);
+        if (empty($parts['scheme']) || empty($parts['host'])) {
+            wp_send_json_error(array('message' => 'Invalid Cloudflare Worker URL'));
+            return;
+        }
+
+        $hours = isset($_POST['hours']) ? absint($_POST['hours']) : 24;
+        $stats_url = $parts['scheme'] . '://' . $parts['host'] . (isset($parts['port']) ? ':' . $parts['port'] : '') . '/admin/bot-stats';
+
+        $response = wp_remote_get(add_query_arg('hours', max(1, $hours), $stats_url), array(
+            'headers' => array(
+                'Authorization' => 'Bearer ' . $worker_api_key,
+                'User-Agent' => 'WordPress/' . get_bloginfo('version') . ' GA4-Server-Side-Tagging Bot Stats'
+            ),
+            'timeout' => 10
+        ));
+
+        if (is_wp_error($response)) {
+            $this->logger->error('Failed to fetch bot statistics: ' . $response->get_error_message());
+            wp_send_json_error(array('message' => 'Error: ' . $response->get_error_message()));
+            return;
+        }
+
+        $status = wp_remote_retrieve_response_code($response);
+        $body = json_decode(wp_remote_retrieve_body($response), true);
+        if ($status !== 200 || !is_array($body) || empty($body['success'])) {
+            $error = is_array($body) && isset($body['error']) ? $body['error'] : 'Unexpected response';
+            wp_send_json_error(array('message' => 'Cloudflare Worker error: ' . $status . ' ' . $error));
+            return;
+        }
+
+        wp_send_json_success($body);
+    }
+
     /**
      * Ensure any existing plain text encryption key gets encrypted
      * This runs automatically on settings save to upgrade plain text keys
@@ -341,7 +341,10 @@
                 success: function(response) {
                     console.log('AJAX response:', response); // Debug log
                     
-                    if (response.success) {
+                    if (response.success && response.data.staged) {
+                        stageEncryptionKey(response.data.encryption_key);
+                        showEncryptionSuccessNotice($button, response.data.message);
+                    } else if (response.success) {
                         $input.val(response.data.encryption_key);
                         showEncryptionSuccessNotice($button, 'New encryption key generated and saved! Update your Cloudflare Worker with this key.');
                         // Update copy button state if the function exists (settings page)
@@ -376,13 +379,18 @@
             console.log('Using client-side generation for encryption key'); // Debug log
             
             // Generate a random 64-character hex encryption key (256-bit)
-            var chars = '0123456789abcdef';
-            var encryptionKey = '';
-            for (var i = 0; i < 64; i++) {
-                encryptionKey += chars.charAt(Math.floor(Math.random() * chars.length));
-            }
+            var bytes = new Uint8Array(32);
+            window.crypto.getRandomValues(bytes);
+            var encryptionKey = Array.prototype.map.call(bytes, function(b) {
+                return ('0' + b.toString(16)).slice(-2);
+            }).join('');
             
-            console.log('Generated Encryption Key (client-side):', encryptionKey); // Debug log
+            // Never replace a key in use: stage the new one so events signed with the current key keep verifying
+            if ($input.val().trim().length > 0 && $('#ga4_jwt_encryption_key_next').length) {
+                stageEncryptionKey(encryptionKey);
+                showEncryptionSuccessNotice($button, 'New encryption key staged! Save settings and add it to ENCRYPTION_KEYRING in your Cloudflare Worker before switching signing.');
+                return;
+            }
             
             $input.val(encryptionKey);
             showEncryptionSuccessNotice($button, 'New encryption key generated! Remember to save settings and update your Cloudflare Worker.');
@@ -398,6 +406,86 @@
         }
     }
     
+    // Put a newly generated key into the staged (next) key field
+    function stageEncryptionKey(encryptionKey) {
+        $('#ga4_jwt_encryption_key_next').val(encryptionKey);
+        $('#activate_encryption_key').prop('disabled', false);
+        $('#encryption_key_rotation_row').show();
+    }
+    
+    // Key rotation: switch signing to the staged key
+    $(document).on('click', '#activate_encryption_key', function(e) {
+        e.preventDefault();
+        
+        if (!confirm('Switch signing to the staged key? Make sure it is already in ENCRYPTION_KEYRING of your Cloudflare Worker.')) {
+            return;
+        }
+        
+        rotateEncryptionKey($(this), 'activate', function(data) {
+            $('#ga4_jwt_encryption_key').val(data.encryption_key);
+            $('#ga4_jwt_encryption_key_next').val('');
+            $('#encryption_key_id').text(data.key_id);
+            $('#encryption_key_previous_id').text(data.previous_key_id || '-');
+            $('#activate_encryption_key').prop('disabled', true);
+            $('#retire_encryption_key').prop('disabled', !data.previous_key_id);
+        });
+    });
+    
+    // Key rotation: retire the previous key
+    $(document).on('click', '#retire_encryption_key', function(e) {
+        e.preventDefault();
+        
+        if (!confirm('Retire the previous key? Events still signed with it will be rejected.')) {
+            return;
+        }
+        
+        rotateEncryptionKey($(this), 'retire', function() {
+            $('#encryption_key_previous_id').text('-');
+            $('#retire_encryption_key').prop('disabled', true);
+        });
+    });
+    
+    // Run a key rotation step through AJAX
+    // "retire" is refused while events are queued; the user can confirm to retire anyway
+    function rotateEncryptionKey($button, step, onSuccess, force) {
+        if (typeof ga4AdminAjax === 'undefined') {
+            showEncryptionErrorNotice($button, 'Key rotation requires the settings page to be reloaded.');
+            return;
+        }
+        
+        var label = $button.text();
+        $button.prop('disabled', true).text('Working...');
+        $('#encryption-key-generated-notice').remove();
+        
+        $.ajax({
+            url: ga4AdminAjax.ajax_url,
+            type: 'POST',
+            data: {
+                action: 'ga4_rotate_encryption_key',
+                step: step,
+                force: force ? 'true' : 'false',
+                nonce: ga4AdminAjax.nonce
+            },
+            success: function(response) {
+                $button.text(label);
+                if (response.success) {
+                    onSuccess(response.data);
+                    showEncryptionSuccessNotice($button, response.data.message);
+                } else if (step === 'retire' && !force && response.data.queued_events &&
+                           confirm(response.data.message + '\n\nRetire the previous key anyway? These events will fail to decrypt.')) {
+                    rotateEncryptionKey($button, step, onSuccess, true);
+                } else {
+                    $button.prop('disabled', false);
+                    showEncryptionErrorNotice($button, response.data.message);
+                }
+            },
+            error: function(xhr, status, error) {
+                $button.prop('disabled', false).text(label);
+                showEncryptionErrorNotice($button, 'Key rotation failed: ' + error);
+            }
+        });
+    }
+    
     // Show encryption success notice
     function showEncryptionSuccessNotice($button, message) {
         var notice = '<div id="encryption-key-generated-notice" class="notice notice-success inline" style="margin-left: 10px; padding: 5px 10px; display: inline-block;">' +
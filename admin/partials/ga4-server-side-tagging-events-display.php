@@ -326,6 +326,32 @@ $current_page = floor($offset / $limit) + 1;
         <?php endif; ?>
     </div>
 
+    <?php if (!empty(get_option('ga4_cloudflare_worker_url', ''))) : ?>
+    <!-- Worker Bot Statistics Section -->
+    <div class="ga4-admin-section" id="ga4-bot-stats" data-nonce="<?php echo esc_attr(wp_create_nonce('ga4_bot_stats')); ?>">
+        <h2><?php echo esc_html__('🤖 Worker Bot Detection Statistics', 'ga4-server-side-tagging'); ?></h2>
+        <div style="display: flex; align-items: center; gap: 10px; margin-bottom: 15px;">
+            <select id="ga4-bot-stats-range">
+                <option value="24"><?php echo esc_html__('Last 24 hours', 'ga4-server-side-tagging'); ?></option>
+                <option value="168"><?php echo esc_html__('Last 7 days', 'ga4-server-side-tagging'); ?></option>
+                <option value="720"><?php echo esc_html__('Last 30 days', 'ga4-server-side-tagging'); ?></option>
+            </select>
+            <button type="button" class="button button-secondary" id="ga4-bot-stats-refresh"><?php echo esc_html__('Refresh', 'ga4-server-side-tagging'); ?></button>
+            <span id="ga4-bot-stats-status" style="color: #666;"></span>
+        </div>
+        <div id="ga4-bot-stats-totals" style="margin-bottom: 10px;"></div>
+        <div id="ga4-bot-stats-chart" class="ga4-bot-stats-chart"></div>
+        <div style="margin-top: 5px; font-size: 12px; color: #666;">
+            <span class="ga4-bot-stats-legend ga4-bot-stats-dropped"></span> <?php echo esc_html__('Dropped', 'ga4-server-side-tagging'); ?>
+            <span class="ga4-bot-stats-legend ga4-bot-stats-monitored" style="margin-left: 10px;"></span> <?php echo esc_html__('Forwarded (monitor mode)', 'ga4-server-side-tagging'); ?>
+        </div>
+        <div id="ga4-bot-stats-breakdown" class="ga4-bot-stats-breakdown"></div>
+        <p style="margin-bottom: 0; font-size: 13px; color: #666;">
+            <?php echo esc_html__('Counted by the Cloudflare Worker in hourly buckets (bind a KV namespace as BOT_STATS_KV to keep them across isolates). The Worker API key needs the "stats" scope.', 'ga4-server-side-tagging'); ?>
+        </p>
+    </div>
+    <?php endif; ?>
+
     <!-- Extensive Error Logging Section -->
     <div class="ga4-admin-section">
         <h2><?php echo esc_html__('Extensive Error Logging Settings', 'ga4-server-side-tagging'); ?></h2>
@@ -1105,6 +1131,98 @@ jQuery(document).ready(function($) {
         
         return null;
     }
+
+    // Worker bot detection statistics
+    function loadBotStats() {
+        var $section = $('#ga4-bot-stats');
+        if (!$section.length) {
+            return;
+        }
+
+        var hours = parseInt($('#ga4-bot-stats-range').val(), 10) || 24;
+        $('#ga4-bot-stats-status').text('Loading...');
+
+        $.post(ajaxurl, {
+            action: 'ga4_get_bot_stats',
+            nonce: $section.data('nonce'),
+            hours: hours
+        }).done(function(response) {
+            if (!response.success) {
+                $('#ga4-bot-stats-status').text(response.data && response.data.message ? response.data.message : 'Failed to load bot statistics');
+                return;
+            }
+            $('#ga4-bot-stats-status').text('');
+            renderBotStats(response.data, hours);
+        }).fail(function() {
+            $('#ga4-bot-stats-status').text('Failed to load bot statistics');
+        });
+    }
+
+    function renderBotStats(stats, hours) {
+        // Hourly bars up to two days, daily bars for longer ranges
+        var groupByDay = hours > 48;
+        var series = {};
+        var labels = [];
+
+        stats.buckets.forEach(function(bucket) {
+            var label = groupByDay ? bucket.bucket.substring(0, 10) : bucket.bucket.substring(5, 13).replace('T', ' ') + 'h';
+            if (!series[label]) {
+                series[label] = { dropped: 0, monitored: 0 };
+                labels.push(label);
+            }
+            series[label].dropped += bucket.dropped || 0;
+            series[label].monitored += bucket.monitored || 0;
+        });
+
+        var max = 1;
+        labels.forEach(function(label) {
+            max = Math.max(max, series[label].dropped + series[label].monitored);
+        });
+
+        var chart = '';
+        labels.forEach(function(label) {
+            var values = series[label];
+            chart += '<div class="ga4-bot-stats-bar" title="' + htmlEscape(label + ': ' + values.dropped + ' dropped, ' + values.monitored + ' forwarded') + '">' +
+                     '<span class="ga4-bot-stats-dropped" style="height: ' + (values.dropped / max * 100) + '%;"></span>' +
+                     '<span class="ga4-bot-stats-monitored" style="height: ' + (values.monitored / max * 100) + '%;"></span>' +
+                     '</div>';
+        });
+        $('#ga4-bot-stats-chart').html(chart || '<p style="margin: auto; color: #666;">No bot detections in this period.</p>');
+
+        var totals = stats.totals;
+        $('#ga4-bot-stats-totals').html(
+            '<strong>Bot events:</strong> ' + totals.events +
+            ' &nbsp; <strong>Dropped:</strong> ' + totals.dropped +
+            ' &nbsp; <strong>Forwarded:</strong> ' + totals.monitored +
+            ' &nbsp; <strong>Requests:</strong> ' + totals.requests
+        );
+
+        var dimensions = {
+            checks: 'Checks',
+            reasons: 'Reasons',
+            asns: 'ASNs',
+            countries: 'Countries',
+            ua_families: 'User Agent Families'
+        };
+        var breakdown = '';
+        Object.keys(dimensions).forEach(function(dimension) {
+            var counters = totals[dimension] || {};
+            var rows = Object.keys(counters).sort(function(a, b) {
+                return counters[b] - counters[a];
+            }).slice(0, 10).map(function(value) {
+                return '<tr><td>' + htmlEscape(value) + '</td><td style="text-align: right;">' + counters[value] + '</td></tr>';
+            }).join('');
+
+            breakdown += '<div><strong>' + dimensions[dimension] + '</strong>' +
+                         '<table class="widefat striped" style="margin-top: 5px;"><tbody>' +
+                         (rows || '<tr><td>-</td></tr>') + '</tbody></table></div>';
+        });
+        $('#ga4-bot-stats-breakdown').html(breakdown);
+    }
+
+    $('#ga4-bot-stats-refresh').on('click', loadBotStats);
+    $('#ga4-bot-stats-range').on('change', loadBotStats);
+    loadBotStats();
 });
 </script>
 
@@ -1126,6 +1244,45 @@ jQuery(document).ready(function($) {
     padding-bottom: 8px;
 }
 
+.ga4-bot-stats-chart {
+    display: flex;
+    align-items: flex-end;
+    gap: 2px;
+    height: 150px;
+    padding: 5px;
+    background: #f8f9fa;
+    border-radius: 3px;
+}
+
+.ga4-bot-stats-bar {
+    flex: 1;
+    height: 100%;
+    display: flex;
+    flex-direction: column-reverse;
+}
+
+.ga4-bot-stats-dropped {
+    background: #dc3545;
+}
+
+.ga4-bot-stats-monitored {
+    background: #ffc107;
+}
+
+.ga4-bot-stats-legend {
+    display: inline-block;
+    width: 10px;
+    height: 10px;
+    vertical-align: middle;
+}
+
+.ga4-bot-stats-breakdown {
+    display: grid;
+    grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
+    gap: 15px;
+    margin: 15px 0;
+}
+
 .event-modal {
     font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;
 }
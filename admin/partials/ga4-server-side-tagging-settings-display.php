@@ -24,7 +24,10 @@ $disable_cf_proxy = get_option('ga4_disable_cf_proxy', false);
 $cloudflare_worker_url = get_option('ga4_cloudflare_worker_url', '');
 $jwt_encryption_enabled = get_option('ga4_jwt_encryption_enabled', false);
 $jwt_encryption_key = \GA4ServerSideTagging\Utilities\GA4_Encryption_Util::retrieve_encrypted_key('ga4_jwt_encryption_key');
+$jwt_encryption_key_next = \GA4ServerSideTagging\Utilities\GA4_Encryption_Util::retrieve_encrypted_key('ga4_jwt_encryption_key_next');
+$jwt_encryption_key_previous = \GA4ServerSideTagging\Utilities\GA4_Encryption_Util::retrieve_encrypted_key('ga4_jwt_encryption_key_previous');
 $worker_api_key = \GA4ServerSideTagging\Utilities\GA4_Encryption_Util::retrieve_encrypted_key('ga4_worker_api_key');
+$request_signing_key = \GA4ServerSideTagging\Utilities\GA4_Encryption_Util::retrieve_encrypted_key('ga4_request_signing_key');
 $measurement_id = get_option('ga4_measurement_id', '');
 $api_secret = get_option('ga4_api_secret', '');
 $debug_mode = get_option('ga4_server_side_tagging_debug_mode', false);
@@ -35,6 +38,7 @@ $track_logged_in_users = get_option('ga4_track_logged_in_users', true);
 $yith_raq_form_id = get_option('ga4_yith_raq_form_id', '');
 $conversion_form_selectors = get_option('ga4_conversion_form_selectors', '');
 $disable_all_ip = get_option('ga4_disable_all_ip', false);
+$edge_geolocation = get_option('ga4_edge_geolocation', false);
 $batch_size = get_option('ga4_event_batch_size', 1000);
 $force_consent_enabled = get_option('ga4_force_consent_enabled', false);
 $force_consent_value = get_option('ga4_force_consent_value', 'GRANTED');
@@ -185,6 +189,16 @@ $force_consent_value = get_option('ga4_force_consent_value', 'GRANTED');
                                 <p class="description">When enabled, only timezone-based location fallback will be used (no external IP geolocation APIs)</p>
                             </td>
                         </tr>
+                        <tr>
+                            <th scope="row">Edge Geolocation</th>
+                            <td>
+                                <label for="ga4_edge_geolocation">
+                                    <input type="checkbox" id="ga4_edge_geolocation" name="ga4_edge_geolocation" <?php checked($edge_geolocation); ?> />
+                                    Let the Cloudflare Worker set the visitor location
+                                </label>
+                                <p class="description">The browser sends no location and makes no IP lookups. The Worker fills city, region and country from Cloudflare's data when analytics consent is granted. Only applies to the Direct to Cloudflare transmission method, and requires <code>EDGE_GEOLOCATION=true</code> in your Worker.</p>
+                            </td>
+                        </tr>
                     </table>
                 </div>
 
@@ -323,6 +337,24 @@ $force_consent_value = get_option('ga4_force_consent_value', 'GRANTED');
                                 <p class="description">Your Cloudflare Worker endpoint URL.</p>
                             </td>
                         </tr>
+                        <tr id="request_signing_key_row" style="<?php echo $transmission_method === 'direct_to_cf' ? '' : 'display: none;'; ?>">
+                            <th scope="row">
+                                <label for="ga4_request_signing_key">Request Signing Key</label>
+                            </th>
+                            <td>
+                                <input type="text" id="ga4_request_signing_key" name="ga4_request_signing_key" 
+                                    value="<?php echo esc_attr($request_signing_key ?: ''); ?>" class="regular-text" 
+                                    placeholder="Generate a 64-character signing key" />
+                                <button type="button" id="generate_request_signing_key" class="button button-secondary" style="margin-left: 10px;">
+                                    Generate Signing Key
+                                </button>
+                                <p class="description">
+                                    Signs sendBeacon and simple requests sent directly to the Worker (HMAC over body and timestamp, embedded in the payload).
+                                    Configure the same key in your Cloudflare Worker as <code>REQUEST_SIGNING_KEY</code>. Set <code>REQUEST_SIGNING_STRICT=true</code> in the Worker to reject unsigned or stale requests.
+                                    <br><strong>Note:</strong> The key is delivered to the browser, so it proves requests come from your site's tracking script and are fresh; it is not a secret from visitors.
+                                </p>
+                            </td>
+                        </tr>
                     </table>
 
                     <!-- Worker API Key Settings -->
@@ -386,6 +418,31 @@ $force_consent_value = get_option('ga4_force_consent_value', 'GRANTED');
                                     </p>
                                 </td>
                             </tr>
+                            <tr id="encryption_key_rotation_row" style="<?php echo $jwt_encryption_enabled && $jwt_encryption_key ? '' : 'display: none;'; ?>">
+                                <th scope="row">
+                                    <label for="ga4_jwt_encryption_key_next">Key Rotation</label>
+                                </th>
+                                <td>
+                                    <p>
+                                        Signing key id: <code id="encryption_key_id"><?php echo esc_html($jwt_encryption_key ? \GA4ServerSideTagging\Utilities\GA4_Encryption_Util::get_key_id($jwt_encryption_key) : '-'); ?></code>
+                                        &nbsp; Previous key id: <code id="encryption_key_previous_id"><?php echo esc_html($jwt_encryption_key_previous ? \GA4ServerSideTagging\Utilities\GA4_Encryption_Util::get_key_id($jwt_encryption_key_previous) : '-'); ?></code>
+                                    </p>
+                                    <input type="text" id="ga4_jwt_encryption_key_next" name="ga4_jwt_encryption_key_next" 
+                                        value="<?php echo esc_attr($jwt_encryption_key_next ?: ''); ?>" class="regular-text" 
+                                        placeholder="Staged key (use Generate New Encryption Key)" />
+                                    <button type="button" id="activate_encryption_key" class="button button-secondary" style="margin-left: 10px;" <?php echo empty($jwt_encryption_key_next) ? 'disabled' : ''; ?>>
+                                        Switch Signing to Staged Key
+                                    </button>
+                                    <button type="button" id="retire_encryption_key" class="button button-secondary" style="margin-left: 5px;" <?php echo empty($jwt_encryption_key_previous) ? 'disabled' : ''; ?>>
+                                        Retire Previous Key
+                                    </button>
+                                    <p class="description">
+                                        Rotate keys without dropping events: <strong>1.</strong> generate a new key (it is staged here) and add it to <code>ENCRYPTION_KEYRING</code> in your Worker;
+                                        <strong>2.</strong> switch signing, then set the new key as <code>ENCRYPTION_KEY</code> and keep the old one in <code>ENCRYPTION_KEYRING</code>;
+                                        <strong>3.</strong> once queued events have been sent, retire the previous key and remove it from the Worker.
+                                    </p>
+                                </td>
+                            </tr>
                         </table>
                     </div>
                 </div>
@@ -568,6 +625,21 @@ $force_consent_value = get_option('ga4_force_consent_value', 'GRANTED');
                         <code id="cf_encryption_key"><?php echo esc_html($jwt_encryption_key ?: '[Generate encryption key first]'); ?></code>
                         <button type="button" class="copy-secret-btn" data-target="cf_encryption_key">Copy</button>
                     </div>
+                    <?php $jwt_keyring_extra = array_filter(array($jwt_encryption_key_next, $jwt_encryption_key_previous)); ?>
+                    <?php if (!empty($jwt_keyring_extra)) : ?>
+                    <div class="cf-secret-item">
+                        <strong>ENCRYPTION_KEYRING:</strong>
+                        <code id="cf_encryption_keyring"><?php echo esc_html(implode(',', $jwt_keyring_extra)); ?></code>
+                        <button type="button" class="copy-secret-btn" data-target="cf_encryption_keyring">Copy</button>
+                    </div>
+                    <?php endif; ?>
+                    <?php endif; ?>
+                    <?php if ($transmission_method === 'direct_to_cf' && $request_signing_key) : ?>
+                    <div class="cf-secret-item">
+                        <strong>REQUEST_SIGNING_KEY:</strong>
+                        <code id="cf_request_signing_key"><?php echo esc_html($request_signing_key); ?></code>
+                        <button type="button" class="copy-secret-btn" data-target="cf_request_signing_key">Copy</button>
+                    </div>
                     <?php endif; ?>
                     <div class="cf-secret-item">
                         <strong>ALLOWED_DOMAINS:</strong>
@@ -654,12 +726,14 @@ jQuery(document).ready(function($) {
         if ($(this).val() === 'wp_rest_endpoint') {
             $('#disable_cf_proxy_row').show();
             $('#encryption_settings').show();
+            $('#request_signing_key_row').hide();
             toggleCloudflareFields();
         } else {
             $('#disable_cf_proxy_row').hide();
             $('#worker_api_settings').hide();
             $('#encryption_settings').hide();
             $('#cloudflare_worker_url_row').show();
+            $('#request_signing_key_row').show();
         }
     });
 
@@ -685,8 +759,10 @@ jQuery(document).ready(function($) {
     $('#ga4_jwt_encryption_enabled').change(function() {
         if ($(this).is(':checked')) {
             $('#encryption_key_row').show();
+            $('#encryption_key_rotation_row').toggle($('#ga4_jwt_encryption_key').val().trim().length > 0);
         } else {
             $('#encryption_key_row').hide();
+            $('#encryption_key_rotation_row').hide();
         }
         // Update copy button state
         updateCopyButtonState();
@@ -778,6 +854,17 @@ jQuery(document).ready(function($) {
         updateCopyButtonState();
     });
     
+    // Request signing key generation (256-bit)
+    $('#generate_request_signing_key').click(function() {
+        var bytes = new Uint8Array(32);
+        window.crypto.getRandomValues(bytes);
+        var signingKey = Array.prototype.map.call(bytes, function(b) {
+            return ('0' + b.toString(16)).slice(-2);
+        }).join('');
+        
+        $('#ga4_request_signing_key').val(signingKey);
+    });
+    
     // Copy Worker API Key
     $('#copy_worker_api_key').click(function() {
         var apiKey = $('#ga4_worker_api_key').val();
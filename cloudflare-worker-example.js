@@ -12,10 +12,115 @@
 // GA4 Configuration
 var DEBUG_MODE = true; // Set to true to enable debug logging
 const GA4_ENDPOINT = "https://www.google-analytics.com/mp/collect";
+const MP_MAX_EVENTS_PER_REQUEST = 25; // Measurement Protocol limit per request
+const GA4_DEBUG_ENDPOINT = "https://www.google-analytics.com/debug/mp/collect";
+
+// GA4 Payload Limits - oversized events are trimmed instead of rejected
+const GA4_LIMITS = {
+  eventName: 40, // Max event name length
+  paramName: 40, // Max parameter name length
+  paramValue: 100, // Max parameter value length (see GA4_PARAM_VALUE_LIMITS)
+  paramsPerEvent: 25, // Max parameters per event
+  items: 200 // Max items per ecommerce event
+};
+const GA4_PARAM_VALUE_LIMITS = {
+  page_location: 1000,
+  page_referrer: 420,
+  page_title: 300
+};
+// Parameters dropped first / kept longest when an event has too many parameters.
+// Overridable with env.GA4_PARAM_PRIORITY, e.g. {"keep": [...], "drop_first": [...]}
+const GA4_PARAM_PRIORITY = {
+  keep: [
+    'items', 'value', 'currency', 'transaction_id', 'tax', 'shipping', 'coupon',
+    'affiliation', 'payment_type', 'shipping_tier', 'item_list_id', 'item_list_name',
+    'session_id', 'engagement_time_msec', 'page_location', 'page_title', 'page_referrer', 'consent',
+    'traffic_quality'
+  ],
+  drop_first: [
+    'debug_mode', 'event_timestamp', 'bot_score', 'has_javascript',
+    'originalGclid', 'originalContent', 'originalTerm', 'page_path'
+  ]
+};
+
+// Event Rules Configuration
+// Declarative event shaping applied before the GA4 payload is built (see applyEventRules).
+// Overridable with env.EVENT_RULES (JSON) or the "event_rules" entry of env.EVENT_RULES_KV;
+// a configured "rules" list replaces the default rules, other keys override their default.
+const DEFAULT_EVENT_RULES = {
+  // Fields used between browser and worker that never reach GA4
+  internal_fields: [
+    'batch', 'timestamp', 'client_ip', 'isCompleteData',
+    'encryption_enabled', 'transmission_method', 'worker_api_key'
+  ],
+  // Device params moved to the top-level device object
+  device_params: [
+    'device_type', 'is_mobile', 'is_tablet', 'is_desktop',
+    'browser_name', 'screen_resolution', 'user_agent', 'client_hints'
+  ],
+  // Combined consent param; placeholders are filled from the request-level consent
+  consent_param: "ad_personalization: {ad_personalization}. ad_user_data: {ad_user_data}. reason: {consent_reason}",
+  rules: [
+    { id: "default_currency", when: { event: ["add_to_cart", "purchase"] }, defaults: { currency: "EUR" } }
+  ]
+};
+const EVENT_RULES_CACHE_TTL = 60; // Seconds a KV-stored rule set is cached per isolate
+
+// Validation Mode Configuration
+// "off", "validate_only" (debug endpoint only, events are not recorded) or
+// "validate_and_send" (validate first, then send to GA4). Overridable with
+// env.GA4_VALIDATION_MODE or per request with the X-GA4-Validate header.
+const GA4_VALIDATION_MODE = "off";
+
+// Edge Geolocation Configuration
+// With EDGE_GEOLOCATION (or env.EDGE_GEOLOCATION=true) the worker fills city, region and country from
+// request.cf when ad_user_data is granted and ignores any location sent by the browser. Requests relayed by
+// WordPress with a valid Worker API key are skipped: request.cf describes the server, not the visitor, so they
+// keep the location the browser looked up (the plugin leaves browser lookups on for them). The X-GA4-Proxied
+// header WordPress adds is informational only, since any client can set it.
+const EDGE_GEOLOCATION = false;
+
+// IP Address Policy (overridable from env, see loadIpPolicy)
+// How much of the visitor IP reaches GA4, per ad_user_data consent state: "full" sends it unchanged,
+// "truncated" zeroes it to its IPv4 /24 or IPv6 /48 network and "none" leaves it out. Applies to
+// ip_override and to the X-Forwarded-For / X-Real-IP headers forwarded to GA4.
+const IP_POLICY = {
+  granted: "truncated",
+  denied: "none"
+};
+const IP_POLICY_MODES = ["full", "truncated", "none"];
 
 // Bot Detection Configuration
 const BOT_DETECTION_ENABLED = true; // Set to false to disable bot filtering
 const BOT_LOG_ENABLED = true; // Set to false to disable bot logging
+// Bot scoring (overridable from env, see loadBotDetectionConfig). Every check that fires adds its
+// weight; a request at or above the threshold is a bot. The defaults keep the old "two checks" rule.
+const BOT_SCORE_THRESHOLD = 50;
+const BOT_SUSPECT_THRESHOLD = 25; // Scores from here up to BOT_SCORE_THRESHOLD are "suspect" traffic
+const BOT_CHECK_WEIGHTS = {
+  user_agent: 30,
+  geography: 25,
+  cloudflare: 40,
+  headers: 25,
+  event_data: 30,
+  ip_reputation: 25,
+  behavior: 25,
+  request_patterns: 25
+};
+// "block" drops bot events, "monitor" sends every event tagged with traffic_quality (human/suspect/bot),
+// bot_score and bot_reasons; a GA4_DESTINATIONS "traffic_quality" filter routes bots to their own property
+const BOT_DETECTION_MODE = "block";
+// Bot statistics: detected bots are counted per hour in env.BOT_STATS_KV (in memory per isolate without it)
+// and served by GET /admin/bot-stats. Each isolate writes its own counters to its own key
+// (bot_stats_isolate:<bucket>:<isolate>, no shared read-modify-write, at most one write per key and flush
+// interval); the flush runs after the response via ctx.waitUntil. The scheduled handler folds the isolate
+// keys of finished hours into one bot_stats:<bucket> key, so reads stay within the per-request KV limits.
+const BOT_STATS_BUCKET_SECONDS = 3600;
+const BOT_STATS_RETENTION_DAYS = 30;
+const BOT_STATS_FLUSH_INTERVAL = 10; // Seconds
+const BOT_STATS_FOLD_DELAY = 300; // Seconds after a bucket ends before it is folded (late isolate flushes)
+const BOT_STATS_MAX_READS = 500; // KV reads per statistics request or fold run (Workers allow 1000 KV operations per invocation)
+const BOT_STATS_MAX_VALUES = 50; // Distinct values kept per dimension and bucket, the rest count as "other"
 
 // Cloudflare Bot Detection (Less Strict):
 // - verifiedBotCategory: Only Cloudflare's native verified bot categorization
@@ -25,17 +130,100 @@ const BOT_LOG_ENABLED = true; // Set to false to disable bot logging
 // These are loaded from Cloudflare Variables and Secrets - DO NOT HARDCODE
 const RATE_LIMIT_REQUESTS = 10000; // Max requests per IP per minute
 const RATE_LIMIT_WINDOW = 60; // Rate limit window in seconds
-const MAX_PAYLOAD_SIZE = 104857600; // Max payload size in bytes (100MB)
+// Body size limits (overridable from env, see loadPayloadLimits). Bodies are streamed and reading
+// stops at the body cap; the single/batch limits apply to the (decrypted) JSON payload.
+// Requests with an API key (WordPress cron sends up to 5000 queued events per batch) get the
+// MAX_AUTHENTICATED_* limits. Their byte caps grow with the event cap so a full cron batch always fits:
+// the batch cap is at least events x MAX_AUTHENTICATED_EVENT_SIZE, and the body cap adds room for the
+// JWT encoding of encrypted batches (the ciphertext is base64url encoded twice, 16/9 of the JSON).
+const MAX_PAYLOAD_SIZE = 2097152; // Hard cap on a browser request body in bytes (2MB)
+const MAX_SINGLE_PAYLOAD_SIZE = 65536; // Max single-event payload in bytes (64KB)
+const MAX_BATCH_PAYLOAD_SIZE = 1048576; // Max browser batch payload in bytes (1MB)
+const MAX_BATCH_EVENTS = 500; // Max events per browser batch request
+const MAX_AUTHENTICATED_PAYLOAD_SIZE = 10485760; // Minimum body and batch cap for API key requests in bytes (10MB)
+const MAX_AUTHENTICATED_BATCH_EVENTS = 5000; // Max events per batch for API key requests
+const MAX_AUTHENTICATED_EVENT_SIZE = 4096; // Byte budget per API key batch event, incl. the stored request headers and consent (4KB)
+
+// Retry Queue Configuration
+// Failed GA4 sends (429, 5xx and network errors) are stored in env.GA4_RETRY_QUEUE (KV) and retried by
+// the scheduled handler; entries that keep failing move to env.GA4_DEAD_LETTERS (KV) for manual replay
+const RETRY_QUEUE_ENABLED = true; // Set to false to drop events when GA4 is unavailable
+const RETRY_MAX_ATTEMPTS = 6; // Attempts before an entry is moved to the dead-letter store
+const RETRY_BASE_DELAY = 60; // First retry delay in seconds, doubled on every attempt
+const RETRY_MAX_DELAY = 21600; // Upper bound for the retry delay in seconds (6 hours)
+const RETRY_BATCH_SIZE = 50; // Max queue entries processed per scheduled run
+const DEAD_LETTER_TTL = 1209600; // Dead letters expire after 14 days (kept for inspection; see max_event_age for replays)
+
+// Rate Limiting Configuration (overridable from env, see loadRateLimitConfig)
+// Backends: "memory" (per isolate), "kv" (env.RATE_LIMIT_KV) or "durable_object" (env.RATE_LIMITER).
+// KV allows one write per second per key, so the KV backend counts in memory and writes each key at most
+// once per RATE_LIMIT_KV_WRITE_INTERVAL; the Durable Object backend counts exactly.
+const RATE_LIMIT_BACKEND = "memory";
+const RATE_LIMIT_KV_WRITE_INTERVAL = 1000; // Milliseconds between KV writes of one key from one isolate
+const RATE_LIMIT_KV_MAX_KEYS = 10000; // Keys counted in memory per isolate before the oldest are dropped
+const RATE_LIMIT_ALGORITHM = "sliding_window"; // "sliding_window" or "token_bucket"
+const RATE_LIMIT_ROUTES = {
+  single: { requests: RATE_LIMIT_REQUESTS, window: RATE_LIMIT_WINDOW },
+  batch: { requests: 2000, window: RATE_LIMIT_WINDOW }, // Batches carry many events per request
+  sendbeacon: { requests: RATE_LIMIT_REQUESTS, window: RATE_LIMIT_WINDOW },
+  simple: { requests: RATE_LIMIT_REQUESTS, window: RATE_LIMIT_WINDOW } // X-Simple-request: true (any client can set it)
+};
 
 // JWT Encryption Configuration
 const JWT_ENCRYPTION_ENABLED = true; // Set to true to enable JWT encryption
 
+// JWT Replay Protection Configuration (overridable from env, see loadJWTConfig)
+// Tokens carry iat, exp and a unique jti; every jti is accepted once. Seen ids are kept in
+// env.JWT_REPLAY_KV (KV) or, without that binding, in memory per isolate.
+const JWT_TOKEN_LIFETIME = 300; // Seconds until tokens created by the worker expire
+const JWT_CLOCK_SKEW = 30; // Seconds of clock difference tolerated on exp and iat
+const JWT_MAX_AGE = 300; // Max seconds since iat for tokens without exp (WordPress permanent-key tokens)
+const JWT_REQUIRE_CLAIMS = false; // Set to true to reject tokens without iat/jti (older plugin versions)
+
+// Worker API Keys
+// env.API_KEY is the legacy key with every scope. env.API_KEYS (JSON) adds named keys with scopes, e.g.
+// {"wordpress_cron": {"key_env": "CRON_API_KEY", "scopes": ["send"], "skip_bot_detection": true},
+//  "partner": {"key": "...", "scopes": ["send"], "rate_limit": {"requests": 120, "window": 60}}}
+const API_KEY_SCOPES = ["send", "replay", "stats", "admin"]; // "admin" grants every scope
+
+// Request Signing (overridable from env, see loadRequestSigningConfig)
+// sendBeacon and simple requests cannot carry auth headers, so the browser embeds
+// _sig: { ts, sig } in the payload, where sig = base64url(HMAC-SHA256(REQUEST_SIGNING_KEY, "<ts>.<JSON body without _sig>")).
+// The signing key is served to every page, so _sig is a freshness/integrity check, not authentication:
+// anyone can sign with it. A valid signature grants no API-key scopes and skips no security checks.
+const REQUEST_SIGNING_STRICT = false; // Set to true to reject unsigned, invalid or stale sendBeacon/simple requests
+const REQUEST_SIGNATURE_MAX_AGE = 300; // Seconds a signature stays valid after its timestamp
+const REQUEST_SIGNATURE_CLOCK_SKEW = 30; // Seconds a signature timestamp may lie ahead of the worker clock (browser clocks drift)
+
+// JWT Key Rotation
+// Tokens carry a kid header (first 16 hex chars of SHA-256 over the raw key). ENCRYPTION_KEY signs
+// responses; env.ENCRYPTION_KEYRING (comma-separated) lists further accepted keys, i.e. the staged
+// next key and the previous key while a rotation is in progress.
+
 // These are loaded from Cloudflare Variables and Secrets - DO NOT HARDCODE
 let GA4_MEASUREMENT_ID; // Loaded from env.GA4_MEASUREMENT_ID
 let GA4_API_SECRET; // Loaded from env.GA4_API_SECRET
 let API_KEY; // Loaded from env.API_KEY
+let API_KEYS; // Loaded from env.API_KEY + env.API_KEYS (see loadApiKeys)
 let ENCRYPTION_KEY; // Loaded from env.ENCRYPTION_KEY
-let ALLOWED_DOMAINS; // Loaded from env.ALLOWED_DOMAINS (comma-separated)
+let ENCRYPTION_KEYRING; // Loaded from env.ENCRYPTION_KEY + env.ENCRYPTION_KEYRING (see loadEncryptionKeyring)
+let ALLOWED_DOMAINS; // Loaded from env.ALLOWED_DOMAINS + env.ALLOWED_DOMAINS_<ENVIRONMENT> (see loadAllowedDomains)
+let RATE_LIMIT_CONFIG; // Loaded from env.RATE_LIMIT_* (see loadRateLimitConfig)
+let PAYLOAD_LIMITS; // Loaded from env.MAX_*PAYLOAD_SIZE / env.MAX_BATCH_EVENTS (see loadPayloadLimits)
+let JWT_CONFIG; // Loaded from env.JWT_* (see loadJWTConfig)
+let JWT_SEEN_STORE; // Loaded from env.JWT_REPLAY_KV (falls back to in-memory store)
+let BOT_STATS_STORE; // Loaded from env.BOT_STATS_KV (falls back to in-memory store)
+let REQUEST_SIGNING_CONFIG; // Loaded from env.REQUEST_SIGNING_* (see loadRequestSigningConfig)
+let BOT_DETECTION_CONFIG; // Loaded from env.BOT_* (see loadBotDetectionConfig)
+let GA4_DESTINATIONS; // Loaded from env.GA4_DESTINATIONS (JSON), defaults to GA4_MEASUREMENT_ID/GA4_API_SECRET
+let PARAM_PRIORITY; // Loaded from env.GA4_PARAM_PRIORITY (defaults to GA4_PARAM_PRIORITY)
+let VALIDATION_MODE; // Loaded from env.GA4_VALIDATION_MODE
+let USE_EDGE_GEOLOCATION; // Loaded from env.EDGE_GEOLOCATION
+let IP_POLICY_CONFIG; // Loaded from env.IP_POLICY (see loadIpPolicy)
+let EVENT_RULES; // Loaded from env.EVENT_RULES or env.EVENT_RULES_KV (see loadEventRules)
+let GA4_DEBUG_URL; // Loaded from env.GA4_DEBUG_ENDPOINT (defaults to GA4_DEBUG_ENDPOINT)
+let RETRY_QUEUE; // Loaded from env.GA4_RETRY_QUEUE (falls back to in-memory store)
+let DEAD_LETTER_STORE; // Loaded from env.GA4_DEAD_LETTERS (falls back to in-memory store)
 
 /**
  * =============================================================================
@@ -178,7 +366,8 @@ async function createJWTToken(plaintext, keyHex) {
   const header = {
     typ: 'JWT',
     alg: 'HS256',
-    enc: 'A256GCM' // Indicate AES-256-GCM encryption
+    enc: 'A256GCM', // Indicate AES-256-GCM encryption
+    kid: await getKeyId(keyHex) // Lets the receiver pick the key from its keyring
   };
   
   // Encrypt the plaintext data using AES-GCM
@@ -190,7 +379,8 @@ async function createJWTToken(plaintext, keyHex) {
     iv: base64urlEncode(encryptionResult.iv),
     tag: base64urlEncode(encryptionResult.tag),
     iat: Math.floor(Date.now() / 1000),
-    exp: Math.floor(Date.now() / 1000) + 300 // 5 minutes expiry
+    exp: Math.floor(Date.now() / 1000) + JWT_TOKEN_LIFETIME,
+    jti: crypto.randomUUID()
   };
   
   // Base64URL encode header and payload
@@ -232,10 +422,8 @@ async function verifyJWTToken(jwtToken, keyHex) {
   // Decode and validate payload
   const payload = JSON.parse(new TextDecoder().decode(base64urlDecode(payloadEncoded)));
   
-  // Check expiration
-  if (payload.exp && payload.exp < Math.floor(Date.now() / 1000)) {
-    throw new Error('JWT token has expired');
-  }
+  // Check expiry, issue time and replay (the signature is valid, so the claims can be trusted)
+  await checkJWTClaims(payload);
   
   // Check header for encryption information
   const header = JSON.parse(new TextDecoder().decode(base64urlDecode(headerEncoded)));
@@ -260,6 +448,215 @@ async function verifyJWTToken(jwtToken, keyHex) {
   }
 }
 
+/**
+ * Load the keys accepted for JWT verification
+ * The current signing key comes first, followed by env.ENCRYPTION_KEYRING entries.
+ * @param {Object} env - Worker environment
+ * @returns {string[]} Unique 64-character hex keys
+ */
+function loadEncryptionKeyring(env) {
+  const extraKeys = String(env.ENCRYPTION_KEYRING || '').split(',').map(key => key.trim());
+  const keys = [ENCRYPTION_KEY, ...extraKeys].filter(key => typeof key === 'string' && /^[0-9a-fA-F]{64}$/.test(key));
+
+  if (extraKeys.some(key => key && !keys.includes(key))) {
+    console.warn('❌ ENCRYPTION_KEYRING contains entries that are not 64-character hex keys; they are ignored');
+  }
+
+  return [...new Set(keys.map(key => key.toLowerCase()))];
+}
+
+const keyIdCache = new Map();
+
+/**
+ * Get the key id (kid) for an encryption key, computed the same way as WordPress
+ * @param {string} keyHex - Key as hex string
+ * @returns {Promise<string>} First 16 hex characters of SHA-256 over the raw key bytes
+ */
+async function getKeyId(keyHex) {
+  const cacheKey = keyHex.toLowerCase();
+  if (!keyIdCache.has(cacheKey)) {
+    const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', hexToBytes(cacheKey)));
+    const kid = Array.from(digest.slice(0, 8), byte => byte.toString(16).padStart(2, '0')).join('');
+    keyIdCache.set(cacheKey, kid);
+  }
+  return keyIdCache.get(cacheKey);
+}
+
+/**
+ * Verify a JWT token with the keyring entry it was signed with
+ * Tokens with a kid header must name a key in the keyring; tokens without one
+ * (older plugin versions) are checked against every key in order.
+ * @param {string} jwtToken - JWT token to verify
+ * @returns {Promise<string>} - Decrypted plaintext
+ * @throws {Error} When no key in the keyring matches the token
+ */
+async function decryptWithKeyring(jwtToken) {
+  const keyring = ENCRYPTION_KEYRING && ENCRYPTION_KEYRING.length > 0 ? ENCRYPTION_KEYRING : [ENCRYPTION_KEY];
+  const [headerEncoded, payloadEncoded, signatureEncoded] = String(jwtToken).split('.');
+
+  let header = {};
+  try {
+    header = JSON.parse(new TextDecoder().decode(base64urlDecode(headerEncoded)));
+  } catch (error) {
+    throw new Error('Invalid JWT header');
+  }
+
+  if (header.kid) {
+    for (const keyHex of keyring) {
+      if (await getKeyId(keyHex) === header.kid) {
+        return await decrypt(jwtToken, keyHex);
+      }
+    }
+    throw new Error(`Unknown JWT key id: ${header.kid}`);
+  }
+
+  if (signatureEncoded !== undefined) {
+    const signatureInput = headerEncoded + '.' + payloadEncoded;
+    const providedSignature = base64urlDecode(signatureEncoded);
+    for (const keyHex of keyring) {
+      const expectedSignature = await createHMACSHA256(signatureInput, hexToBytes(keyHex));
+      if (arrayBuffersEqual(expectedSignature, providedSignature)) {
+        return await decrypt(jwtToken, keyHex);
+      }
+    }
+  }
+
+  // No key matched: verify with the signing key for the usual error
+  return await decrypt(jwtToken, keyring[0]);
+}
+
+/**
+ * Load JWT replay protection settings from env
+ * @param {Object} env - Worker environment
+ * @returns {Object} { clockSkew, maxAge, requireClaims }
+ */
+function loadJWTConfig(env) {
+  const clockSkew = parseInt(env.JWT_CLOCK_SKEW);
+  const maxAge = parseInt(env.JWT_MAX_AGE);
+
+  return {
+    clockSkew: Number.isFinite(clockSkew) && clockSkew >= 0 ? clockSkew : JWT_CLOCK_SKEW,
+    maxAge: Number.isFinite(maxAge) && maxAge > 0 ? maxAge : JWT_MAX_AGE,
+    requireClaims: env.JWT_REQUIRE_CLAIMS !== undefined
+      ? String(env.JWT_REQUIRE_CLAIMS) === 'true'
+      : JWT_REQUIRE_CLAIMS
+  };
+}
+
+/**
+ * Check the time claims of a verified JWT and reject replayed token ids
+ * Tokens without exp (WordPress permanent-key tokens) are limited to maxAge after iat.
+ * KV is eventually consistent, so a replay sent to another colo within seconds can slip
+ * through; a replay in the same colo or later is rejected.
+ * @param {Object} payload - Decoded JWT payload
+ * @throws {Error} When the token is expired, not yet valid, too old, replayed or missing claims
+ */
+async function checkJWTClaims(payload) {
+  const config = JWT_CONFIG || loadJWTConfig({});
+  const now = Math.floor(Date.now() / 1000);
+
+  if (config.requireClaims && (!payload.iat || !payload.jti)) {
+    throw new Error('JWT token is missing iat or jti');
+  }
+
+  if (payload.exp && payload.exp + config.clockSkew < now) {
+    throw new Error('JWT token has expired');
+  }
+
+  if (payload.iat) {
+    if (payload.iat - config.clockSkew > now) {
+      throw new Error('JWT token issued in the future');
+    }
+    if (!payload.exp && now - payload.iat > config.maxAge + config.clockSkew) {
+      throw new Error('JWT token is too old');
+    }
+  }
+
+  if (!payload.jti) {
+    return;
+  }
+
+  // Remember the id for as long as the token could still be accepted
+  const validUntil = payload.exp || (payload.iat || now) + config.maxAge;
+  const ttl = Math.max(60, validUntil + config.clockSkew - now); // KV requires a minimum TTL of 60 seconds
+  const store = JWT_SEEN_STORE || globalThis.jwtSeenMemory;
+  const key = `jti:${payload.jti}`;
+
+  if (await store.get(key)) {
+    throw new Error('JWT token has already been used');
+  }
+  await store.put(key, '1', { expirationTtl: ttl });
+}
+
+/**
+ * Load request signing settings from env
+ * @param {Object} env - Worker environment
+ * @returns {Object} { key, strict, maxAge, clockSkew }
+ */
+function loadRequestSigningConfig(env) {
+  const key = env.REQUEST_SIGNING_KEY ? String(env.REQUEST_SIGNING_KEY).trim() : '';
+  const maxAge = parseInt(env.REQUEST_SIGNATURE_MAX_AGE);
+  const clockSkew = parseInt(env.REQUEST_SIGNATURE_CLOCK_SKEW);
+
+  if (key && !/^[0-9a-fA-F]{64}$/.test(key)) {
+    console.warn('❌ REQUEST_SIGNING_KEY must be 64 hex characters; request signatures cannot be verified');
+  }
+
+  return {
+    key: /^[0-9a-fA-F]{64}$/.test(key) ? key : '',
+    strict: env.REQUEST_SIGNING_STRICT !== undefined
+      ? String(env.REQUEST_SIGNING_STRICT) === 'true'
+      : REQUEST_SIGNING_STRICT,
+    maxAge: Number.isFinite(maxAge) && maxAge > 0 ? maxAge : REQUEST_SIGNATURE_MAX_AGE,
+    clockSkew: Number.isFinite(clockSkew) && clockSkew >= 0 ? clockSkew : REQUEST_SIGNATURE_CLOCK_SKEW
+  };
+}
+
+/**
+ * Verify the signature embedded in a sendBeacon/simple request payload
+ * The payload is re-serialized without _sig, which reproduces the browser's JSON.stringify output.
+ * Only proves the payload is fresh and unmodified since signing; the key is public, so the result must not be treated as authentication.
+ * @param {Object} payload - Parsed request payload
+ * @returns {Promise<Object>} { valid, reason }
+ */
+async function verifyRequestSignature(payload) {
+  const config = REQUEST_SIGNING_CONFIG || loadRequestSigningConfig({});
+  const signature = payload && payload._sig;
+
+  if (!signature) {
+    return { valid: false, reason: "missing_signature" };
+  }
+  if (!config.key) {
+    return { valid: false, reason: "signing_key_not_configured" };
+  }
+  if (!Number.isFinite(signature.ts) || typeof signature.sig !== "string") {
+    return { valid: false, reason: "malformed_signature" };
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (signature.ts - config.clockSkew > now) {
+    return { valid: false, reason: "signature_in_future" };
+  }
+  if (now - signature.ts > config.maxAge) {
+    return { valid: false, reason: "stale_signature" };
+  }
+
+  const { _sig, ...unsignedPayload } = payload;
+  const expectedSignature = await createHMACSHA256(`${signature.ts}.${JSON.stringify(unsignedPayload)}`, hexToBytes(config.key));
+
+  let providedSignature;
+  try {
+    providedSignature = base64urlDecode(signature.sig);
+  } catch (error) {
+    return { valid: false, reason: "malformed_signature" };
+  }
+
+  if (!arrayBuffersEqual(expectedSignature, providedSignature)) {
+    return { valid: false, reason: "invalid_signature" };
+  }
+  return { valid: true };
+}
+
 /**
  * Create HMACSHA256 signature
  */
@@ -292,11 +689,16 @@ function base64urlEncode(data) {
 
 /**
  * Base64URL decode
+ * Fills the byte array directly; encrypted cron batches run to tens of MB, too large for a per-character array.
  */
 function base64urlDecode(data) {
   const base64 = data.replace(/-/g, '+').replace(/_/g, '/') + '='.repeat((4 - data.length % 4) % 4);
   const binary = atob(base64);
-  return new Uint8Array(binary.split('').map(char => char.charCodeAt(0)));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
 }
 
 /**
@@ -304,10 +706,11 @@ function base64urlDecode(data) {
  */
 function arrayBuffersEqual(a, b) {
   if (a.length !== b.length) return false;
+  let difference = 0;
   for (let i = 0; i < a.length; i++) {
-    if (a[i] !== b[i]) return false;
+    difference |= a[i] ^ b[i]; // No early exit, so timing does not reveal the first mismatch
   }
-  return true;
+  return difference === 0;
 }
 
 /**
@@ -366,7 +769,8 @@ function processGDPRConsent(payload, request) {
 
 /**
  * Enhance payload with location data when consent is granted
- * Prioritizes client-sent location data over Cloudflare IP headers
+ * Prioritizes client-sent location data over Cloudflare IP headers,
+ * unless edge geolocation is enabled (see applyEdgeGeolocation)
  * @param {Object} payload - The event payload
  * @param {Object} request - The request object (for continent fallback)
  * @returns {Object} Enhanced payload with location data
@@ -375,6 +779,11 @@ function enhanceWithIPGeolocation(payload, request) {
   try {
     // Get continent from Cloudflare as fallback only
     const cf = request.cf || {};
+
+    if (USE_EDGE_GEOLOCATION && !isProxiedRequest(request)) {
+      applyEdgeGeolocation(payload.params, cf);
+      return payload;
+    }
     
     // Client-sent location data takes priority over Cloudflare IP headers
     // Only use Cloudflare continent if client hasn't provided it
@@ -390,6 +799,46 @@ function enhanceWithIPGeolocation(payload, request) {
   return payload;
 }
 
+/**
+ * Whether a request was relayed by WordPress instead of sent by the browser
+ * Only a valid Worker API key counts: the X-GA4-Proxied header WordPress adds can be set by any client, so
+ * trusting it alone would let a browser replace the edge location with one it chose.
+ * @param {Request} request - The incoming request
+ * @returns {boolean} True if request.cf describes the relaying server
+ */
+function isProxiedRequest(request) {
+  return !!authenticateApiKey(request.headers.get("Authorization"));
+}
+
+/**
+ * Replace browser-sent location params with the visitor location Cloudflare resolved at the edge
+ * extractLocationData turns them into user_location (city, region_id, country_id, subcontinent_id).
+ * @param {Object} params - Event params (modified)
+ * @param {Object} cf - request.cf
+ * @returns {Object} The same params
+ */
+function applyEdgeGeolocation(params, cf) {
+  const browserLocationParams = [
+    'geo_latitude', 'geo_longitude', 'geo_city', 'geo_region', 'geo_country', 'geo_continent',
+    'geo_city_tz', 'geo_country_tz', 'city', 'region', 'country'
+  ];
+  browserLocationParams.forEach(param => delete params[param]);
+
+  // "XX" is unknown and "T1" is Tor, neither is a real country
+  if (cf.country && cf.country !== 'XX' && cf.country !== 'T1') {
+    params.geo_country = cf.country;
+    if (cf.city) {
+      params.geo_city = cf.city;
+    }
+    // regionCode is the ISO 3166-2 subdivision code without the country prefix (e.g. "NH")
+    if (cf.regionCode || cf.region) {
+      params.geo_region = cf.regionCode || cf.region;
+    }
+  }
+
+  return params;
+}
+
 /**
  * Apply analytics consent denied rules
  * @param {Object} payload - The event payload
@@ -521,62 +970,250 @@ function anonymizeUserAgent(userAgent) {
     .substring(0, 100); // Truncate to 100 characters
 }
 
+/**
+ * Load the IP policy from env
+ * env.IP_POLICY is either one mode for both consent states ("truncated") or JSON per
+ * state, e.g. {"granted": "full", "denied": "truncated"}; missing states keep IP_POLICY.
+ * @param {Object} env - Worker environment
+ * @returns {Object} { granted, denied }
+ */
+function loadIpPolicy(env) {
+  const policy = { ...IP_POLICY };
+  if (!env.IP_POLICY) return policy;
+
+  let configured = env.IP_POLICY;
+  if (typeof configured === 'string') {
+    const value = configured.trim();
+    if (IP_POLICY_MODES.includes(value.toLowerCase())) {
+      configured = { granted: value, denied: value };
+    } else {
+      try {
+        configured = JSON.parse(value);
+      } catch (error) {
+        console.warn('❌ Invalid IP_POLICY, using defaults:', error.message);
+        return policy;
+      }
+    }
+  }
+
+  for (const state of ["granted", "denied"]) {
+    if (configured[state] === undefined) continue;
+    const mode = String(configured[state]).trim().toLowerCase();
+    if (IP_POLICY_MODES.includes(mode)) {
+      policy[state] = mode;
+    } else {
+      console.warn(`❌ Unknown IP_POLICY mode "${configured[state]}" for ${state}, using "${policy[state]}"`);
+    }
+  }
+
+  return policy;
+}
+
+/**
+ * Get the IP policy mode for a consent state
+ * @param {Object} consent - Processed consent ({ ad_user_data, ad_personalization })
+ * @returns {string} "full", "truncated" or "none"
+ */
+function getIpPolicyMode(consent) {
+  const policy = IP_POLICY_CONFIG || IP_POLICY;
+  return consent && consent.ad_user_data === "GRANTED" ? policy.granted : policy.denied;
+}
+
+/**
+ * Apply an IP policy mode to an IP address or header value
+ * Only the first address of a comma-separated list (X-Forwarded-For) is kept.
+ * @param {string} value - IP address or X-Forwarded-For header value
+ * @param {string} mode - "full", "truncated" or "none"
+ * @returns {string} IP address to send, empty when it must be left out
+ */
+function applyIpPolicy(value, mode) {
+  const ip = String(value || "").split(",")[0].trim();
+  if (!ip || mode === "none") return "";
+  if (mode === "full") return ip;
+  return truncateIP(ip);
+}
+
+/**
+ * Truncate an IP address to its IPv4 /24 or IPv6 /48 network
+ * "203.0.113.77" becomes "203.0.113.0", "2001:db8:85a3:8d3:1319:8a2e:370:7348" becomes
+ * "2001:db8:85a3::" and an IPv4-mapped "::ffff:203.0.113.77" becomes "::ffff:203.0.113.0".
+ * @param {string} ip - IP address
+ * @returns {string} Truncated address, empty when the address cannot be parsed
+ */
+function truncateIP(ip) {
+  const address = String(ip || "").trim().replace(/^\[|\](?::\d+)?$/g, "");
+
+  const ipv4 = address.match(/^(?:(::ffff:))?(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})(?::\d+)?$/i);
+  if (ipv4) {
+    const octets = ipv4.slice(2, 5).map(Number);
+    if (octets.some(octet => octet > 255) || Number(ipv4[5]) > 255) return "";
+    return `${ipv4[1] ? "::ffff:" : ""}${octets.join(".")}.0`;
+  }
+
+  if (!address.includes(":") || !/^[0-9a-f:]+$/i.test(address.replace(/%.*$/, ""))) return "";
+
+  const [head, tail, extra] = address.replace(/%.*$/, "").split("::");
+  if (extra !== undefined) return "";
+  const headGroups = head ? head.split(":") : [];
+  const tailGroups = tail ? tail.split(":") : [];
+  const missing = 8 - headGroups.length - tailGroups.length;
+  if (tail === undefined ? missing !== 0 : missing < 1) return "";
+
+  const groups = [...headGroups, ...new Array(missing).fill("0"), ...tailGroups];
+  if (groups.some(group => !/^[0-9a-f]{1,4}$/i.test(group))) return "";
+
+  const network = groups.slice(0, 3).map(group => parseInt(group, 16).toString(16));
+  while (network.length && network[network.length - 1] === "0") network.pop();
+  return `${network.join(":")}::`;
+}
+
 /**
  * =============================================================================
  * BOT DETECTION SYSTEM
  * =============================================================================
  */
 
+/**
+ * Bot checks in evaluation order
+ * Each check returns { isBot, reason }, or null when it does not apply to the request.
+ * New checks are added here and get a weight in BOT_CHECK_WEIGHTS.
+ */
+const BOT_CHECKS = [
+  { name: "user_agent", run: (context) => checkUserAgentPatterns(context.userAgent) },
+  { name: "geography", run: (context) => checkSuspiciousGeography(context.country, context.city, context.region) },
+  { name: "cloudflare", run: (context) => checkCloudflareData(context.cfData) },
+  { name: "headers", run: (context) => checkRequestHeaders(context.request) },
+  { name: "event_data", run: (context) => checkEventData(context.payload) },
+  { name: "ip_reputation", run: (context) => checkIPReputation(context.cfData) },
+  {
+    name: "behavior",
+    run: (context) => (context.params.botData || context.params.event_timestamp)
+      ? checkBehaviorPatterns(context.params.botData || {}, context.params)
+      : null
+  },
+  { name: "request_patterns", run: (context) => checkRequestPatterns(context.request) }
+];
+
+/**
+ * Load the bot detection configuration
+ * env.BOT_SCORE_THRESHOLD, env.BOT_SUSPECT_THRESHOLD and env.BOT_CHECK_WEIGHTS (JSON, e.g. {"geography": 10})
+ * tune the scoring, env.BOT_CHECK_<NAME>=false disables a check (e.g. BOT_CHECK_IP_REPUTATION=false) and
+ * env.BOT_DETECTION_MODE=monitor tags events with their traffic quality instead of dropping bots.
+ * @param {Object} env - Worker environment
+ * @returns {Object} { enabled, threshold, suspectThreshold, mode, weights, checks }
+ */
+function loadBotDetectionConfig(env) {
+  const parsedThreshold = parseFloat(env.BOT_SCORE_THRESHOLD);
+  const threshold = Number.isFinite(parsedThreshold) && parsedThreshold > 0 ? parsedThreshold : BOT_SCORE_THRESHOLD;
+  const suspectThreshold = parseFloat(env.BOT_SUSPECT_THRESHOLD);
+  const mode = String(env.BOT_DETECTION_MODE || BOT_DETECTION_MODE).trim().toLowerCase();
+
+  let weights = { ...BOT_CHECK_WEIGHTS };
+  if (env.BOT_CHECK_WEIGHTS) {
+    try {
+      const configured = typeof env.BOT_CHECK_WEIGHTS === 'string'
+        ? JSON.parse(env.BOT_CHECK_WEIGHTS)
+        : env.BOT_CHECK_WEIGHTS;
+      for (const [name, weight] of Object.entries(configured)) {
+        if (Number.isFinite(Number(weight)) && Number(weight) >= 0) {
+          weights[name] = Number(weight);
+        }
+      }
+    } catch (error) {
+      console.warn('❌ Invalid BOT_CHECK_WEIGHTS JSON, using default weights:', error.message);
+    }
+  }
+
+  const checks = {};
+  for (const check of BOT_CHECKS) {
+    const flag = env[`BOT_CHECK_${check.name.toUpperCase()}`];
+    checks[check.name] = flag === undefined || String(flag) !== 'false';
+  }
+
+  if (mode !== "block" && mode !== "monitor") {
+    console.warn(`❌ Unknown BOT_DETECTION_MODE "${mode}", using "${BOT_DETECTION_MODE}"`);
+  }
+
+  return {
+    enabled: env.BOT_DETECTION_ENABLED !== undefined
+      ? String(env.BOT_DETECTION_ENABLED) !== 'false'
+      : BOT_DETECTION_ENABLED,
+    threshold: threshold,
+    suspectThreshold: Math.min(
+      threshold,
+      Number.isFinite(suspectThreshold) && suspectThreshold > 0 ? suspectThreshold : BOT_SUSPECT_THRESHOLD
+    ),
+    mode: mode === "block" || mode === "monitor" ? mode : BOT_DETECTION_MODE,
+    weights: weights,
+    checks: checks
+  };
+}
+
 /**
  * Comprehensive bot detection for server-side filtering
+ * Runs the enabled BOT_CHECKS and sums the weights of those that fire.
  * @param {Request} request - The incoming request
  * @param {Object} payload - The event payload
- * @returns {Object} Detection result with isBot flag and details
+ * @returns {Object} Detection result with isBot flag, score, trafficQuality, per-check scores and details
  */
 function detectBot(request, payload) {
-  if (!BOT_DETECTION_ENABLED) {
+  const config = BOT_DETECTION_CONFIG || loadBotDetectionConfig({});
+  if (!config.enabled) {
     return { isBot: false, reason: "detection_disabled" };
   }
 
   // Get user agent from the right place - prioritize botData, fallback to params, then request headers
   const userAgent = getUserAgent(payload, request);
   const cfData = request.cf || {};
-  const country = (cfData.country) || '';
-  const city = (String(cfData.city) || '').toLowerCase();
-  const region = (cfData.region) || '';
-  const params = payload.params || {};
+  const context = {
+    request: request,
+    payload: payload,
+    params: payload.params || {},
+    userAgent: userAgent,
+    cfData: cfData,
+    country: (cfData.country) || '',
+    city: (String(cfData.city) || '').toLowerCase(),
+    region: (cfData.region) || ''
+  };
 
-  const checks = [
-    checkUserAgentPatterns(userAgent),
-    checkSuspiciousGeography(country, city, region),
-    checkCloudflareData(cfData),
-    checkRequestHeaders(request),
-    checkEventData(payload),
-    checkIPReputation(cfData)
-  ];
+  const checks = [];
+  for (const check of BOT_CHECKS) {
+    if (!config.checks[check.name]) continue;
 
-  // Skip WordPress bot data analysis (removed)
+    const result = check.run(context);
+    if (!result) continue;
 
-  // Check behavior patterns if available
-  if (params.botData || params.event_timestamp) {
-    checks.push(checkBehaviorPatterns(params.botData || {}, params));
+    checks.push({
+      name: check.name,
+      isBot: result.isBot,
+      reason: result.reason,
+      score: result.isBot ? (config.weights[check.name] || 0) : 0
+    });
   }
 
-  // Check request patterns
-  checks.push(checkRequestPatterns(request));
-
-  const positiveChecks = checks.filter(check => check.isBot);
-  const isBot = positiveChecks.length >= 2; // Require at least 2 positive checks
+  const positiveChecks = checks.filter(check => check.score > 0);
+  const score = positiveChecks.reduce((total, check) => total + check.score, 0);
+  const isBot = score >= config.threshold;
+  let trafficQuality = "human";
+  if (isBot) {
+    trafficQuality = "bot";
+  } else if (score > 0 && score >= config.suspectThreshold) {
+    trafficQuality = "suspect";
+  }
 
   return {
     isBot: isBot,
-    score: positiveChecks.length,
+    score: score,
+    threshold: config.threshold,
+    trafficQuality: trafficQuality,
+    monitorOnly: config.mode === "monitor",
     reasons: positiveChecks.map(check => check.reason),
+    checks: Object.fromEntries(checks.map(check => [check.name, check.score])),
     details: {
       userAgent: userAgent,
-      country: country,
-      city: city,
-      region: region,
+      country: context.country,
+      city: context.city,
+      region: context.region,
       asn: cfData.asn,
       threatScore: cfData.threatScore
     }
@@ -584,29 +1221,145 @@ function detectBot(request, payload) {
 }
 
 /**
- * Check if the Authorization header contains a valid Worker API key
- * @param {string|null} authHeader - The Authorization header value
- * @returns {boolean} True if authenticated, false otherwise
+ * Get the key that groups batch events for bot detection
+ * Events of one session share a detection; without ids the events share the "batch" key.
+ * @param {Object} payload - Single event payload built from a batch event
+ * @returns {string} "session:<id>", "client:<id>" or "batch"
  */
-function isValidWorkerApiKey(authHeader) {
-  if (!authHeader) {
-    return false;
+function getBotSessionKey(payload) {
+  const params = payload.params || {};
+  if (params.session_id) {
+    return `session:${params.session_id}`;
   }
-  
-  // Check if it's a Bearer token
-  if (!authHeader.startsWith('Bearer ')) {
-    return false;
+  if (params.client_id) {
+    return `client:${params.client_id}`;
   }
-  
+  return "batch";
+}
+
+/**
+ * Tag an event with its bot detection result (monitor mode)
+ * traffic_quality ("human", "suspect" or "bot") is a custom dimension for comparing segments in GA4
+ * and selects destinations with a "traffic_quality" filter.
+ * @param {Object} payload - The consent-processed event payload
+ * @param {Object} detection - Result from detectBot
+ * @returns {Object} The same payload
+ */
+function tagBotDetection(payload, detection) {
+  payload.params = payload.params || {};
+  payload.params.traffic_quality = detection.trafficQuality;
+  payload.params.bot_score = detection.score;
+  if (detection.reasons.length > 0) {
+    // GA4 truncates parameter values at 100 characters
+    payload.params.bot_reasons = detection.reasons.join('; ').substring(0, 100);
+  }
+  return payload;
+}
+
+/**
+ * Load the Worker API keys
+ * The legacy env.API_KEY becomes the "default" key with the admin scope and bot detection bypass,
+ * so existing WordPress installs keep working unchanged.
+ * @param {Object} env - Worker environment
+ * @returns {Object[]} Keys as { name, key, scopes, rate_limit, skip_bot_detection }
+ */
+function loadApiKeys(env) {
+  const keys = [];
+
+  if (API_KEY) {
+    keys.push({ name: "default", key: API_KEY, scopes: ["admin"], rate_limit: null, skip_bot_detection: true });
+  }
+
+  if (env.API_KEYS) {
+    try {
+      const configured = typeof env.API_KEYS === 'string' ? JSON.parse(env.API_KEYS) : env.API_KEYS;
+      for (const [name, entry] of Object.entries(configured)) {
+        const key = entry.key || (entry.key_env ? env[entry.key_env] : '');
+        const scopes = (Array.isArray(entry.scopes) ? entry.scopes : ["send"]).filter(scope => API_KEY_SCOPES.includes(scope));
+
+        if (!key) {
+          console.warn(`❌ API key "${name}" has no key (or its key_env secret is not set), skipping`);
+          continue;
+        }
+
+        keys.push({
+          name: name,
+          key: String(key),
+          scopes: scopes,
+          rate_limit: entry.rate_limit && entry.rate_limit.requests > 0 && entry.rate_limit.window > 0 ? entry.rate_limit : null,
+          skip_bot_detection: entry.skip_bot_detection === true
+        });
+      }
+    } catch (error) {
+      console.warn('❌ Invalid API_KEYS, only API_KEY is accepted:', error.message);
+    }
+  }
+
+  return keys;
+}
+
+/**
+ * Compare two strings in constant time (for the given lengths)
+ * @param {string} a - First value
+ * @param {string} b - Second value
+ * @returns {boolean} True if equal
+ */
+function constantTimeEqual(a, b) {
+  const encoder = new TextEncoder();
+  const left = encoder.encode(String(a));
+  const right = encoder.encode(String(b));
+  const length = Math.max(left.length, right.length);
+
+  let difference = left.length ^ right.length;
+  for (let i = 0; i < length; i++) {
+    difference |= (left[i] || 0) ^ (right[i] || 0);
+  }
+  return difference === 0;
+}
+
+/**
+ * Find the Worker API key presented in the Authorization header
+ * Every configured key is compared, so the response time does not reveal which one matched.
+ * @param {string|null} authHeader - The Authorization header value
+ * @returns {Object|null} Matching key entry or null
+ */
+function authenticateApiKey(authHeader) {
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return null;
+  }
+
   const providedToken = authHeader.substring(7); // Remove "Bearer " prefix
-  const validApiKey = API_KEY || '';
-  
-  if (!validApiKey || !providedToken) {
-    return false;
+  if (!providedToken) {
+    return null;
   }
-  
-  // Compare the provided token with the configured API key
-  return providedToken === validApiKey;
+
+  let match = null;
+  for (const apiKey of API_KEYS || []) {
+    if (constantTimeEqual(providedToken, apiKey.key) && !match) {
+      match = apiKey;
+    }
+  }
+  return match;
+}
+
+/**
+ * Check whether an API key grants a scope
+ * @param {Object|null} apiKey - Key entry from authenticateApiKey
+ * @param {string} scope - "send", "replay", "stats" or "admin"
+ * @returns {boolean} True if the key has the scope (or the admin scope)
+ */
+function hasApiKeyScope(apiKey, scope) {
+  return !!apiKey && (apiKey.scopes.includes(scope) || apiKey.scopes.includes("admin"));
+}
+
+/**
+ * Check if the Authorization header contains a valid Worker API key for a scope
+ * @param {string|null} authHeader - The Authorization header value
+ * @param {string} scope - Required scope (defaults to sending events)
+ * @returns {boolean} True if authenticated, false otherwise
+ */
+function isValidWorkerApiKey(authHeader, scope = "send") {
+  return hasApiKeyScope(authenticateApiKey(authHeader), scope);
 }
 
 /**
@@ -853,13 +1606,12 @@ function checkCloudflareData(cfData) {
     // Common categories: "search engine", "social media", "monitoring", "security", etc.
     return { 
       isBot: true, 
-      reason: 'cf_verified_bot_category: ' + cfData.verifiedBotCategory,
-      score: 95 // High confidence since it's verified by Cloudflare
+      reason: 'cf_verified_bot_category: ' + cfData.verifiedBotCategory
     };
   }
 
   // All other Cloudflare signals are ignored for less strict detection
-  return { isBot: false, reason: "cf_data_ok", score: 0 };
+  return { isBot: false, reason: "cf_data_ok" };
 }
 
 /**
@@ -948,6 +1700,10 @@ function logBotDetection(detection, request, payload) {
   console.log('Bot Detection Result:', JSON.stringify({
     isBot: detection.isBot,
     score: detection.score,
+    threshold: detection.threshold,
+    trafficQuality: detection.trafficQuality,
+    monitorOnly: detection.monitorOnly,
+    checks: detection.checks,
     reasons: detection.reasons,
     details: detection.details,
     eventName: payload.name,
@@ -975,44 +1731,376 @@ function logBotDetection(detection, request, payload) {
 
 /**
  * =============================================================================
- * SECURITY FUNCTIONS
+ * BOT DETECTION STATISTICS
  * =============================================================================
  */
 
+// Counters of this isolate per bucket start, written whole to the isolate's own key (see flushBotStats)
+let botStatsCounters = {};
+let botStatsUnflushed = new Set(); // Bucket starts with counts not yet written
+let botStatsIsolateId = null; // Created on first flush (random values are not available at startup)
+let botStatsFlushedAt = 0;
+let botStatsScheduledFlush = null;
+let botStatsWrites = Promise.resolve(); // Flushes run one after another so an older snapshot never overwrites a newer one
+
 /**
- * Validate the request origin against allowed domains
- * @param {Request} request - The incoming request
- * @returns {Object} Validation result
+ * Reduce a user agent to a family for the statistics (e.g. "googlebot", "python", "chrome")
+ * @param {string} userAgent - User agent string
+ * @returns {string} User agent family
  */
-function validateOrigin(request) {
-  const origin = request.headers.get("Origin");
-  const referer = request.headers.get("Referer");
+function getUserAgentFamily(userAgent) {
+  if (!userAgent) {
+    return "missing";
+  }
+
+  const families = [
+    ["googlebot", /googlebot/i], ["bingbot", /bingbot/i], ["applebot", /applebot/i],
+    ["yandexbot", /yandexbot/i], ["baiduspider", /baiduspider/i], ["duckduckbot", /duckduckbot/i],
+    ["ahrefsbot", /ahrefsbot/i], ["semrushbot", /semrushbot/i], ["gptbot", /gptbot/i],
+    ["claudebot", /claudebot/i], ["facebookexternalhit", /facebookexternalhit/i],
+    ["lighthouse", /lighthouse|pagespeed/i], ["headless_chrome", /headlesschrome/i],
+    ["automation", /selenium|webdriver|puppeteer|playwright|phantomjs/i],
+    ["python", /python/i], ["curl", /curl/i], ["wget", /wget/i], ["go_http_client", /go-http-client/i],
+    ["java", /java|okhttp|apache-httpclient/i], ["node", /node\.js|axios|node-fetch/i],
+    ["edge", /edg\//i], ["opera", /opr\/|opera/i], ["chrome", /chrome|crios/i],
+    ["firefox", /firefox|fxios/i], ["safari", /safari/i]
+  ];
 
-  // Check Origin header first
-  if (origin) {
-    try {
-      const originDomain = new URL(origin).hostname.toLowerCase();
-      const isAllowed = ALLOWED_DOMAINS.some(domain => 
-        originDomain === domain || originDomain.endsWith('.' + domain)
-      );
-      
-      if (isAllowed) {
-        return { valid: true, source: "origin", domain: originDomain };
-      }
-    } catch (e) {
-      return { valid: false, reason: "invalid_origin_format", value: origin };
-    }
+  const match = families.find(([, pattern]) => pattern.test(userAgent));
+  if (match) {
+    return match[0];
   }
-  
+  return /bot|crawl|spider/i.test(userAgent) ? "other_bot" : "other";
+}
+
+/**
+ * Create an empty statistics bucket
+ * @param {string} bucket - ISO timestamp of the bucket start
+ * @returns {Object} Bucket with zeroed counters
+ */
+function createBotStatsBucket(bucket) {
+  return { bucket: bucket, requests: 0, events: 0, dropped: 0, monitored: 0, checks: {}, reasons: {}, asns: {}, countries: {}, ua_families: {} };
+}
+
+/**
+ * Add the counters of one bucket to another
+ * Each dimension keeps at most BOT_STATS_MAX_VALUES distinct values; new values beyond that count as "other".
+ * @param {Object} target - Bucket to add to (modified)
+ * @param {Object} source - Bucket to add
+ * @returns {Object} The target bucket
+ */
+function mergeBotStats(target, source) {
+  for (const field of ["requests", "events", "dropped", "monitored"]) {
+    target[field] = (target[field] || 0) + (source[field] || 0);
+  }
+
+  for (const dimension of ["checks", "reasons", "asns", "countries", "ua_families"]) {
+    const counters = target[dimension] || (target[dimension] = {});
+    for (const [value, count] of Object.entries(source[dimension] || {})) {
+      const key = value in counters || Object.keys(counters).length < BOT_STATS_MAX_VALUES ? value : "other";
+      counters[key] = (counters[key] || 0) + count;
+    }
+  }
+
+  return target;
+}
+
+/**
+ * Count a bot detection in the statistics
+ * Counters are kept per isolate and written to BOT_STATS_STORE by flushBotStats (see scheduleBotStatsFlush).
+ * @param {Object} detection - Result from detectBot
+ * @param {Request} request - The incoming request
+ * @param {Object} payload - The event payload
+ * @param {number} eventCount - Events affected (the batch size for batches)
+ */
+function recordBotDetection(detection, request, payload, eventCount = 1) {
+  const cfData = request.cf || {};
+  const bucketMs = BOT_STATS_BUCKET_SECONDS * 1000;
+  const bucket = new Date(Math.floor(Date.now() / bucketMs) * bucketMs).toISOString();
+
+  const entry = createBotStatsBucket(bucket);
+  entry.requests = 1;
+  entry.events = eventCount;
+  entry[detection.monitorOnly ? "monitored" : "dropped"] = eventCount;
+  for (const [check, score] of Object.entries(detection.checks || {})) {
+    if (score > 0) {
+      entry.checks[check] = eventCount;
+    }
+  }
+  for (const reason of detection.reasons || []) {
+    entry.reasons[String(reason).substring(0, 80)] = eventCount;
+  }
+  entry.asns[cfData.asn ? `AS${cfData.asn}` : "unknown"] = eventCount;
+  entry.countries[cfData.country || "unknown"] = eventCount;
+  entry.ua_families[getUserAgentFamily(getUserAgent(payload, request))] = eventCount;
+
+  mergeBotStats(botStatsCounters[bucket] || (botStatsCounters[bucket] = createBotStatsBucket(bucket)), entry);
+  botStatsUnflushed.add(bucket);
+}
+
+/**
+ * Schedule a flush of the unflushed bot statistics
+ * Waits until BOT_STATS_FLUSH_INTERVAL has passed since the last flush; every request that counted a
+ * bot passes the same promise to ctx.waitUntil, so the isolate stays alive until the counters are written.
+ * @returns {Promise<void>} Resolves once the scheduled flush is done
+ */
+function scheduleBotStatsFlush() {
+  if (!botStatsScheduledFlush) {
+    const delay = Math.max(0, botStatsFlushedAt + BOT_STATS_FLUSH_INTERVAL * 1000 - Date.now());
+    botStatsScheduledFlush = new Promise(resolve => setTimeout(resolve, delay))
+      .then(() => {
+        botStatsScheduledFlush = null;
+        return flushBotStats();
+      });
+  }
+  return botStatsScheduledFlush;
+}
+
+/**
+ * Write the counters of this isolate to BOT_STATS_STORE
+ * Each bucket goes to bot_stats_isolate:<bucket start>:<isolate id> holding the isolate's running totals,
+ * so a write replaces the previous one instead of adding to a value shared with other isolates.
+ * Buckets that fail to write stay unflushed for the next flush.
+ * @returns {Promise<void>}
+ */
+function flushBotStats() {
+  botStatsWrites = botStatsWrites.then(async () => {
+    botStatsFlushedAt = Date.now();
+    botStatsIsolateId = botStatsIsolateId || crypto.randomUUID();
+
+    for (const bucket of Array.from(botStatsUnflushed)) {
+      botStatsUnflushed.delete(bucket);
+      try {
+        await BOT_STATS_STORE.put(`bot_stats_isolate:${bucket}:${botStatsIsolateId}`, JSON.stringify(botStatsCounters[bucket]), {
+          expirationTtl: BOT_STATS_RETENTION_DAYS * 86400
+        });
+      } catch (error) {
+        console.warn('❌ Failed to store bot statistics:', error.message);
+        botStatsUnflushed.add(bucket);
+      }
+    }
+
+    // Past buckets get no new counts, so only their unwritten totals need to stay in memory
+    const bucketMs = BOT_STATS_BUCKET_SECONDS * 1000;
+    const currentBucket = new Date(Math.floor(Date.now() / bucketMs) * bucketMs).toISOString();
+    for (const bucket of Object.keys(botStatsCounters)) {
+      if (bucket < currentBucket && !botStatsUnflushed.has(bucket)) {
+        delete botStatsCounters[bucket];
+      }
+    }
+  });
+  return botStatsWrites;
+}
+
+/**
+ * List bot statistics keys of the buckets from a start bucket on
+ * Lists one prefix per day in the range (e.g. "bot_stats:2025-01-31"), so older keys are never paged through.
+ * @param {string} prefix - "bot_stats:" (folded hours) or "bot_stats_isolate:" (per-isolate counters)
+ * @param {string} from - ISO timestamp of the first bucket to include
+ * @param {number} limit - Max keys to return
+ * @returns {Promise<Object>} { keys: [{ name, bucket }], truncated }
+ */
+async function listBotStatsKeys(prefix, from, limit) {
+  const keys = [];
+  const today = new Date().toISOString().substring(0, 10);
+
+  for (let day = new Date(from.substring(0, 10)); ; day.setUTCDate(day.getUTCDate() + 1)) {
+    const dayPrefix = day.toISOString().substring(0, 10);
+    let cursor;
+
+    do {
+      const listing = await BOT_STATS_STORE.list({ prefix: prefix + dayPrefix, cursor: cursor });
+      for (const { name } of listing.keys) {
+        const bucket = name.substring(prefix.length, prefix.length + 24); // ISO timestamp, e.g. 2025-01-31T10:00:00.000Z
+        if (bucket < from) continue;
+        if (keys.length >= limit) {
+          return { keys: keys, truncated: true };
+        }
+        keys.push({ name: name, bucket: bucket });
+      }
+      cursor = listing.list_complete ? null : listing.cursor;
+    } while (cursor);
+
+    if (dayPrefix >= today) {
+      return { keys: keys, truncated: false };
+    }
+  }
+}
+
+/**
+ * Fold the per-isolate keys of finished buckets into one bot_stats:<bucket> key per hour
+ * Runs from the scheduled handler; buckets left over when BOT_STATS_MAX_READS is reached are folded next run.
+ * @returns {Promise<Object>} { buckets, keys } Folded bucket and isolate key counts
+ */
+async function foldBotStats() {
+  const bucketMs = BOT_STATS_BUCKET_SECONDS * 1000;
+  const retentionStart = new Date(Date.now() - BOT_STATS_RETENTION_DAYS * 86400000).toISOString();
+  const foldBefore = new Date(Math.floor((Date.now() - BOT_STATS_FOLD_DELAY * 1000) / bucketMs) * bucketMs).toISOString();
+  const { keys } = await listBotStatsKeys('bot_stats_isolate:', retentionStart, BOT_STATS_MAX_READS);
+
+  const isolateKeys = {};
+  for (const key of keys) {
+    if (key.bucket < foldBefore) {
+      (isolateKeys[key.bucket] || (isolateKeys[key.bucket] = [])).push(key.name);
+    }
+  }
+
+  let folded = 0;
+  let reads = 0;
+  for (const [bucket, names] of Object.entries(isolateKeys)) {
+    if (reads + names.length + 1 > BOT_STATS_MAX_READS) break;
+
+    try {
+      const total = (await BOT_STATS_STORE.get(`bot_stats:${bucket}`, { type: 'json' })) || createBotStatsBucket(bucket);
+      for (const name of names) {
+        const counters = await BOT_STATS_STORE.get(name, { type: 'json' });
+        if (counters) {
+          mergeBotStats(total, counters);
+        }
+      }
+      reads += names.length + 1;
+
+      await BOT_STATS_STORE.put(`bot_stats:${bucket}`, JSON.stringify(total), {
+        expirationTtl: BOT_STATS_RETENTION_DAYS * 86400
+      });
+      // The isolate keys are deleted only once their counts are in the folded key
+      for (const name of names) {
+        await BOT_STATS_STORE.delete(name);
+      }
+      folded += names.length;
+    } catch (error) {
+      console.warn(`❌ Failed to fold bot statistics for ${bucket}:`, error.message);
+    }
+  }
+
+  return { buckets: Object.keys(isolateKeys).length, keys: folded };
+}
+
+/**
+ * Read the bot statistics for a recent time range
+ * Combines the folded hourly keys with the isolate keys of hours not folded yet. At most
+ * BOT_STATS_MAX_READS keys are read; "truncated" is set when the range held more.
+ * @param {number} hours - How many hours back to include
+ * @returns {Promise<Object>} { bucket_seconds, from, to, truncated, totals, buckets }
+ */
+async function getBotStats(hours) {
+  await flushBotStats();
+
+  const bucketMs = BOT_STATS_BUCKET_SECONDS * 1000;
+  const from = new Date(Math.floor((Date.now() - hours * 3600000) / bucketMs) * bucketMs).toISOString();
+  const folded = await listBotStatsKeys('bot_stats:', from, BOT_STATS_MAX_READS);
+  const unfolded = await listBotStatsKeys('bot_stats_isolate:', from, BOT_STATS_MAX_READS - folded.keys.length);
+  const merged = {};
+
+  for (const { name, bucket } of folded.keys.concat(unfolded.keys)) {
+    const counters = await BOT_STATS_STORE.get(name, { type: 'json' });
+    if (counters) {
+      mergeBotStats(merged[bucket] || (merged[bucket] = createBotStatsBucket(bucket)), counters);
+    }
+  }
+
+  const buckets = Object.values(merged).sort((a, b) => a.bucket.localeCompare(b.bucket));
+
+  const totals = buckets.reduce((total, bucket) => mergeBotStats(total, bucket), createBotStatsBucket(from));
+  delete totals.bucket;
+
+  return {
+    bucket_seconds: BOT_STATS_BUCKET_SECONDS,
+    from: from,
+    to: new Date().toISOString(),
+    truncated: folded.truncated || unfolded.truncated,
+    totals: totals,
+    buckets: buckets
+  };
+}
+
+/**
+ * =============================================================================
+ * SECURITY FUNCTIONS
+ * =============================================================================
+ */
+
+/**
+ * Load the origin allowlist shared by origin validation and CORS
+ * env.ALLOWED_DOMAINS (comma-separated) applies everywhere; with env.ENVIRONMENT set
+ * (e.g. "staging"), env.ALLOWED_DOMAINS_STAGING adds hosts for that deployment only.
+ * Entries are "example.com" (the domain and its subdomains) or "*.example.com" (subdomains only).
+ * @param {Object} env - Worker environment
+ * @returns {string[]} Lowercase hostname patterns
+ */
+function loadAllowedDomains(env) {
+  const environment = String(env.ENVIRONMENT || '').trim().toUpperCase().replace(/[^A-Z0-9]+/g, '_');
+  const sources = [env.ALLOWED_DOMAINS, environment ? env[`ALLOWED_DOMAINS_${environment}`] : ''];
+
+  const domains = sources
+    .filter(Boolean)
+    .flatMap(list => String(list).split(','))
+    .map(domain => domain.trim().toLowerCase())
+    .filter(Boolean);
+
+  if (domains.length === 0) {
+    console.warn('❌ ALLOWED_DOMAINS is not set; browser requests will fail CORS and origin validation');
+  }
+  return [...new Set(domains)];
+}
+
+/**
+ * Check a hostname against the allowlist
+ * @param {string} hostname - Lowercase hostname
+ * @returns {boolean} Whether the hostname is allowed
+ */
+function isAllowedHostname(hostname) {
+  return (ALLOWED_DOMAINS || []).some(domain =>
+    domain.startsWith('*.')
+      ? matchesHostnamePattern(hostname, domain)
+      : hostname === domain || hostname.endsWith('.' + domain)
+  );
+}
+
+/**
+ * Check an Origin header value against the allowlist
+ * @param {string|null} origin - Origin header value
+ * @returns {boolean} Whether the origin is allowed
+ */
+function isAllowedOrigin(origin) {
+  if (!origin || origin === "null") {
+    return false;
+  }
+  try {
+    return isAllowedHostname(new URL(origin).hostname.toLowerCase());
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Validate the request origin against allowed domains
+ * @param {Request} request - The incoming request
+ * @returns {Object} Validation result
+ */
+function validateOrigin(request) {
+  const origin = request.headers.get("Origin");
+  const referer = request.headers.get("Referer");
+
+  // Check Origin header first
+  if (origin) {
+    try {
+      const originDomain = new URL(origin).hostname.toLowerCase();
+      
+      if (isAllowedHostname(originDomain)) {
+        return { valid: true, source: "origin", domain: originDomain };
+      }
+    } catch (e) {
+      return { valid: false, reason: "invalid_origin_format", value: origin };
+    }
+  }
+  
   // Fallback to Referer header
   if (referer) {
     try {
       const refererDomain = new URL(referer).hostname.toLowerCase();
-      const isAllowed = ALLOWED_DOMAINS.some(domain => 
-        refererDomain === domain || refererDomain.endsWith('.' + domain)
-      );
       
-      if (isAllowed) {
+      if (isAllowedHostname(refererDomain)) {
         return { valid: true, source: "referer", domain: refererDomain };
       }
     } catch (e) {
@@ -1024,55 +2112,106 @@ function validateOrigin(request) {
 }
 
 /**
- * Rate limiting using memory-based storage
+ * Load body size and batch limits from env
+ * The authenticated byte caps are derived from the authenticated event cap (see MAX_AUTHENTICATED_EVENT_SIZE).
+ * @param {Object} env - Worker environment
+ * @returns {Object} { maxBody, maxSingle, maxBatch, maxBatchEvents, authenticated: { maxBody, maxBatch, maxBatchEvents } }
+ */
+function loadPayloadLimits(env) {
+  const positive = (value, fallback) => {
+    const parsed = parseInt(value);
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+  };
+
+  const maxBody = positive(env.MAX_PAYLOAD_SIZE, MAX_PAYLOAD_SIZE);
+  const maxAuthenticatedSize = positive(env.MAX_AUTHENTICATED_PAYLOAD_SIZE, MAX_AUTHENTICATED_PAYLOAD_SIZE);
+  const maxAuthenticatedEvents = positive(env.MAX_AUTHENTICATED_BATCH_EVENTS, MAX_AUTHENTICATED_BATCH_EVENTS);
+  const maxAuthenticatedBatch = Math.max(
+    maxAuthenticatedSize,
+    maxAuthenticatedEvents * positive(env.MAX_AUTHENTICATED_EVENT_SIZE, MAX_AUTHENTICATED_EVENT_SIZE)
+  );
+  return {
+    maxBody: maxBody,
+    maxSingle: Math.min(maxBody, positive(env.MAX_SINGLE_PAYLOAD_SIZE, MAX_SINGLE_PAYLOAD_SIZE)),
+    maxBatch: Math.min(maxBody, positive(env.MAX_BATCH_PAYLOAD_SIZE, MAX_BATCH_PAYLOAD_SIZE)),
+    maxBatchEvents: positive(env.MAX_BATCH_EVENTS, MAX_BATCH_EVENTS),
+    authenticated: {
+      maxBody: Math.max(maxAuthenticatedSize, Math.ceil(maxAuthenticatedBatch * 16 / 9) + 4096), // + JWT header and envelope
+      maxBatch: maxAuthenticatedBatch,
+      maxBatchEvents: maxAuthenticatedEvents
+    }
+  };
+}
+
+/**
+ * Read the request body as text, stopping once it exceeds a byte cap
+ * Content-Length is only used to reject early; chunked and header-less bodies are
+ * counted while streaming, so an oversized body is never buffered in full.
  * @param {Request} request - The incoming request
- * @returns {Promise<Object>} Rate limit result
+ * @param {number} maxBytes - Byte cap
+ * @returns {Promise<Object>} { ok: true, text, bytes } or { ok: false, reason, limit, received }
  */
-async function checkRateLimit(request) {
-  const clientIP = request.headers.get('CF-Connecting-IP') || 
-                   request.headers.get('X-Forwarded-For') || 
-                   'unknown';
-  
-  const now = Math.floor(Date.now() / 1000);
-  const windowStart = now - RATE_LIMIT_WINDOW;
-  const key = `rate_limit:${clientIP}:${Math.floor(now / RATE_LIMIT_WINDOW)}`;
-  
-  // Memory-based rate limiting (resets on worker restart)
-  if (typeof globalThis.rateLimitMemory === 'undefined') {
-    globalThis.rateLimitMemory = new Map();
+async function readBodyWithLimit(request, maxBytes) {
+  const contentLength = parseInt(request.headers.get('Content-Length'));
+  if (Number.isFinite(contentLength) && contentLength > maxBytes) {
+    return { ok: false, reason: "body_too_large", limit: maxBytes, received: contentLength };
   }
-  
-  // Clean old entries
-  for (const [mapKey, data] of globalThis.rateLimitMemory.entries()) {
-    if (data.timestamp < windowStart) {
-      globalThis.rateLimitMemory.delete(mapKey);
+
+  if (!request.body) {
+    return { ok: true, text: "", bytes: 0 };
+  }
+
+  const reader = request.body.getReader();
+  const chunks = [];
+  let bytes = 0;
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    bytes += value.byteLength;
+    if (bytes > maxBytes) {
+      await reader.cancel().catch(() => {});
+      return { ok: false, reason: "body_too_large", limit: maxBytes, received: bytes };
     }
+    chunks.push(value);
   }
-  
-  const currentData = globalThis.rateLimitMemory.get(key) || { count: 0, timestamp: now };
-  currentData.count += 1;
-  currentData.timestamp = now;
-  
-  if (currentData.count > RATE_LIMIT_REQUESTS) {
-    return { allowed: false, count: currentData.count, limit: RATE_LIMIT_REQUESTS };
+
+  const body = new Uint8Array(bytes);
+  let offset = 0;
+  for (const chunk of chunks) {
+    body.set(chunk, offset);
+    offset += chunk.byteLength;
   }
-  
-  globalThis.rateLimitMemory.set(key, currentData);
-  return { allowed: true, count: currentData.count, limit: RATE_LIMIT_REQUESTS };
-}
 
+  return { ok: true, text: new TextDecoder().decode(body), bytes: bytes };
+}
 
 /**
- * Validate request payload size
+ * Build a structured 413 response
  * @param {Request} request - The incoming request
- * @returns {boolean} Whether payload size is acceptable
+ * @param {Object} violation - { reason, limit, received }
+ * @returns {Response} 413 response
  */
-function validatePayloadSize(request) {
-  const contentLength = request.headers.get('Content-Length');
-  if (contentLength && parseInt(contentLength) > MAX_PAYLOAD_SIZE) {
-    return false;
-  }
-  return true;
+function payloadTooLargeResponse(request, violation) {
+  const units = violation.reason === "too_many_events" ? "events" : "bytes";
+  return new Response(
+    JSON.stringify({
+      success: false,
+      error: "Payload too large",
+      reason: violation.reason,
+      limit: violation.limit,
+      received: violation.received,
+      details: `${violation.received} ${units} exceeds the limit of ${violation.limit} ${units}`
+    }),
+    {
+      status: 413,
+      headers: {
+        "Content-Type": "application/json",
+        ...getCORSHeaders(request),
+      },
+    }
+  );
 }
 
 /**
@@ -1081,16 +2220,9 @@ function validatePayloadSize(request) {
  * @returns {Promise<Object>} Security check result
  */
 async function runSecurityChecks(request) {
-  // 1. Validate payload size
-  if (!validatePayloadSize(request)) {
-    return { 
-      passed: false, 
-      reason: "payload_too_large", 
-      details: `Payload exceeds ${MAX_PAYLOAD_SIZE} bytes` 
-    };
-  }
+  // Body size is enforced while streaming the body (see readBodyWithLimit)
   
-  // 3. Validate origin domain
+  // Validate origin domain
   const originCheck = validateOrigin(request);
   if (!originCheck.valid) {
     return { 
@@ -1100,913 +2232,3729 @@ async function runSecurityChecks(request) {
     };
   }
   
-  // 4. Check rate limiting
-  const rateLimitCheck = await checkRateLimit(request);
-  if (!rateLimitCheck.allowed) {
-    return { 
-      passed: false, 
-      reason: "rate_limited", 
-      details: `${rateLimitCheck.count}/${rateLimitCheck.limit} requests in window` 
-    };
-  }
-  
+  // Rate limiting runs in handleRequest once the API key is known, before the body is read
   return { 
     passed: true, 
-    origin: originCheck,
-    rateLimit: rateLimitCheck
+    origin: originCheck
   };
 }
 
 /**
  * =============================================================================
- * MAIN REQUEST HANDLER
+ * RATE LIMITING
  * =============================================================================
  */
 
-export default {
-  async fetch(request, env) {
-    return await handleRequest(request, env);
-  }
-};
+/**
+ * Create an in-memory stand-in for a Workers KV namespace
+ * Supports the subset of the KV API used by this worker (get/put/delete/list)
+ * and is used as the fallback store when no binding is configured
+ * @returns {Object} KV-compatible store
+ */
+function createMemoryKVStore() {
+  const entries = new Map();
+
+  const isExpired = (entry) => entry.expiresAt && entry.expiresAt <= Date.now();
+
+  return {
+    async get(key, options) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (isExpired(entry)) {
+        entries.delete(key);
+        return null;
+      }
+      const type = typeof options === 'string' ? options : options?.type;
+      return type === 'json' ? JSON.parse(entry.value) : entry.value;
+    },
+
+    async put(key, value, options = {}) {
+      const ttl = options.expirationTtl ? parseInt(options.expirationTtl) : 0;
+      entries.set(key, {
+        value: String(value),
+        expiresAt: ttl > 0 ? Date.now() + ttl * 1000 : 0
+      });
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    },
+
+    async list(options = {}) {
+      const prefix = options.prefix || '';
+      const keys = [];
+      for (const [key, entry] of entries.entries()) {
+        if (isExpired(entry)) {
+          entries.delete(key);
+        } else if (key.startsWith(prefix)) {
+          keys.push({ name: key });
+        }
+      }
+      // KV lists keys in lexicographic (byte) order
+      keys.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+      return { keys: keys.slice(0, options.limit || 1000), list_complete: true };
+    }
+  };
+}
 
 /**
- * Handle the incoming request (ENHANCED WITH GDPR COMPLIANCE)
- * @param {Request} request
+ * Load rate limit configuration from environment
+ * - RATE_LIMIT_BACKEND: "memory", "kv" or "durable_object"
+ * - RATE_LIMIT_ALGORITHM: "sliding_window" or "token_bucket"
+ * - RATE_LIMIT_ROUTES: JSON object overriding per-route limits,
+ *   e.g. {"batch": {"requests": 500, "window": 60}}
+ * @param {Object} env - Worker environment
+ * @returns {Object} Rate limit configuration
  */
+function loadRateLimitConfig(env) {
+  const routes = JSON.parse(JSON.stringify(RATE_LIMIT_ROUTES));
 
-async function handleRequest(request, env) {
-  // Initialize environment variables
-  if (env) {
-    GA4_MEASUREMENT_ID = env.GA4_MEASUREMENT_ID || GA4_MEASUREMENT_ID;
-    GA4_API_SECRET = env.GA4_API_SECRET || GA4_API_SECRET;
-    API_KEY = env.API_KEY || API_KEY;
-    ENCRYPTION_KEY = env.ENCRYPTION_KEY || ENCRYPTION_KEY;
-    
-    // Parse ALLOWED_DOMAINS from environment (comma-separated string)
-    if (env.ALLOWED_DOMAINS) {
-      ALLOWED_DOMAINS = env.ALLOWED_DOMAINS.split(',').map(domain => domain.trim());
+  if (env.RATE_LIMIT_ROUTES) {
+    try {
+      const overrides = typeof env.RATE_LIMIT_ROUTES === 'string'
+        ? JSON.parse(env.RATE_LIMIT_ROUTES)
+        : env.RATE_LIMIT_ROUTES;
+      for (const [route, limits] of Object.entries(overrides)) {
+        routes[route] = { ...(routes[route] || routes.single), ...limits };
+      }
+    } catch (error) {
+      console.warn('❌ Invalid RATE_LIMIT_ROUTES, using defaults:', error.message);
     }
   }
-  // Handle CORS preflight requests
-  if (request.method === "OPTIONS") {
-    return handleCORS(request);
+
+  const config = {
+    backend: env.RATE_LIMIT_BACKEND || RATE_LIMIT_BACKEND,
+    algorithm: env.RATE_LIMIT_ALGORITHM || RATE_LIMIT_ALGORITHM,
+    routes: routes,
+    store: null,
+    durableObject: null
+  };
+
+  if (config.backend === 'kv') {
+    if (env.RATE_LIMIT_KV) {
+      config.store = env.RATE_LIMIT_KV;
+    } else {
+      console.warn('❌ RATE_LIMIT_BACKEND is "kv" but RATE_LIMIT_KV is not bound, using memory');
+      config.backend = 'memory';
+    }
+  } else if (config.backend === 'durable_object') {
+    if (env.RATE_LIMITER) {
+      config.durableObject = env.RATE_LIMITER;
+    } else {
+      console.warn('❌ RATE_LIMIT_BACKEND is "durable_object" but RATE_LIMITER is not bound, using memory');
+      config.backend = 'memory';
+    }
   }
 
-  // Only allow POST requests
-  if (request.method !== "POST") {
-    return new Response("Method not allowed", {
-      status: 405,
-      headers: getCORSHeaders(request),
-    });
+  if (config.backend === 'memory') {
+    // Memory-based rate limiting (resets when the isolate is recycled)
+    if (typeof globalThis.rateLimitMemory === 'undefined') {
+      globalThis.rateLimitMemory = createMemoryKVStore();
+    }
+    config.store = globalThis.rateLimitMemory;
   }
 
-  // Detect request type for proper security handling
-  const isSimpleRequest = request.headers.get("X-Simple-request") === "true";
-  
-  // Detect sendBeacon requests (they can't send custom headers)
-  // sendBeacon requests have specific characteristics:
-  // 1. Content-Type: application/json or text/plain
-  // 2. No X-Simple-request header
-  const hasSimpleHeader = request.headers.get("X-Simple-request");
-  const hasAuthHeader = request.headers.get("Authorization");
-  const contentType = request.headers.get("Content-Type") || "";
-  
-  const isSendBeaconRequest = !hasAuthHeader && !hasSimpleHeader && 
-                             (contentType.includes("application/json") || contentType.includes("text/plain"));
-  
-  let requestType = "regular";
-  if (isSimpleRequest) {
-    requestType = "simple";
-  } else if (isSendBeaconRequest) {
-    requestType = "sendbeacon";
+  return config;
+}
+
+/**
+ * Apply a rate limit algorithm to the stored state for one key
+ * Pure function so that every backend (including the Durable Object) shares it
+ * @param {string} algorithm - "sliding_window" or "token_bucket"
+ * @param {Object|null} state - Previously stored state for this key
+ * @param {Object} limits - { requests, window } for the route
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object} { state, result }
+ */
+function applyRateLimitAlgorithm(algorithm, state, limits, now) {
+  const limit = limits.requests;
+  const windowMs = limits.window * 1000;
+
+  if (algorithm === 'token_bucket') {
+    // Bucket holds up to `limit` tokens and refills at limit/window per millisecond
+    const refillRate = limit / windowMs;
+    const bucket = state || { tokens: limit, updatedAt: now };
+    const tokens = Math.min(limit, bucket.tokens + (now - bucket.updatedAt) * refillRate);
+    const allowed = tokens >= 1;
+    const remainingTokens = allowed ? tokens - 1 : tokens;
+
+    return {
+      state: { tokens: remainingTokens, updatedAt: now },
+      result: {
+        allowed: allowed,
+        count: Math.ceil(limit - remainingTokens),
+        limit: limit,
+        remaining: Math.floor(remainingTokens),
+        retryAfter: allowed ? 0 : Math.ceil((1 - tokens) / refillRate / 1000)
+      }
+    };
   }
-  
-  if (DEBUG_MODE) {
-    console.log(`🔍 Processing ${requestType} request`);
+
+  // Sliding window counter: weight the previous window by how much of it still overlaps
+  const currentWindowStart = Math.floor(now / windowMs) * windowMs;
+  let previousCount = 0;
+  let currentCount = 0;
+
+  if (state) {
+    if (state.windowStart === currentWindowStart) {
+      previousCount = state.previousCount;
+      currentCount = state.currentCount;
+    } else if (state.windowStart === currentWindowStart - windowMs) {
+      previousCount = state.currentCount;
+    }
   }
 
-  // Check if request is authenticated with Worker API key
-  const isAuthenticated = isValidWorkerApiKey(hasAuthHeader);
-  
-  // SECURITY CHECKS - Run validation based on request type (skip all if authenticated)
-  if (!isAuthenticated && requestType === "regular") {
+  const overlap = 1 - (now - currentWindowStart) / windowMs;
+  const estimatedCount = Math.floor(previousCount * overlap) + currentCount + 1;
+  const allowed = estimatedCount <= limit;
+  if (allowed) {
+    currentCount += 1;
+  }
+
+  return {
+    state: { windowStart: currentWindowStart, previousCount: previousCount, currentCount: currentCount },
+    result: {
+      allowed: allowed,
+      count: estimatedCount,
+      limit: limit,
+      remaining: Math.max(0, limit - estimatedCount),
+      retryAfter: allowed ? 0 : Math.ceil((currentWindowStart + windowMs - now) / 1000)
+    }
+  };
+}
+
+/**
+ * Get the rate limit route of a request from its headers
+ * The body is not read yet, so batches are recognised by the X-GA4-Batch header the
+ * browser sends with them; sendBeacon and simple requests have their own routes.
+ * @param {Request} request - The incoming request
+ * @param {string} requestType - "regular", "simple" or "sendbeacon"
+ * @returns {string} "single", "batch", "sendbeacon" or "simple"
+ */
+function getRateLimitRoute(request, requestType) {
+  if (requestType === "sendbeacon") return "sendbeacon";
+  if (requestType === "simple") return "simple";
+  return request.headers.get("X-GA4-Batch") === "true" ? "batch" : "single";
+}
+
+// KV backend counters of this isolate: key -> { state, pending, writtenAt }
+// pending counts the requests allowed since the last write that the stored state does not hold yet
+const rateLimitKVCounters = new Map();
+
+/**
+ * Rate limit one key against a KV namespace
+ * Requests are counted in memory and each key is written at most once per RATE_LIMIT_KV_WRITE_INTERVAL:
+ * the write reads the stored state (counts from every isolate), adds the requests allowed here since
+ * the last write and stores the result. A failed write keeps the local counts for the next one, so a
+ * KV error never lets a burst through.
+ * @param {Object} store - KV namespace
+ * @param {string} key - Rate limit key
+ * @param {string} algorithm - "sliding_window" or "token_bucket"
+ * @param {Object} limits - { requests, window }
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise<Object>} Rate limit result
+ */
+async function checkKVRateLimit(store, key, algorithm, limits, now) {
+  let entry = rateLimitKVCounters.get(key);
+  if (!entry) {
+    if (rateLimitKVCounters.size >= RATE_LIMIT_KV_MAX_KEYS) {
+      rateLimitKVCounters.delete(rateLimitKVCounters.keys().next().value);
+    }
+    entry = { state: null, pending: 0, writtenAt: 0 };
+    rateLimitKVCounters.set(key, entry);
+  }
+
+  if (now - entry.writtenAt < RATE_LIMIT_KV_WRITE_INTERVAL) {
+    const outcome = applyRateLimitAlgorithm(algorithm, entry.state, limits, now);
+    entry.state = outcome.state;
+    if (outcome.result.allowed) entry.pending++;
+    return outcome.result;
+  }
+
+  // Claim this interval's write before awaiting, so concurrent requests count locally meanwhile
+  entry.writtenAt = now;
+  let state;
+  try {
+    state = await store.get(key, { type: 'json' });
+    for (let i = 0; i < entry.pending; i++) {
+      state = applyRateLimitAlgorithm(algorithm, state, limits, now).state;
+    }
+  } catch (error) {
+    // The local state already holds the pending requests
+    console.warn('❌ Rate limit KV read failed, counting locally:', error.message);
+    state = entry.state;
+  }
+
+  const outcome = applyRateLimitAlgorithm(algorithm, state, limits, now);
+  const written = entry.pending + (outcome.result.allowed ? 1 : 0);
+  entry.state = outcome.state;
+  entry.pending = 0;
+
+  try {
+    // KV requires a minimum TTL of 60 seconds
+    await store.put(key, JSON.stringify(outcome.state), {
+      expirationTtl: Math.max(60, limits.window * 2)
+    });
+  } catch (error) {
+    console.warn('❌ Rate limit KV write failed, keeping the counts for the next write:', error.message);
+    entry.pending += written;
+  }
+
+  return outcome.result;
+}
+
+/**
+ * Rate limiting per client IP and route using the configured backend
+ * KV is eventually consistent and written at most once per second per key and isolate, so
+ * counts may lag slightly across isolates and colos; use the Durable Object backend when
+ * exact enforcement is required
+ * @param {Request} request - The incoming request
+ * @param {string} route - "single", "batch", "sendbeacon" or "simple"
+ * @param {Object|null} apiKey - Authenticated key entry; its rate_limit applies per key instead of per IP
+ * @returns {Promise<Object>} Rate limit result
+ */
+async function checkRateLimit(request, route = "single", apiKey = null) {
+  const config = RATE_LIMIT_CONFIG || loadRateLimitConfig({});
+  const clientIP = request.headers.get('CF-Connecting-IP') || 
+                   request.headers.get('X-Forwarded-For') || 
+                   'unknown';
+  const limits = apiKey ? apiKey.rate_limit : (config.routes[route] || config.routes.single);
+  const key = apiKey ? `rate_limit:api_key:${apiKey.name}` : `rate_limit:${route}:${clientIP}`;
+  const now = Date.now();
+
+  try {
+    if (config.backend === 'durable_object') {
+      const stub = config.durableObject.get(config.durableObject.idFromName(key));
+      const response = await stub.fetch('https://rate-limiter/check', {
+        method: 'POST',
+        body: JSON.stringify({ key: key, algorithm: config.algorithm, limits: limits, now: now })
+      });
+      return { ...(await response.json()), route: route };
+    }
+
+    if (config.backend === 'kv') {
+      return { ...(await checkKVRateLimit(config.store, key, config.algorithm, limits, now)), route: route };
+    }
+
+    const state = await config.store.get(key, { type: 'json' });
+    const outcome = applyRateLimitAlgorithm(config.algorithm, state, limits, now);
+    // KV requires a minimum TTL of 60 seconds
+    await config.store.put(key, JSON.stringify(outcome.state), {
+      expirationTtl: Math.max(60, limits.window * 2)
+    });
+    return { ...outcome.result, route: route };
+  } catch (error) {
+    // Fail open: a broken rate limit backend must not drop analytics traffic
+    console.error('❌ Rate limit backend error:', error);
+    return { allowed: true, count: 0, limit: limits.requests, remaining: limits.requests, route: route, error: error.message };
+  }
+}
+
+/**
+ * Durable Object holding rate limit counters
+ * Bind as RATE_LIMITER and set RATE_LIMIT_BACKEND to "durable_object";
+ * each key maps to its own instance so updates are serialized per client
+ */
+export class RateLimitCounter {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+  }
+
+  async fetch(request) {
+    const { key, algorithm, limits, now } = await request.json();
+    const stored = await this.state.storage.get(key);
+    const outcome = applyRateLimitAlgorithm(algorithm, stored || null, limits, now || Date.now());
+    await this.state.storage.put(key, outcome.state);
+
+    return new Response(JSON.stringify(outcome.result), {
+      headers: { "Content-Type": "application/json" }
+    });
+  }
+}
+
+/**
+ * =============================================================================
+ * EVENT RULES
+ * =============================================================================
+ */
+
+// KV-stored rule set cached per isolate ({ rules, loaded_at })
+let eventRulesCache = null;
+
+/**
+ * Merge a configured rule set with DEFAULT_EVENT_RULES
+ * Rules with invalid fields are dropped with a warning, so one bad rule cannot fail every
+ * request; "matches" patterns are compiled here once.
+ * Example:
+ * {
+ *   "rules": [
+ *     { "id": "drop_internal", "when": { "params": { "page_location": { "matches": "/wp-admin/" } } }, "drop_event": true },
+ *     { "when": { "event": "generate_lead" }, "rename_event": "form_conversion" },
+ *     { "when": { "event": ["purchase"] }, "rename_params": { "order_id": "transaction_id" },
+ *       "drop_params": ["debug_mode"], "derive_params": { "order_label": "{affiliation}-{transaction_id}" },
+ *       "defaults": { "currency": "EUR" } }
+ *   ]
+ * }
+ * @param {string|Object} configured - Rule set (JSON string or object)
+ * @returns {Object} Rule set
+ */
+function parseEventRules(configured) {
+  const ruleSet = typeof configured === 'string' ? JSON.parse(configured) : configured;
+  if (!ruleSet || typeof ruleSet !== 'object' || (ruleSet.rules && !Array.isArray(ruleSet.rules))) {
+    throw new Error('Event rules must be an object with a "rules" array');
+  }
+  for (const list of ['internal_fields', 'device_params']) {
+    if (ruleSet[list] !== undefined && !isStringArray(ruleSet[list])) {
+      throw new Error(`Event rules "${list}" must be an array of strings`);
+    }
+  }
+  if (ruleSet.consent_param !== undefined && typeof ruleSet.consent_param !== 'string') {
+    throw new Error('Event rules "consent_param" must be a string');
+  }
+
+  const parsed = { ...DEFAULT_EVENT_RULES, ...ruleSet };
+  if (ruleSet.rules) {
+    parsed.rules = [];
+    ruleSet.rules.forEach((rule, index) => {
+      try {
+        parsed.rules.push(compileEventRule(rule));
+      } catch (error) {
+        console.warn(`❌ Event rule "${(rule && rule.id) || `rule_${index + 1}`}" ignored: ${error.message}`);
+      }
+    });
+  }
+  return parsed;
+}
+
+/**
+ * Check that a value is an array of strings
+ * @param {*} value - Value to check
+ * @returns {boolean} True for an array of strings
+ */
+function isStringArray(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string');
+}
+
+/**
+ * Check that a value is a plain object whose values pass a test
+ * @param {*} value - Value to check
+ * @param {Function} test - Test for each value
+ * @returns {boolean} True for a matching object
+ */
+function isObjectOf(value, test) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && Object.values(value).every(test);
+}
+
+/**
+ * Validate a rule condition and compile its "matches" pattern
+ * @param {*} condition - Rule condition (see matchesRuleCondition)
+ * @param {string} path - Location of the condition for error messages
+ * @returns {*} Condition with "matches" as a RegExp
+ */
+function compileRuleCondition(condition, path) {
+  if (condition === null || typeof condition !== 'object' || Array.isArray(condition)) {
+    return condition;
+  }
+
+  const compiled = { ...condition };
+  for (const key of Object.keys(condition)) {
+    if (!['exists', 'equals', 'not_equals', 'in', 'not_in', 'matches', 'gt', 'lt'].includes(key)) {
+      throw new Error(`${path}: unknown condition "${key}"`);
+    }
+  }
+  for (const key of ['in', 'not_in']) {
+    if (key in condition && !Array.isArray(condition[key])) {
+      throw new Error(`${path}.${key} must be an array`);
+    }
+  }
+  for (const key of ['gt', 'lt']) {
+    if (key in condition && !Number.isFinite(condition[key])) {
+      throw new Error(`${path}.${key} must be a number`);
+    }
+  }
+  if ('matches' in condition) {
+    if (typeof condition.matches !== 'string') {
+      throw new Error(`${path}.matches must be a string`);
+    }
+    try {
+      compiled.matches = new RegExp(condition.matches);
+    } catch (error) {
+      throw new Error(`${path}.matches is not a valid pattern: ${error.message}`);
+    }
+  }
+  return compiled;
+}
+
+/**
+ * Validate a configured rule and compile its conditions
+ * @param {Object} rule - Rule ({ id, when, drop_event, rename_event, rename_params, drop_params, derive_params, defaults })
+ * @returns {Object} Compiled rule
+ * @throws {Error} When a field has the wrong type
+ */
+function compileEventRule(rule) {
+  if (rule === null || typeof rule !== 'object' || Array.isArray(rule)) {
+    throw new Error('rule must be an object');
+  }
+  if (rule.rename_event !== undefined && (typeof rule.rename_event !== 'string' || !rule.rename_event)) {
+    throw new Error('rename_event must be a non-empty string');
+  }
+  if (rule.rename_params !== undefined && !isObjectOf(rule.rename_params, value => typeof value === 'string' && value)) {
+    throw new Error('rename_params must map param names to new names');
+  }
+  if (rule.drop_params !== undefined && !isStringArray(rule.drop_params)) {
+    throw new Error('drop_params must be an array of param names');
+  }
+  if (rule.derive_params !== undefined && !isObjectOf(rule.derive_params, value => typeof value === 'string')) {
+    throw new Error('derive_params must map param names to templates');
+  }
+  if (rule.defaults !== undefined && !isObjectOf(rule.defaults, () => true)) {
+    throw new Error('defaults must be an object');
+  }
+
+  const compiled = { ...rule };
+  if (rule.when !== undefined) {
+    if (!isObjectOf(rule.when, () => true)) {
+      throw new Error('when must be an object');
+    }
+    compiled.when = { ...rule.when };
+    if (rule.when.event !== undefined) {
+      compiled.when.event = compileRuleCondition(rule.when.event, 'when.event');
+    }
+    if (rule.when.params !== undefined) {
+      if (!isObjectOf(rule.when.params, () => true)) {
+        throw new Error('when.params must be an object');
+      }
+      compiled.when.params = {};
+      for (const [param, condition] of Object.entries(rule.when.params)) {
+        compiled.when.params[param] = compileRuleCondition(condition, `when.params.${param}`);
+      }
+    }
+  }
+  return compiled;
+}
+
+/**
+ * Load the event rule set from env.EVENT_RULES_KV ("event_rules" entry) or env.EVENT_RULES
+ * The KV entry is cached for EVENT_RULES_CACHE_TTL seconds so rules can change without a deploy.
+ * @param {Object} env - Worker environment
+ * @returns {Promise<Object>} Rule set
+ */
+async function loadEventRules(env) {
+  if (env && env.EVENT_RULES_KV) {
+    if (eventRulesCache && Date.now() - eventRulesCache.loaded_at < EVENT_RULES_CACHE_TTL * 1000) {
+      return eventRulesCache.rules;
+    }
+
+    try {
+      const stored = await env.EVENT_RULES_KV.get('event_rules');
+      const rules = stored ? parseEventRules(stored) : DEFAULT_EVENT_RULES;
+      eventRulesCache = { rules: rules, loaded_at: Date.now() };
+      return rules;
+    } catch (error) {
+      console.warn('❌ Invalid event_rules in EVENT_RULES_KV:', error.message);
+      // Keep using the last good rule set when one is cached
+      return eventRulesCache ? eventRulesCache.rules : DEFAULT_EVENT_RULES;
+    }
+  }
+
+  if (env && env.EVENT_RULES) {
+    try {
+      return parseEventRules(env.EVENT_RULES);
+    } catch (error) {
+      console.warn('❌ Invalid EVENT_RULES, using defaults:', error.message);
+    }
+  }
+
+  return DEFAULT_EVENT_RULES;
+}
+
+/**
+ * Check a value against a rule condition
+ * A plain value must be equal, an array lists allowed values, an object combines
+ * exists, equals, not_equals, in, not_in, matches (regex), gt and lt.
+ * @param {*} condition - Rule condition
+ * @param {*} value - Event name or param value
+ * @returns {boolean} Whether the condition holds
+ */
+function matchesRuleCondition(condition, value) {
+  if (Array.isArray(condition)) {
+    return condition.includes(value);
+  }
+  if (condition === null || typeof condition !== 'object') {
+    return value === condition;
+  }
+
+  const present = value !== undefined && value !== null && value !== '';
+  if ('exists' in condition && present !== Boolean(condition.exists)) return false;
+  if ('equals' in condition && value !== condition.equals) return false;
+  if ('not_equals' in condition && value === condition.not_equals) return false;
+  if ('in' in condition && !condition.in.includes(value)) return false;
+  if ('not_in' in condition && condition.not_in.includes(value)) return false;
+  if ('matches' in condition) {
+    // Compiled by parseEventRules; plain strings are accepted for rules used directly
+    const pattern = condition.matches instanceof RegExp ? condition.matches : new RegExp(condition.matches);
+    if (!(present && pattern.test(String(value)))) return false;
+  }
+  if ('gt' in condition && !(Number(value) > condition.gt)) return false;
+  if ('lt' in condition && !(Number(value) < condition.lt)) return false;
+  return true;
+}
+
+/**
+ * Check whether a rule's "when" matches an event
+ * @param {Object} when - { event: condition, params: { name: condition } }
+ * @param {Object} event - { name, params }
+ * @returns {boolean} Whether the rule applies
+ */
+function eventRuleMatches(when, event) {
+  if (!when) return true;
+  if (when.event !== undefined && !matchesRuleCondition(when.event, event.name)) return false;
+
+  return Object.entries(when.params || {})
+    .every(([param, condition]) => matchesRuleCondition(condition, event.params[param]));
+}
+
+/**
+ * Resolve a derive_params template against the event params
+ * "{param}" alone copies the value with its type, anything else is string interpolation
+ * @param {string} template - Template, e.g. "{affiliation}-{transaction_id}"
+ * @param {Object} params - Event params
+ * @returns {*} Derived value (undefined when a referenced param is missing)
+ */
+function deriveRuleParam(template, params) {
+  const single = /^\{(\w+)\}$/.exec(template);
+  if (single) {
+    return params[single[1]];
+  }
+
+  let missing = false;
+  const value = String(template).replace(/\{(\w+)\}/g, (match, name) => {
+    if (params[name] === undefined || params[name] === null) {
+      missing = true;
+      return '';
+    }
+    return String(params[name]);
+  });
+  return missing ? undefined : value;
+}
+
+/**
+ * Apply rules to an event (pure: no environment, request or I/O involved)
+ * Rules run in order and each sees the result of the previous ones. Within a rule:
+ * drop_event, rename_event, rename_params, drop_params, derive_params, then defaults.
+ * @param {Object} event - { name, params }
+ * @param {Array<Object>} rules - Rules ({ id, when, drop_event, rename_event, rename_params, drop_params, derive_params, defaults })
+ * @returns {Object} { event, dropped, dropped_by, applied }
+ */
+function applyEventRules(event, rules) {
+  const result = { name: event.name, params: { ...(event.params || {}) } };
+  const applied = [];
+
+  for (const [index, rule] of (rules || []).entries()) {
+    if (!eventRuleMatches(rule.when, result)) continue;
+
+    const ruleId = rule.id || `rule_${index + 1}`;
+    applied.push(ruleId);
+
+    if (rule.drop_event) {
+      return { event: result, dropped: true, dropped_by: ruleId, applied: applied };
+    }
+
+    if (rule.rename_event) {
+      result.name = rule.rename_event;
+    }
+
+    for (const [from, to] of Object.entries(rule.rename_params || {})) {
+      if (from in result.params) {
+        result.params[to] = result.params[from];
+        delete result.params[from];
+      }
+    }
+
+    for (const param of rule.drop_params || []) {
+      delete result.params[param];
+    }
+
+    for (const [param, template] of Object.entries(rule.derive_params || {})) {
+      const value = deriveRuleParam(template, result.params);
+      if (value !== undefined && value !== '') {
+        result.params[param] = value;
+      }
+    }
+
+    for (const [param, value] of Object.entries(rule.defaults || {})) {
+      if (result.params[param] === undefined || result.params[param] === null || result.params[param] === '') {
+        result.params[param] = value;
+      }
+    }
+  }
+
+  return { event: result, dropped: false, applied: applied };
+}
+
+/**
+ * Fill the consent_param template from the request-level consent
+ * @param {string} template - e.g. "ad_user_data: {ad_user_data}. reason: {consent_reason}"
+ * @param {Object} consent - Request-level consent
+ * @returns {string} Consent param value
+ */
+function formatConsentParam(template, consent) {
+  const values = {
+    ad_personalization: consent ? consent.ad_personalization : undefined,
+    ad_user_data: consent ? consent.ad_user_data : undefined,
+    consent_reason: (consent && consent.consent_reason) ? consent.consent_reason : 'button_click'
+  };
+  return template.replace(/\{(\w+)\}/g, (match, name) => String(values[name]));
+}
+
+/**
+ * =============================================================================
+ * MAIN REQUEST HANDLER
+ * =============================================================================
+ */
+
+export default {
+  async fetch(request, env, ctx) {
+    const response = await handleRequest(request, env);
+    if (botStatsUnflushed.size > 0) {
+      ctx.waitUntil(scheduleBotStatsFlush());
+    }
+    return response;
+  },
+
+  async scheduled(event, env, ctx) {
+    initializeEnvironment(env);
+    ctx.waitUntil(processRetryQueue());
+    ctx.waitUntil(foldBotStats());
+  }
+};
+
+/**
+ * Load configuration and bindings from the Worker environment
+ * @param {Object} env - Worker environment
+ */
+function initializeEnvironment(env) {
+  if (!env) return;
+
+  GA4_MEASUREMENT_ID = env.GA4_MEASUREMENT_ID || GA4_MEASUREMENT_ID;
+  GA4_API_SECRET = env.GA4_API_SECRET || GA4_API_SECRET;
+  API_KEY = env.API_KEY || API_KEY;
+  API_KEYS = loadApiKeys(env);
+  ENCRYPTION_KEY = env.ENCRYPTION_KEY || ENCRYPTION_KEY;
+  ENCRYPTION_KEYRING = loadEncryptionKeyring(env);
+  
+  ALLOWED_DOMAINS = loadAllowedDomains(env);
+
+  RATE_LIMIT_CONFIG = loadRateLimitConfig(env);
+  PAYLOAD_LIMITS = loadPayloadLimits(env);
+  JWT_CONFIG = loadJWTConfig(env);
+  REQUEST_SIGNING_CONFIG = loadRequestSigningConfig(env);
+  BOT_DETECTION_CONFIG = loadBotDetectionConfig(env);
+  GA4_DESTINATIONS = loadGA4Destinations(env);
+
+  PARAM_PRIORITY = GA4_PARAM_PRIORITY;
+  if (env.GA4_PARAM_PRIORITY) {
+    try {
+      const priority = typeof env.GA4_PARAM_PRIORITY === 'string'
+        ? JSON.parse(env.GA4_PARAM_PRIORITY)
+        : env.GA4_PARAM_PRIORITY;
+      PARAM_PRIORITY = { ...GA4_PARAM_PRIORITY, ...priority };
+    } catch (error) {
+      console.warn('❌ Invalid GA4_PARAM_PRIORITY, using defaults:', error.message);
+    }
+  }
+
+  VALIDATION_MODE = env.GA4_VALIDATION_MODE || GA4_VALIDATION_MODE;
+  USE_EDGE_GEOLOCATION = env.EDGE_GEOLOCATION !== undefined
+    ? String(env.EDGE_GEOLOCATION) === 'true'
+    : EDGE_GEOLOCATION;
+  IP_POLICY_CONFIG = loadIpPolicy(env);
+  GA4_DEBUG_URL = env.GA4_DEBUG_ENDPOINT || GA4_DEBUG_ENDPOINT;
+
+  // Retry and dead-letter stores (in-memory fallback is per isolate and not durable)
+  if (typeof globalThis.retryQueueMemory === 'undefined') {
+    globalThis.retryQueueMemory = createMemoryKVStore();
+    globalThis.deadLetterMemory = createMemoryKVStore();
+  }
+  RETRY_QUEUE = env.GA4_RETRY_QUEUE || globalThis.retryQueueMemory;
+  DEAD_LETTER_STORE = env.GA4_DEAD_LETTERS || globalThis.deadLetterMemory;
+
+  // Seen JWT ids for replay protection
+  if (typeof globalThis.jwtSeenMemory === 'undefined') {
+    globalThis.jwtSeenMemory = createMemoryKVStore();
+  }
+  JWT_SEEN_STORE = env.JWT_REPLAY_KV || globalThis.jwtSeenMemory;
+
+  // Aggregated bot detection counters
+  if (typeof globalThis.botStatsMemory === 'undefined') {
+    globalThis.botStatsMemory = createMemoryKVStore();
+  }
+  BOT_STATS_STORE = env.BOT_STATS_KV || globalThis.botStatsMemory;
+}
+
+/**
+ * Handle the incoming request (ENHANCED WITH GDPR COMPLIANCE)
+ * @param {Request} request
+ */
+
+async function handleRequest(request, env) {
+  // Initialize environment variables
+  initializeEnvironment(env);
+
+  // Handle CORS preflight requests
+  if (request.method === "OPTIONS") {
+    return handleCORS(request);
+  }
+
+  // Admin routes (dead-letter listing and replay, bot statistics) require the Worker API key
+  if (new URL(request.url).pathname.startsWith("/admin/")) {
+    return await handleAdminRequest(request);
+  }
+
+  EVENT_RULES = await loadEventRules(env);
+
+  // Only allow POST requests
+  if (request.method !== "POST") {
+    return new Response("Method not allowed", {
+      status: 405,
+      headers: getCORSHeaders(request),
+    });
+  }
+
+  // Detect request type for proper security handling
+  const isSimpleRequest = request.headers.get("X-Simple-request") === "true";
+  
+  // Detect sendBeacon requests (they can't send custom headers)
+  // sendBeacon requests have specific characteristics:
+  // 1. Content-Type: application/json or text/plain
+  // 2. No X-Simple-request header
+  const hasSimpleHeader = request.headers.get("X-Simple-request");
+  const hasAuthHeader = request.headers.get("Authorization");
+  const contentType = request.headers.get("Content-Type") || "";
+  
+  const isSendBeaconRequest = !hasAuthHeader && !hasSimpleHeader && 
+                             (contentType.includes("application/json") || contentType.includes("text/plain"));
+  
+  let requestType = "regular";
+  if (isSimpleRequest) {
+    requestType = "simple";
+  } else if (isSendBeaconRequest) {
+    requestType = "sendbeacon";
+  }
+  
+  if (DEBUG_MODE) {
+    console.log(`🔍 Processing ${requestType} request`);
+  }
+
+  // Check if request is authenticated with a Worker API key allowed to send events
+  const apiKey = authenticateApiKey(hasAuthHeader);
+  const isAuthenticated = hasApiKeyScope(apiKey, "send");
+  if (apiKey && !isAuthenticated) {
+    return new Response(
+      JSON.stringify({ success: false, error: "Forbidden", details: `API key "${apiKey.name}" lacks the send scope` }),
+      {
+        status: 403,
+        headers: {
+          "Content-Type": "application/json",
+          ...getCORSHeaders(request),
+        },
+      }
+    );
+  }
+  
+  // SECURITY CHECKS - Run validation based on request type (skip all if authenticated)
+  if (!isAuthenticated && requestType === "regular") {
     // Regular requests: Full security validation (payload, origin, rate limiting)
     const securityCheck = await runSecurityChecks(request);
     if (!securityCheck.passed) {
       if (DEBUG_MODE) {
-        console.log("Security check failed:", JSON.stringify(securityCheck));
+        console.log("Security check failed:", JSON.stringify(securityCheck));
+      }
+      
+      return new Response(
+        JSON.stringify({
+          success: false,
+          error: "Security validation failed",
+          reason: securityCheck.reason,
+          details: securityCheck.details
+        }),
+        {
+          status: securityCheck.reason === "rate_limited" ? 429 : 403,
+          headers: {
+            "Content-Type": "application/json",
+            ...getCORSHeaders(request),
+          },
+        }
+      );
+    }
+    
+    // Log security check success for regular requests
+    if (DEBUG_MODE) {
+      console.log("Security checks passed:", JSON.stringify({
+        origin: securityCheck.origin?.domain
+      }));
+    }
+  } else if (isAuthenticated && DEBUG_MODE) {
+    console.log(`🔐 Authenticated request (API key "${apiKey.name}") - bypassing security checks`);
+  } else if (!isAuthenticated && requestType === "simple") {
+    // Simple requests: Only essential checks (payload size, rate limiting on the "simple" route)
+    
+    if (DEBUG_MODE) {
+      console.log("⚡ Simple request - bypassing origin validation");
+    }
+  } else if (!isAuthenticated && requestType === "sendbeacon") {
+    // sendBeacon requests: Fastest processing, minimal security checks (body size is enforced while reading)
+    
+    if (DEBUG_MODE) {
+      console.log("📡 sendBeacon request - bypassing origin validation");
+    }
+  } else if (requestType === "wp_standard" || requestType === "wp_encrypted") {
+    
+    if (DEBUG_MODE) {
+      console.log(`🔒 WordPress ${requestType === "wp_encrypted" ? "encrypted" : "standard"} request - skipping validation`);
+    }
+    
+    // Optional: Validate origin for WordPress requests (less strict than regular)
+    const originCheck = validateOrigin(request);
+    if (!originCheck.valid) {
+      if (DEBUG_MODE) {
+        console.log("WordPress request origin validation failed:", JSON.stringify(originCheck));
+      }
+      // Could return error here if strict origin validation is required
+      // For now, just log the warning but continue processing
+    }
+  }
+
+  // RATE LIMITING - per client IP and route for every unauthenticated request, authenticated callers
+  // only when their API key has its own rate_limit. Runs before the body is read, so a throttled
+  // client costs no body read, signature check or decryption and its JWT id stays unused for the retry.
+  const isKeyRateLimited = isAuthenticated && !!apiKey.rate_limit;
+  if (!isAuthenticated || isKeyRateLimited) {
+    const rateLimitRoute = isKeyRateLimited ? `api_key:${apiKey.name}` : getRateLimitRoute(request, requestType);
+    const rateLimitCheck = await checkRateLimit(request, rateLimitRoute, isKeyRateLimited ? apiKey : null);
+    if (!rateLimitCheck.allowed) {
+      return new Response(
+        JSON.stringify({
+          success: false,
+          error: "Rate limit exceeded",
+          reason: "rate_limited",
+          details: `${rateLimitCheck.count}/${rateLimitCheck.limit} ${rateLimitRoute} requests in window`
+        }),
+        {
+          status: 429,
+          headers: {
+            "Content-Type": "application/json",
+            "Retry-After": String(rateLimitCheck.retryAfter || RATE_LIMIT_WINDOW),
+            ...getCORSHeaders(request),
+          },
+        }
+      );
+    }
+  }
+
+  try {
+    // Read the body with a hard byte cap, then parse it
+    const limits = isAuthenticated ? { ...PAYLOAD_LIMITS, ...PAYLOAD_LIMITS.authenticated } : PAYLOAD_LIMITS;
+    const body = await readBodyWithLimit(request, limits.maxBody);
+    if (!body.ok) {
+      return payloadTooLargeResponse(request, body);
+    }
+    let payload = JSON.parse(body.text);
+    let payloadSize = body.bytes; // Size of the JSON that gets processed (decrypted size for JWT payloads)
+
+    // REQUEST SIGNING - sendBeacon and simple requests carry a signature in the body. It only shows the payload
+    // is fresh and unmodified (the key is public); the request stays unauthenticated whatever the result.
+    if (!isAuthenticated && (requestType === "sendbeacon" || requestType === "simple")) {
+      const signatureCheck = await verifyRequestSignature(payload);
+      if (!signatureCheck.valid && REQUEST_SIGNING_CONFIG.strict) {
+        console.warn(`❌ Rejected ${requestType} request: ${signatureCheck.reason}`);
+        return new Response(
+          JSON.stringify({
+            success: false,
+            error: "Request signature verification failed",
+            reason: signatureCheck.reason
+          }),
+          {
+            status: 401,
+            headers: {
+              "Content-Type": "application/json",
+              ...getCORSHeaders(request),
+            },
+          }
+        );
+      }
+      if (DEBUG_MODE) {
+        console.log(`🔏 Request signature: ${signatureCheck.valid ? "valid" : signatureCheck.reason}`);
+      }
+    }
+    if (payload && typeof payload === "object") {
+      delete payload._sig;
+    }
+
+    // Check if the request uses JWT encryption (skip for Simple requests)
+    const isJWTEncrypted = requestType === "wp_encrypted" || 
+                          (requestType === "regular" && request.headers.get('X-Encrypted') === 'true') ||
+                          (payload.encrypted === true && payload.jwt); // Check payload structure for cron jobs
+    
+    if (isJWTEncrypted) {
+      if (!JWT_ENCRYPTION_ENABLED) {
+        console.warn("❌ X-Encrypted header present but JWT_ENCRYPTION_ENABLED is false");
+      } else if (!ENCRYPTION_KEY) {
+        console.warn("❌ X-Encrypted header present but ENCRYPTION_KEY is not set");
+      } else {
+        try {
+          // Handle different JWT formats based on request type
+          if (requestType === "wp_encrypted") {
+            // WordPress encrypted requests use permanent JWT format
+            if (payload.jwt) {
+              const decryptedData = await decryptWithKeyring(payload.jwt);
+              payloadSize = new TextEncoder().encode(decryptedData).length;
+              payload = JSON.parse(decryptedData);
+              
+              if (DEBUG_MODE) {
+                console.log("Decrypted WordPress payload:", JSON.stringify(payload));
+              }
+            } else {
+              console.warn("❌ WordPress encrypted request but no JWT token found");
+              if (DEBUG_MODE) {
+                console.log("Available payload fields:", Object.keys(payload));
+                console.log("Full payload:", JSON.stringify(payload));
+              }
+            }
+          } else if (payload.encrypted === true && payload.jwt) {
+            // Cron job encrypted requests use {encrypted: true, jwt: <data>} format
+            const decryptedData = await decryptWithKeyring(payload.jwt);
+            payloadSize = new TextEncoder().encode(decryptedData).length;
+            payload = JSON.parse(decryptedData);
+            
+            if (DEBUG_MODE) {
+              console.log("Decrypted cron job payload:", JSON.stringify(payload));
+            }
+          } else {
+            // Regular encrypted requests use legacy jwt format
+            if (payload.jwt) {
+              const decryptedData = await decryptWithKeyring(payload.jwt);
+              payloadSize = new TextEncoder().encode(decryptedData).length;
+              payload = JSON.parse(decryptedData);
+              
+              if (DEBUG_MODE) {
+                console.log("Decrypted regular payload:", JSON.stringify(payload));
+              }
+            } else {
+              console.warn("❌ Request marked as JWT encrypted but no JWT token found");
+              if (DEBUG_MODE) {
+                console.log("Available payload fields:", Object.keys(payload));
+                console.log("Full payload:", JSON.stringify(payload));
+              }
+            }
+          }
+        } catch (decryptError) {
+          console.error("❌ Failed to verify JWT token:", decryptError);
+          return new Response(
+            JSON.stringify({
+              success: false,
+              error: "JWT verification failed",
+              details: decryptError.message
+            }),
+            {
+              status: 400,
+              headers: {
+                "Content-Type": "application/json",
+                ...getCORSHeaders(request),
+              },
+            }
+          );
+        }
+      }
+    }
+
+    const isBatchRequest = payload.events && Array.isArray(payload.events) && payload.events.length > 0;
+
+    // PAYLOAD LIMITS - separate byte limits for single events and batches, plus a cap on events per batch
+    const payloadLimit = isBatchRequest ? limits.maxBatch : limits.maxSingle;
+    if (payloadSize > payloadLimit) {
+      return payloadTooLargeResponse(request, {
+        reason: isBatchRequest ? "batch_payload_too_large" : "single_payload_too_large",
+        limit: payloadLimit,
+        received: payloadSize
+      });
+    }
+    if (isBatchRequest && payload.events.length > limits.maxBatchEvents) {
+      return payloadTooLargeResponse(request, {
+        reason: "too_many_events",
+        limit: limits.maxBatchEvents,
+        received: payload.events.length
+      });
+    }
+
+    // Check if this is a batch request
+    if (isBatchRequest) {
+      return await handleBatchEvents(payload, request);
+    }
+
+    // GDPR CONSENT PROCESSING - Apply before bot detection (single event)
+    const consentProcessedPayload = processGDPRConsent(payload, request);
+
+    // BOT DETECTION CHECK (skip only for API keys with skip_bot_detection)
+    let botDetection = { isBot: false, reason: "authenticated_bypass" };
+    if (!(isAuthenticated && apiKey.skip_bot_detection)) {
+      botDetection = detectBot(request, consentProcessedPayload);
+    }
+    
+    // Monitor mode: send the event tagged with its traffic quality instead of dropping bots
+    if (botDetection.monitorOnly) {
+      if (botDetection.isBot) {
+        logBotDetection(botDetection, request, consentProcessedPayload);
+        recordBotDetection(botDetection, request, consentProcessedPayload);
+      }
+      return await handleGA4Event(tagBotDetection(consentProcessedPayload, botDetection), request);
+    }
+    
+    if (botDetection.isBot) {
+      logBotDetection(botDetection, request, consentProcessedPayload);
+      recordBotDetection(botDetection, request, consentProcessedPayload);
+      
+      // Return success response but don't process the event
+      const botResponseData = {
+        success: true,
+        filtered: true,
+        reason: "bot_detected",
+        bot_score: botDetection.score,
+        bot_details: botDetection,
+        gdpr_processed: true
+      };
+      
+      return await createResponse(botResponseData, request);
+    }
+
+    return await handleGA4Event(consentProcessedPayload, request);
+    
+  } catch (error) {
+    // Log the error
+    console.error("Error processing request:", error);
+
+    // Return error response (encrypted if supported)
+    const errorResponseData = {
+      success: false,
+      error: error.message,
+      gdpr_processed: false
+    };
+    
+    try {
+      const errorResponse = await createResponse(errorResponseData, request);
+      return new Response(errorResponse.body, {
+        status: 500,
+        headers: errorResponse.headers
+      });
+    } catch (encryptError) {
+      // Fallback to unencrypted response if encryption fails
+      return new Response(
+        JSON.stringify(errorResponseData),
+        {
+          status: 500,
+          headers: {
+            "Content-Type": "application/json",
+            ...getCORSHeaders(request),
+          },
+        }
+      );
+    }
+  }
+}
+
+/**
+ * Handle batch events: each event is prepared with the single-event functions,
+ * then sent to GA4 as grouped multi-event Measurement Protocol requests
+ * @param {Object} batchPayload
+ * @param {Request} request
+ */
+async function handleBatchEvents(batchPayload, request) {
+  try {
+    if (DEBUG_MODE) {
+      console.log("📦 Processing batch of events:", {
+        eventCount: batchPayload.events.length,
+        hasBatchConsent: !!batchPayload.consent,
+        batchConsentData: batchPayload.consent,
+        eventsWithConsent: batchPayload.events.filter(e => e.consent).length,
+        timestamp: batchPayload.timestamp
+      });
+    }
+
+    // Find the first complete event to use as a reference for enriching incomplete events
+    let firstCompleteEvent = null;
+    for (let i = 0; i < batchPayload.events.length; i++) {
+      if (batchPayload.events[i].isCompleteData) {
+        firstCompleteEvent = batchPayload.events[i];
+        break;
+      }
+    }
+
+    // Process each event in the batch using existing functions
+    const results = [];
+    const errors = [];
+    const builtEvents = [];
+
+    // Bot detection runs once per session (see getBotSessionKey) and is reused for its other events
+    const apiKey = authenticateApiKey(request.headers.get("Authorization"));
+    const skipBotDetection = hasApiKeyScope(apiKey, "send") && apiKey.skip_bot_detection;
+    const sessionBotDetections = new Map();
+    const filteredEvents = [];
+    
+    for (let i = 0; i < batchPayload.events.length; i++) {
+      const event = batchPayload.events[i];
+      
+      try {
+        // Convert batch event back to single event format for existing functions
+        const singleEventPayload = {
+          event_name: event.name,
+          name: event.name,
+          params: event.params || {},
+          consent: event.consent || batchPayload.consent, // Use individual event consent first, fallback to batch consent
+          timestamp: event.timestamp || batchPayload.timestamp,
+          headers: event.headers || batchPayload.headers || {},
+          user_data: event.user_data
+        };
+
+        // Add page context and enrich incomplete events with session data
+        if (!event.isCompleteData) {
+          // Add page context if available
+          if (event.pageUrl) {
+            singleEventPayload.params.page_location = event.pageUrl;
+            singleEventPayload.params.page_title = event.pageTitle;
+          }
+          
+          // Enrich incomplete events with session data from the first complete event
+          if (firstCompleteEvent) {
+            // Add missing session data
+            if (!singleEventPayload.params.session_id && firstCompleteEvent.params.session_id) {
+              singleEventPayload.params.session_id = firstCompleteEvent.params.session_id;
+            }
+            if (!singleEventPayload.params.client_id && firstCompleteEvent.params.client_id) {
+              singleEventPayload.params.client_id = firstCompleteEvent.params.client_id;
+            }
+            if (!singleEventPayload.params.session_start && firstCompleteEvent.params.session_start) {
+              singleEventPayload.params.session_start = firstCompleteEvent.params.session_start;
+            }
+            if (!singleEventPayload.params.browser_name && firstCompleteEvent.params.browser_name) {
+              singleEventPayload.params.browser_name = firstCompleteEvent.params.browser_name;
+            }
+            if (!singleEventPayload.params.device_type && firstCompleteEvent.params.device_type) {
+              singleEventPayload.params.device_type = firstCompleteEvent.params.device_type;
+            }
+            if (!singleEventPayload.params.screen_resolution && firstCompleteEvent.params.screen_resolution) {
+              singleEventPayload.params.screen_resolution = firstCompleteEvent.params.screen_resolution;
+            }
+            if (!singleEventPayload.params.is_desktop && firstCompleteEvent.params.is_desktop) {
+              singleEventPayload.params.is_desktop = firstCompleteEvent.params.is_desktop;
+            }
+            if (!singleEventPayload.params.language && firstCompleteEvent.params.language) {
+              singleEventPayload.params.language = firstCompleteEvent.params.language;
+            }
+            if (!singleEventPayload.params.user_agent && firstCompleteEvent.params.user_agent) {
+              singleEventPayload.params.user_agent = firstCompleteEvent.params.user_agent;
+            }
+            
+            if (!singleEventPayload.params.page_referrer && firstCompleteEvent.params.page_referrer) {
+              singleEventPayload.params.page_referrer = firstCompleteEvent.params.page_referrer;
+            }
+            // Add engagement time if missing
+            if (!singleEventPayload.params.engagement_time_msec && firstCompleteEvent.params.engagement_time_msec) {
+              singleEventPayload.params.engagement_time_msec = firstCompleteEvent.params.engagement_time_msec;
+            }
+            
+            if (DEBUG_MODE) {
+              console.log("📝 Enriched incomplete event with session data and original attribution:", {
+                eventName: event.name,
+                addedSessionId: !!firstCompleteEvent.params.session_id,
+                addedClientId: !!firstCompleteEvent.params.client_id,
+                usedOriginalSource: !!firstCompleteEvent.params.originalSource,
+                usedOriginalMedium: !!firstCompleteEvent.params.originalMedium,
+                usedOriginalTrafficType: !!firstCompleteEvent.params.originalTrafficType,
+                finalSource: singleEventPayload.params.source,
+                finalMedium: singleEventPayload.params.medium,
+                finalTrafficType: singleEventPayload.params.traffic_type
+              });
+            }
+          }
+        }
+
+        // Add consent data to the individual event params for GDPR processing
+        // Use individual event consent if available, fallback to batch consent
+        singleEventPayload.params.consent = event.consent || batchPayload.consent;
+        
+        // Group by the original ids, before GDPR processing may anonymize them
+        const sessionKey = getBotSessionKey(singleEventPayload);
+        
+        // Use existing GDPR processing
+        const consentProcessedPayload = processGDPRConsent(singleEventPayload, request);
+
+        // Bot detection per session, cached for the session's other events in this batch
+        let session = sessionBotDetections.get(sessionKey);
+        if (!session) {
+          // API keys with skip_bot_detection bypass bot detection
+          const botDetection = skipBotDetection
+            ? { isBot: false, reason: "authenticated_bypass" }
+            : detectBot(request, consentProcessedPayload);
+
+          if (botDetection.isBot) {
+            logBotDetection(botDetection, request, consentProcessedPayload);
+          }
+          session = { detection: botDetection, payload: consentProcessedPayload, events: 0 };
+          sessionBotDetections.set(sessionKey, session);
+        }
+        session.events++;
+
+        if (session.detection.monitorOnly) {
+          // Monitor mode: tag the event with its session's traffic quality and send it
+          tagBotDetection(consentProcessedPayload, session.detection);
+        } else if (session.detection.isBot) {
+          filteredEvents.push({
+            index: i,
+            event: event.name,
+            session: sessionKey,
+            bot_score: session.detection.score,
+            reasons: session.detection.reasons
+          });
+          continue;
+        }
+
+        // Build the GA4 payload with the same logic as single events; sending happens per group below
+        const built = buildGA4Request(consentProcessedPayload, request);
+        if (built.dropped) {
+          results.push({
+            index: i,
+            event: event.name,
+            success: true,
+            dropped: true,
+            dropped_by: built.dropped_by
+          });
+        } else if (built.error) {
+          results.push({
+            index: i,
+            event: event.name,
+            success: false,
+            status: built.error.status,
+            error: built.error.message
+          });
+        } else {
+          builtEvents.push({ index: i, built: built });
+        }
+
+        if (DEBUG_MODE) {
+          console.log(`✅ Processed event ${i + 1}/${batchPayload.events.length}: ${event.name}`, {
+            hasIndividualConsent: !!event.consent,
+            consentMode: event.consent?.ad_user_data || (batchPayload.consent?.ad_user_data || 'not_set')
+          });
+        }
+
+      } catch (eventError) {
+        console.error(`❌ Error processing event ${i + 1}:`, eventError);
+        errors.push({
+          event: event.name || 'unknown',
+          error: eventError.message
+        });
+      }
+    }
+
+    for (const session of sessionBotDetections.values()) {
+      if (session.detection.isBot) {
+        recordBotDetection(session.detection, request, session.payload, session.events);
+      }
+    }
+
+    // Every event came from a bot session: keep the single-response shape of a filtered request
+    if (filteredEvents.length > 0 && filteredEvents.length === batchPayload.events.length) {
+      return await createResponse({
+        success: true,
+        filtered: true,
+        reason: "bot_detected",
+        bot_score: Math.max(...filteredEvents.map(filtered => filtered.bot_score)),
+        events_filtered: filteredEvents.length,
+        filtered_events: filteredEvents,
+        gdpr_processed: true
+      }, request);
+    }
+
+    // Send grouped multi-event Measurement Protocol requests and map results back per event
+    const sendResults = await sendGroupedToGA4(builtEvents, request, getValidationMode(request));
+    for (const { index, built } of builtEvents) {
+      results.push({
+        index: index,
+        event: built.processedData.name,
+        ...sendResults.get(index),
+        trimmed: built.trimmed.length > 0 ? built.trimmed : undefined
+      });
+    }
+    results.sort((a, b) => a.index - b.index);
+
+    // Prepare batch response
+    const responseData = {
+      success: true,
+      ga4_requests: new Set(results.map(result => result.mp_request).filter(Boolean)).size,
+      events_processed: results.length,
+      events_failed: errors.length,
+      events_queued_for_retry: results.filter(result => result.queued).length,
+      events_trimmed: results.filter(result => result.trimmed).length,
+      events_dropped: results.filter(result => result.dropped).length,
+      events_filtered: filteredEvents.length,
+      filtered_events: filteredEvents.length > 0 ? filteredEvents : undefined,
+      total_events: batchPayload.events.length,
+      results: DEBUG_MODE ? results : undefined,
+      errors: errors.length > 0 ? errors : undefined,
+      validation_messages: results.some(result => result.validation_messages)
+        ? results
+            .filter(result => result.validation_messages && result.validation_messages.length > 0)
+            .map(result => ({ index: result.index, event: result.event, messages: result.validation_messages }))
+        : undefined,
+      consent_applied: !!(batchPayload.consent || batchPayload.events.some(e => e.consent)),
+      events_with_individual_consent: batchPayload.events.filter(e => e.consent).length,
+      batch_consent_mode: batchPayload.consent?.ad_user_data || 'not_set',
+      request_type: request.headers.get("X-Simple-request") === "true" ? "simple" : "regular"
+    };
+
+    if (DEBUG_MODE) {
+      console.log("📦 Batch processing complete:", responseData);
+    }
+
+    return await createResponse(responseData, request);
+
+  } catch (error) {
+    console.error("❌ Error processing batch events:", error);
+    
+    const errorResponseData = {
+      success: false,
+      error: "Batch processing failed",
+      details: error.message,
+      events_processed: 0,
+      events_failed: batchPayload.events?.length || 0
+    };
+    
+    return await createResponse(errorResponseData, request);
+  }
+}
+
+/**
+ * Send built events as multi-event Measurement Protocol requests
+ * Events are grouped on every request-level field (client_id, user_id, consent,
+ * user_location, device, user_agent, ip_override) plus the forwarded headers,
+ * so no event is attributed to another user's context, and each group is split
+ * into requests of at most MP_MAX_EVENTS_PER_REQUEST events
+ * @param {Array<Object>} builtEvents - [{ index, built }] where built comes from buildGA4Request
+ * @param {Request} request - The incoming request
+ * @param {string} validationMode - "off", "validate_only" or "validate_and_send"
+ * @returns {Promise<Map<number, Object>>} Per-event send results keyed by batch index
+ */
+async function sendGroupedToGA4(builtEvents, request, validationMode = "off") {
+  const groups = new Map();
+  for (const entry of builtEvents) {
+    const { events, ...requestFields } = entry.built.ga4Payload;
+    const groupKey = JSON.stringify([requestFields, entry.built.ga4RequestHeaders]);
+    if (!groups.has(groupKey)) {
+      groups.set(groupKey, []);
+    }
+    groups.get(groupKey).push(entry);
+  }
+
+  const sendResults = new Map();
+  let requestNumber = 0;
+
+  for (const groupEntries of groups.values()) {
+    for (let offset = 0; offset < groupEntries.length; offset += MP_MAX_EVENTS_PER_REQUEST) {
+      const chunk = groupEntries.slice(offset, offset + MP_MAX_EVENTS_PER_REQUEST);
+      const first = chunk[0].built;
+      const ga4Payload = {
+        ...first.ga4Payload,
+        events: chunk.flatMap(entry => entry.built.ga4Payload.events)
+      };
+      requestNumber++;
+
+      if (DEBUG_MODE) {
+        console.log(`📤 Sending GA4 request ${requestNumber} with ${ga4Payload.events.length} events`);
+      }
+
+      const deliveries = await deliverGA4Payload(ga4Payload, first.ga4RequestHeaders, request, validationMode);
+      chunk.forEach((entry, position) => {
+        sendResults.set(entry.index, {
+          ...summarizeDeliveries(deliveries, position),
+          mp_request: requestNumber,
+          events_in_request: chunk.length
+        });
+      });
+    }
+  }
+
+  return sendResults;
+}
+
+/**
+ * Trim a Measurement Protocol event to GA4's collection limits
+ * Names and values are truncated, surplus items are cut at GA4_LIMITS.items and,
+ * when there are too many parameters, the drop_first parameters go first, then
+ * other parameters (last added first) and the keep parameters only as a last resort
+ * @param {Object} event - Measurement Protocol event ({ name, params }), modified in place
+ * @returns {Array<Object>} What was trimmed, empty when the event was within limits
+ */
+function normalizeGA4Event(event) {
+  const trimmed = [];
+  const priority = PARAM_PRIORITY || GA4_PARAM_PRIORITY;
+  const keep = priority.keep || [];
+  const dropFirst = priority.drop_first || [];
+
+  if (event.name && event.name.length > GA4_LIMITS.eventName) {
+    const name = event.name.substring(0, GA4_LIMITS.eventName);
+    trimmed.push({ action: "event_name_truncated", from: event.name, to: name });
+    event.name = name;
+  }
+
+  const params = {};
+  for (const [name, value] of Object.entries(event.params || {})) {
+    let paramName = name;
+    if (paramName.length > GA4_LIMITS.paramName) {
+      paramName = paramName.substring(0, GA4_LIMITS.paramName);
+      if (Object.prototype.hasOwnProperty.call(params, paramName)) {
+        trimmed.push({ action: "param_dropped", param: name, reason: "duplicate_after_truncation" });
+        continue;
+      }
+      trimmed.push({ action: "param_name_truncated", from: name, to: paramName });
+    }
+
+    let paramValue = value;
+    const valueLimit = GA4_PARAM_VALUE_LIMITS[paramName] || GA4_LIMITS.paramValue;
+    if (typeof paramValue === "string" && paramValue.length > valueLimit) {
+      trimmed.push({ action: "param_value_truncated", param: paramName, original_length: paramValue.length });
+      paramValue = paramValue.substring(0, valueLimit);
+    }
+
+    params[paramName] = paramValue;
+  }
+
+  if (Array.isArray(params.items)) {
+    if (params.items.length > GA4_LIMITS.items) {
+      trimmed.push({ action: "items_truncated", from: params.items.length, to: GA4_LIMITS.items });
+      params.items = params.items.slice(0, GA4_LIMITS.items);
+    }
+
+    let truncatedItemValues = 0;
+    params.items = params.items.map(item => {
+      const normalizedItem = { ...item };
+      for (const [key, value] of Object.entries(normalizedItem)) {
+        if (typeof value === "string" && value.length > GA4_LIMITS.paramValue) {
+          normalizedItem[key] = value.substring(0, GA4_LIMITS.paramValue);
+          truncatedItemValues++;
+        }
+      }
+      return normalizedItem;
+    });
+    if (truncatedItemValues > 0) {
+      trimmed.push({ action: "item_values_truncated", count: truncatedItemValues });
+    }
+  }
+
+  let names = Object.keys(params);
+  if (names.length > GA4_LIMITS.paramsPerEvent) {
+    // Drop order: drop_first list, then unlisted params (last added first), then keep list (least important first)
+    const unlisted = names.filter(name => !keep.includes(name) && !dropFirst.includes(name)).reverse();
+    const dropOrder = [
+      ...dropFirst.filter(name => names.includes(name)),
+      ...unlisted,
+      ...keep.filter(name => names.includes(name)).reverse()
+    ];
+
+    while (names.length > GA4_LIMITS.paramsPerEvent && dropOrder.length > 0) {
+      const name = dropOrder.shift();
+      delete params[name];
+      trimmed.push({ action: "param_dropped", param: name, reason: "too_many_params" });
+      names = Object.keys(params);
+    }
+  }
+
+  // Update in place so references to the params object stay valid
+  event.params = event.params || {};
+  Object.keys(event.params).forEach(name => delete event.params[name]);
+  Object.assign(event.params, params);
+  return trimmed;
+}
+
+/**
+ * Build the GA4 Measurement Protocol payload and request headers for one event
+ * @param {Object} payload - Consent-processed event payload
+ * @param {Request} request - The incoming request
+ * @returns {Object} { ga4Payload, ga4RequestHeaders, processedData, payloadDebug, trimmed } or { error: { status, message } }
+ */
+function buildGA4Request(payload, request) {
+  // Extract original headers if provided by the WordPress plugin
+  const originalHeaders = payload.headers || {};
+  
+  // Remove headers from payload before processing (they shouldn't go to GA4)
+  if (payload.headers) {
+    delete payload.headers;
+  }
+  
+  // Process the event data
+  const processedData = processEventData(payload, request);
+  let payloadDebug = false;
+
+  // Validate required parameters - check for both 'name' and 'event_name' fields
+  if (!processedData.name && !processedData.event_name) {
+    return { error: { status: 400, message: "Missing event name" } };
+  }
+  
+  // Normalize event name field - use 'name' field consistently
+  if (!processedData.name && processedData.event_name) {
+    processedData.name = processedData.event_name;
+  }
+
+  // Apply the configured event rules (rename, drop, derive, defaults) before building the payload
+  const eventRules = EVENT_RULES || DEFAULT_EVENT_RULES;
+  const ruleResult = applyEventRules({ name: processedData.name, params: processedData.params }, eventRules.rules);
+  if (ruleResult.dropped) {
+    if (DEBUG_MODE) {
+      console.log(`🚫 Event ${processedData.name} dropped by rule ${ruleResult.dropped_by}`);
+    }
+    return { dropped: true, dropped_by: ruleResult.dropped_by, processedData: processedData };
+  }
+  processedData.name = ruleResult.event.name;
+  processedData.params = ruleResult.event.params;
+
+  // Internal fields that shouldn't reach GA4
+  // NOTE: session_id is intentionally NOT in the defaults - it should remain in event params for GA4
+  eventRules.internal_fields.forEach(field => {
+    if (processedData[field]) {
+      delete processedData[field];
+    }
+    if (processedData.params && processedData.params[field]) {
+      delete processedData.params[field];
+    }
+  });
+
+  // Extract location data from params before preparing GA4 payload
+  const userLocation = extractLocationData(processedData.params);
+
+  // Prepare the GA4 payload
+  const ga4Payload = {
+    "client_id": processedData.params.client_id,
+    "events": [
+      {
+        "name": processedData.name,
+        "params": processedData.params,
+      },
+    ],
+  };
+
+  // Add consent signals at the request level if available
+  if (processedData.consent) {
+    ga4Payload.consent = processedData.consent;
+  }
+
+  // Add user_location at request level if available
+  if (userLocation && Object.keys(userLocation).length > 0) {
+    ga4Payload.user_location = userLocation;
+  }
+
+  // Extract and add device information following GA4 specification
+  const deviceInfo = extractDeviceInfo(processedData.params, request, processedData.consent);
+  if (deviceInfo && Object.keys(deviceInfo).length > 0) {
+    ga4Payload.device = deviceInfo;
+  }
+
+  // Add user_agent at top level (always include when available)
+  const userAgent = getUserAgent(processedData, request);
+  if (userAgent) {
+    ga4Payload.user_agent = userAgent;
+  }
+
+
+  // Keep timestamp in event parameters only (not allowed at top level in GA4)
+  // event_timestamp should remain in the event parameters where it belongs
+
+  // Add IP override for geographic information derivation, as far as the IP policy
+  // for the event's consent state allows (see IP_POLICY)
+  const ipPolicyMode = getIpPolicyMode(processedData.consent);
+  const clientIP = request.headers.get('CF-Connecting-IP') || 
+                   request.headers.get('X-Forwarded-For') || 
+                   request.headers.get('X-Real-IP');
+  const ipOverride = applyIpPolicy(clientIP, ipPolicyMode);
+  if (ipOverride) {
+    ga4Payload.ip_override = ipOverride;
+  }
+
+
+
+  // Keep session_id in event params only (not allowed at top level in GA4)
+  // session_id should remain in the event parameters where it belongs
+
+
+
+  // Add validation_code for enhanced measurement validation (if available)
+  if (processedData.params.validation_code) {
+    delete processedData.params.validation_code;
+  }
+
+  // Add app information if this is from a mobile app context
+  if (processedData.params.app_name) {
+    delete processedData.params.app_name;
+  }
+  if (processedData.params.app_version) {
+    delete processedData.params.app_version;
+  }
+  if (processedData.params.app_id) {
+    delete processedData.params.app_id;
+  }
+
+  // Remove client_id from params to avoid duplication, only if it exists
+  if (ga4Payload.events[0].params.hasOwnProperty("client_id")) {
+    delete ga4Payload.events[0].params.client_id;
+  }
+  
+  // Remove botData from params
+  if (ga4Payload.events[0].params.hasOwnProperty("botData")) {
+    delete ga4Payload.events[0].params.botData;
+  }
+    
+  // Remove device-related data from params since it's now at top level
+  eventRules.device_params.forEach(param => {
+    if (ga4Payload.events[0].params.hasOwnProperty(param)) {
+      delete ga4Payload.events[0].params[param];
+    }
+  });
+  // Handle consent parameter in event params
+  if (ga4Payload.events[0].params.consent) {
+    // If consent is an object (from client), remove it - we'll create the proper string format
+    if (typeof ga4Payload.events[0].params.consent === 'object') {
+      delete ga4Payload.events[0].params.consent;
+    }
+  }
+  
+  // Create the combined consent string parameter if not already present
+  if (!ga4Payload.events[0].params.consent && eventRules.consent_param) {
+    ga4Payload.events[0].params.consent = formatConsentParam(eventRules.consent_param, ga4Payload.consent);
+  }
+
+  // Note: We keep the 'consent' parameter in event params (it contains the combined consent info)
+
+  // Pixel event id and _fbp/_fbc cookies only go to ad platform transports (see GA4_TRANSPORTS),
+  // so they travel next to the params and do not count towards GA4's parameter limit
+  const adPlatformParams = {};
+  AD_PLATFORM_PARAMS.forEach(param => {
+    if (ga4Payload.events[0].params[param] !== undefined) {
+      adPlatformParams[param] = ga4Payload.events[0].params[param];
+      delete ga4Payload.events[0].params[param];
+    }
+  });
+  if (Object.keys(adPlatformParams).length > 0) {
+    ga4Payload.events[0].ad_platform_params = adPlatformParams;
+  }
+
+  // Add user_id if available and consent allows
+  if (processedData.params.user_id) {
+    ga4Payload.user_id = processedData.params.user_id;
+    // Remove from params to avoid duplication
+    delete processedData.params.user_id;
+  }
+  // Clean up consent object - only keep official GA4 fields
+  if (ga4Payload.consent) {
+    // Keep only the two official GA4 consent fields
+    const cleanConsent = {
+      ad_user_data: ga4Payload.consent.ad_user_data || "DENIED",
+      ad_personalization: ga4Payload.consent.ad_personalization || "DENIED"
+    };
+    ga4Payload.consent = cleanConsent;
+  }
+
+  // User-provided data (gtag user_data format) is only forwarded with ad_user_data consent
+  // and is hashed per destination before delivery (see hashUserData)
+  const userData = processedData.user_data || processedData.params.user_data;
+  delete processedData.params.user_data;
+  if (userData && ga4Payload.consent && ga4Payload.consent.ad_user_data === "GRANTED") {
+    ga4Payload.user_data = userData;
+  }
+
+
+  if (processedData.params.debug_mode == true) {
+    payloadDebug = true;
+  }
+
+  // Enforce GA4 limits by trimming the event instead of rejecting it
+  const trimmed = normalizeGA4Event(ga4Payload.events[0]);
+  if (trimmed.length > 0 && DEBUG_MODE) {
+    console.log("✂️ Event trimmed to GA4 limits:", JSON.stringify(trimmed));
+  }
+
+  if (DEBUG_MODE) {
+    if (processedData.name == 'page_view' || processedData.name == 'custom_session_start' || processedData.name == 'custom_first_visit') {
+      console.log("Traffic Type:" + processedData.params.traffic_type);
+    }
+  }
+
+  // Log the complete payload being sent to Google Analytics
+  if (DEBUG_MODE) {
+    console.log("📤 Complete GA4 Payload being sent to Google Analytics:");
+    console.log(JSON.stringify({ payload: ga4Payload }, null, 2));
+  }
+  
+  // Build headers for GA4 request using original headers when available
+  const ga4RequestHeaders = {
+    "Content-Type": "application/json",
+  };
+  
+  // Map WordPress header keys to proper HTTP header names for GA4
+  const headerMapping = {
+    'user_agent': 'User-Agent',
+    'accept_language': 'Accept-Language', 
+    'accept': 'Accept',
+    'referer': 'Referer',
+    'x_forwarded_for': 'X-Forwarded-For',
+    'x_real_ip': 'X-Real-IP'
+  };
+  
+  // Process and map headers from WordPress payload first
+  for (const [wpKey, httpHeader] of Object.entries(headerMapping)) {
+    if (originalHeaders[wpKey]) {
+      ga4RequestHeaders[httpHeader] = originalHeaders[wpKey];
+    }
+  }
+  
+  // Also check for direct header name matches (fallback)
+  const directHeaderNames = ['User-Agent', 'Accept-Language', 'Accept', 'Referer', 'X-Forwarded-For', 'X-Real-IP'];
+  for (const headerName of directHeaderNames) {
+    if (originalHeaders[headerName] && !ga4RequestHeaders[headerName]) {
+      ga4RequestHeaders[headerName] = originalHeaders[headerName];
+    }
+  }
+  
+  // Fallback: If headers aren't defined in payload, use headers from Cloudflare request
+  const essentialHeaders = ['User-Agent', 'Accept-Language', 'Accept', 'Referer'];
+  for (const headerName of essentialHeaders) {
+    if (!ga4RequestHeaders[headerName]) {
+      const cfHeaderValue = request.headers.get(headerName);
+      if (cfHeaderValue) {
+        ga4RequestHeaders[headerName] = cfHeaderValue;
       }
-      
-      return new Response(
-        JSON.stringify({
-          success: false,
-          error: "Security validation failed",
-          reason: securityCheck.reason,
-          details: securityCheck.details
-        }),
-        {
-          status: securityCheck.reason === "rate_limited" ? 429 : 403,
-          headers: {
-            "Content-Type": "application/json",
-            ...getCORSHeaders(request),
-          },
-        }
-      );
     }
+  }
+  
+  // Special handling for IP headers - prefer Cloudflare's IP detection
+  if (!ga4RequestHeaders['X-Forwarded-For']) {
+    const cfConnectingIP = request.headers.get('CF-Connecting-IP');
+    const xForwardedFor = request.headers.get('X-Forwarded-For');
+    const xRealIP = request.headers.get('X-Real-IP');
     
-    // Log security check success for regular requests
-    if (DEBUG_MODE) {
-      console.log("Security checks passed:", JSON.stringify({
-        origin: securityCheck.origin?.domain,
-        rateLimit: `${securityCheck.rateLimit?.count}/${securityCheck.rateLimit?.limit}`
-      }));
+    if (cfConnectingIP) {
+      ga4RequestHeaders['X-Forwarded-For'] = cfConnectingIP;
+    } else if (xForwardedFor) {
+      ga4RequestHeaders['X-Forwarded-For'] = xForwardedFor;
+    } else if (xRealIP) {
+      ga4RequestHeaders['X-Forwarded-For'] = xRealIP;
     }
-  } else if (isAuthenticated && DEBUG_MODE) {
-    console.log("🔐 Authenticated request - bypassing all security checks");
-  } else if (!isAuthenticated && requestType === "simple") {
-    // Simple requests: Only essential checks (payload size, basic rate limiting)
-    
+  }
+
+  // Forwarded IP headers follow the same IP policy as ip_override
+  for (const headerName of ['X-Forwarded-For', 'X-Real-IP']) {
+    const value = applyIpPolicy(ga4RequestHeaders[headerName], ipPolicyMode);
+    if (value) {
+      ga4RequestHeaders[headerName] = value;
+    } else {
+      delete ga4RequestHeaders[headerName];
+    }
+  }
+  
+  // Log final headers being sent to GA4
+  if (DEBUG_MODE) {
+    console.log('🚀 Headers being sent to GA4:', JSON.stringify(ga4RequestHeaders));
+  }
+
+  return {
+    ga4Payload: ga4Payload,
+    ga4RequestHeaders: ga4RequestHeaders,
+    processedData: processedData,
+    payloadDebug: payloadDebug,
+    trimmed: trimmed
+  };
+}
+
+/**
+ * Handle GA4 events (Enhanced with consent handling)
+ * @param {Object} payload
+ * @param {Request} request
+ */
+async function handleGA4Event(payload, request) {
+  const built = buildGA4Request(payload, request);
+  if (built.dropped) {
+    return await createResponse({
+      success: true,
+      event: built.processedData.name,
+      dropped: true,
+      dropped_by: built.dropped_by
+    }, request);
+  }
+  if (built.error) {
+    return new Response(JSON.stringify({ "error": built.error.message }), {
+      status: built.error.status,
+      headers: {
+        "Content-Type": "application/json",
+        ...getCORSHeaders(request),
+      },
+    });
+  }
+
+  const { ga4Payload, ga4RequestHeaders, processedData, payloadDebug, trimmed } = built;
+
+  // Send (or validate) the event for every matching GA4 destination
+  const validationMode = getValidationMode(request);
+  const deliveries = await deliverGA4Payload(ga4Payload, ga4RequestHeaders, request, validationMode);
+  const summary = summarizeDeliveries(deliveries, 0);
+
+  // Log the GA4 API responses
+  if (DEBUG_MODE) {
+    deliveries.forEach(delivery => {
+      console.log(`GA4 API Response Status (${delivery.destination}):`, delivery.status);
+      console.log(`GA4 API Response Body (${delivery.destination}):`, delivery.body);
+    });
+  }
+
+  // Prepare response data
+  const responseData = {
+    "success": summary.success,
+    "event": processedData.name,
+    "ga4_status": summary.status,
+    "ga4_response": DEBUG_MODE && deliveries.length > 0 ? deliveries[0].body : undefined,
+    "queued": summary.queued,
+    "routed": summary.routed,
+    "destinations": summary.destinations,
+    "error": summary.error,
+    "validated": summary.validated,
+    "valid": summary.validated ? summary.success && summary.validation_messages.length === 0 : undefined,
+    "validation_messages": summary.validation_messages,
+    "trimmed": trimmed.length > 0 ? trimmed : undefined,
+    "debug": payloadDebug ? ga4Payload : undefined,
+    "consent_applied": ga4Payload.consent ? true : false,
+    "consent_mode": ga4Payload.consent?.ad_user_data || 'unknown',
+    "request_type": request.headers.get("X-Simple-request") === "true" ? "simple" : "regular"
+  };
+
+  // Every destination failed and nothing could be queued for retry
+  let status = summary.queued ? 202 : 200;
+  if (deliveries.length > 0 && deliveries.every(delivery => !delivery.success)) {
+    status = 500;
+  }
+
+  // Return encrypted response if requested
+  return await createResponse(responseData, request, status);
+}
+
+/**
+ * Send a Measurement Protocol payload to GA4
+ * Network errors are reported as status 0 so callers can queue the payload for retry
+ * @param {Object} ga4Payload - Measurement Protocol payload
+ * @param {Object} ga4RequestHeaders - Headers for the GA4 request
+ * @param {Object} destination - GA4 destination ({ measurement_id, api_secret })
+ * @returns {Promise<Object>} { ok, status, body }
+ */
+async function sendToGA4(ga4Payload, ga4RequestHeaders, destination) {
+  try {
+    const ga4Response = await fetch(
+      `${GA4_ENDPOINT}?measurement_id=${destination.measurement_id}&api_secret=${destination.api_secret}`,
+      {
+        method: "POST",
+        headers: ga4RequestHeaders,
+        body: JSON.stringify(ga4Payload),
+      }
+    );
+
+    return {
+      ok: ga4Response.ok,
+      status: ga4Response.status,
+      body: await ga4Response.text()
+    };
+  } catch (error) {
+    return { ok: false, status: 0, body: error.message };
+  }
+}
+
+/**
+ * Resolve the validation mode for a request
+ * The X-GA4-Validate header ("true", "validate_only" or "validate_and_send") overrides the env setting
+ * @param {Request} request - The incoming request
+ * @returns {string} "off", "validate_only" or "validate_and_send"
+ */
+function getValidationMode(request) {
+  const header = (request.headers.get("X-GA4-Validate") || "").toLowerCase();
+  if (header === "true" || header === "validate_only") {
+    return "validate_only";
+  }
+  if (header === "validate_and_send") {
+    return "validate_and_send";
+  }
+
+  const mode = VALIDATION_MODE || GA4_VALIDATION_MODE;
+  return ["validate_only", "validate_and_send"].includes(mode) ? mode : "off";
+}
+
+/**
+ * Validate a Measurement Protocol payload with the GA4 debug endpoint
+ * @param {Object} ga4Payload - Measurement Protocol payload
+ * @param {Object} ga4RequestHeaders - Headers for the GA4 request
+ * @param {Object} destination - GA4 destination ({ measurement_id, api_secret })
+ * @returns {Promise<Object>} { ok, status, validation_messages, error }
+ */
+async function validateWithGA4(ga4Payload, ga4RequestHeaders, destination) {
+  try {
+    const debugResponse = await fetch(
+      `${GA4_DEBUG_URL || GA4_DEBUG_ENDPOINT}?measurement_id=${destination.measurement_id}&api_secret=${destination.api_secret}`,
+      {
+        method: "POST",
+        headers: ga4RequestHeaders,
+        body: JSON.stringify(ga4Payload),
+      }
+    );
+
+    const debugBody = await debugResponse.json().catch(() => ({}));
+    const validationMessages = (debugBody.validationMessages || []).map(message => ({
+      field_path: message.fieldPath,
+      description: message.description,
+      validation_code: message.validationCode
+    }));
+
     if (DEBUG_MODE) {
-      console.log("⚡ Simple request - bypassing and origin validation");
+      console.log("🔎 GA4 validation result:", JSON.stringify(validationMessages));
     }
-  } else if (!isAuthenticated && requestType === "sendbeacon") {
-    // sendBeacon requests: Fastest processing, minimal security checks    
 
-    // Still validate payload size for sendBeacon requests
-    if (!validatePayloadSize(request)) {
-      return new Response(
-        JSON.stringify({
-          success: false,
-          error: "Payload too large",
-          details: `Payload exceeds ${MAX_PAYLOAD_SIZE} bytes`
-        }),
-        {
-          status: 413,
-          headers: {
-            "Content-Type": "application/json",
-            ...getCORSHeaders(request),
-          },
-        }
-      );
+    return {
+      ok: debugResponse.ok,
+      status: debugResponse.status,
+      validation_messages: validationMessages,
+      error: debugResponse.ok ? undefined : `GA4 debug endpoint error: ${debugResponse.status}`
+    };
+  } catch (error) {
+    return { ok: false, status: 0, validation_messages: [], error: error.message };
+  }
+}
+
+/**
+ * Assign validation messages of a multi-event request back to its events
+ * Messages with an "events[N]" field path belong to that event, others apply to all
+ * @param {Array<Object>} messages - Validation messages from validateWithGA4
+ * @param {number} eventCount - Number of events in the request
+ * @returns {Array<Array<Object>>} Messages per event position
+ */
+function splitValidationMessages(messages, eventCount) {
+  const perEvent = Array.from({ length: eventCount }, () => []);
+
+  for (const message of messages) {
+    const match = /^events\[(\d+)\]/.exec(message.field_path || "");
+    if (match && perEvent[parseInt(match[1])]) {
+      perEvent[parseInt(match[1])].push(message);
+    } else {
+      perEvent.forEach(eventMessages => eventMessages.push(message));
+    }
+  }
+
+  return perEvent;
+}
+
+/**
+ * Create response with optional encryption
+ * @param {Object} responseData - Data to send in response
+ * @param {Request} request - Original request to check encryption headers
+ * @param {number} status - HTTP status code (defaults to 200)
+ * @returns {Promise<Response>} - Response object
+ */
+async function createResponse(responseData, request, status = 200) {
+  let responseBody = JSON.stringify(responseData);
+  const headers = {
+    "Content-Type": "application/json",
+    ...getCORSHeaders(request),
+  };
+
+  // Always send responses as plain text (no encryption)
+  if (DEBUG_MODE) {
+    console.log("📤 Response sent as plain text (encryption disabled for responses)");
+  }
+
+  return new Response(responseBody, { status, headers });
+}
+
+/**
+ * =============================================================================
+ * GA4 DESTINATIONS
+ * =============================================================================
+ */
+
+/**
+ * Load GA4 destinations from env.GA4_DESTINATIONS
+ * Example:
+ * [
+ *   { "id": "site", "measurement_id": "G-AAA", "api_secret_env": "GA4_API_SECRET" },
+ *   { "id": "rollup", "measurement_id": "G-BBB", "api_secret": "...",
+ *     "events": ["purchase", "page_view"], "hostnames": ["*.example.com"],
+ *     "require_consent": ["ad_user_data"], "traffic_quality": ["human", "suspect"],
+ *     "rewrites": { "rename": { "page_title": "site_page_title" }, "set": { "site": "nl" }, "remove": ["debug_mode"] } }
+ * ]
+ * Any "<field>_env" (api_secret_env, access_token_env, ...) names an env secret holding <field>
+ * so the JSON itself can be a plain variable.
+ * "transport" selects the adapter from GA4_TRANSPORTS: "mp" (default, Measurement Protocol)
+ * or "sgtm" with "endpoint" set to the server-side GTM container URL (no api_secret needed),
+ * or "meta_capi" with "pixel_id" and "access_token" (or "access_token_env") for the Meta Conversions API,
+ * or "google_ads" with "customer_id", "developer_token", OAuth credentials and "conversion_actions"
+ * ({ "purchase": "<conversion action id>" }) for Google Ads click conversion uploads.
+ * Fields required by each transport and its default filters are listed in GA4_TRANSPORTS.
+ * Without GA4_DESTINATIONS a single "default" destination uses GA4_MEASUREMENT_ID/GA4_API_SECRET.
+ * @param {Object} env - Worker environment
+ * @returns {Array<Object>} Destinations
+ */
+function loadGA4Destinations(env) {
+  if (env.GA4_DESTINATIONS) {
+    try {
+      const configured = typeof env.GA4_DESTINATIONS === 'string'
+        ? JSON.parse(env.GA4_DESTINATIONS)
+        : env.GA4_DESTINATIONS;
+
+      const destinations = configured
+        .map((destination, index) => {
+          const resolved = {
+            ...destination,
+            id: destination.id || `destination_${index + 1}`,
+            transport: destination.transport || "mp"
+          };
+          for (const [key, envName] of Object.entries(destination)) {
+            const field = key.slice(0, -"_env".length);
+            if (key.endsWith("_env") && !resolved[field]) {
+              resolved[field] = env[envName];
+            }
+          }
+          return resolved;
+        })
+        .filter(destination => {
+          const transport = GA4_TRANSPORTS[destination.transport];
+          if (!transport) {
+            console.warn(`❌ Unknown transport "${destination.transport}" for destination ${destination.id}`);
+            return false;
+          }
+          return transport.required.every(field => destination[field]);
+        })
+        .map(destination => {
+          const defaults = GA4_TRANSPORTS[destination.transport].defaults;
+          return { ...(typeof defaults === "function" ? defaults(destination) : defaults), ...destination };
+        });
+
+      if (destinations.length > 0) {
+        return destinations;
+      }
+      console.warn('❌ GA4_DESTINATIONS has no usable destinations, using GA4_MEASUREMENT_ID');
+    } catch (error) {
+      console.warn('❌ Invalid GA4_DESTINATIONS, using GA4_MEASUREMENT_ID:', error.message);
+    }
+  }
+
+  return [{ id: "default", transport: "mp", measurement_id: GA4_MEASUREMENT_ID, api_secret: GA4_API_SECRET }];
+}
+
+/**
+ * Find a configured destination by id
+ * @param {string} id - Destination id
+ * @returns {Object|null} Destination or null
+ */
+function getDestinationById(id) {
+  const destinations = GA4_DESTINATIONS || loadGA4Destinations({});
+  return destinations.find(destination => destination.id === id) || null;
+}
+
+/**
+ * Match a hostname against a pattern ("example.com" exact, "*.example.com" any subdomain)
+ * @param {string} hostname - Lowercase hostname
+ * @param {string} pattern - Hostname pattern
+ * @returns {boolean} Whether the hostname matches
+ */
+function matchesHostnamePattern(hostname, pattern) {
+  const normalizedPattern = String(pattern).trim().toLowerCase();
+  if (normalizedPattern.startsWith('*.')) {
+    return hostname.endsWith(normalizedPattern.substring(1));
+  }
+  return hostname === normalizedPattern;
+}
+
+/**
+ * Get the site hostname of a request from its Origin or Referer header
+ * @param {Request} request - The incoming request
+ * @returns {string|null} Lowercase hostname
+ */
+function getRequestHostname(request) {
+  const source = request.headers.get("Origin") || request.headers.get("Referer");
+  if (!source) return null;
+
+  try {
+    return new URL(source).hostname.toLowerCase();
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Check the destination filters (event allowlist, hostname, traffic quality, consent) for one event
+ * @param {Object} destination - GA4 destination
+ * @param {Object} event - Measurement Protocol event ({ name, params })
+ * @param {Object} consent - Request-level consent ({ ad_user_data, ad_personalization })
+ * @param {string|null} fallbackHostname - Hostname of the request, used without page_location
+ * @returns {boolean} Whether the event should be sent to the destination
+ */
+function destinationAcceptsEvent(destination, event, consent, fallbackHostname) {
+  if (Array.isArray(destination.events) && destination.events.length > 0 &&
+      !destination.events.includes(event.name)) {
+    return false;
+  }
+
+  if (Array.isArray(destination.hostnames) && destination.hostnames.length > 0) {
+    let hostname = fallbackHostname;
+    if (event.params?.page_location) {
+      try {
+        hostname = new URL(event.params.page_location).hostname.toLowerCase();
+      } catch (e) {
+        // Keep the request hostname
+      }
+    }
+
+    if (!hostname || !destination.hostnames.some(pattern => matchesHostnamePattern(hostname, pattern))) {
+      return false;
     }
-    
-    // Basic rate limiting for sendBeacon requests (more lenient than regular requests)
-    const rateLimitCheck = await checkRateLimit(request);
-    if (!rateLimitCheck.allowed) {
-      return new Response(
-        JSON.stringify({
-          success: false,
-          error: "Rate limit exceeded",
-          details: `${rateLimitCheck.count}/${rateLimitCheck.limit} requests in window`
-        }),
-        {
-          status: 429,
-          headers: {
-            "Content-Type": "application/json",
-            ...getCORSHeaders(request),
-          },
+  }
+
+  // Events without a traffic_quality tag (bot detection bypassed or in block mode) count as human
+  if (Array.isArray(destination.traffic_quality) && destination.traffic_quality.length > 0 &&
+      !destination.traffic_quality.includes(event.params?.traffic_quality || "human")) {
+    return false;
+  }
+
+  const requiredConsent = [].concat(destination.require_consent || []);
+  return requiredConsent.every(consentType => (consent || {})[consentType] === "GRANTED");
+}
+
+/**
+ * Apply a destination's parameter rewrites (rename, then remove, then set) to a payload copy
+ * @param {Object} destination - GA4 destination
+ * @param {Object} ga4Payload - Measurement Protocol payload
+ * @returns {Object} Rewritten payload (the input is not modified)
+ */
+function applyDestinationRewrites(destination, ga4Payload) {
+  const events = JSON.parse(JSON.stringify(ga4Payload.events));
+  const rewrites = destination.rewrites;
+
+  if (rewrites) {
+    for (const event of events) {
+      const params = event.params || (event.params = {});
+
+      for (const [from, to] of Object.entries(rewrites.rename || {})) {
+        if (Object.prototype.hasOwnProperty.call(params, from)) {
+          params[to] = params[from];
+          delete params[from];
         }
-      );
+      }
+
+      for (const name of rewrites.remove || []) {
+        delete params[name];
+      }
+
+      Object.assign(params, rewrites.set || {});
     }
-  } else if (requestType === "wp_standard" || requestType === "wp_encrypted") {
-    
-    if (DEBUG_MODE) {
-      console.log(`🔒 WordPress ${requestType === "wp_encrypted" ? "encrypted" : "standard"} request - skipping validation`);
+  }
+
+  return { ...ga4Payload, events: events };
+}
+
+/**
+ * Send (or validate) a Measurement Protocol payload to every matching destination
+ * using the transport adapter configured for that destination
+ * Each destination only receives the events that pass its filters, and failures are
+ * queued for retry per destination so one broken property does not affect the others
+ * @param {Object} ga4Payload - Measurement Protocol payload (one or more events)
+ * @param {Object} ga4RequestHeaders - Headers for the GA4 request
+ * @param {Request} request - The incoming request
+ * @param {string} validationMode - "off", "validate_only" or "validate_and_send"
+ * @returns {Promise<Array<Object>>} One delivery per destination with the event positions it carried
+ */
+async function deliverGA4Payload(ga4Payload, ga4RequestHeaders, request, validationMode = "off") {
+  const fallbackHostname = getRequestHostname(request);
+  const deliveries = [];
+
+  for (const destination of GA4_DESTINATIONS || loadGA4Destinations({})) {
+    const positions = [];
+    ga4Payload.events.forEach((event, position) => {
+      if (destinationAcceptsEvent(destination, event, ga4Payload.consent, fallbackHostname)) {
+        positions.push(position);
+      }
+    });
+
+    if (positions.length === 0) {
+      continue;
     }
-    
-    // Still validate payload size for WordPress requests
-    if (!validatePayloadSize(request)) {
-      return new Response(
-        JSON.stringify({
-          success: false,
-          error: "Payload too large",
-          details: `Payload exceeds ${MAX_PAYLOAD_SIZE} bytes`
-        }),
-        {
-          status: 413,
-          headers: {
-            "Content-Type": "application/json",
-            ...getCORSHeaders(request),
-          },
-        }
-      );
+
+    const destinationPayload = applyDestinationRewrites(destination, {
+      ...ga4Payload,
+      events: positions.map(position => ga4Payload.events[position])
+    });
+    const transport = getTransport(destination);
+    if (!transport.ad_platform_params) {
+      destinationPayload.events.forEach(event => delete event.ad_platform_params);
     }
-    
-    // Apply rate limiting for WordPress requests
-    const rateLimitCheck = await checkRateLimit(request);
-    if (!rateLimitCheck.allowed) {
-      return new Response(
-        JSON.stringify({
-          success: false,
-          error: "Rate limit exceeded",
-          details: `${rateLimitCheck.count}/${rateLimitCheck.limit} requests in window`
-        }),
-        {
-          status: 429,
-          headers: {
-            "Content-Type": "application/json",
-            ...getCORSHeaders(request),
-          },
-        }
-      );
+    const delivery = { destination: destination.id, positions: positions, success: true, status: 0 };
+
+    if (destinationPayload.user_data) {
+      destinationPayload.user_data = await hashUserData(destinationPayload.user_data, transport.phone_format);
     }
-    
-    // Optional: Validate origin for WordPress requests (less strict than regular)
-    const originCheck = validateOrigin(request);
-    if (!originCheck.valid) {
-      if (DEBUG_MODE) {
-        console.log("WordPress request origin validation failed:", JSON.stringify(originCheck));
+
+    if (validationMode !== "off" && !transport.validate) {
+      // The transport has no validation endpoint (e.g. sGTM): report it and send as usual
+      delivery.validation_skipped = true;
+      if (validationMode === "validate_only") {
+        delivery.validated = true;
+        deliveries.push(delivery);
+        continue;
+      }
+    } else if (validationMode !== "off") {
+      const validation = await transport.validate(destinationPayload, ga4RequestHeaders, destination);
+      delivery.validation_messages = splitValidationMessages(validation.validation_messages, positions.length);
+
+      if (validationMode === "validate_only") {
+        delivery.validated = true;
+        delivery.success = validation.ok;
+        delivery.status = validation.status;
+        delivery.error = validation.error;
+        deliveries.push(delivery);
+        continue;
       }
-      // Could return error here if strict origin validation is required
-      // For now, just log the warning but continue processing
     }
-  }
 
-  try {
-    // Parse the request body
-    let payload = await request.json();
+    const ga4Result = await transport.send(destinationPayload, ga4RequestHeaders, destination);
+    delivery.status = ga4Result.status;
+    delivery.body = ga4Result.body;
+    if (ga4Result.event_results) {
+      delivery.event_results = ga4Result.event_results;
+    }
 
-    // Check if the request uses JWT encryption (skip for Simple requests)
-    const isJWTEncrypted = requestType === "wp_encrypted" || 
-                          (requestType === "regular" && request.headers.get('X-Encrypted') === 'true') ||
-                          (payload.encrypted === true && payload.jwt); // Check payload structure for cron jobs
-    
-    if (isJWTEncrypted) {
-      if (!JWT_ENCRYPTION_ENABLED) {
-        console.warn("❌ X-Encrypted header present but JWT_ENCRYPTION_ENABLED is false");
-      } else if (!ENCRYPTION_KEY) {
-        console.warn("❌ X-Encrypted header present but ENCRYPTION_KEY is not set");
-      } else {
+    if (!ga4Result.ok) {
+      delivery.success = false;
+      delivery.error = `${transport.name} error: ${ga4Result.status} ${ga4Result.body}`;
+
+      // Other 4xx responses fail the same way on every attempt and are reported straight away
+      if (RETRY_QUEUE_ENABLED && isRetryableStatus(ga4Result.status)) {
         try {
-          // Handle different JWT formats based on request type
-          if (requestType === "wp_encrypted") {
-            // WordPress encrypted requests use permanent JWT format
-            if (payload.jwt) {
-              const decryptedData = await decrypt(payload.jwt, ENCRYPTION_KEY);
-              payload = JSON.parse(decryptedData);
-              
-              if (DEBUG_MODE) {
-                console.log("Decrypted WordPress payload:", JSON.stringify(payload));
-              }
-            } else {
-              console.warn("❌ WordPress encrypted request but no JWT token found");
-              if (DEBUG_MODE) {
-                console.log("Available payload fields:", Object.keys(payload));
-                console.log("Full payload:", JSON.stringify(payload));
-              }
-            }
-          } else if (payload.encrypted === true && payload.jwt) {
-            // Cron job encrypted requests use {encrypted: true, jwt: <data>} format
-            const decryptedData = await decrypt(payload.jwt, ENCRYPTION_KEY);
-            payload = JSON.parse(decryptedData);
-            
-            if (DEBUG_MODE) {
-              console.log("Decrypted cron job payload:", JSON.stringify(payload));
-            }
-          } else {
-            // Regular encrypted requests use legacy jwt format
-            if (payload.jwt) {
-              const decryptedData = await decrypt(payload.jwt, ENCRYPTION_KEY);
-              payload = JSON.parse(decryptedData);
-              
-              if (DEBUG_MODE) {
-                console.log("Decrypted regular payload:", JSON.stringify(payload));
-              }
-            } else {
-              console.warn("❌ Request marked as JWT encrypted but no JWT token found");
-              if (DEBUG_MODE) {
-                console.log("Available payload fields:", Object.keys(payload));
-                console.log("Full payload:", JSON.stringify(payload));
-              }
-            }
-          }
-        } catch (decryptError) {
-          console.error("❌ Failed to verify JWT token:", decryptError);
-          return new Response(
-            JSON.stringify({
-              success: false,
-              error: "JWT verification failed",
-              details: decryptError.message
-            }),
-            {
-              status: 400,
-              headers: {
-                "Content-Type": "application/json",
-                ...getCORSHeaders(request),
-              },
-            }
-          );
+          const queueEntry = await enqueueFailedEvent(destinationPayload, ga4RequestHeaders, ga4Result, destination.id);
+          delivery.success = true;
+          delivery.queued = true;
+          delivery.retry_id = queueEntry.id;
+          delivery.status = 202;
+        } catch (queueError) {
+          // enqueueFailedEvent already logged the storage failure
         }
       }
     }
 
-    // Check if this is a batch request
-    if (payload.events && Array.isArray(payload.events) && payload.events.length > 0) {
-      return await handleBatchEvents(payload, request);
+    deliveries.push(delivery);
+  }
+
+  return deliveries;
+}
+
+/**
+ * Summarize the deliveries of one event (by its position in the sent payload)
+ * @param {Array<Object>} deliveries - Result of deliverGA4Payload
+ * @param {number} position - Event position in the payload
+ * @returns {Object} Per-event result with per-destination details
+ */
+function summarizeDeliveries(deliveries, position) {
+  const eventDeliveries = deliveries.filter(delivery => delivery.positions.includes(position));
+  const failed = eventDeliveries.filter(delivery => !delivery.success);
+  const validated = eventDeliveries.some(delivery => delivery.validation_messages);
+
+  const validationMessages = eventDeliveries.flatMap(delivery => {
+    if (!delivery.validation_messages) return [];
+    return delivery.validation_messages[delivery.positions.indexOf(position)]
+      .map(message => ({ destination: delivery.destination, ...message }));
+  });
+
+  return {
+    success: failed.length === 0,
+    status: eventDeliveries.length > 0 ? eventDeliveries[0].status : 0,
+    queued: eventDeliveries.some(delivery => delivery.queued) || undefined,
+    routed: eventDeliveries.length > 0,
+    validated: eventDeliveries.some(delivery => delivery.validated) || undefined,
+    error: failed.length > 0
+      ? failed.map(delivery => `${delivery.destination}: ${delivery.error}`).join('; ')
+      : undefined,
+    validation_messages: validated ? validationMessages : undefined,
+    destinations: eventDeliveries.map(delivery => {
+      // Per-event acceptance reported by transports that upload conversions individually
+      const eventResult = delivery.event_results
+        ? delivery.event_results[delivery.positions.indexOf(position)]
+        : undefined;
+
+      return {
+        id: delivery.destination,
+        success: delivery.success,
+        status: delivery.status,
+        queued: delivery.queued,
+        retry_id: delivery.retry_id,
+        error: delivery.error,
+        accepted: eventResult ? eventResult.accepted : undefined,
+        rejection: eventResult ? eventResult.error : undefined
+      };
+    })
+  };
+}
+
+/**
+ * =============================================================================
+ * AD PLATFORM DESTINATIONS
+ * =============================================================================
+ */
+
+// Maximum number of emails, phone numbers and addresses GA4 accepts in user_data
+const USER_DATA_MAX_VALUES = 10;
+
+/**
+ * SHA-256 hash a string as lowercase hex
+ * @param {string} value - Value to hash
+ * @returns {Promise<string>} Hex digest
+ */
+async function sha256Hex(value) {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(value));
+  return Array.from(new Uint8Array(digest))
+    .map(byte => byte.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+/**
+ * Normalize and hash a user data value; values that are already SHA-256 hex are kept
+ * @param {string} value - Plain or hashed value
+ * @param {Function} normalize - Normalization applied before hashing
+ * @returns {Promise<string|null>} Hex digest or null for empty values
+ */
+async function hashUserDataValue(value, normalize) {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+
+  const stringValue = String(value);
+  if (/^[a-f0-9]{64}$/i.test(stringValue)) {
+    return stringValue.toLowerCase();
+  }
+
+  const normalized = normalize(stringValue);
+  return normalized ? await sha256Hex(normalized) : null;
+}
+
+/**
+ * Convert user-provided data to the hashed Measurement Protocol user_data format
+ * Accepts the gtag format ({ email, phone_number, address: { first_name, ... } }) or
+ * already hashed sha256_* fields. Plain values never leave the worker.
+ * @param {Object} userData - User-provided data
+ * @param {string} phoneFormat - "e164" (+31612345678, Google) or "digits" (31612345678, Meta)
+ * @returns {Promise<Object|undefined>} { sha256_email_address, sha256_phone_number, address }
+ */
+async function hashUserData(userData, phoneFormat = "e164") {
+  const normalizeText = value => value.trim().toLowerCase();
+  const normalizePhone = value => {
+    const digits = value.replace(/\D/g, "");
+    if (!digits) return "";
+    return phoneFormat === "digits" ? digits : `+${digits}`;
+  };
+  const hashAll = async (values, normalize) => (await Promise.all(
+    values.slice(0, USER_DATA_MAX_VALUES).map(value => hashUserDataValue(value, normalize))
+  )).filter(Boolean);
+
+  const hashed = {};
+
+  const emails = await hashAll(
+    [].concat(userData.email || [], userData.sha256_email_address || []), normalizeText);
+  if (emails.length > 0) hashed.sha256_email_address = emails;
+
+  const phones = await hashAll(
+    [].concat(userData.phone_number || [], userData.sha256_phone_number || []), normalizePhone);
+  if (phones.length > 0) hashed.sha256_phone_number = phones;
+
+  const addresses = [];
+  for (const address of [].concat(userData.address || []).slice(0, USER_DATA_MAX_VALUES)) {
+    const hashedAddress = {
+      sha256_first_name: await hashUserDataValue(address.first_name || address.sha256_first_name, normalizeText),
+      sha256_last_name: await hashUserDataValue(address.last_name || address.sha256_last_name, normalizeText),
+      sha256_street: await hashUserDataValue(address.street || address.sha256_street, normalizeText),
+      city: address.city ? normalizeText(String(address.city)) : null,
+      region: address.region ? normalizeText(String(address.region)) : null,
+      postal_code: address.postal_code ? String(address.postal_code).replace(/\s/g, "").toLowerCase() : null,
+      country: address.country ? String(address.country).trim().toUpperCase() : null
+    };
+    Object.keys(hashedAddress).forEach(key => hashedAddress[key] === null && delete hashedAddress[key]);
+    if (Object.keys(hashedAddress).length > 0) addresses.push(hashedAddress);
+  }
+  if (addresses.length > 0) hashed.address = addresses;
+
+  return Object.keys(hashed).length > 0 ? hashed : undefined;
+}
+
+// Meta Conversions API
+const META_CAPI_ENDPOINT = "https://graph.facebook.com/v19.0";
+
+// Event params that only ad platform transports receive (moved to event.ad_platform_params)
+const AD_PLATFORM_PARAMS = ["event_id", "fbp", "fbc"];
+
+// GA4 event names and their Meta standard event; other events keep their GA4 name
+const META_EVENT_NAMES = {
+  purchase: "Purchase",
+  add_to_cart: "AddToCart",
+  begin_checkout: "InitiateCheckout",
+  form_conversion: "Lead"
+};
+
+/**
+ * Build Meta user_data from the hashed GA4 user_data, client id, IP, user agent and _fbp/_fbc
+ * @param {Object} ga4Payload - Measurement Protocol payload (user_data already hashed)
+ * @param {Object} adPlatformParams - The event's ad_platform_params ({ event_id, fbp, fbc })
+ * @param {Object} ga4RequestHeaders - Headers for the outgoing request
+ * @returns {Promise<Object>} Meta user_data
+ */
+async function buildMetaUserData(ga4Payload, adPlatformParams, ga4RequestHeaders) {
+  const metaUserData = {};
+  const userData = ga4Payload.user_data || {};
+  const address = (userData.address || [])[0] || {};
+
+  if (userData.sha256_email_address) metaUserData.em = userData.sha256_email_address;
+  if (userData.sha256_phone_number) metaUserData.ph = userData.sha256_phone_number;
+  if (address.sha256_first_name) metaUserData.fn = address.sha256_first_name;
+  if (address.sha256_last_name) metaUserData.ln = address.sha256_last_name;
+
+  // Meta expects location fields hashed as well (GA4 keeps them plain)
+  const stripSpaces = value => value.replace(/\s/g, "").toLowerCase();
+  if (address.city) metaUserData.ct = await hashUserDataValue(address.city, stripSpaces);
+  if (address.region) metaUserData.st = await hashUserDataValue(address.region, stripSpaces);
+  if (address.postal_code) metaUserData.zp = await hashUserDataValue(address.postal_code, stripSpaces);
+  if (address.country) metaUserData.country = await hashUserDataValue(address.country, stripSpaces);
+
+  if (ga4Payload.client_id) metaUserData.external_id = [await sha256Hex(String(ga4Payload.client_id))];
+  // IP_POLICY can allow a (truncated) ip_override without consent; Meta only gets it with ad_user_data consent
+  if (ga4Payload.ip_override && ga4Payload.consent?.ad_user_data === "GRANTED") {
+    metaUserData.client_ip_address = ga4Payload.ip_override;
+  }
+
+  const userAgent = ga4Payload.user_agent || ga4RequestHeaders["User-Agent"];
+  if (userAgent) metaUserData.client_user_agent = userAgent;
+  if (adPlatformParams.fbp) metaUserData.fbp = adPlatformParams.fbp;
+  if (adPlatformParams.fbc) metaUserData.fbc = adPlatformParams.fbc;
+
+  return metaUserData;
+}
+
+/**
+ * Map GA4 ecommerce params (items, value, currency, transaction_id) to Meta custom_data
+ * @param {Object} params - Event parameters
+ * @returns {Object} Meta custom_data
+ */
+function buildMetaCustomData(params) {
+  const customData = {};
+
+  if (params.currency) customData.currency = params.currency;
+  if (params.value !== undefined && params.value !== null) customData.value = Number(params.value);
+  if (params.transaction_id) customData.order_id = String(params.transaction_id);
+
+  if (Array.isArray(params.items) && params.items.length > 0) {
+    const contents = params.items
+      .filter(item => item.item_id !== undefined || item.item_name)
+      .map(item => ({
+        id: String(item.item_id !== undefined ? item.item_id : item.item_name),
+        quantity: Number(item.quantity) || 1,
+        ...(item.price !== undefined && { item_price: Number(item.price) })
+      }));
+
+    customData.content_type = "product";
+    customData.contents = contents;
+    customData.content_ids = contents.map(content => content.id);
+    customData.num_items = contents.reduce((total, content) => total + content.quantity, 0);
+  }
+
+  return customData;
+}
+
+/**
+ * Send a Measurement Protocol payload to the Meta Conversions API
+ * event_id is passed through so Meta can deduplicate against the browser pixel.
+ * destination.endpoint overrides the Graph API base URL (e.g. a local mock) and
+ * destination.test_event_code sends to Events Manager's test events.
+ * @param {Object} ga4Payload - Measurement Protocol payload
+ * @param {Object} ga4RequestHeaders - Headers for the outgoing request
+ * @param {Object} destination - Meta destination ({ pixel_id, access_token })
+ * @returns {Promise<Object>} { ok, status, body }
+ */
+async function sendToMetaCAPI(ga4Payload, ga4RequestHeaders, destination) {
+  const data = [];
+
+  for (const event of ga4Payload.events || []) {
+    const params = event.params || {};
+    const adPlatformParams = event.ad_platform_params || {};
+    const eventTime = params.event_timestamp
+      ? Number(params.event_timestamp)
+      : Math.floor((ga4Payload.timestamp_micros ? ga4Payload.timestamp_micros / 1000 : Date.now()) / 1000);
+
+    const metaEvent = {
+      event_name: META_EVENT_NAMES[event.name] || event.name,
+      event_time: eventTime,
+      action_source: "website",
+      user_data: await buildMetaUserData(ga4Payload, adPlatformParams, ga4RequestHeaders),
+      custom_data: buildMetaCustomData(params)
+    };
+    if (adPlatformParams.event_id) metaEvent.event_id = String(adPlatformParams.event_id);
+    if (params.page_location) metaEvent.event_source_url = params.page_location;
+
+    data.push(metaEvent);
+  }
+
+  const body = { data: data };
+  if (destination.test_event_code) {
+    body.test_event_code = destination.test_event_code;
+  }
+
+  const endpoint = (destination.endpoint || META_CAPI_ENDPOINT).replace(/\/+$/, "");
+
+  try {
+    const metaResponse = await fetch(
+      `${endpoint}/${destination.pixel_id}/events?access_token=${encodeURIComponent(destination.access_token)}`,
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+      }
+    );
+
+    const responseBody = await metaResponse.text();
+    if (DEBUG_MODE) {
+      console.log(`Meta CAPI Response Status (${destination.id}):`, metaResponse.status);
+      console.log(`Meta CAPI Response Body (${destination.id}):`, responseBody);
+    }
+
+    return { ok: metaResponse.ok, status: metaResponse.status, body: responseBody };
+  } catch (error) {
+    return { ok: false, status: 0, body: error.message };
+  }
+}
+
+// Google Ads click conversion uploads (gclid and enhanced conversions for leads)
+const GOOGLE_ADS_ENDPOINT = "https://googleads.googleapis.com/v17";
+const GOOGLE_OAUTH_TOKEN_ENDPOINT = "https://oauth2.googleapis.com/token";
+
+// OAuth access tokens per destination id, kept for the lifetime of the isolate
+const googleAdsAccessTokens = new Map();
+
+/**
+ * Get an OAuth access token for a Google Ads destination
+ * A static access_token is used as-is (e.g. against a mock endpoint); otherwise the
+ * refresh_token is exchanged and the result cached until shortly before it expires.
+ * @param {Object} destination - Google Ads destination
+ * @returns {Promise<string>} Access token
+ */
+async function getGoogleAdsAccessToken(destination) {
+  if (destination.access_token) {
+    return destination.access_token;
+  }
+
+  const cached = googleAdsAccessTokens.get(destination.id);
+  if (cached && cached.expires_at > Date.now()) {
+    return cached.token;
+  }
+
+  const tokenResponse = await fetch(destination.token_endpoint || GOOGLE_OAUTH_TOKEN_ENDPOINT, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams({
+      client_id: destination.client_id || "",
+      client_secret: destination.client_secret || "",
+      refresh_token: destination.refresh_token || "",
+      grant_type: "refresh_token"
+    }).toString(),
+  });
+
+  if (!tokenResponse.ok) {
+    throw new Error(`Google OAuth token request failed: ${tokenResponse.status} ${await tokenResponse.text()}`);
+  }
+
+  const tokenData = await tokenResponse.json();
+  googleAdsAccessTokens.set(destination.id, {
+    token: tokenData.access_token,
+    // Refresh a minute early so a token never expires mid-request
+    expires_at: Date.now() + ((tokenData.expires_in || 3600) - 60) * 1000
+  });
+
+  return tokenData.access_token;
+}
+
+/**
+ * Format a unix timestamp (seconds) as a Google Ads conversion date time
+ * @param {number} seconds - Unix timestamp in seconds
+ * @returns {string} e.g. "2024-05-01 13:45:00+00:00"
+ */
+function formatGoogleAdsDateTime(seconds) {
+  return new Date(seconds * 1000).toISOString().replace("T", " ").replace(/\.\d+Z$/, "+00:00");
+}
+
+/**
+ * Map a GA4 event to a Google Ads ClickConversion
+ * Needs a gclid or hashed email/phone (user_data is only present with ad_user_data consent).
+ * @param {Object} ga4Payload - Measurement Protocol payload (user_data already hashed)
+ * @param {Object} event - GA4 event
+ * @param {Object} destination - Google Ads destination
+ * @returns {Object} { conversion } or { error }
+ */
+function buildGoogleAdsConversion(ga4Payload, event, destination) {
+  const params = event.params || {};
+  const conversionActionId = destination.conversion_actions[event.name];
+  if (!conversionActionId) {
+    return { error: `No conversion action configured for ${event.name}` };
+  }
+
+  const userData = ga4Payload.user_data || {};
+  const userIdentifiers = [
+    ...(userData.sha256_email_address || []).map(hash => ({ hashedEmail: hash })),
+    ...(userData.sha256_phone_number || []).map(hash => ({ hashedPhoneNumber: hash }))
+  ];
+
+  if (!params.gclid && userIdentifiers.length === 0) {
+    return { error: "No gclid or user identifiers" };
+  }
+
+  const customerId = String(destination.customer_id).replace(/-/g, "");
+  const eventTime = params.event_timestamp
+    ? Number(params.event_timestamp)
+    : Math.floor((ga4Payload.timestamp_micros ? ga4Payload.timestamp_micros / 1000 : Date.now()) / 1000);
+
+  const conversion = {
+    conversionAction: `customers/${customerId}/conversionActions/${conversionActionId}`,
+    conversionDateTime: formatGoogleAdsDateTime(eventTime)
+  };
+
+  if (params.gclid) conversion.gclid = params.gclid;
+  if (userIdentifiers.length > 0) conversion.userIdentifiers = userIdentifiers;
+  if (params.value !== undefined && params.value !== null) conversion.conversionValue = Number(params.value);
+  if (params.currency) conversion.currencyCode = params.currency;
+  if (params.transaction_id) conversion.orderId = String(params.transaction_id);
+
+  if (ga4Payload.consent) {
+    conversion.consent = {
+      adUserData: ga4Payload.consent.ad_user_data || "DENIED",
+      adPersonalization: ga4Payload.consent.ad_personalization || "DENIED"
+    };
+  }
+
+  return { conversion: conversion };
+}
+
+/**
+ * Upload the events of a payload as Google Ads click conversions (partial failure enabled)
+ * Rejected conversions are reported per event in event_results; they are not retried
+ * because the same conversion would be rejected again.
+ * @param {Object} ga4Payload - Measurement Protocol payload
+ * @param {Object} ga4RequestHeaders - Headers for the outgoing request (unused by the Ads API)
+ * @param {Object} destination - Google Ads destination
+ * @param {boolean} validateOnly - Let Google Ads validate without recording the conversions
+ * @returns {Promise<Object>} { ok, status, body, event_results }
+ */
+async function uploadGoogleAdsConversions(ga4Payload, ga4RequestHeaders, destination, validateOnly = false) {
+  const eventResults = [];
+  const conversions = [];
+  const conversionPositions = [];
+
+  (ga4Payload.events || []).forEach((event, position) => {
+    const built = buildGoogleAdsConversion(ga4Payload, event, destination);
+    if (built.error) {
+      eventResults[position] = { accepted: false, error: built.error };
+    } else {
+      eventResults[position] = { accepted: true };
+      conversions.push(built.conversion);
+      conversionPositions.push(position);
     }
+  });
 
-    // GDPR CONSENT PROCESSING - Apply before bot detection (single event)
-    const consentProcessedPayload = processGDPRConsent(payload, request);
+  if (conversions.length === 0) {
+    return { ok: true, status: 200, body: "No conversions to upload", event_results: eventResults };
+  }
 
-    // Check for Worker API key authentication (bypasses bot detection)
-    const authHeader = request.headers.get("Authorization");
-    const isAuthenticated = isValidWorkerApiKey(authHeader);
-    
-    // BOT DETECTION CHECK (skip if authenticated)
-    let botDetection = { isBot: false, reason: "authenticated_bypass" };
-    if (!isAuthenticated) {
-      botDetection = detectBot(request, consentProcessedPayload);
+  const customerId = String(destination.customer_id).replace(/-/g, "");
+  const endpoint = (destination.endpoint || GOOGLE_ADS_ENDPOINT).replace(/\/+$/, "");
+
+  try {
+    const headers = {
+      "Content-Type": "application/json",
+      "Authorization": `Bearer ${await getGoogleAdsAccessToken(destination)}`,
+      "developer-token": destination.developer_token
+    };
+    if (destination.login_customer_id) {
+      headers["login-customer-id"] = String(destination.login_customer_id).replace(/-/g, "");
     }
-    
-    if (botDetection.isBot) {
-      logBotDetection(botDetection, request, consentProcessedPayload);
-      
-      // Return success response but don't process the event
-      const botResponseData = {
-        success: true,
-        filtered: true,
-        reason: "bot_detected",
-        bot_score: botDetection.score,
-        bot_details: botDetection,
-        gdpr_processed: true
-      };
-      
-      return await createResponse(botResponseData, request);
+
+    const adsResponse = await fetch(`${endpoint}/customers/${customerId}:uploadClickConversions`, {
+      method: "POST",
+      headers: headers,
+      body: JSON.stringify({
+        conversions: conversions,
+        partialFailure: true,
+        validateOnly: validateOnly
+      }),
+    });
+
+    const responseBody = await adsResponse.text();
+    if (DEBUG_MODE) {
+      console.log(`Google Ads Response Status (${destination.id}):`, adsResponse.status);
+      console.log(`Google Ads Response Body (${destination.id}):`, responseBody);
     }
 
-    return await handleGA4Event(consentProcessedPayload, request);
-    
-  } catch (error) {
-    // Log the error
-    console.error("Error processing request:", error);
+    if (!adsResponse.ok) {
+      return { ok: false, status: adsResponse.status, body: responseBody };
+    }
 
-    // Return error response (encrypted if supported)
-    const errorResponseData = {
-      success: false,
-      error: error.message,
-      gdpr_processed: false
-    };
-    
+    // Partial failure errors point at the rejected conversion: conversions[<index>]
+    let responseData = {};
     try {
-      const errorResponse = await createResponse(errorResponseData, request);
-      return new Response(errorResponse.body, {
-        status: 500,
-        headers: errorResponse.headers
-      });
-    } catch (encryptError) {
-      // Fallback to unencrypted response if encryption fails
-      return new Response(
-        JSON.stringify(errorResponseData),
-        {
-          status: 500,
-          headers: {
-            "Content-Type": "application/json",
-            ...getCORSHeaders(request),
-          },
+      responseData = JSON.parse(responseBody);
+    } catch (e) {
+      // Keep every uploaded conversion marked as accepted
+    }
+
+    const failureDetails = responseData.partialFailureError?.details || [];
+    for (const detail of failureDetails) {
+      for (const failure of detail.errors || []) {
+        const pathElement = (failure.location?.fieldPathElements || [])
+          .find(element => element.fieldName === "conversions");
+        if (pathElement && conversionPositions[pathElement.index || 0] !== undefined) {
+          eventResults[conversionPositions[pathElement.index || 0]] = {
+            accepted: false,
+            error: failure.message || JSON.stringify(failure.errorCode)
+          };
         }
-      );
+      }
     }
+
+    return { ok: true, status: adsResponse.status, body: responseBody, event_results: eventResults };
+  } catch (error) {
+    return { ok: false, status: 0, body: error.message };
   }
 }
 
 /**
- * Handle batch events by processing each event individually using existing functions
- * @param {Object} batchPayload
- * @param {Request} request
+ * Upload conversions to Google Ads
+ * @param {Object} ga4Payload - Measurement Protocol payload
+ * @param {Object} ga4RequestHeaders - Headers for the outgoing request
+ * @param {Object} destination - Google Ads destination
+ * @returns {Promise<Object>} { ok, status, body, event_results }
  */
-async function handleBatchEvents(batchPayload, request) {
-  try {
-    if (DEBUG_MODE) {
-      console.log("📦 Processing batch of events:", {
-        eventCount: batchPayload.events.length,
-        hasBatchConsent: !!batchPayload.consent,
-        batchConsentData: batchPayload.consent,
-        eventsWithConsent: batchPayload.events.filter(e => e.consent).length,
-        timestamp: batchPayload.timestamp
-      });
-    }
+async function sendToGoogleAds(ga4Payload, ga4RequestHeaders, destination) {
+  return await uploadGoogleAdsConversions(ga4Payload, ga4RequestHeaders, destination, false);
+}
 
-    // Find the first complete event to use as a reference for enriching incomplete events
-    let firstCompleteEvent = null;
-    for (let i = 0; i < batchPayload.events.length; i++) {
-      if (batchPayload.events[i].isCompleteData) {
-        firstCompleteEvent = batchPayload.events[i];
-        break;
-      }
-    }
+/**
+ * Validate conversions with Google Ads (validateOnly) in the validation message format
+ * @param {Object} ga4Payload - Measurement Protocol payload
+ * @param {Object} ga4RequestHeaders - Headers for the outgoing request
+ * @param {Object} destination - Google Ads destination
+ * @returns {Promise<Object>} { ok, status, validation_messages, error }
+ */
+async function validateWithGoogleAds(ga4Payload, ga4RequestHeaders, destination) {
+  const result = await uploadGoogleAdsConversions(ga4Payload, ga4RequestHeaders, destination, true);
+  const validationMessages = (result.event_results || [])
+    .map((eventResult, position) => ({ eventResult, position }))
+    .filter(({ eventResult }) => !eventResult.accepted)
+    .map(({ eventResult, position }) => ({
+      field_path: `events[${position}]`,
+      description: eventResult.error,
+      validation_code: "GOOGLE_ADS_REJECTED"
+    }));
 
-    // Process each event in the batch using existing functions
-    const results = [];
-    const errors = [];
-    
-    for (let i = 0; i < batchPayload.events.length; i++) {
-      const event = batchPayload.events[i];
-      
-      try {
-        // Convert batch event back to single event format for existing functions
-        const singleEventPayload = {
-          event_name: event.name,
-          name: event.name,
-          params: event.params || {},
-          consent: event.consent || batchPayload.consent, // Use individual event consent first, fallback to batch consent
-          timestamp: event.timestamp || batchPayload.timestamp,
-          headers: event.headers || batchPayload.headers || {}
-        };
+  return {
+    ok: result.ok,
+    status: result.status,
+    validation_messages: validationMessages,
+    error: result.ok ? undefined : `Google Ads error: ${result.status} ${result.body}`
+  };
+}
 
-        // Add page context and enrich incomplete events with session data
-        if (!event.isCompleteData) {
-          // Add page context if available
-          if (event.pageUrl) {
-            singleEventPayload.params.page_location = event.pageUrl;
-            singleEventPayload.params.page_title = event.pageTitle;
-          }
-          
-          // Enrich incomplete events with session data from the first complete event
-          if (firstCompleteEvent) {
-            // Add missing session data
-            if (!singleEventPayload.params.session_id && firstCompleteEvent.params.session_id) {
-              singleEventPayload.params.session_id = firstCompleteEvent.params.session_id;
-            }
-            if (!singleEventPayload.params.client_id && firstCompleteEvent.params.client_id) {
-              singleEventPayload.params.client_id = firstCompleteEvent.params.client_id;
-            }
-            if (!singleEventPayload.params.session_start && firstCompleteEvent.params.session_start) {
-              singleEventPayload.params.session_start = firstCompleteEvent.params.session_start;
-            }
-            if (!singleEventPayload.params.browser_name && firstCompleteEvent.params.browser_name) {
-              singleEventPayload.params.browser_name = firstCompleteEvent.params.browser_name;
-            }
-            if (!singleEventPayload.params.device_type && firstCompleteEvent.params.device_type) {
-              singleEventPayload.params.device_type = firstCompleteEvent.params.device_type;
-            }
-            if (!singleEventPayload.params.screen_resolution && firstCompleteEvent.params.screen_resolution) {
-              singleEventPayload.params.screen_resolution = firstCompleteEvent.params.screen_resolution;
-            }
-            if (!singleEventPayload.params.is_desktop && firstCompleteEvent.params.is_desktop) {
-              singleEventPayload.params.is_desktop = firstCompleteEvent.params.is_desktop;
-            }
-            if (!singleEventPayload.params.language && firstCompleteEvent.params.language) {
-              singleEventPayload.params.language = firstCompleteEvent.params.language;
-            }
-            if (!singleEventPayload.params.user_agent && firstCompleteEvent.params.user_agent) {
-              singleEventPayload.params.user_agent = firstCompleteEvent.params.user_agent;
-            }
-            
-            if (!singleEventPayload.params.page_referrer && firstCompleteEvent.params.page_referrer) {
-              singleEventPayload.params.page_referrer = firstCompleteEvent.params.page_referrer;
-            }
-            // Add engagement time if missing
-            if (!singleEventPayload.params.engagement_time_msec && firstCompleteEvent.params.engagement_time_msec) {
-              singleEventPayload.params.engagement_time_msec = firstCompleteEvent.params.engagement_time_msec;
-            }
-            
-            if (DEBUG_MODE) {
-              console.log("📝 Enriched incomplete event with session data and original attribution:", {
-                eventName: event.name,
-                addedSessionId: !!firstCompleteEvent.params.session_id,
-                addedClientId: !!firstCompleteEvent.params.client_id,
-                usedOriginalSource: !!firstCompleteEvent.params.originalSource,
-                usedOriginalMedium: !!firstCompleteEvent.params.originalMedium,
-                usedOriginalTrafficType: !!firstCompleteEvent.params.originalTrafficType,
-                finalSource: singleEventPayload.params.source,
-                finalMedium: singleEventPayload.params.medium,
-                finalTrafficType: singleEventPayload.params.traffic_type
-              });
-            }
-          }
-        }
+/**
+ * =============================================================================
+ * TRANSPORT ADAPTERS
+ * =============================================================================
+ */
 
-        // Add consent data to the individual event params for GDPR processing
-        // Use individual event consent if available, fallback to batch consent
-        singleEventPayload.params.consent = event.consent || batchPayload.consent;
-        
-        
-        // Use existing GDPR processing
-        const consentProcessedPayload = processGDPRConsent(singleEventPayload, request);
+/**
+ * Transport adapters turn the enriched Measurement Protocol payload into an
+ * outgoing request. Every adapter implements:
+ * - send(ga4Payload, ga4RequestHeaders, destination) => Promise<{ ok, status, body, event_results? }>
+ *   event_results ([{ accepted, error }] per event) reports acceptance of individual events
+ * - validate(ga4Payload, ga4RequestHeaders, destination) => Promise<{ ok, status, validation_messages, error }> or null
+ * - required: destination fields without which the destination is ignored
+ * - defaults: destination settings used when the configuration does not set them
+ *   (an object, or a function of the destination)
+ * - phone_format: how phone numbers in user_data are normalized before hashing
+ * - ad_platform_params: true to receive event.ad_platform_params (pixel event id, _fbp/_fbc);
+ *   they are removed from the events of other transports
+ * - max_event_age: seconds after which the platform no longer records an event; older queued
+ *   events are not replayed (GA4 Measurement Protocol: 72 hours, Meta Conversions API: 7 days)
+ */
+const GA4_TRANSPORTS = {
+  mp: {
+    name: "GA4 API", send: sendToGA4, validate: validateWithGA4,
+    required: ["measurement_id", "api_secret"], defaults: {}, phone_format: "e164", max_event_age: 259200
+  },
+  sgtm: {
+    name: "sGTM", send: sendToSGTM, validate: null,
+    required: ["measurement_id", "endpoint"], defaults: {}, phone_format: "e164", max_event_age: 259200
+  },
+  meta_capi: {
+    name: "Meta CAPI", send: sendToMetaCAPI, validate: null,
+    required: ["pixel_id", "access_token"],
+    defaults: { events: Object.keys(META_EVENT_NAMES), require_consent: ["ad_user_data", "ad_personalization"] },
+    phone_format: "digits", ad_platform_params: true, max_event_age: 604800
+  },
+  google_ads: {
+    name: "Google Ads", send: sendToGoogleAds, validate: validateWithGoogleAds,
+    required: ["customer_id", "developer_token", "conversion_actions"],
+    defaults: destination => ({
+      events: Object.keys(destination.conversion_actions || {}),
+      require_consent: ["ad_user_data"]
+    }),
+    phone_format: "e164"
+  }
+};
 
-        // Bot detection for batch (use first event's data as representative)
-        if (i === 0) {
-          // Check for Worker API key authentication (bypasses bot detection)
-          const authHeader = request.headers.get("Authorization");
-          const isAuthenticated = isValidWorkerApiKey(authHeader);
-          
-          // Only perform bot detection if not authenticated
-          let botDetection = { isBot: false, reason: "authenticated_bypass" };
-          if (!isAuthenticated) {
-            botDetection = detectBot(request, consentProcessedPayload);
-          }
-          
-          if (botDetection.isBot) {
-            logBotDetection(botDetection, request, consentProcessedPayload);
-            
-            // Return early if bot detected - don't process any events in batch
-            const botResponseData = {
-              success: true,
-              filtered: true,
-              reason: "bot_detected",
-              bot_score: botDetection.score,
-              events_filtered: batchPayload.events.length,
-              gdpr_processed: true
-            };
-            
-            return await createResponse(botResponseData, request);
-          }
-        }
+/**
+ * Get the transport adapter for a destination
+ * @param {Object} destination - GA4 destination
+ * @returns {Object} Transport adapter
+ */
+function getTransport(destination) {
+  return GA4_TRANSPORTS[destination.transport || "mp"] || GA4_TRANSPORTS.mp;
+}
 
-        // Use existing handleGA4Event function to maintain payload structure
-        const ga4Response = await handleGA4Event(consentProcessedPayload, request);
-        
-        // Parse the response to get success status
-        const responseData = await ga4Response.json().catch(() => ({}));
-        
-        results.push({
-          event: event.name,
-          success: ga4Response.ok,
-          status: ga4Response.status,
-          response: DEBUG_MODE ? responseData : undefined
-        });
+// Event parameters that have a dedicated g/collect key
+const SGTM_EVENT_PARAM_KEYS = {
+  page_location: "dl",
+  page_title: "dt",
+  page_referrer: "dr",
+  session_id: "sid",
+  engagement_time_msec: "_et",
+  currency: "cu"
+};
 
-        if (DEBUG_MODE) {
-          console.log(`✅ Processed event ${i + 1}/${batchPayload.events.length}: ${event.name}`, {
-            hasIndividualConsent: !!event.consent,
-            consentMode: event.consent?.ad_user_data || (batchPayload.consent?.ad_user_data || 'not_set')
-          });
-        }
+// Item fields that have a dedicated key in the g/collect "pr" format
+const SGTM_ITEM_KEYS = {
+  item_id: "id", item_name: "nm", item_brand: "br", item_variant: "va",
+  item_category: "ca", item_category2: "c2", item_category3: "c3",
+  item_category4: "c4", item_category5: "c5", price: "pr", quantity: "qt",
+  coupon: "cp", discount: "ds", affiliation: "af", index: "lp",
+  item_list_id: "li", item_list_name: "ln", location_id: "lo"
+};
 
-      } catch (eventError) {
-        console.error(`❌ Error processing event ${i + 1}:`, eventError);
-        errors.push({
-          event: event.name || 'unknown',
-          error: eventError.message
-        });
-      }
+/**
+ * Encode an ecommerce item in the g/collect "pr" format (id123~nmShirt~pr9.99)
+ * @param {Object} item - GA4 item
+ * @returns {string} Encoded item
+ */
+function encodeSGTMItem(item) {
+  const parts = [];
+  let customIndex = 0;
+
+  for (const [key, value] of Object.entries(item)) {
+    if (value === undefined || value === null || value === "") continue;
+    const encodedValue = String(value).replace(/~/g, "");
+
+    if (SGTM_ITEM_KEYS[key]) {
+      parts.push(SGTM_ITEM_KEYS[key] + encodedValue);
+    } else {
+      parts.push(`k${customIndex}${key}`, `v${customIndex}${encodedValue}`);
+      customIndex++;
     }
+  }
 
-    // Prepare batch response
-    const responseData = {
-      success: true,
-      events_processed: results.length,
-      events_failed: errors.length,
-      total_events: batchPayload.events.length,
-      results: DEBUG_MODE ? results : undefined,
-      errors: errors.length > 0 ? errors : undefined,
-      consent_applied: !!(batchPayload.consent || batchPayload.events.some(e => e.consent)),
-      events_with_individual_consent: batchPayload.events.filter(e => e.consent).length,
-      batch_consent_mode: batchPayload.consent?.ad_user_data || 'not_set',
-      request_type: request.headers.get("X-Simple-request") === "true" ? "simple" : "regular"
-    };
+  return parts.join("~");
+}
+
+/**
+ * Convert a Measurement Protocol payload to a g/collect request
+ * Request-level fields go in the query string, each event becomes one body line
+ * (the same batching format gtag.js uses)
+ * @param {Object} ga4Payload - Measurement Protocol payload
+ * @param {Object} destination - sGTM destination ({ measurement_id, endpoint })
+ * @returns {Object} { query, lines }
+ */
+function buildSGTMRequest(ga4Payload, destination) {
+  const query = new URLSearchParams();
+  query.set("v", "2");
+  query.set("tid", destination.measurement_id);
+
+  if (ga4Payload.client_id) query.set("cid", ga4Payload.client_id);
+  if (ga4Payload.user_id) query.set("uid", ga4Payload.user_id);
+  if (ga4Payload.ip_override) query.set("_uip", ga4Payload.ip_override);
 
-    if (DEBUG_MODE) {
-      console.log("📦 Batch processing complete:", responseData);
+  // gcs = G1<ad_storage><analytics_storage>; this plugin maps advertising consent to
+  // ad_personalization and analytics consent to ad_user_data
+  if (ga4Payload.consent) {
+    const adFlag = ga4Payload.consent.ad_personalization === "GRANTED" ? "1" : "0";
+    const analyticsFlag = ga4Payload.consent.ad_user_data === "GRANTED" ? "1" : "0";
+    query.set("gcs", `G1${adFlag}${analyticsFlag}`);
+  }
+
+  const device = ga4Payload.device || {};
+  if (device.language) query.set("ul", String(device.language).toLowerCase());
+  if (device.screen_resolution) query.set("sr", device.screen_resolution);
+
+  for (const [name, property] of Object.entries(ga4Payload.user_properties || {})) {
+    const value = property && typeof property === "object" ? property.value : property;
+    query.set((typeof value === "number" ? "upn." : "up.") + name, String(value));
+  }
+
+  const lines = (ga4Payload.events || []).map(event => {
+    const eventParams = new URLSearchParams();
+    eventParams.set("en", event.name);
+
+    for (const [name, value] of Object.entries(event.params || {})) {
+      if (value === undefined || value === null) continue;
+
+      if (name === "items" && Array.isArray(value)) {
+        value.forEach((item, index) => eventParams.set(`pr${index + 1}`, encodeSGTMItem(item)));
+      } else if (SGTM_EVENT_PARAM_KEYS[name]) {
+        eventParams.set(SGTM_EVENT_PARAM_KEYS[name], String(value));
+      } else if (typeof value === "number") {
+        eventParams.set(`epn.${name}`, String(value));
+      } else if (typeof value !== "object") {
+        eventParams.set(`ep.${name}`, String(value));
+      }
     }
 
-    return await createResponse(responseData, request);
+    return eventParams.toString();
+  });
 
-  } catch (error) {
-    console.error("❌ Error processing batch events:", error);
-    
-    const errorResponseData = {
-      success: false,
-      error: "Batch processing failed",
-      details: error.message,
-      events_processed: 0,
-      events_failed: batchPayload.events?.length || 0
+  return { query: query.toString(), lines: lines };
+}
+
+/**
+ * Send a Measurement Protocol payload to a server-side GTM container in g/collect format
+ * @param {Object} ga4Payload - Measurement Protocol payload
+ * @param {Object} ga4RequestHeaders - Headers for the GA4 request (User-Agent, IP headers are forwarded)
+ * @param {Object} destination - sGTM destination ({ measurement_id, endpoint })
+ * @returns {Promise<Object>} { ok, status, body }
+ */
+async function sendToSGTM(ga4Payload, ga4RequestHeaders, destination) {
+  const { query, lines } = buildSGTMRequest(ga4Payload, destination);
+  const endpoint = destination.endpoint.replace(/\/+$/, "");
+
+  try {
+    const sgtmResponse = await fetch(`${endpoint}/g/collect?${query}`, {
+      method: "POST",
+      headers: { ...ga4RequestHeaders, "Content-Type": "text/plain;charset=UTF-8" },
+      body: lines.join("\r\n"),
+    });
+
+    return {
+      ok: sgtmResponse.ok,
+      status: sgtmResponse.status,
+      body: await sgtmResponse.text()
     };
-    
-    return await createResponse(errorResponseData, request);
+  } catch (error) {
+    return { ok: false, status: 0, body: error.message };
   }
 }
 
 /**
- * Handle GA4 events (Enhanced with consent handling)
- * @param {Object} payload
- * @param {Request} request
+ * =============================================================================
+ * RETRY QUEUE AND DEAD LETTERS
+ * =============================================================================
  */
-async function handleGA4Event(payload, request) {
-  // Extract original headers if provided by the WordPress plugin
-  const originalHeaders = payload.headers || {};
-  
-  // Remove headers from payload before processing (they shouldn't go to GA4)
-  if (payload.headers) {
-    delete payload.headers;
+
+/**
+ * Store a failed GA4 payload in the retry queue
+ * The event time is pinned with timestamp_micros so retried events keep their
+ * original time in reports (GA4 accepts events up to 72 hours in the past)
+ * @param {Object} ga4Payload - Measurement Protocol payload that failed
+ * @param {Object} ga4RequestHeaders - Headers used for the GA4 request
+ * @param {Object} ga4Result - Result of the failed send ({ status, body })
+ * @param {string} destinationId - Id of the GA4 destination (secrets are never stored)
+ * @returns {Promise<Object>} The stored queue entry
+ */
+async function enqueueFailedEvent(ga4Payload, ga4RequestHeaders, ga4Result, destinationId = "default") {
+  if (!ga4Payload.timestamp_micros) {
+    ga4Payload.timestamp_micros = Date.now() * 1000;
+  }
+
+  const now = Date.now();
+  const entry = {
+    id: crypto.randomUUID(),
+    destination: destinationId,
+    payload: ga4Payload,
+    headers: ga4RequestHeaders,
+    attempts: 1,
+    createdAt: now,
+    nextAttemptAt: now + computeRetryDelay(1) * 1000,
+    lastStatus: ga4Result.status,
+    lastError: String(ga4Result.body || '').substring(0, 500)
+  };
+
+  try {
+    await RETRY_QUEUE.put(getRetryQueueKey(entry), JSON.stringify(entry));
+    console.warn(`⏳ GA4 send failed (${ga4Result.status}), queued for retry:`, entry.id);
+  } catch (error) {
+    console.error('❌ Failed to store event in retry queue:', error);
+    throw new Error(`GA4 API error: ${ga4Result.status} ${ga4Result.body}`);
   }
-  
-  // Process the event data
-  const processedData = processEventData(payload, request);
-  let payloadDebug = false;
 
-  // Validate required parameters - check for both 'name' and 'event_name' fields
-  if (!processedData.name && !processedData.event_name) {
-    return new Response(JSON.stringify({ "error": "Missing event name" }), {
-      status: 400,
-      headers: {
-        "Content-Type": "application/json",
-        ...getCORSHeaders(request),
-      },
-    });
+  return entry;
+}
+
+/**
+ * Get the retry queue key of an entry
+ * Keys sort by due time (KV lists keys in lexicographic order), so the scheduled
+ * run reads the most overdue entries first and can stop at the first future one.
+ * @param {Object} entry - Retry queue entry
+ * @returns {string} Key, e.g. "retry:1735689600000:<id>"
+ */
+function getRetryQueueKey(entry) {
+  return `retry:${String(entry.nextAttemptAt).padStart(13, '0')}:${entry.id}`;
+}
+
+/**
+ * Check whether a failed send is worth retrying
+ * @param {number} status - HTTP status of the failed send (0 for network errors)
+ * @returns {boolean} True for network errors, 429 and 5xx
+ */
+function isRetryableStatus(status) {
+  return !status || status === 429 || status >= 500;
+}
+
+/**
+ * Send a stored queue entry to its GA4 destination
+ * @param {Object} entry - Retry queue or dead-letter entry
+ * @returns {Promise<Object>} { ok, status, body }
+ */
+async function resendQueueEntry(entry) {
+  const destination = getDestinationById(entry.destination || "default");
+  if (!destination) {
+    return { ok: false, status: 0, body: `Unknown GA4 destination: ${entry.destination}` };
   }
-  
-  // Normalize event name field - use 'name' field consistently
-  if (!processedData.name && processedData.event_name) {
-    processedData.name = processedData.event_name;
+  return await getTransport(destination).send(entry.payload, entry.headers, destination);
+}
+
+/**
+ * Check whether a queued event is too old for its destination to record
+ * The event time is pinned in timestamp_micros when the entry is queued; a replay after the
+ * transport's max_event_age would be accepted by GA4 and silently dropped.
+ * @param {Object} entry - Retry queue or dead-letter entry
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean} True if the entry can no longer be delivered
+ */
+function isQueueEntryExpired(entry, now) {
+  const destination = getDestinationById(entry.destination || "default");
+  const maxAge = destination ? getTransport(destination).max_event_age : 0;
+  if (!maxAge) {
+    return false;
   }
 
+  const eventTime = entry.payload.timestamp_micros ? entry.payload.timestamp_micros / 1000 : entry.createdAt;
+  return now - eventTime > maxAge * 1000;
+}
 
-  
-  // Other potential internal fields that shouldn't reach GA4
-  const internalFieldsToRemove = [
-    'batch', 'timestamp', 'client_ip', 'isCompleteData',
-    'encryption_enabled', 'transmission_method', 'worker_api_key'
-    // NOTE: session_id is intentionally NOT removed - it should remain in event params for GA4
-  ];
-  
-  internalFieldsToRemove.forEach(field => {
-    if (processedData[field]) {
-      delete processedData[field];
+/**
+ * Exponential backoff delay for a given attempt number
+ * @param {number} attempts - Number of attempts made so far
+ * @returns {number} Delay in seconds
+ */
+function computeRetryDelay(attempts) {
+  return Math.min(RETRY_MAX_DELAY, RETRY_BASE_DELAY * Math.pow(2, attempts - 1));
+}
+
+/**
+ * Retry due entries from the retry queue (called from the scheduled handler)
+ * Entries that reach RETRY_MAX_ATTEMPTS or fail with a permanent error are moved
+ * to the dead-letter store
+ * @returns {Promise<Object>} Summary of the run
+ */
+async function processRetryQueue() {
+  const summary = { processed: 0, succeeded: 0, rescheduled: 0, dead_lettered: 0 };
+  const now = Date.now();
+  const listing = await RETRY_QUEUE.list({ prefix: 'retry:', limit: RETRY_BATCH_SIZE });
+
+  for (const { name } of listing.keys) {
+    // Keys are ordered by due time, so every entry after the first future one is not due either
+    if (parseInt(name.split(':')[1]) > now) {
+      break;
     }
-    if (processedData.params && processedData.params[field]) {
-      delete processedData.params[field];
+
+    const entry = await RETRY_QUEUE.get(name, { type: 'json' });
+    if (!entry) {
+      continue;
     }
-  });
 
-  // Extract location data from params before preparing GA4 payload
-  const userLocation = extractLocationData(processedData.params);
+    summary.processed++;
+    const result = await resendQueueEntry(entry);
 
-  // Prepare the GA4 payload
-  const ga4Payload = {
-    "client_id": processedData.params.client_id,
-    "events": [
-      {
-        "name": processedData.name,
-        "params": processedData.params,
-      },
-    ],
-  };
+    if (result.ok) {
+      await RETRY_QUEUE.delete(name);
+      summary.succeeded++;
+      continue;
+    }
 
-  // Add consent signals at the request level if available
-  if (processedData.consent) {
-    ga4Payload.consent = processedData.consent;
-  }
+    entry.attempts++;
+    entry.lastStatus = result.status;
+    entry.lastError = String(result.body || '').substring(0, 500);
 
-  // Add user_location at request level if available
-  if (userLocation && Object.keys(userLocation).length > 0) {
-    ga4Payload.user_location = userLocation;
+    if (entry.attempts >= RETRY_MAX_ATTEMPTS || !isRetryableStatus(result.status)) {
+      entry.failedAt = now;
+      await DEAD_LETTER_STORE.put(`dead_letter:${entry.id}`, JSON.stringify(entry), {
+        expirationTtl: DEAD_LETTER_TTL
+      });
+      await RETRY_QUEUE.delete(name);
+      summary.dead_lettered++;
+    } else {
+      entry.nextAttemptAt = now + computeRetryDelay(entry.attempts) * 1000;
+      await RETRY_QUEUE.put(getRetryQueueKey(entry), JSON.stringify(entry));
+      await RETRY_QUEUE.delete(name);
+      summary.rescheduled++;
+    }
   }
 
-  // Extract and add device information following GA4 specification
-  const deviceInfo = extractDeviceInfo(processedData.params);
-  if (deviceInfo && Object.keys(deviceInfo).length > 0) {
-    ga4Payload.device = deviceInfo;
+  if (DEBUG_MODE || summary.dead_lettered > 0) {
+    console.log('🔁 Retry queue run complete:', JSON.stringify(summary));
   }
 
-  // Add user_agent at top level (always include when available)
-  const userAgent = getUserAgent(processedData, request);
-  if (userAgent) {
-    ga4Payload.user_agent = userAgent;
-  }
+  return summary;
+}
 
+/**
+ * List dead-letter entries (without their full payloads)
+ * @param {number} limit - Max number of entries to return
+ * @returns {Promise<Array>} Dead-letter summaries
+ */
+async function listDeadLetters(limit) {
+  const listing = await DEAD_LETTER_STORE.list({ prefix: 'dead_letter:', limit: limit });
+  const entries = [];
+
+  for (const { name } of listing.keys) {
+    const entry = await DEAD_LETTER_STORE.get(name, { type: 'json' });
+    if (!entry) continue;
+
+    entries.push({
+      id: entry.id,
+      destination: entry.destination || "default",
+      events: (entry.payload.events || []).map(event => event.name),
+      client_id: entry.payload.client_id,
+      attempts: entry.attempts,
+      last_status: entry.lastStatus,
+      last_error: entry.lastError,
+      created_at: new Date(entry.createdAt).toISOString(),
+      failed_at: entry.failedAt ? new Date(entry.failedAt).toISOString() : null,
+      expired: isQueueEntryExpired(entry, Date.now())
+    });
+  }
 
-  // Keep timestamp in event parameters only (not allowed at top level in GA4)
-  // event_timestamp should remain in the event parameters where it belongs
+  return entries;
+}
 
-  // Add IP override for geographic information derivation
-  const clientIP = request.headers.get('CF-Connecting-IP') || 
-                   request.headers.get('X-Forwarded-For') || 
-                   request.headers.get('X-Real-IP');
-  if (clientIP && processedData.consent && processedData.consent.ad_user_data === 'GRANTED') {
-    // Only include IP when analytics consent is granted
-    ga4Payload.ip_override = clientIP.split(',')[0].trim(); // Take first IP if multiple
+/**
+ * Replay dead-letter entries immediately
+ * Successful entries are removed, failed ones stay in the store with the new error. Entries
+ * older than their destination's max_event_age are not sent: they are reported as expired
+ * and removed, since the platform would no longer record them.
+ * @param {Array<string>|null} ids - Entry ids to replay, or null for all
+ * @returns {Promise<Array>} Per-entry replay results
+ */
+async function replayDeadLetters(ids) {
+  let names;
+  if (Array.isArray(ids) && ids.length > 0) {
+    names = ids.map(id => `dead_letter:${id}`);
+  } else {
+    const listing = await DEAD_LETTER_STORE.list({ prefix: 'dead_letter:', limit: RETRY_BATCH_SIZE });
+    names = listing.keys.map(key => key.name);
   }
 
+  const results = [];
+  for (const name of names) {
+    const id = name.substring('dead_letter:'.length);
+    const entry = await DEAD_LETTER_STORE.get(name, { type: 'json' });
+    if (!entry) {
+      results.push({ id: id, success: false, error: 'not_found' });
+      continue;
+    }
 
+    if (isQueueEntryExpired(entry, Date.now())) {
+      await DEAD_LETTER_STORE.delete(name);
+      results.push({ id: id, success: false, expired: true, error: 'expired' });
+      continue;
+    }
 
-  // Keep session_id in event params only (not allowed at top level in GA4)
-  // session_id should remain in the event parameters where it belongs
+    const result = await resendQueueEntry(entry);
+    if (result.ok) {
+      await DEAD_LETTER_STORE.delete(name);
+    } else {
+      entry.attempts++;
+      entry.lastStatus = result.status;
+      entry.lastError = String(result.body || '').substring(0, 500);
+      await DEAD_LETTER_STORE.put(name, JSON.stringify(entry), { expirationTtl: DEAD_LETTER_TTL });
+    }
 
+    results.push({
+      id: id,
+      success: result.ok,
+      status: result.status,
+      error: result.ok ? undefined : result.body
+    });
+  }
 
+  return results;
+}
 
-  // Add validation_code for enhanced measurement validation (if available)
-  if (processedData.params.validation_code) {
-    delete processedData.params.validation_code;
-  }
+// API key scope required per admin route (unlisted routes require the admin scope)
+const ADMIN_ROUTE_SCOPES = {
+  "/admin/dead-letters": "replay",
+  "/admin/dead-letters/replay": "replay",
+  "/admin/retry-queue/process": "replay",
+  "/admin/bot-stats": "stats"
+};
 
-  // Add app information if this is from a mobile app context
-  if (processedData.params.app_name) {
-    delete processedData.params.app_name;
-  }
-  if (processedData.params.app_version) {
-    delete processedData.params.app_version;
-  }
-  if (processedData.params.app_id) {
-    delete processedData.params.app_id;
+/**
+ * Handle authenticated admin routes (API key scope in brackets)
+ * - GET  /admin/dead-letters?limit=50   List dead-letter entries [replay]
+ * - POST /admin/dead-letters/replay     Replay entries ({"ids": [...]}, all when omitted) [replay]
+ * - POST /admin/retry-queue/process     Run the retry queue immediately [replay]
+ * - GET  /admin/bot-stats?hours=24      Hourly bot detection counters [stats]
+ * @param {Request} request - The incoming request
+ * @returns {Promise<Response>} Admin response
+ */
+async function handleAdminRequest(request) {
+  const jsonResponse = (data, status = 200) => new Response(JSON.stringify(data), {
+    status: status,
+    headers: { "Content-Type": "application/json" }
+  });
+
+  const apiKey = authenticateApiKey(request.headers.get("Authorization"));
+  if (!apiKey) {
+    return jsonResponse({ success: false, error: "Unauthorized" }, 401);
   }
 
-  // Remove client_id from params to avoid duplication, only if it exists
-  if (ga4Payload.events[0].params.hasOwnProperty("client_id")) {
-    delete ga4Payload.events[0].params.client_id;
+  const url = new URL(request.url);
+  const requiredScope = ADMIN_ROUTE_SCOPES[url.pathname] || "admin";
+  if (!hasApiKeyScope(apiKey, requiredScope)) {
+    return jsonResponse({ success: false, error: "Forbidden", details: `API key "${apiKey.name}" lacks the ${requiredScope} scope` }, 403);
   }
-  
-  // Remove botData from params
-  if (ga4Payload.events[0].params.hasOwnProperty("botData")) {
-    delete ga4Payload.events[0].params.botData;
+
+  if (apiKey.rate_limit) {
+    const rateLimitCheck = await checkRateLimit(request, `api_key:${apiKey.name}`, apiKey);
+    if (!rateLimitCheck.allowed) {
+      return jsonResponse({ success: false, error: "Rate limit exceeded", reason: "rate_limited" }, 429);
+    }
   }
-    
-  // Remove device-related data from params since it's now at top level
-  const deviceParamsToRemove = [
-    'device_type', 'is_mobile', 'is_tablet', 'is_desktop', 
-    'browser_name', 'screen_resolution', 'user_agent'
-  ];
-  deviceParamsToRemove.forEach(param => {
-    if (ga4Payload.events[0].params.hasOwnProperty(param)) {
-      delete ga4Payload.events[0].params[param];
+
+  try {
+    if (request.method === "GET" && url.pathname === "/admin/dead-letters") {
+      const limit = Math.min(1000, parseInt(url.searchParams.get("limit")) || 50);
+      const entries = await listDeadLetters(limit);
+      return jsonResponse({ success: true, count: entries.length, entries: entries });
     }
-  });
-  // Handle consent parameter in event params
-  if (ga4Payload.events[0].params.consent) {
-    // If consent is an object (from client), remove it - we'll create the proper string format
-    if (typeof ga4Payload.events[0].params.consent === 'object') {
-      delete ga4Payload.events[0].params.consent;
+
+    if (request.method === "POST" && url.pathname === "/admin/dead-letters/replay") {
+      const body = await request.json().catch(() => ({}));
+      const results = await replayDeadLetters(body.ids || null);
+      return jsonResponse({
+        success: true,
+        replayed: results.filter(result => result.success).length,
+        failed: results.filter(result => !result.success && !result.expired).length,
+        expired: results.filter(result => result.expired).length,
+        results: results
+      });
+    }
+
+    if (request.method === "GET" && url.pathname === "/admin/bot-stats") {
+      const hours = Math.min(BOT_STATS_RETENTION_DAYS * 24, Math.max(1, parseInt(url.searchParams.get("hours")) || 24));
+      return jsonResponse({ success: true, ...(await getBotStats(hours)) });
+    }
+
+    if (request.method === "POST" && url.pathname === "/admin/retry-queue/process") {
+      return jsonResponse({ success: true, summary: await processRetryQueue() });
     }
+  } catch (error) {
+    console.error("❌ Admin request failed:", error);
+    return jsonResponse({ success: false, error: error.message }, 500);
   }
-  
-  // Create the combined consent string parameter if not already present
-  if (!ga4Payload.events[0].params.consent) {
-    var consentReason = (ga4Payload.consent && ga4Payload.consent.consent_reason) ? ga4Payload.consent.consent_reason : 'button_click';
-    ga4Payload.events[0].params.consent = "ad_personalization: " + ga4Payload.consent.ad_personalization + ". ad_user_data: " + ga4Payload.consent.ad_user_data + ". reason: " + consentReason;
+
+  return jsonResponse({ success: false, error: "Not found" }, 404);
+}
+
+/**
+ * =============================================================================
+ * DEVICE DETECTION
+ * =============================================================================
+ */
+
+// Browser tokens in the user agent, most specific first: in-app browsers and Chromium
+// derivatives also carry "Chrome/" or "Safari/", so they must match before those.
+// The version is the first capture group that matched.
+const UA_BROWSER_PATTERNS = [
+  ["Facebook", /\bFBAV\/([\d.]+)|\bFB(?:AN|_IAB)\//],
+  ["Instagram", /\bInstagram ([\d.]+)/],
+  ["TikTok", /\b(?:musical_ly|BytedanceWebview|TikTok)\b/],
+  ["Snapchat", /\bSnapchat\/([\d.]+)/],
+  ["Pinterest", /\bPinterest\/([\d.]+)|\[Pinterest\//],
+  ["LinkedIn", /\bLinkedInApp(?:\/([\d.]+))?/],
+  ["Twitter", /\bTwitter(?:Android| for i(?:Phone|Pad))/],
+  ["WeChat", /\bMicroMessenger\/([\d.]+)/],
+  ["LINE", /\bLine\/([\d.]+)/],
+  ["Google App", /\bGSA\/([\d.]+)/],
+  ["Edge", /\bEdg(?:e|A|iOS)?\/([\d.]+)/],
+  ["Opera Mini", /\bOpera Mini\/([\d.]+)/],
+  ["Opera", /\b(?:OPR|OPiOS|OPT|OPX)\/([\d.]+)|\bOpera\/.*Version\/([\d.]+)/],
+  ["Samsung Internet", /\bSamsungBrowser\/([\d.]+)/],
+  ["Yandex Browser", /\bYaBrowser\/([\d.]+)/],
+  ["UC Browser", /\bUCBrowser\/([\d.]+)/],
+  ["Vivaldi", /\bVivaldi\/([\d.]+)/],
+  ["DuckDuckGo", /\b(?:DuckDuckGo|Ddg)\/([\d.]+)/],
+  ["Huawei Browser", /\bHuaweiBrowser\/([\d.]+)/],
+  ["Mi Browser", /\bMiuiBrowser\/([\d.]+)/],
+  ["Silk", /\bSilk\/([\d.]+)/],
+  ["HeadlessChrome", /\bHeadlessChrome\/([\d.]+)/],
+  ["Firefox", /\b(?:Firefox|FxiOS)\/([\d.]+)/],
+  ["Android Webview", /; wv\).*\bChrome\/([\d.]+)/],
+  ["Chrome", /\b(?:CriOS|Chrome)\/([\d.]+)/],
+  ["Internet Explorer", /\bMSIE ([\d.]+)|\bTrident\/.*\brv:([\d.]+)/],
+  ["Safari", /\bVersion\/([\d.]+).*\bSafari\//],
+  ["Safari (in-app)", /\b(?:iPhone|iPad|iPod)\b.*\bAppleWebKit\b(?!.*\bSafari\/)/]
+];
+
+// Sec-CH-UA brands mapped to the browser names above; unknown brands are used as sent
+const CLIENT_HINT_BRANDS = {
+  "Google Chrome": "Chrome",
+  "Chromium": "Chromium",
+  "Microsoft Edge": "Edge",
+  "Opera": "Opera",
+  "Opera GX": "Opera",
+  "Samsung Internet": "Samsung Internet",
+  "Yandex": "Yandex Browser",
+  "YaBrowser": "Yandex Browser",
+  "Android WebView": "Android Webview",
+  "HeadlessChrome": "HeadlessChrome"
+};
+
+// Browsers the UA cannot tell apart from other Chromium browsers (Brave, Arc, ...)
+const GENERIC_CHROMIUM_BROWSERS = ["Chrome", "Chromium"];
+
+// Sec-CH-UA-Platform values mapped to the operating system names GA4 reports
+const CLIENT_HINT_PLATFORMS = {
+  "Windows": "Windows",
+  "macOS": "Macintosh",
+  "iOS": "iOS",
+  "Android": "Android",
+  "Chrome OS": "Chrome OS",
+  "Chromium OS": "Chrome OS",
+  "Linux": "Linux"
+};
+
+// Windows NT versions in the user agent ("Windows NT 10.0" is also sent by Windows 11)
+const WINDOWS_NT_VERSIONS = {
+  "10.0": "10",
+  "6.3": "8.1",
+  "6.2": "8",
+  "6.1": "7",
+  "6.0": "Vista",
+  "5.1": "XP"
+};
+
+// Device brands by model name prefix (Android models carry no brand of their own)
+const DEVICE_MODEL_BRANDS = [
+  ["Samsung", /^(?:SAMSUNG|SM-|GT-|SCH-|SGH-|Galaxy)/i],
+  ["Google", /^(?:Pixel|Nexus)/i],
+  ["Xiaomi", /^(?:Xiaomi|Redmi|POCO|Mi |MI |M\d{4}[A-Z]|2\d{7,}[A-Z])/],
+  ["OnePlus", /^(?:ONEPLUS|IN20\d\d|KB20\d\d|LE2\d{3}|NE2\d{3}|GM19\d\d|HD19\d\d)/i],
+  ["OPPO", /^(?:OPPO|CPH\d{4}|PB[A-Z]M\d)/i],
+  ["realme", /^(?:realme|RMX\d{4})/i],
+  ["vivo", /^(?:vivo|V2\d{3}[A-Z]?)/i],
+  ["Motorola", /^(?:moto|motorola|XT\d{4})/i],
+  ["Huawei", /^(?:HUAWEI|[A-Z]{3}-(?:AL|TL|LX|L|NX)\d)/],
+  ["Honor", /^(?:HONOR|HRY-|BKL-)/i],
+  ["LG", /^(?:LG|LM-)/],
+  ["Nokia", /^Nokia/i],
+  ["Sony", /^(?:Sony|SO-\d|XQ-[A-Z]{2}\d)/i],
+  ["Amazon", /^(?:KF[A-Z]{2,4}|AFT[A-Z])/],
+  ["ASUS", /^ASUS/i],
+  ["Lenovo", /^Lenovo/i],
+  ["Fairphone", /^FP\d/],
+  ["TECNO", /^TECNO/i],
+  ["Infinix", /^Infinix/i]
+];
+
+/**
+ * Parse a Sec-CH-UA style brand list ('"Chromium";v="124", "Google Chrome";v="124"')
+ * @param {string|null} value - Header value
+ * @returns {Array<{brand: string, version: string}>} Brands in header order
+ */
+function parseClientHintBrands(value) {
+  const brands = [];
+  if (!value) return brands;
+
+  const pattern = /"([^"]*)"\s*;\s*v\s*=\s*"([^"]*)"/g;
+  let match;
+  while ((match = pattern.exec(value)) !== null) {
+    brands.push({ brand: match[1], version: match[2] });
   }
 
-  // Note: We keep the 'consent' parameter in event params (it contains the combined consent info)
+  return brands;
+}
 
-  // Add user_id if available and consent allows
-  if (processedData.params.user_id) {
-    ga4Payload.user_id = processedData.params.user_id;
-    // Remove from params to avoid duplication
-    delete processedData.params.user_id;
+/**
+ * Read a quoted client hint header value ('"Windows"' -> "Windows")
+ * @param {string|null} value - Header value
+ * @returns {string} Unquoted value, empty when missing
+ */
+function unquoteClientHint(value) {
+  return value ? value.trim().replace(/^"(.*)"$/, "$1") : "";
+}
+
+/**
+ * Collect User-Agent Client Hints from the event payload and the request headers
+ * The browser sends them as params.client_hints (see GA4Utils.device.getClientHints), which
+ * also covers events queued by WordPress; Sec-CH-UA* headers cover direct browser requests.
+ * High-entropy hints (full versions, platform version, model) are only used with consent.
+ * @param {Object} params - Event parameters
+ * @param {Request} request - The incoming request
+ * @param {boolean} allowHighEntropy - Whether full versions and model may be used
+ * @returns {Object} Hints: brands, mobile, platform and, when allowed, fullVersionList, platformVersion, model
+ */
+function getClientHints(params, request, allowHighEntropy) {
+  const fromParams = params.client_hints && typeof params.client_hints === "object" ? params.client_hints : {};
+  const header = (name) => (request ? request.headers.get(name) : null);
+  const hints = {};
+
+  hints.brands = Array.isArray(fromParams.brands) ? fromParams.brands : parseClientHintBrands(header("Sec-CH-UA"));
+
+  if (typeof fromParams.mobile === "boolean") {
+    hints.mobile = fromParams.mobile;
+  } else if (header("Sec-CH-UA-Mobile")) {
+    hints.mobile = header("Sec-CH-UA-Mobile").trim() === "?1";
   }
-  // Clean up consent object - only keep official GA4 fields
-  if (ga4Payload.consent) {
-    // Keep only the two official GA4 consent fields
-    const cleanConsent = {
-      ad_user_data: ga4Payload.consent.ad_user_data || "DENIED",
-      ad_personalization: ga4Payload.consent.ad_personalization || "DENIED"
-    };
-    ga4Payload.consent = cleanConsent;
+
+  hints.platform = fromParams.platform || unquoteClientHint(header("Sec-CH-UA-Platform"));
+
+  if (allowHighEntropy) {
+    hints.fullVersionList = Array.isArray(fromParams.fullVersionList)
+      ? fromParams.fullVersionList
+      : parseClientHintBrands(header("Sec-CH-UA-Full-Version-List"));
+    hints.platformVersion = fromParams.platformVersion || unquoteClientHint(header("Sec-CH-UA-Platform-Version"));
+    hints.model = fromParams.model || unquoteClientHint(header("Sec-CH-UA-Model"));
   }
 
+  return hints;
+}
 
-  // Check if params exceeds 25
-  const payloadParamsCount = Object.keys(processedData.params).length;
-  if (payloadParamsCount > 25) {
-    return new Response(
-      JSON.stringify({
-        "error": `Too many parameters: ${payloadParamsCount}. GA4 only allows a maximum of 25 parameters per event.`,
-      }),
-      {
-        status: 400,
-        headers: {
-          "Content-Type": "application/json",
-          ...getCORSHeaders(request),
-        },
-      }
-    );
-  }
+/**
+ * Drop trailing zero components from a version ("14.0.0" -> "14", "14.4.0" -> "14.4")
+ * @param {string} version - Version string
+ * @returns {string} Trimmed version
+ */
+function trimVersion(version) {
+  return String(version || "").replace(/(\.0+)+$/, "");
+}
 
-  if (DEBUG_MODE) {
-    if (processedData.name == 'page_view' || processedData.name == 'custom_session_start' || processedData.name == 'custom_first_visit') {
-      console.log("Traffic Type:" + processedData.params.traffic_type);
+/**
+ * Detect the browser from the user agent
+ * @param {string} userAgent - User agent string
+ * @returns {{name: string, version: string}|null} Browser, or null when unknown
+ */
+function parseBrowserFromUserAgent(userAgent) {
+  for (const [name, pattern] of UA_BROWSER_PATTERNS) {
+    const match = userAgent.match(pattern);
+    if (match) {
+      return { name, version: match.slice(1).find(Boolean) || "" };
     }
   }
+  return null;
+}
 
-  // Log the complete payload being sent to Google Analytics
-  if (DEBUG_MODE) {
-    console.log("📤 Complete GA4 Payload being sent to Google Analytics:");
-    console.log(JSON.stringify({ payload: ga4Payload }, null, 2));
+/**
+ * Detect the browser from Sec-CH-UA brands, skipping GREASE entries ("Not A(Brand")
+ * and preferring a specific brand over the generic Chromium ones
+ * @param {Object} hints - Client hints (see getClientHints)
+ * @returns {{name: string, version: string}|null} Browser, or null without usable brands
+ */
+function parseBrowserFromClientHints(hints) {
+  const brands = (hints.brands || []).filter((entry) => entry && entry.brand && !/not.?a.?brand/i.test(entry.brand));
+  if (brands.length === 0) return null;
+
+  const toName = (brand) => CLIENT_HINT_BRANDS[brand] || brand;
+  const chosen = brands.find((entry) => !GENERIC_CHROMIUM_BROWSERS.includes(toName(entry.brand))) ||
+    brands.find((entry) => entry.brand === "Google Chrome") ||
+    brands[0];
+
+  const fullVersion = (hints.fullVersionList || []).find((entry) => entry && entry.brand === chosen.brand);
+  return { name: toName(chosen.brand), version: (fullVersion && fullVersion.version) || chosen.version || "" };
+}
+
+/**
+ * Detect the operating system and its version from the user agent
+ * @param {string} userAgent - User agent string
+ * @returns {{name: string, version: string}|null} Operating system, or null when unknown
+ */
+function parseOperatingSystemFromUserAgent(userAgent) {
+  let match;
+
+  if ((match = userAgent.match(/Windows Phone(?: OS)? ([\d.]+)/))) {
+    return { name: "Windows Phone", version: match[1] };
   }
-  
-  if(processedData.params.debug_mode == true){
-      payloadDebug = true;
+  if ((match = userAgent.match(/Windows NT ([\d.]+)/))) {
+    return { name: "Windows", version: WINDOWS_NT_VERSIONS[match[1]] || match[1] };
   }
-  // Build headers for GA4 request using original headers when available
-  const ga4RequestHeaders = {
-    "Content-Type": "application/json",
-  };
-  
-  // Map WordPress header keys to proper HTTP header names for GA4
-  const headerMapping = {
-    'user_agent': 'User-Agent',
-    'accept_language': 'Accept-Language', 
-    'accept': 'Accept',
-    'referer': 'Referer',
-    'x_forwarded_for': 'X-Forwarded-For',
-    'x_real_ip': 'X-Real-IP'
-  };
-  
-  // Process and map headers from WordPress payload first
-  for (const [wpKey, httpHeader] of Object.entries(headerMapping)) {
-    if (originalHeaders[wpKey]) {
-      ga4RequestHeaders[httpHeader] = originalHeaders[wpKey];
-    }
+  if ((match = userAgent.match(/\b(?:iPhone|iPad|iPod)\b.*? OS ([\d_]+)/))) {
+    return { name: "iOS", version: match[1].replace(/_/g, ".") };
   }
-  
-  // Also check for direct header name matches (fallback)
-  const directHeaderNames = ['User-Agent', 'Accept-Language', 'Accept', 'Referer', 'X-Forwarded-For', 'X-Real-IP'];
-  for (const headerName of directHeaderNames) {
-    if (originalHeaders[headerName] && !ga4RequestHeaders[headerName]) {
-      ga4RequestHeaders[headerName] = originalHeaders[headerName];
-    }
+  if ((match = userAgent.match(/Android(?: ([\d.]+))?/))) {
+    // Reduced Chrome UAs always claim "Android 10; K", so that version means nothing
+    const frozen = /Android 10; K\)/.test(userAgent);
+    return { name: "Android", version: frozen ? "" : match[1] || "" };
   }
-  
-  // Fallback: If headers aren't defined in payload, use headers from Cloudflare request
-  const essentialHeaders = ['User-Agent', 'Accept-Language', 'Accept', 'Referer'];
-  for (const headerName of essentialHeaders) {
-    if (!ga4RequestHeaders[headerName]) {
-      const cfHeaderValue = request.headers.get(headerName);
-      if (cfHeaderValue) {
-        ga4RequestHeaders[headerName] = cfHeaderValue;
-      }
-    }
+  if ((match = userAgent.match(/CrOS \S+ ([\d.]+)/))) {
+    return { name: "Chrome OS", version: match[1] };
   }
-  
-  // Special handling for IP headers - prefer Cloudflare's IP detection
-  if (!ga4RequestHeaders['X-Forwarded-For']) {
-    const cfConnectingIP = request.headers.get('CF-Connecting-IP');
-    const xForwardedFor = request.headers.get('X-Forwarded-For');
-    const xRealIP = request.headers.get('X-Real-IP');
-    
-    if (cfConnectingIP) {
-      ga4RequestHeaders['X-Forwarded-For'] = cfConnectingIP;
-    } else if (xForwardedFor) {
-      ga4RequestHeaders['X-Forwarded-For'] = xForwardedFor;
-    } else if (xRealIP) {
-      ga4RequestHeaders['X-Forwarded-For'] = xRealIP;
-    }
+  if ((match = userAgent.match(/Mac OS X ([\d_.]+)/))) {
+    return { name: "Macintosh", version: match[1].replace(/_/g, ".") };
   }
-  
-  // Log final headers being sent to GA4
-  if (DEBUG_MODE) {
-    console.log('🚀 Headers being sent to GA4:', JSON.stringify(ga4RequestHeaders));
+  if ((match = userAgent.match(/Tizen ([\d.]+)/))) {
+    return { name: "Tizen", version: match[1] };
   }
-  
-  // Send the event to GA4 with original headers
-  const ga4Response = await fetch(
-    `${GA4_ENDPOINT}?measurement_id=${GA4_MEASUREMENT_ID}&api_secret=${GA4_API_SECRET}`,
-    {
-      method: "POST",
-      headers: ga4RequestHeaders,
-      body: JSON.stringify(ga4Payload),
-    }
-  );
-
-  // Check if the request was successful
-  if (!ga4Response.ok) {
-    const errorText = await ga4Response.text();
-    throw new Error(`GA4 API error: ${ga4Response.status} ${errorText}`);
+  if (/Web0S|webOS/.test(userAgent)) {
+    return { name: "webOS", version: "" };
+  }
+  if (/Linux/.test(userAgent)) {
+    return { name: "Linux", version: "" };
   }
 
-  // Get the response body from GA4 API
-  const ga4ResponseBody = await ga4Response.text();
+  return null;
+}
 
-  // Log the GA4 API response
-  if (DEBUG_MODE) {
-    console.log("GA4 API Response Status:", ga4Response.status);
-    console.log("GA4 API Response Body:", ga4ResponseBody);
+/**
+ * Map a navigator.platform value (as sent in botData.platform) to an operating system
+ * @param {string} platform - Platform string, e.g. "Win32", "MacIntel", "Linux armv8l"
+ * @returns {string} Operating system, empty when unknown
+ */
+function getOperatingSystemFromPlatform(platform) {
+  if (!platform) return "";
+  if (/^Win/i.test(platform)) return "Windows";
+  if (/iPhone|iPad|iPod/i.test(platform)) return "iOS";
+  if (/^Mac/i.test(platform)) return "Macintosh";
+  if (/Android/i.test(platform)) return "Android";
+  if (/CrOS/i.test(platform)) return "Chrome OS";
+  if (/Linux/i.test(platform)) return "Linux";
+  return CLIENT_HINT_PLATFORMS[platform] || platform;
+}
+
+/**
+ * Detect device model and brand from the user agent
+ * @param {string} userAgent - User agent string
+ * @returns {{model: string, brand: string}} Model and brand, empty when unknown
+ */
+function parseModelFromUserAgent(userAgent) {
+  if (/\biPhone\b/.test(userAgent)) return { model: "iPhone", brand: "Apple" };
+  if (/\biPad\b/.test(userAgent)) return { model: "iPad", brand: "Apple" };
+  if (/\biPod\b/.test(userAgent)) return { model: "iPod touch", brand: "Apple" };
+  if (/\bMacintosh\b/.test(userAgent)) return { model: "", brand: "Apple" };
+
+  // "Android 14; SM-S918B)", "Android 4.4.2; en-us; GT-I9505 Build/KOT49H)", "Android 12; moto g(60))"
+  const match = userAgent.match(/Android[^;)]*;(?:\s*[a-z]{2}[-_][a-z]{2};)?\s*((?:[^;()]|\([^;()]*\))+?)(?:\s+Build\/[^;)]*)?\s*[;)]/i);
+  if (!match) return { model: "", brand: "" };
+
+  const model = match[1].replace(/^SAMSUNG\s+/i, "").trim();
+  // "K" is the placeholder model of reduced user agents
+  if (!model || model === "K" || /^(?:wv|Mobile|Tablet|Linux|U)$/i.test(model)) {
+    return { model: "", brand: "" };
   }
 
-  // Prepare response data
-  const responseData = {
-    "success": true,
-    "event": processedData.name,
-    "ga4_status": ga4Response.status,
-    "ga4_response": DEBUG_MODE ? ga4ResponseBody : undefined,
-    "debug": payloadDebug ? ga4Payload : undefined,
-    "consent_applied": ga4Payload.consent ? true : false,
-    "consent_mode": ga4Payload.consent?.ad_user_data || 'unknown',
-    "request_type": request.headers.get("X-Simple-request") === "true" ? "simple" : "regular"
-  };
+  return { model, brand: getBrandFromModel(match[1]) };
+}
 
-  // Return encrypted response if requested
-  return await createResponse(responseData, request);
+/**
+ * Get the device brand for an Android model name
+ * @param {string} model - Model name, e.g. "SM-S918B" or "Pixel 8"
+ * @returns {string} Brand, empty when unknown
+ */
+function getBrandFromModel(model) {
+  const match = DEVICE_MODEL_BRANDS.find(([, pattern]) => pattern.test(model || ""));
+  return match ? match[0] : "";
 }
 
 /**
- * Create response with optional encryption
- * @param {Object} responseData - Data to send in response
- * @param {Request} request - Original request to check encryption headers
- * @returns {Promise<Response>} - Response object
+ * Detect the GA4 device category
+ * @param {string} userAgent - User agent string
+ * @param {Object} hints - Client hints (see getClientHints)
+ * @returns {string} "smart tv", "tablet", "mobile", "desktop", or empty without any signal
  */
-async function createResponse(responseData, request) {
-  let responseBody = JSON.stringify(responseData);
-  const headers = {
-    "Content-Type": "application/json",
-    ...getCORSHeaders(request),
-  };
+function detectDeviceCategory(userAgent, hints) {
+  if (/SmartTV|SMART-TV|\bTV\b.*Tizen|Tizen.*\bTV\b|Web0S|webOS.*TV|BRAVIA|\bAFT[A-Z]|CrKey|HbbTV|GoogleTV|AppleTV/i.test(userAgent)) {
+    return "smart tv";
+  }
+  if (/iPad|Tablet|PlayBook|\bSilk\//.test(userAgent) || (/Android/.test(userAgent) && !/Mobile/.test(userAgent) && hints.mobile !== true)) {
+    return "tablet";
+  }
+  if (hints.mobile === true || /Mobi|iPhone|iPod|Windows Phone|BlackBerry/.test(userAgent)) {
+    return "mobile";
+  }
+  if (userAgent || hints.mobile === false) {
+    return "desktop";
+  }
+  return "";
+}
 
-  // Always send responses as plain text (no encryption)
-  if (DEBUG_MODE) {
-    console.log("📤 Response sent as plain text (encryption disabled for responses)");
+/**
+ * Detect browser, operating system, model and brand for the GA4 device object
+ * The user agent identifies in-app browsers and non-Chromium browsers; client hints
+ * identify Chromium derivatives and carry the real versions and model that reduced
+ * ("frozen") Chrome user agents no longer contain.
+ * @param {string} userAgent - User agent string
+ * @param {Object} hints - Client hints (see getClientHints)
+ * @returns {Object} Device fields: category, browser, browser_version, operating_system,
+ *   operating_system_version, model, brand (only the ones that were detected)
+ */
+function detectDevice(userAgent, hints = {}) {
+  const ua = userAgent || "";
+  const device = {};
+
+  const category = detectDeviceCategory(ua, hints);
+  if (category) device.category = category;
+
+  const uaBrowser = ua ? parseBrowserFromUserAgent(ua) : null;
+  const hintBrowser = parseBrowserFromClientHints(hints);
+  let browser = uaBrowser;
+  if (hintBrowser && (!uaBrowser || GENERIC_CHROMIUM_BROWSERS.includes(uaBrowser.name))) {
+    browser = hintBrowser;
+  } else if (hintBrowser && hintBrowser.name === uaBrowser.name && (hints.fullVersionList || []).length > 0) {
+    browser = { name: uaBrowser.name, version: hintBrowser.version || uaBrowser.version };
+  }
+  if (browser) {
+    device.browser = browser.name;
+    if (browser.version) device.browser_version = browser.version;
+  }
+
+  const uaSystem = ua ? parseOperatingSystemFromUserAgent(ua) : null;
+  const hintSystem = CLIENT_HINT_PLATFORMS[hints.platform];
+  if (hintSystem) {
+    device.operating_system = hintSystem;
+    if (hints.platformVersion) {
+      // Windows 11 reports platform version 13 and up; 1-12 are Windows 10
+      const major = parseInt(hints.platformVersion, 10);
+      device.operating_system_version = hintSystem === "Windows"
+        ? (major >= 13 ? "11" : major > 0 ? "10" : (uaSystem && uaSystem.version) || "")
+        : trimVersion(hints.platformVersion);
+    } else if (uaSystem && uaSystem.name === hintSystem && uaSystem.version) {
+      device.operating_system_version = uaSystem.version;
+    }
+  } else if (uaSystem) {
+    device.operating_system = uaSystem.name;
+    if (uaSystem.version) device.operating_system_version = uaSystem.version;
   }
+  if (!device.operating_system_version) delete device.operating_system_version;
+
+  const uaModel = ua ? parseModelFromUserAgent(ua) : { model: "", brand: "" };
+  const model = hints.model || uaModel.model;
+  const brand = hints.model ? getBrandFromModel(hints.model) || uaModel.brand : uaModel.brand;
+  if (model) device.model = model;
+  if (brand) device.brand = brand;
 
-  return new Response(responseBody, { headers });
+  return device;
 }
 
 /**
@@ -2017,10 +5965,14 @@ async function createResponse(responseData, request) {
 
 /**
  * Extract device information following GA4 specification
+ * Browser, operating system, model and brand come from detectDevice (user agent plus
+ * client hints); the browser-reported params are only used when detection finds nothing.
  * @param {Object} params - Event parameters
+ * @param {Request} request - The incoming request (for Sec-CH-UA* headers)
+ * @param {Object} consent - Request-level consent; high-entropy hints need ad_user_data GRANTED
  * @returns {Object} Device information object
  */
-function extractDeviceInfo(params) {
+function extractDeviceInfo(params, request, consent) {
   const device = {};
   const botData = params.botData || {};
   
@@ -2047,332 +5999,91 @@ function extractDeviceInfo(params) {
     device.screen_resolution = `${botData.screen_available_width}x${botData.screen_available_height}`;
   }
   
-  // Extract operating system from user agent or bot data
-  if (params.browser_name || botData.browser_name) {
-    device.browser = params.browser_name || botData.browser_name;
+  const userAgent = params.user_agent || botData.user_agent_full || "";
+  const allowHighEntropy = Boolean(consent && consent.ad_user_data === "GRANTED");
+  const detected = detectDevice(userAgent, getClientHints(params, request, allowHighEntropy));
+
+  if (!device.category && detected.category) {
+    device.category = detected.category;
   }
-  
-  // Extract platform/OS information
-  if (botData.platform) {
-    // Map common platform values to GA4 format
-    const platformMap = {
-      'Win32': 'Windows',
-      'MacIntel': 'Macintosh', 
-      'Linux x86_64': 'Linux',
-      'iPhone': 'iOS',
-      'iPad': 'iOS',
-      'Android': 'Android'
-    };
-    device.operating_system = platformMap[botData.platform] || botData.platform;
+
+  const browser = detected.browser || params.browser_name || botData.browser_name;
+  if (browser) {
+    device.browser = browser;
   }
-  
-  // Try to extract browser and OS from user_agent if available
-  if (params.user_agent || botData.user_agent_full) {
-    const userAgent = params.user_agent || botData.user_agent_full;
-    const browserInfo = parseUserAgentForDevice(userAgent);
-    
-    if (browserInfo.browser && !device.browser) {
-      device.browser = browserInfo.browser;
-    }
-    if (browserInfo.browser_version) {
-      device.browser_version = browserInfo.browser_version;
-    }
-    if (browserInfo.operating_system && !device.operating_system) {
-      device.operating_system = browserInfo.operating_system;
-    }
-    if (browserInfo.operating_system_version) {
-      device.operating_system_version = browserInfo.operating_system_version;
-    }
-    if (browserInfo.model) {
-      device.model = browserInfo.model;
-    }
-    if (browserInfo.brand) {
-      device.brand = browserInfo.brand;
-    }
+
+  const operatingSystem = detected.operating_system || getOperatingSystemFromPlatform(botData.platform);
+  if (operatingSystem) {
+    device.operating_system = operatingSystem;
   }
+
+  ["browser_version", "operating_system_version", "model", "brand"].forEach((field) => {
+    if (detected[field]) {
+      device[field] = detected[field];
+    }
+  });
   
   return device;
 }
 
 /**
- * Parse user agent to extract device information
- * @param {string} userAgent - User agent string
- * @returns {Object} Parsed device information
+ * Get the UN M49 continent and subcontinent codes GA4 expects for a country
  */
-function parseUserAgentForDevice(userAgent) {
-  const info = {};
-  
-  if (!userAgent) return info;
-  
-  // Extract browser information
-  if (/Chrome\/([0-9\.]+)/.test(userAgent)) {
-    info.browser = "Chrome";
-    info.browser_version = userAgent.match(/Chrome\/([0-9\.]+)/)[1];
-  } else if (/Firefox\/([0-9\.]+)/.test(userAgent)) {
-    info.browser = "Firefox";
-    info.browser_version = userAgent.match(/Firefox\/([0-9\.]+)/)[1];
-  } else if (/Safari\/([0-9\.]+)/.test(userAgent) && !/Chrome/.test(userAgent)) {
-    info.browser = "Safari";
-    info.browser_version = userAgent.match(/Version\/([0-9\.]+)/)?.[1] || "";
-  } else if (/Edge\/([0-9\.]+)/.test(userAgent)) {
-    info.browser = "Edge";
-    info.browser_version = userAgent.match(/Edge\/([0-9\.]+)/)[1];
-  }
-  
-  // Extract operating system
-  if (/Windows NT ([0-9\.]+)/.test(userAgent)) {
-    info.operating_system = "Windows";
-    info.operating_system_version = userAgent.match(/Windows NT ([0-9\.]+)/)[1];
-  } else if (/Mac OS X ([0-9_\.]+)/.test(userAgent)) {
-    info.operating_system = "Macintosh";
-    info.operating_system_version = userAgent.match(/Mac OS X ([0-9_\.]+)/)[1].replace(/_/g, '.');
-  } else if (/Android ([0-9\.]+)/.test(userAgent)) {
-    info.operating_system = "Android";
-    info.operating_system_version = userAgent.match(/Android ([0-9\.]+)/)[1];
-  } else if (/iPhone OS ([0-9_\.]+)/.test(userAgent)) {
-    info.operating_system = "iOS";
-    info.operating_system_version = userAgent.match(/iPhone OS ([0-9_\.]+)/)[1].replace(/_/g, '.');
-  } else if (/Linux/.test(userAgent)) {
-    info.operating_system = "Linux";
-  }
-  
-  // Extract device model and brand (mainly for mobile)
-  if (/iPhone/.test(userAgent)) {
-    info.brand = "Apple";
-    info.model = "iPhone";
-  } else if (/iPad/.test(userAgent)) {
-    info.brand = "Apple";
-    info.model = "iPad";
-  } else if (/Pixel ([0-9a-zA-Z\s]+)/.test(userAgent)) {
-    info.brand = "Google";
-    info.model = userAgent.match(/Pixel ([0-9a-zA-Z\s]+)/)[1].trim();
-  } else if (/Samsung/.test(userAgent)) {
-    info.brand = "Samsung";
-    const modelMatch = userAgent.match(/SM-([A-Z0-9]+)/);
-    if (modelMatch) {
-      info.model = modelMatch[1];
-    }
+function getContinentInfo(countryCode) {
+  const country = GEO_COUNTRIES[countryCode];
+
+  if (!country || !country[2]) {
+    return {};
   }
-  
-  return info;
-}
 
+  return { "continent_id": country[2], "subcontinent_id": country[3] };
+}
 
 /**
- * Get continent and subcontinent info based on country code
+ * Alpha-3 codes and normalized country names mapped to alpha-2 codes, built on first use
  */
-function getContinentInfo(countryCode) {
-  const continentCodeMap = {
-    "EU": { "continent_id": "150", "subcontinent_id": "" },
-    "NA": { "continent_id": "019", "subcontinent_id": "021" },
-    "SA": { "continent_id": "019", "subcontinent_id": "005" },
-    "AS": { "continent_id": "142", "subcontinent_id": "" },
-    "AF": { "continent_id": "002", "subcontinent_id": "" },
-    "OC": { "continent_id": "009", "subcontinent_id": "" },
-    "AN": { "continent_id": "010", "subcontinent_id": "" },
-  };
+let countryLookup = null;
 
-  if (continentCodeMap[countryCode]) {
-    return continentCodeMap[countryCode];
-  }
-
-  const continentMap = {
-    // Europe (continent: 150)
-    "AD": { "continent_id": "150", "subcontinent_id": "039" },
-    "AL": { "continent_id": "150", "subcontinent_id": "039" },
-    "AT": { "continent_id": "150", "subcontinent_id": "155" },
-    "BA": { "continent_id": "150", "subcontinent_id": "039" },
-    "BE": { "continent_id": "150", "subcontinent_id": "155" },
-    "BG": { "continent_id": "150", "subcontinent_id": "151" },
-    "BY": { "continent_id": "150", "subcontinent_id": "151" },
-    "CH": { "continent_id": "150", "subcontinent_id": "155" },
-    "CY": { "continent_id": "150", "subcontinent_id": "145" },
-    "CZ": { "continent_id": "150", "subcontinent_id": "151" },
-    "DE": { "continent_id": "150", "subcontinent_id": "155" },
-    "DK": { "continent_id": "150", "subcontinent_id": "154" },
-    "EE": { "continent_id": "150", "subcontinent_id": "154" },
-    "ES": { "continent_id": "150", "subcontinent_id": "039" },
-    "FI": { "continent_id": "150", "subcontinent_id": "154" },
-    "FR": { "continent_id": "150", "subcontinent_id": "155" },
-    "GB": { "continent_id": "150", "subcontinent_id": "154" },
-    "GR": { "continent_id": "150", "subcontinent_id": "039" },
-    "HR": { "continent_id": "150", "subcontinent_id": "039" },
-    "HU": { "continent_id": "150", "subcontinent_id": "151" },
-    "IE": { "continent_id": "150", "subcontinent_id": "154" },
-    "IS": { "continent_id": "150", "subcontinent_id": "154" },
-    "IT": { "continent_id": "150", "subcontinent_id": "039" },
-    "LI": { "continent_id": "150", "subcontinent_id": "155" },
-    "LT": { "continent_id": "150", "subcontinent_id": "154" },
-    "LU": { "continent_id": "150", "subcontinent_id": "155" },
-    "LV": { "continent_id": "150", "subcontinent_id": "154" },
-    "MC": { "continent_id": "150", "subcontinent_id": "155" },
-    "MD": { "continent_id": "150", "subcontinent_id": "151" },
-    "ME": { "continent_id": "150", "subcontinent_id": "039" },
-    "MK": { "continent_id": "150", "subcontinent_id": "039" },
-    "MT": { "continent_id": "150", "subcontinent_id": "039" },
-    "NL": { "continent_id": "150", "subcontinent_id": "155" },
-    "NO": { "continent_id": "150", "subcontinent_id": "154" },
-    "PL": { "continent_id": "150", "subcontinent_id": "151" },
-    "PT": { "continent_id": "150", "subcontinent_id": "039" },
-    "RO": { "continent_id": "150", "subcontinent_id": "151" },
-    "RS": { "continent_id": "150", "subcontinent_id": "039" },
-    "RU": { "continent_id": "150", "subcontinent_id": "151" },
-    "SE": { "continent_id": "150", "subcontinent_id": "154" },
-    "SI": { "continent_id": "150", "subcontinent_id": "039" },
-    "SK": { "continent_id": "150", "subcontinent_id": "151" },
-    "SM": { "continent_id": "150", "subcontinent_id": "039" },
-    "UA": { "continent_id": "150", "subcontinent_id": "151" },
-    "VA": { "continent_id": "150", "subcontinent_id": "039" },
-
-    // Americas (continent: 019)
-    "AG": { "continent_id": "019", "subcontinent_id": "029" },
-    "AR": { "continent_id": "019", "subcontinent_id": "005" },
-    "BB": { "continent_id": "019", "subcontinent_id": "029" },
-    "BO": { "continent_id": "019", "subcontinent_id": "005" },
-    "BR": { "continent_id": "019", "subcontinent_id": "005" },
-    "BS": { "continent_id": "019", "subcontinent_id": "029" },
-    "BZ": { "continent_id": "019", "subcontinent_id": "013" },
-    "CA": { "continent_id": "019", "subcontinent_id": "021" },
-    "CL": { "continent_id": "019", "subcontinent_id": "005" },
-    "CO": { "continent_id": "019", "subcontinent_id": "005" },
-    "CR": { "continent_id": "019", "subcontinent_id": "013" },
-    "CU": { "continent_id": "019", "subcontinent_id": "029" },
-    "DM": { "continent_id": "019", "subcontinent_id": "029" },
-    "DO": { "continent_id": "019", "subcontinent_id": "029" },
-    "EC": { "continent_id": "019", "subcontinent_id": "005" },
-    "GT": { "continent_id": "019", "subcontinent_id": "013" },
-    "GY": { "continent_id": "019", "subcontinent_id": "005" },
-    "HN": { "continent_id": "019", "subcontinent_id": "013" },
-    "HT": { "continent_id": "019", "subcontinent_id": "029" },
-    "JM": { "continent_id": "019", "subcontinent_id": "029" },
-    "MX": { "continent_id": "019", "subcontinent_id": "013" },
-    "NI": { "continent_id": "019", "subcontinent_id": "013" },
-    "PA": { "continent_id": "019", "subcontinent_id": "013" },
-    "PE": { "continent_id": "019", "subcontinent_id": "005" },
-    "PY": { "continent_id": "019", "subcontinent_id": "005" },
-    "SV": { "continent_id": "019", "subcontinent_id": "013" },
-    "SR": { "continent_id": "019", "subcontinent_id": "005" },
-    "TT": { "continent_id": "019", "subcontinent_id": "029" },
-    "US": { "continent_id": "019", "subcontinent_id": "021" },
-    "UY": { "continent_id": "019", "subcontinent_id": "005" },
-    "VE": { "continent_id": "019", "subcontinent_id": "005" },
-
-    // Asia (continent: 142)
-    "AE": { "continent_id": "142", "subcontinent_id": "145" },
-    "AF": { "continent_id": "142", "subcontinent_id": "034" },
-    "CN": { "continent_id": "142", "subcontinent_id": "030" },
-    "IN": { "continent_id": "142", "subcontinent_id": "034" },
-    "JP": { "continent_id": "142", "subcontinent_id": "030" },
-    "KR": { "continent_id": "142", "subcontinent_id": "030" },
-    "SA": { "continent_id": "142", "subcontinent_id": "145" },
-    "SG": { "continent_id": "142", "subcontinent_id": "035" },
-    "TH": { "continent_id": "142", "subcontinent_id": "035" },
-    "TR": { "continent_id": "142", "subcontinent_id": "145" },
-
-    // Africa (continent: 002)
-    "EG": { "continent_id": "002", "subcontinent_id": "015" },
-    "KE": { "continent_id": "002", "subcontinent_id": "014" },
-    "MA": { "continent_id": "002", "subcontinent_id": "015" },
-    "NG": { "continent_id": "002", "subcontinent_id": "011" },
-    "ZA": { "continent_id": "002", "subcontinent_id": "018" },
-
-    // Oceania (continent: 009)
-    "AU": { "continent_id": "009", "subcontinent_id": "053" },
-    "NZ": { "continent_id": "009", "subcontinent_id": "053" },
-  };
+/**
+ * Get the country lookup tables built from GEO_COUNTRIES and COUNTRY_NAME_INDEX
+ */
+function getCountryLookup() {
+  if (!countryLookup) {
+    countryLookup = { alpha3: new Map(), names: new Map() };
 
-  if (continentMap[countryCode]) {
-    return continentMap[countryCode];
+    Object.entries(GEO_COUNTRIES).forEach(([code, [alpha3]]) => {
+      countryLookup.alpha3.set(alpha3, code);
+    });
+    Object.entries(COUNTRY_NAME_INDEX).forEach(([code, names]) => {
+      names.split(",").forEach((name) => countryLookup.names.set(name, code));
+    });
   }
 
-  return { "continent_id": "150", "subcontinent_id": "155" };
+  return countryLookup;
 }
 
 /**
- * Convert country name to ISO country code
+ * Convert a country name or code to an ISO 3166-1 alpha-2 code
+ * Accepts alpha-2 and alpha-3 codes and names in English, German, Dutch, French, Spanish
+ * or Italian, including provider spellings ("The Netherlands", "USA", "Deutschland").
+ * Returns an empty string for unknown countries.
  */
 function convertCountryToISO(countryName) {
-  const countryMap = {
-    // Europe
-    "The Netherlands": "NL",
-    "Netherlands": "NL",
-    "United Kingdom": "GB",
-    "UK": "GB",
-    "Germany": "DE",
-    "France": "FR",
-    "Spain": "ES",
-    "Italy": "IT",
-    "Belgium": "BE",
-    "Austria": "AT",
-    "Switzerland": "CH",
-    "Sweden": "SE",
-    "Norway": "NO",
-    "Denmark": "DK",
-    "Finland": "FI",
-    "Poland": "PL",
-    "Czech Republic": "CZ",
-    "Hungary": "HU",
-    "Greece": "GR",
-    "Portugal": "PT",
-    "Ireland": "IE",
-    "Russia": "RU",
-    "Ukraine": "UA",
-    
-    // Americas
-    "United States": "US",
-    "USA": "US",
-    "Canada": "CA",
-    "Mexico": "MX",
-    "Brazil": "BR",
-    "Argentina": "AR",
-    "Chile": "CL",
-    "Peru": "PE",
-    "Colombia": "CO",
-    "Venezuela": "VE",
-    
-    // Asia
-    "Japan": "JP",
-    "China": "CN",
-    "India": "IN",
-    "South Korea": "KR",
-    "Thailand": "TH",
-    "Indonesia": "ID",
-    "Philippines": "PH",
-    "Malaysia": "MY",
-    "Singapore": "SG",
-    "Hong Kong": "HK",
-    "United Arab Emirates": "AE",
-    "Saudi Arabia": "SA",
-    "Israel": "IL",
-    "Turkey": "TR",
-    
-    // Oceania
-    "Australia": "AU",
-    "New Zealand": "NZ",
-    "Fiji": "FJ",
-    
-    // Africa
-    "Egypt": "EG",
-    "Nigeria": "NG",
-    "South Africa": "ZA",
-    "Kenya": "KE",
-    "Morocco": "MA",
-    "Tunisia": "TN",
-  };
+  if (!countryName) return "";
 
-  if (countryMap[countryName]) {
-    return countryMap[countryName];
+  const value = String(countryName).trim();
+  const upperValue = value.toUpperCase();
+  const lookup = getCountryLookup();
+
+  if (value.length === 2 && GEO_COUNTRIES[upperValue]) {
+    return upperValue;
   }
 
-  if (
-    countryName &&
-    countryName.length === 2 &&
-    countryName === countryName.toUpperCase()
-  ) {
-    return countryName;
+  if (value.length === 3 && lookup.alpha3.has(upperValue)) {
+    return lookup.alpha3.get(upperValue);
   }
 
-  return countryName ? countryName.toUpperCase().substring(0, 2) : "NL";
+  return lookup.names.get(normalizeGeoName(value)) || "";
 }
 
 /**
@@ -2411,17 +6122,18 @@ function extractLocationData(params) {
     if (locationSource === "continent mapping") locationSource = "timezone fallback";
     delete params.geo_country_tz;
   }
+  // Fallback: country of the visitor's IANA timezone
+  else if (params.timezone && GEO_TIMEZONES[params.timezone]) {
+    userLocation.country_id = GEO_TIMEZONES[params.timezone];
+    if (locationSource === "continent mapping") locationSource = "timezone fallback";
+  }
 
   if (params.geo_region || params.region) {
     const regionName = params.geo_region || params.region;
-    const countryCode = userLocation.country_id || "NL";
 
-    if (regionName) {
-      if (countryCode === "NL") {
-        userLocation.region_id = formatDutchRegion(regionName, countryCode);
-      } else {
-        userLocation.region_id = formatRegionId(regionName, countryCode);
-      }
+    // Region codes are only unique within a country, so without one the region is dropped
+    if (regionName && userLocation.country_id) {
+      userLocation.region_id = formatRegionId(regionName, userLocation.country_id);
     }
     delete params.geo_region;
     delete params.region;
@@ -2466,10 +6178,6 @@ function extractLocationData(params) {
     }
   }
 
-  if (!userLocation.country_id) {
-    userLocation.country_id = "NL";
-  }
-
   if (params.geo_latitude) {
     delete params.geo_latitude;
   }
@@ -2513,128 +6221,86 @@ function cleanLocationString(locationString) {
 }
 
 /**
- * Format Dutch region/province names to proper codes
- */
-function formatDutchRegion(regionName, countryCode) {
-  const dutchProvinces = {
-    "Noord-Holland": "NL-NH",
-    "Noord Holland": "NL-NH",
-    "North Holland": "NL-NH",
-    "NH": "NL-NH",
-    "Zuid-Holland": "NL-ZH",
-    "Zuid Holland": "NL-ZH",
-    "South Holland": "NL-ZH",
-    "ZH": "NL-ZH",
-    "Utrecht": "NL-UT",
-    "UT": "NL-UT",
-    "Gelderland": "NL-GE",
-    "GE": "NL-GE",
-    "Overijssel": "NL-OV",
-    "OV": "NL-OV",
-    "Drenthe": "NL-DR",
-    "DR": "NL-DR",
-    "Friesland": "NL-FR",
-    "Fryslân": "NL-FR",
-    "FR": "NL-FR",
-    "Groningen": "NL-GR",
-    "GR": "NL-GR",
-    "Limburg": "NL-LI",
-    "LI": "NL-LI",
-    "Noord-Brabant": "NL-NB",
-    "Noord Brabant": "NL-NB",
-    "North Brabant": "NL-NB",
-    "NB": "NL-NB",
-    "Zeeland": "NL-ZE",
-    "ZE": "NL-ZE",
-    "Flevoland": "NL-FL",
-    "FL": "NL-FL",
-  };
+ * Lookup indexes built from ISO_3166_2_REGIONS on first use, keyed by country code
+ */
+const regionIndexCache = new Map();
+
+/**
+ * Designator words providers put around region names ("Province of Antwerp", "Land Berlin")
+ */
+const REGION_DESIGNATOR_PATTERN = /\b(province|provincie|provinz|region|regione|state|county|voivodeship|prefecture|oblast|department|canton|kanton|land|of)\b/g;
 
-  if (dutchProvinces[regionName]) {
-    return dutchProvinces[regionName];
+/**
+ * Normalize a country or region name for lookups: lowercase, diacritics and punctuation removed
+ * Must stay in sync with normalizeName() in scripts/generate-geo-data.mjs
+ */
+function normalizeGeoName(name) {
+  const folding = { "ß": "ss", "ł": "l", "ø": "o", "æ": "ae", "œ": "oe", "đ": "d", "ð": "d", "þ": "th", "ı": "i" };
+
+  return String(name)
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[ßłøæœđðþı]/g, (char) => folding[char])
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+/**
+ * Get the subdivision codes and normalized names for a country
+ */
+function getRegionIndex(countryCode) {
+  if (regionIndexCache.has(countryCode)) {
+    return regionIndexCache.get(countryCode);
   }
 
-  const lowerRegion = regionName.toLowerCase();
-  for (const [key, value] of Object.entries(dutchProvinces)) {
-    if (key.toLowerCase() === lowerRegion) {
-      return value;
-    }
+  const index = { codes: new Set(), names: new Map() };
+  const data = ISO_3166_2_REGIONS[countryCode];
+
+  if (data) {
+    data.split("|").forEach((entry) => {
+      const [code, names] = entry.split(":");
+      index.codes.add(code);
+      if (names) {
+        names.split(",").forEach((name) => index.names.set(name, code));
+      }
+    });
   }
 
-  return formatRegionId(regionName, countryCode);
+  regionIndexCache.set(countryCode, index);
+  return index;
 }
 
 /**
- * Format region ID for Belgium and other countries
+ * Resolve a region name or code to an ISO 3166-2 code (e.g. "Bavaria" -> "DE-BY")
+ * Accepts full codes ("GB-ENG"), subdivision codes as sent by Cloudflare and ipapi.co ("ENG")
+ * and names in the languages and provider spellings of ISO_3166_2_REGIONS.
+ * Returns an empty string when the region is unknown, so GA4 never receives an invented code.
  */
 function formatRegionId(regionName, countryCode) {
-  if (!regionName) return "";
-
-  if (regionName.includes("-") && regionName.startsWith(countryCode)) {
-    return regionName;
-  }
-
-  const belgiumRegions = {
-    "Flanders": "BE-VLG",
-    "Vlaanderen": "BE-VLG", 
-    "FL": "BE-VLG",
-    "VLG": "BE-VLG",
-    "Wallonia": "BE-WAL",
-    "Wallonie": "BE-WAL", 
-    "WL": "BE-WAL",
-    "WAL": "BE-WAL",
-    "Brussels": "BE-BRU",
-    "Brussel": "BE-BRU",
-    "Brussels-Capital": "BE-BRU",
-    "BR": "BE-BRU",
-    "BRU": "BE-BRU"
-  };
+  if (!regionName || !countryCode) return "";
 
-  const usStates = {
-    "California": "US-CA",
-    "CA": "US-CA",
-    "New York": "US-NY",
-    "NY": "US-NY",
-    "Texas": "US-TX",
-    "TX": "US-TX",
-    "Florida": "US-FL",
-    "FL": "US-FL",
-    "Illinois": "US-IL",
-    "IL": "US-IL",
-    "Pennsylvania": "US-PA",
-    "PA": "US-PA",
-    "Ohio": "US-OH",
-    "OH": "US-OH",
-    "Georgia": "US-GA",
-    "GA": "US-GA",
-    "North Carolina": "US-NC",
-    "NC": "US-NC",
-    "Michigan": "US-MI",
-    "MI": "US-MI",
-  };
+  const index = getRegionIndex(countryCode);
+  const value = String(regionName).trim();
 
-  if (countryCode === "BE") {
-    if (belgiumRegions[regionName]) {
-      return belgiumRegions[regionName];
-    }
-    
-    const lowerRegion = regionName.toLowerCase();
-    for (const [key, value] of Object.entries(belgiumRegions)) {
-      if (key.toLowerCase() === lowerRegion) {
-        return value;
-      }
-    }
+  const fullCode = value.toUpperCase().match(/^([A-Z]{2})-([A-Z0-9]{1,3})$/);
+  if (fullCode && fullCode[1] === countryCode && index.codes.has(fullCode[2])) {
+    return `${countryCode}-${fullCode[2]}`;
   }
 
-  if (countryCode === "US" && usStates[regionName]) {
-    return usStates[regionName];
+  if (/^[A-Z0-9]{1,3}$/.test(value) && index.codes.has(value)) {
+    return `${countryCode}-${value}`;
   }
 
-  let regionCode =
-    regionName.length <= 3
-      ? regionName.toUpperCase()
-      : regionName.substring(0, 2).toUpperCase();
-  return `${countryCode}-${regionCode}`;
+  const name = normalizeGeoName(value);
+  let code = index.names.get(name);
+
+  if (!code) {
+    const withoutDesignator = name.replace(REGION_DESIGNATOR_PATTERN, " ").replace(/\s+/g, " ").trim();
+    code = withoutDesignator ? index.names.get(withoutDesignator) : undefined;
+  }
+
+  return code ? `${countryCode}-${code}` : "";
 }
 
 /**
@@ -2674,13 +6340,6 @@ function processEventData(data, request) {
         }
       }
       break;
-
-    case "add_to_cart":
-    case "purchase":
-      if (!processedData.params.currency) {
-        processedData.params.currency = "EUR";
-      }
-      break;
   }
 
   if (!processedData.params.engagement_time_msec) {
@@ -2703,8 +6362,24 @@ function processEventData(data, request) {
 
 /**
  * Handle CORS preflight requests
+ * Preflights from origins outside ALLOWED_DOMAINS are rejected with 403.
  */
 function handleCORS(request) {
+  const origin = request.headers.get("Origin");
+
+  if (!isAllowedOrigin(origin)) {
+    if (DEBUG_MODE) {
+      console.log(`🚫 CORS preflight rejected for origin: ${origin}`);
+    }
+    return new Response(
+      JSON.stringify({ success: false, error: "Origin not allowed", origin: origin }),
+      {
+        status: 403,
+        headers: { "Content-Type": "application/json", "Vary": "Origin" },
+      }
+    );
+  }
+
   return new Response(null, {
     status: 204,
     headers: getCORSHeaders(request),
@@ -2713,15 +6388,1260 @@ function handleCORS(request) {
 
 /**
  * Get CORS headers for the response
+ * The Origin is only echoed back (with credentials) when it is in ALLOWED_DOMAINS;
+ * other origins get no Access-Control-Allow-Origin, so browsers cannot read the response.
  */
 function getCORSHeaders(request) {
-  const origin = request.headers.get("Origin") || "*";
-
-  return {
-    "Access-Control-Allow-Origin": origin,
+  const origin = request.headers.get("Origin");
+  const headers = {
     "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
-    "Access-Control-Allow-Headers": "Content-Type, X-Encrypted, X-Simple-request",
-    "Access-Control-Allow-Credentials": "true",
+    "Access-Control-Allow-Headers": "Content-Type, X-Encrypted, X-Simple-request, X-GA4-Validate, X-GA4-Batch",
     "Access-Control-Max-Age": "86400",
+    "Vary": "Origin",
   };
+
+  if (isAllowedOrigin(origin)) {
+    headers["Access-Control-Allow-Origin"] = origin;
+    headers["Access-Control-Allow-Credentials"] = "true";
+  }
+
+  return headers;
 }
+
+/**
+ * =============================================================================
+ * COUNTRY AND TIMEZONE DATA
+ * =============================================================================
+ */
+
+// ISO 3166-1 countries ([alpha-3, English name, M49 continent, M49 subcontinent]) and IANA
+// timezones mapped to countries. public/js/ga4-geo-data.js holds the same tables for the browser.
+// Generated by scripts/generate-geo-data.mjs from the iso-codes package and tzdata - do not edit by hand.
+// @generated-start countries
+const GEO_COUNTRIES = {
+  "AD": ["AND","Andorra","150","039"],
+  "AE": ["ARE","United Arab Emirates","142","145"],
+  "AF": ["AFG","Afghanistan","142","034"],
+  "AG": ["ATG","Antigua and Barbuda","019","029"],
+  "AI": ["AIA","Anguilla","019","029"],
+  "AL": ["ALB","Albania","150","039"],
+  "AM": ["ARM","Armenia","142","145"],
+  "AO": ["AGO","Angola","002","017"],
+  "AQ": ["ATA","Antarctica","",""],
+  "AR": ["ARG","Argentina","019","005"],
+  "AS": ["ASM","American Samoa","009","061"],
+  "AT": ["AUT","Austria","150","155"],
+  "AU": ["AUS","Australia","009","053"],
+  "AW": ["ABW","Aruba","019","029"],
+  "AX": ["ALA","Åland Islands","150","154"],
+  "AZ": ["AZE","Azerbaijan","142","145"],
+  "BA": ["BIH","Bosnia and Herzegovina","150","039"],
+  "BB": ["BRB","Barbados","019","029"],
+  "BD": ["BGD","Bangladesh","142","034"],
+  "BE": ["BEL","Belgium","150","155"],
+  "BF": ["BFA","Burkina Faso","002","011"],
+  "BG": ["BGR","Bulgaria","150","151"],
+  "BH": ["BHR","Bahrain","142","145"],
+  "BI": ["BDI","Burundi","002","014"],
+  "BJ": ["BEN","Benin","002","011"],
+  "BL": ["BLM","Saint Barthélemy","019","029"],
+  "BM": ["BMU","Bermuda","019","021"],
+  "BN": ["BRN","Brunei Darussalam","142","035"],
+  "BO": ["BOL","Bolivia","019","005"],
+  "BQ": ["BES","Bonaire, Sint Eustatius and Saba","019","029"],
+  "BR": ["BRA","Brazil","019","005"],
+  "BS": ["BHS","Bahamas","019","029"],
+  "BT": ["BTN","Bhutan","142","034"],
+  "BV": ["BVT","Bouvet Island","019","005"],
+  "BW": ["BWA","Botswana","002","018"],
+  "BY": ["BLR","Belarus","150","151"],
+  "BZ": ["BLZ","Belize","019","013"],
+  "CA": ["CAN","Canada","019","021"],
+  "CC": ["CCK","Cocos (Keeling) Islands","009","053"],
+  "CD": ["COD","Congo, The Democratic Republic of the","002","017"],
+  "CF": ["CAF","Central African Republic","002","017"],
+  "CG": ["COG","Congo","002","017"],
+  "CH": ["CHE","Switzerland","150","155"],
+  "CI": ["CIV","Côte d'Ivoire","002","011"],
+  "CK": ["COK","Cook Islands","009","061"],
+  "CL": ["CHL","Chile","019","005"],
+  "CM": ["CMR","Cameroon","002","017"],
+  "CN": ["CHN","China","142","030"],
+  "CO": ["COL","Colombia","019","005"],
+  "CR": ["CRI","Costa Rica","019","013"],
+  "CU": ["CUB","Cuba","019","029"],
+  "CV": ["CPV","Cabo Verde","002","011"],
+  "CW": ["CUW","Curaçao","019","029"],
+  "CX": ["CXR","Christmas Island","009","053"],
+  "CY": ["CYP","Cyprus","142","145"],
+  "CZ": ["CZE","Czechia","150","151"],
+  "DE": ["DEU","Germany","150","155"],
+  "DJ": ["DJI","Djibouti","002","014"],
+  "DK": ["DNK","Denmark","150","154"],
+  "DM": ["DMA","Dominica","019","029"],
+  "DO": ["DOM","Dominican Republic","019","029"],
+  "DZ": ["DZA","Algeria","002","015"],
+  "EC": ["ECU","Ecuador","019","005"],
+  "EE": ["EST","Estonia","150","154"],
+  "EG": ["EGY","Egypt","002","015"],
+  "EH": ["ESH","Western Sahara","002","015"],
+  "ER": ["ERI","Eritrea","002","014"],
+  "ES": ["ESP","Spain","150","039"],
+  "ET": ["ETH","Ethiopia","002","014"],
+  "FI": ["FIN","Finland","150","154"],
+  "FJ": ["FJI","Fiji","009","054"],
+  "FK": ["FLK","Falkland Islands (Malvinas)","019","005"],
+  "FM": ["FSM","Micronesia, Federated States of","009","057"],
+  "FO": ["FRO","Faroe Islands","150","154"],
+  "FR": ["FRA","France","150","155"],
+  "GA": ["GAB","Gabon","002","017"],
+  "GB": ["GBR","United Kingdom","150","154"],
+  "GD": ["GRD","Grenada","019","029"],
+  "GE": ["GEO","Georgia","142","145"],
+  "GF": ["GUF","French Guiana","019","005"],
+  "GG": ["GGY","Guernsey","150","154"],
+  "GH": ["GHA","Ghana","002","011"],
+  "GI": ["GIB","Gibraltar","150","039"],
+  "GL": ["GRL","Greenland","019","021"],
+  "GM": ["GMB","Gambia","002","011"],
+  "GN": ["GIN","Guinea","002","011"],
+  "GP": ["GLP","Guadeloupe","019","029"],
+  "GQ": ["GNQ","Equatorial Guinea","002","017"],
+  "GR": ["GRC","Greece","150","039"],
+  "GS": ["SGS","South Georgia and the South Sandwich Islands","019","005"],
+  "GT": ["GTM","Guatemala","019","013"],
+  "GU": ["GUM","Guam","009","057"],
+  "GW": ["GNB","Guinea-Bissau","002","011"],
+  "GY": ["GUY","Guyana","019","005"],
+  "HK": ["HKG","Hong Kong","142","030"],
+  "HM": ["HMD","Heard Island and McDonald Islands","009","053"],
+  "HN": ["HND","Honduras","019","013"],
+  "HR": ["HRV","Croatia","150","039"],
+  "HT": ["HTI","Haiti","019","029"],
+  "HU": ["HUN","Hungary","150","151"],
+  "ID": ["IDN","Indonesia","142","035"],
+  "IE": ["IRL","Ireland","150","154"],
+  "IL": ["ISR","Israel","142","145"],
+  "IM": ["IMN","Isle of Man","150","154"],
+  "IN": ["IND","India","142","034"],
+  "IO": ["IOT","British Indian Ocean Territory","002","014"],
+  "IQ": ["IRQ","Iraq","142","145"],
+  "IR": ["IRN","Iran","142","034"],
+  "IS": ["ISL","Iceland","150","154"],
+  "IT": ["ITA","Italy","150","039"],
+  "JE": ["JEY","Jersey","150","154"],
+  "JM": ["JAM","Jamaica","019","029"],
+  "JO": ["JOR","Jordan","142","145"],
+  "JP": ["JPN","Japan","142","030"],
+  "KE": ["KEN","Kenya","002","014"],
+  "KG": ["KGZ","Kyrgyzstan","142","143"],
+  "KH": ["KHM","Cambodia","142","035"],
+  "KI": ["KIR","Kiribati","009","057"],
+  "KM": ["COM","Comoros","002","014"],
+  "KN": ["KNA","Saint Kitts and Nevis","019","029"],
+  "KP": ["PRK","North Korea","142","030"],
+  "KR": ["KOR","South Korea","142","030"],
+  "KW": ["KWT","Kuwait","142","145"],
+  "KY": ["CYM","Cayman Islands","019","029"],
+  "KZ": ["KAZ","Kazakhstan","142","143"],
+  "LA": ["LAO","Laos","142","035"],
+  "LB": ["LBN","Lebanon","142","145"],
+  "LC": ["LCA","Saint Lucia","019","029"],
+  "LI": ["LIE","Liechtenstein","150","155"],
+  "LK": ["LKA","Sri Lanka","142","034"],
+  "LR": ["LBR","Liberia","002","011"],
+  "LS": ["LSO","Lesotho","002","018"],
+  "LT": ["LTU","Lithuania","150","154"],
+  "LU": ["LUX","Luxembourg","150","155"],
+  "LV": ["LVA","Latvia","150","154"],
+  "LY": ["LBY","Libya","002","015"],
+  "MA": ["MAR","Morocco","002","015"],
+  "MC": ["MCO","Monaco","150","155"],
+  "MD": ["MDA","Moldova","150","151"],
+  "ME": ["MNE","Montenegro","150","039"],
+  "MF": ["MAF","Saint Martin (French part)","019","029"],
+  "MG": ["MDG","Madagascar","002","014"],
+  "MH": ["MHL","Marshall Islands","009","057"],
+  "MK": ["MKD","North Macedonia","150","039"],
+  "ML": ["MLI","Mali","002","011"],
+  "MM": ["MMR","Myanmar","142","035"],
+  "MN": ["MNG","Mongolia","142","030"],
+  "MO": ["MAC","Macao","142","030"],
+  "MP": ["MNP","Northern Mariana Islands","009","057"],
+  "MQ": ["MTQ","Martinique","019","029"],
+  "MR": ["MRT","Mauritania","002","011"],
+  "MS": ["MSR","Montserrat","019","029"],
+  "MT": ["MLT","Malta","150","039"],
+  "MU": ["MUS","Mauritius","002","014"],
+  "MV": ["MDV","Maldives","142","034"],
+  "MW": ["MWI","Malawi","002","014"],
+  "MX": ["MEX","Mexico","019","013"],
+  "MY": ["MYS","Malaysia","142","035"],
+  "MZ": ["MOZ","Mozambique","002","014"],
+  "NA": ["NAM","Namibia","002","018"],
+  "NC": ["NCL","New Caledonia","009","054"],
+  "NE": ["NER","Niger","002","011"],
+  "NF": ["NFK","Norfolk Island","009","053"],
+  "NG": ["NGA","Nigeria","002","011"],
+  "NI": ["NIC","Nicaragua","019","013"],
+  "NL": ["NLD","Netherlands","150","155"],
+  "NO": ["NOR","Norway","150","154"],
+  "NP": ["NPL","Nepal","142","034"],
+  "NR": ["NRU","Nauru","009","057"],
+  "NU": ["NIU","Niue","009","061"],
+  "NZ": ["NZL","New Zealand","009","053"],
+  "OM": ["OMN","Oman","142","145"],
+  "PA": ["PAN","Panama","019","013"],
+  "PE": ["PER","Peru","019","005"],
+  "PF": ["PYF","French Polynesia","009","061"],
+  "PG": ["PNG","Papua New Guinea","009","054"],
+  "PH": ["PHL","Philippines","142","035"],
+  "PK": ["PAK","Pakistan","142","034"],
+  "PL": ["POL","Poland","150","151"],
+  "PM": ["SPM","Saint Pierre and Miquelon","019","021"],
+  "PN": ["PCN","Pitcairn","009","061"],
+  "PR": ["PRI","Puerto Rico","019","029"],
+  "PS": ["PSE","Palestine, State of","142","145"],
+  "PT": ["PRT","Portugal","150","039"],
+  "PW": ["PLW","Palau","009","057"],
+  "PY": ["PRY","Paraguay","019","005"],
+  "QA": ["QAT","Qatar","142","145"],
+  "RE": ["REU","Réunion","002","014"],
+  "RO": ["ROU","Romania","150","151"],
+  "RS": ["SRB","Serbia","150","039"],
+  "RU": ["RUS","Russian Federation","150","151"],
+  "RW": ["RWA","Rwanda","002","014"],
+  "SA": ["SAU","Saudi Arabia","142","145"],
+  "SB": ["SLB","Solomon Islands","009","054"],
+  "SC": ["SYC","Seychelles","002","014"],
+  "SD": ["SDN","Sudan","002","015"],
+  "SE": ["SWE","Sweden","150","154"],
+  "SG": ["SGP","Singapore","142","035"],
+  "SH": ["SHN","Saint Helena, Ascension and Tristan da Cunha","002","011"],
+  "SI": ["SVN","Slovenia","150","039"],
+  "SJ": ["SJM","Svalbard and Jan Mayen","150","154"],
+  "SK": ["SVK","Slovakia","150","151"],
+  "SL": ["SLE","Sierra Leone","002","011"],
+  "SM": ["SMR","San Marino","150","039"],
+  "SN": ["SEN","Senegal","002","011"],
+  "SO": ["SOM","Somalia","002","014"],
+  "SR": ["SUR","Suriname","019","005"],
+  "SS": ["SSD","South Sudan","002","014"],
+  "ST": ["STP","Sao Tome and Principe","002","017"],
+  "SV": ["SLV","El Salvador","019","013"],
+  "SX": ["SXM","Sint Maarten (Dutch part)","019","029"],
+  "SY": ["SYR","Syria","142","145"],
+  "SZ": ["SWZ","Eswatini","002","018"],
+  "TC": ["TCA","Turks and Caicos Islands","019","029"],
+  "TD": ["TCD","Chad","002","017"],
+  "TF": ["ATF","French Southern Territories","002","014"],
+  "TG": ["TGO","Togo","002","011"],
+  "TH": ["THA","Thailand","142","035"],
+  "TJ": ["TJK","Tajikistan","142","143"],
+  "TK": ["TKL","Tokelau","009","061"],
+  "TL": ["TLS","Timor-Leste","142","035"],
+  "TM": ["TKM","Turkmenistan","142","143"],
+  "TN": ["TUN","Tunisia","002","015"],
+  "TO": ["TON","Tonga","009","061"],
+  "TR": ["TUR","Türkiye","142","145"],
+  "TT": ["TTO","Trinidad and Tobago","019","029"],
+  "TV": ["TUV","Tuvalu","009","061"],
+  "TW": ["TWN","Taiwan","142","030"],
+  "TZ": ["TZA","Tanzania","002","014"],
+  "UA": ["UKR","Ukraine","150","151"],
+  "UG": ["UGA","Uganda","002","014"],
+  "UM": ["UMI","United States Minor Outlying Islands","009","057"],
+  "US": ["USA","United States","019","021"],
+  "UY": ["URY","Uruguay","019","005"],
+  "UZ": ["UZB","Uzbekistan","142","143"],
+  "VA": ["VAT","Holy See (Vatican City State)","150","039"],
+  "VC": ["VCT","Saint Vincent and the Grenadines","019","029"],
+  "VE": ["VEN","Venezuela","019","005"],
+  "VG": ["VGB","Virgin Islands, British","019","029"],
+  "VI": ["VIR","Virgin Islands, U.S.","019","029"],
+  "VN": ["VNM","Vietnam","142","035"],
+  "VU": ["VUT","Vanuatu","009","054"],
+  "WF": ["WLF","Wallis and Futuna","009","061"],
+  "WS": ["WSM","Samoa","009","061"],
+  "YE": ["YEM","Yemen","142","145"],
+  "YT": ["MYT","Mayotte","002","014"],
+  "ZA": ["ZAF","South Africa","002","018"],
+  "ZM": ["ZMB","Zambia","002","014"],
+  "ZW": ["ZWE","Zimbabwe","002","014"],
+};
+
+const GEO_TIMEZONES = {
+  "Africa/Abidjan": "CI",
+  "Africa/Accra": "GH",
+  "Africa/Addis_Ababa": "ET",
+  "Africa/Algiers": "DZ",
+  "Africa/Asmara": "ER",
+  "Africa/Bamako": "ML",
+  "Africa/Bangui": "CF",
+  "Africa/Banjul": "GM",
+  "Africa/Bissau": "GW",
+  "Africa/Blantyre": "MW",
+  "Africa/Brazzaville": "CG",
+  "Africa/Bujumbura": "BI",
+  "Africa/Cairo": "EG",
+  "Africa/Casablanca": "MA",
+  "Africa/Ceuta": "ES",
+  "Africa/Conakry": "GN",
+  "Africa/Dakar": "SN",
+  "Africa/Dar_es_Salaam": "TZ",
+  "Africa/Djibouti": "DJ",
+  "Africa/Douala": "CM",
+  "Africa/El_Aaiun": "EH",
+  "Africa/Freetown": "SL",
+  "Africa/Gaborone": "BW",
+  "Africa/Harare": "ZW",
+  "Africa/Johannesburg": "ZA",
+  "Africa/Juba": "SS",
+  "Africa/Kampala": "UG",
+  "Africa/Khartoum": "SD",
+  "Africa/Kigali": "RW",
+  "Africa/Kinshasa": "CD",
+  "Africa/Lagos": "NG",
+  "Africa/Libreville": "GA",
+  "Africa/Lome": "TG",
+  "Africa/Luanda": "AO",
+  "Africa/Lubumbashi": "CD",
+  "Africa/Lusaka": "ZM",
+  "Africa/Malabo": "GQ",
+  "Africa/Maputo": "MZ",
+  "Africa/Maseru": "LS",
+  "Africa/Mbabane": "SZ",
+  "Africa/Mogadishu": "SO",
+  "Africa/Monrovia": "LR",
+  "Africa/Nairobi": "KE",
+  "Africa/Ndjamena": "TD",
+  "Africa/Niamey": "NE",
+  "Africa/Nouakchott": "MR",
+  "Africa/Ouagadougou": "BF",
+  "Africa/Porto-Novo": "BJ",
+  "Africa/Sao_Tome": "ST",
+  "Africa/Tripoli": "LY",
+  "Africa/Tunis": "TN",
+  "Africa/Windhoek": "NA",
+  "America/Adak": "US",
+  "America/Anchorage": "US",
+  "America/Anguilla": "AI",
+  "America/Antigua": "AG",
+  "America/Araguaina": "BR",
+  "America/Argentina/Buenos_Aires": "AR",
+  "America/Argentina/Catamarca": "AR",
+  "America/Argentina/ComodRivadavia": "AR",
+  "America/Argentina/Cordoba": "AR",
+  "America/Argentina/Jujuy": "AR",
+  "America/Argentina/La_Rioja": "AR",
+  "America/Argentina/Mendoza": "AR",
+  "America/Argentina/Rio_Gallegos": "AR",
+  "America/Argentina/Salta": "AR",
+  "America/Argentina/San_Juan": "AR",
+  "America/Argentina/San_Luis": "AR",
+  "America/Argentina/Tucuman": "AR",
+  "America/Argentina/Ushuaia": "AR",
+  "America/Aruba": "AW",
+  "America/Asuncion": "PY",
+  "America/Atikokan": "CA",
+  "America/Atka": "US",
+  "America/Bahia": "BR",
+  "America/Bahia_Banderas": "MX",
+  "America/Barbados": "BB",
+  "America/Belem": "BR",
+  "America/Belize": "BZ",
+  "America/Blanc-Sablon": "CA",
+  "America/Boa_Vista": "BR",
+  "America/Bogota": "CO",
+  "America/Boise": "US",
+  "America/Buenos_Aires": "AR",
+  "America/Cambridge_Bay": "CA",
+  "America/Campo_Grande": "BR",
+  "America/Cancun": "MX",
+  "America/Caracas": "VE",
+  "America/Catamarca": "AR",
+  "America/Cayenne": "GF",
+  "America/Cayman": "KY",
+  "America/Chicago": "US",
+  "America/Chihuahua": "MX",
+  "America/Ciudad_Juarez": "MX",
+  "America/Cordoba": "AR",
+  "America/Costa_Rica": "CR",
+  "America/Coyhaique": "CL",
+  "America/Creston": "CA",
+  "America/Cuiaba": "BR",
+  "America/Curacao": "CW",
+  "America/Danmarkshavn": "GL",
+  "America/Dawson": "CA",
+  "America/Dawson_Creek": "CA",
+  "America/Denver": "US",
+  "America/Detroit": "US",
+  "America/Dominica": "DM",
+  "America/Edmonton": "CA",
+  "America/Eirunepe": "BR",
+  "America/El_Salvador": "SV",
+  "America/Ensenada": "MX",
+  "America/Fort_Nelson": "CA",
+  "America/Fort_Wayne": "US",
+  "America/Fortaleza": "BR",
+  "America/Glace_Bay": "CA",
+  "America/Godthab": "GL",
+  "America/Goose_Bay": "CA",
+  "America/Grand_Turk": "TC",
+  "America/Grenada": "GD",
+  "America/Guadeloupe": "GP",
+  "America/Guatemala": "GT",
+  "America/Guayaquil": "EC",
+  "America/Guyana": "GY",
+  "America/Halifax": "CA",
+  "America/Havana": "CU",
+  "America/Hermosillo": "MX",
+  "America/Indiana/Indianapolis": "US",
+  "America/Indiana/Knox": "US",
+  "America/Indiana/Marengo": "US",
+  "America/Indiana/Petersburg": "US",
+  "America/Indiana/Tell_City": "US",
+  "America/Indiana/Vevay": "US",
+  "America/Indiana/Vincennes": "US",
+  "America/Indiana/Winamac": "US",
+  "America/Indianapolis": "US",
+  "America/Inuvik": "CA",
+  "America/Iqaluit": "CA",
+  "America/Jamaica": "JM",
+  "America/Jujuy": "AR",
+  "America/Juneau": "US",
+  "America/Kentucky/Louisville": "US",
+  "America/Kentucky/Monticello": "US",
+  "America/Knox_IN": "US",
+  "America/Kralendijk": "BQ",
+  "America/La_Paz": "BO",
+  "America/Lima": "PE",
+  "America/Los_Angeles": "US",
+  "America/Louisville": "US",
+  "America/Lower_Princes": "SX",
+  "America/Maceio": "BR",
+  "America/Managua": "NI",
+  "America/Manaus": "BR",
+  "America/Marigot": "MF",
+  "America/Martinique": "MQ",
+  "America/Matamoros": "MX",
+  "America/Mazatlan": "MX",
+  "America/Mendoza": "AR",
+  "America/Menominee": "US",
+  "America/Merida": "MX",
+  "America/Metlakatla": "US",
+  "America/Mexico_City": "MX",
+  "America/Miquelon": "PM",
+  "America/Moncton": "CA",
+  "America/Monterrey": "MX",
+  "America/Montevideo": "UY",
+  "America/Montserrat": "MS",
+  "America/Nassau": "BS",
+  "America/New_York": "US",
+  "America/Nome": "US",
+  "America/Noronha": "BR",
+  "America/North_Dakota/Beulah": "US",
+  "America/North_Dakota/Center": "US",
+  "America/North_Dakota/New_Salem": "US",
+  "America/Nuuk": "GL",
+  "America/Ojinaga": "MX",
+  "America/Panama": "PA",
+  "America/Pangnirtung": "CA",
+  "America/Paramaribo": "SR",
+  "America/Phoenix": "US",
+  "America/Port-au-Prince": "HT",
+  "America/Port_of_Spain": "TT",
+  "America/Porto_Acre": "BR",
+  "America/Porto_Velho": "BR",
+  "America/Puerto_Rico": "PR",
+  "America/Punta_Arenas": "CL",
+  "America/Rainy_River": "CA",
+  "America/Rankin_Inlet": "CA",
+  "America/Recife": "BR",
+  "America/Regina": "CA",
+  "America/Resolute": "CA",
+  "America/Rio_Branco": "BR",
+  "America/Rosario": "AR",
+  "America/Santa_Isabel": "MX",
+  "America/Santarem": "BR",
+  "America/Santiago": "CL",
+  "America/Santo_Domingo": "DO",
+  "America/Sao_Paulo": "BR",
+  "America/Scoresbysund": "GL",
+  "America/Shiprock": "US",
+  "America/Sitka": "US",
+  "America/St_Barthelemy": "BL",
+  "America/St_Johns": "CA",
+  "America/St_Kitts": "KN",
+  "America/St_Lucia": "LC",
+  "America/St_Thomas": "VI",
+  "America/St_Vincent": "VC",
+  "America/Swift_Current": "CA",
+  "America/Tegucigalpa": "HN",
+  "America/Thule": "GL",
+  "America/Tijuana": "MX",
+  "America/Toronto": "CA",
+  "America/Tortola": "VG",
+  "America/Vancouver": "CA",
+  "America/Virgin": "VI",
+  "America/Whitehorse": "CA",
+  "America/Winnipeg": "CA",
+  "America/Yakutat": "US",
+  "America/Yellowknife": "CA",
+  "Antarctica/Casey": "AQ",
+  "Antarctica/Davis": "AQ",
+  "Antarctica/DumontDUrville": "AQ",
+  "Antarctica/Macquarie": "AU",
+  "Antarctica/Mawson": "AQ",
+  "Antarctica/McMurdo": "AQ",
+  "Antarctica/Palmer": "AQ",
+  "Antarctica/Rothera": "AQ",
+  "Antarctica/Syowa": "AQ",
+  "Antarctica/Troll": "AQ",
+  "Antarctica/Vostok": "AQ",
+  "Arctic/Longyearbyen": "SJ",
+  "Asia/Aden": "YE",
+  "Asia/Almaty": "KZ",
+  "Asia/Amman": "JO",
+  "Asia/Anadyr": "RU",
+  "Asia/Aqtau": "KZ",
+  "Asia/Aqtobe": "KZ",
+  "Asia/Ashgabat": "TM",
+  "Asia/Ashkhabad": "TM",
+  "Asia/Atyrau": "KZ",
+  "Asia/Baghdad": "IQ",
+  "Asia/Bahrain": "BH",
+  "Asia/Baku": "AZ",
+  "Asia/Bangkok": "TH",
+  "Asia/Barnaul": "RU",
+  "Asia/Beirut": "LB",
+  "Asia/Bishkek": "KG",
+  "Asia/Brunei": "BN",
+  "Asia/Calcutta": "IN",
+  "Asia/Chita": "RU",
+  "Asia/Choibalsan": "MN",
+  "Asia/Chongqing": "CN",
+  "Asia/Chungking": "CN",
+  "Asia/Colombo": "LK",
+  "Asia/Dacca": "BD",
+  "Asia/Damascus": "SY",
+  "Asia/Dhaka": "BD",
+  "Asia/Dili": "TL",
+  "Asia/Dubai": "AE",
+  "Asia/Dushanbe": "TJ",
+  "Asia/Famagusta": "CY",
+  "Asia/Gaza": "PS",
+  "Asia/Harbin": "CN",
+  "Asia/Hebron": "PS",
+  "Asia/Ho_Chi_Minh": "VN",
+  "Asia/Hong_Kong": "HK",
+  "Asia/Hovd": "MN",
+  "Asia/Irkutsk": "RU",
+  "Asia/Istanbul": "TR",
+  "Asia/Jakarta": "ID",
+  "Asia/Jayapura": "ID",
+  "Asia/Jerusalem": "IL",
+  "Asia/Kabul": "AF",
+  "Asia/Kamchatka": "RU",
+  "Asia/Karachi": "PK",
+  "Asia/Kashgar": "CN",
+  "Asia/Kathmandu": "NP",
+  "Asia/Katmandu": "NP",
+  "Asia/Khandyga": "RU",
+  "Asia/Kolkata": "IN",
+  "Asia/Krasnoyarsk": "RU",
+  "Asia/Kuala_Lumpur": "MY",
+  "Asia/Kuching": "MY",
+  "Asia/Kuwait": "KW",
+  "Asia/Macao": "MO",
+  "Asia/Macau": "MO",
+  "Asia/Magadan": "RU",
+  "Asia/Makassar": "ID",
+  "Asia/Manila": "PH",
+  "Asia/Muscat": "OM",
+  "Asia/Nicosia": "CY",
+  "Asia/Novokuznetsk": "RU",
+  "Asia/Novosibirsk": "RU",
+  "Asia/Omsk": "RU",
+  "Asia/Oral": "KZ",
+  "Asia/Phnom_Penh": "KH",
+  "Asia/Pontianak": "ID",
+  "Asia/Pyongyang": "KP",
+  "Asia/Qatar": "QA",
+  "Asia/Qostanay": "KZ",
+  "Asia/Qyzylorda": "KZ",
+  "Asia/Riyadh": "SA",
+  "Asia/Saigon": "VN",
+  "Asia/Sakhalin": "RU",
+  "Asia/Samarkand": "UZ",
+  "Asia/Seoul": "KR",
+  "Asia/Shanghai": "CN",
+  "Asia/Singapore": "SG",
+  "Asia/Srednekolymsk": "RU",
+  "Asia/Taipei": "TW",
+  "Asia/Tashkent": "UZ",
+  "Asia/Tbilisi": "GE",
+  "Asia/Tehran": "IR",
+  "Asia/Tel_Aviv": "IL",
+  "Asia/Thimbu": "BT",
+  "Asia/Thimphu": "BT",
+  "Asia/Tokyo": "JP",
+  "Asia/Tomsk": "RU",
+  "Asia/Ujung_Pandang": "ID",
+  "Asia/Ulaanbaatar": "MN",
+  "Asia/Ulan_Bator": "MN",
+  "Asia/Urumqi": "CN",
+  "Asia/Ust-Nera": "RU",
+  "Asia/Vientiane": "LA",
+  "Asia/Vladivostok": "RU",
+  "Asia/Yakutsk": "RU",
+  "Asia/Yangon": "MM",
+  "Asia/Yekaterinburg": "RU",
+  "Asia/Yerevan": "AM",
+  "Atlantic/Azores": "PT",
+  "Atlantic/Bermuda": "BM",
+  "Atlantic/Canary": "ES",
+  "Atlantic/Cape_Verde": "CV",
+  "Atlantic/Faeroe": "FO",
+  "Atlantic/Faroe": "FO",
+  "Atlantic/Madeira": "PT",
+  "Atlantic/Reykjavik": "IS",
+  "Atlantic/South_Georgia": "GS",
+  "Atlantic/St_Helena": "SH",
+  "Atlantic/Stanley": "FK",
+  "Australia/ACT": "AU",
+  "Australia/Adelaide": "AU",
+  "Australia/Brisbane": "AU",
+  "Australia/Broken_Hill": "AU",
+  "Australia/Canberra": "AU",
+  "Australia/Currie": "AU",
+  "Australia/Darwin": "AU",
+  "Australia/Eucla": "AU",
+  "Australia/Hobart": "AU",
+  "Australia/LHI": "AU",
+  "Australia/Lindeman": "AU",
+  "Australia/Lord_Howe": "AU",
+  "Australia/Melbourne": "AU",
+  "Australia/NSW": "AU",
+  "Australia/North": "AU",
+  "Australia/Perth": "AU",
+  "Australia/Queensland": "AU",
+  "Australia/South": "AU",
+  "Australia/Sydney": "AU",
+  "Australia/Tasmania": "AU",
+  "Australia/Victoria": "AU",
+  "Australia/West": "AU",
+  "Australia/Yancowinna": "AU",
+  "Brazil/Acre": "BR",
+  "Brazil/DeNoronha": "BR",
+  "Brazil/East": "BR",
+  "Brazil/West": "BR",
+  "Canada/Atlantic": "CA",
+  "Canada/Central": "CA",
+  "Canada/Mountain": "CA",
+  "Canada/Newfoundland": "CA",
+  "Canada/Pacific": "CA",
+  "Canada/Saskatchewan": "CA",
+  "Canada/Yukon": "CA",
+  "Chile/Continental": "CL",
+  "Chile/EasterIsland": "CL",
+  "Europe/Amsterdam": "NL",
+  "Europe/Andorra": "AD",
+  "Europe/Astrakhan": "RU",
+  "Europe/Athens": "GR",
+  "Europe/Belfast": "GB",
+  "Europe/Belgrade": "RS",
+  "Europe/Berlin": "DE",
+  "Europe/Bratislava": "SK",
+  "Europe/Brussels": "BE",
+  "Europe/Bucharest": "RO",
+  "Europe/Budapest": "HU",
+  "Europe/Busingen": "DE",
+  "Europe/Chisinau": "MD",
+  "Europe/Copenhagen": "DK",
+  "Europe/Dublin": "IE",
+  "Europe/Gibraltar": "GI",
+  "Europe/Guernsey": "GG",
+  "Europe/Helsinki": "FI",
+  "Europe/Isle_of_Man": "IM",
+  "Europe/Istanbul": "TR",
+  "Europe/Jersey": "JE",
+  "Europe/Kaliningrad": "RU",
+  "Europe/Kiev": "UA",
+  "Europe/Kirov": "RU",
+  "Europe/Kyiv": "UA",
+  "Europe/Lisbon": "PT",
+  "Europe/Ljubljana": "SI",
+  "Europe/London": "GB",
+  "Europe/Luxembourg": "LU",
+  "Europe/Madrid": "ES",
+  "Europe/Malta": "MT",
+  "Europe/Mariehamn": "AX",
+  "Europe/Minsk": "BY",
+  "Europe/Monaco": "MC",
+  "Europe/Moscow": "RU",
+  "Europe/Nicosia": "CY",
+  "Europe/Oslo": "NO",
+  "Europe/Paris": "FR",
+  "Europe/Podgorica": "ME",
+  "Europe/Prague": "CZ",
+  "Europe/Riga": "LV",
+  "Europe/Rome": "IT",
+  "Europe/Samara": "RU",
+  "Europe/San_Marino": "SM",
+  "Europe/Sarajevo": "BA",
+  "Europe/Saratov": "RU",
+  "Europe/Simferopol": "UA",
+  "Europe/Skopje": "MK",
+  "Europe/Sofia": "BG",
+  "Europe/Stockholm": "SE",
+  "Europe/Tallinn": "EE",
+  "Europe/Tirane": "AL",
+  "Europe/Tiraspol": "MD",
+  "Europe/Ulyanovsk": "RU",
+  "Europe/Uzhgorod": "UA",
+  "Europe/Vaduz": "LI",
+  "Europe/Vatican": "VA",
+  "Europe/Vienna": "AT",
+  "Europe/Vilnius": "LT",
+  "Europe/Volgograd": "RU",
+  "Europe/Warsaw": "PL",
+  "Europe/Zagreb": "HR",
+  "Europe/Zaporozhye": "UA",
+  "Europe/Zurich": "CH",
+  "Indian/Antananarivo": "MG",
+  "Indian/Chagos": "IO",
+  "Indian/Christmas": "CX",
+  "Indian/Cocos": "CC",
+  "Indian/Comoro": "KM",
+  "Indian/Kerguelen": "TF",
+  "Indian/Mahe": "SC",
+  "Indian/Maldives": "MV",
+  "Indian/Mauritius": "MU",
+  "Indian/Mayotte": "YT",
+  "Indian/Reunion": "RE",
+  "Mexico/BajaNorte": "MX",
+  "Mexico/BajaSur": "MX",
+  "Mexico/General": "MX",
+  "Pacific/Apia": "WS",
+  "Pacific/Auckland": "NZ",
+  "Pacific/Bougainville": "PG",
+  "Pacific/Chatham": "NZ",
+  "Pacific/Chuuk": "FM",
+  "Pacific/Easter": "CL",
+  "Pacific/Efate": "VU",
+  "Pacific/Enderbury": "KI",
+  "Pacific/Fakaofo": "TK",
+  "Pacific/Fiji": "FJ",
+  "Pacific/Funafuti": "TV",
+  "Pacific/Galapagos": "EC",
+  "Pacific/Gambier": "PF",
+  "Pacific/Guadalcanal": "SB",
+  "Pacific/Guam": "GU",
+  "Pacific/Honolulu": "US",
+  "Pacific/Johnston": "US",
+  "Pacific/Kanton": "KI",
+  "Pacific/Kiritimati": "KI",
+  "Pacific/Kosrae": "FM",
+  "Pacific/Kwajalein": "MH",
+  "Pacific/Majuro": "MH",
+  "Pacific/Marquesas": "PF",
+  "Pacific/Midway": "UM",
+  "Pacific/Nauru": "NR",
+  "Pacific/Niue": "NU",
+  "Pacific/Norfolk": "NF",
+  "Pacific/Noumea": "NC",
+  "Pacific/Pago_Pago": "AS",
+  "Pacific/Palau": "PW",
+  "Pacific/Pitcairn": "PN",
+  "Pacific/Pohnpei": "FM",
+  "Pacific/Port_Moresby": "PG",
+  "Pacific/Rarotonga": "CK",
+  "Pacific/Saipan": "MP",
+  "Pacific/Tahiti": "PF",
+  "Pacific/Tarawa": "KI",
+  "Pacific/Tongatapu": "TO",
+  "Pacific/Wake": "UM",
+  "Pacific/Wallis": "WF",
+  "US/Alaska": "US",
+  "US/Aleutian": "US",
+  "US/Central": "US",
+  "US/East-Indiana": "US",
+  "US/Eastern": "US",
+  "US/Hawaii": "US",
+  "US/Indiana-Starke": "US",
+  "US/Michigan": "US",
+  "US/Mountain": "US",
+  "US/Pacific": "US",
+};
+// @generated-end countries
+
+// Normalized country names (ISO names with their de/es/fr/it/nl translations and provider spellings),
+// used by convertCountryToISO
+// @generated-start country-names
+const COUNTRY_NAME_INDEX = {
+  "AD": "andorra,andorre,furstentum andorra,principado de andorra,principality of andorra,principato d andorra,principaute d andorre,vorstendom andorra",
+  "AE": "emirati arabi uniti,emiratos arabes unidos,emirats arabes unis,uae,united arab emirates,vereinigte arabische emirate,verenigde arabische emiraten",
+  "AF": "afganistan,afghanistan,islamic republic of afghanistan,islamische republik afghanistan,islamitische republiek afghanistan,repubblica islamica dell afghanistan,republica islamica de afganistan,republique islamique d afghanistan",
+  "AG": "antigua and barbuda,antigua e barbuda,antigua en barbuda,antigua et barbuda,antigua und barbuda,antigua y barbuda",
+  "AI": "anguila,anguilla",
+  "AL": "albania,albanie,albanien,repubblica d albania,republic of albania,republica de albania,republiek albanie,republik albanien,republique d albanie",
+  "AM": "armenia,armenie,armenien,repubblica d armenia,republic of armenia,republica de armenia,republiek armenie,republik armenien,republique d armenie",
+  "AO": "angola,repubblica d angola,republic of angola,republica de angola,republiek angola,republik angola,republique d angola",
+  "AQ": "antarctica,antarctique,antarktis,antartida,antartide",
+  "AR": "argentijnse republiek,argentina,argentine,argentine republic,argentinie,argentinien,argentinische republik,repubblica argentina,republica argentina,republique d argentine",
+  "AS": "american samoa,amerikaans samoa,amerikanisch samoa,samoa americaines,samoa americane,samoa estadounidense",
+  "AT": "austria,autriche,oostenrijk,osterreich,repubblica d austria,republic of austria,republica de austria,republiek oostenrijk,republik osterreich,republique d autriche",
+  "AU": "australia,australie,australien",
+  "AW": "aruba",
+  "AX": "aland,aland iles,aland inseln,aland islands,alandseilanden,iles aland,islas aland,isole aland",
+  "AZ": "aserbaidschan,azerbaidjan,azerbaigian,azerbaijan,azerbaiyan,azerbeidzjan,repubblica dell azerbaigian,republic of azerbaijan,republica de azerbaiyan,republiek azerbeidzjan,republik aserbaidschan,republique d azerbaidjan",
+  "BA": "bosnia and herzegovina,bosnia ed erzegovina,bosnia erzegovina,bosnia y herzegovina,bosnie en herzegovina,bosnie herzegovine,bosnien und herzegowina,republic of bosnia and herzegovina,republica de bosnia y hercegovina,republiek bosnie en herzegovina,republique de bosnie et herzegovine",
+  "BB": "barbade,barbados",
+  "BD": "banglades,bangladesch,bangladesh,people s republic of bangladesh,repubblica popolare del bangladesh,republica popular de banglades,republique populaire du bengladesh,volksrepubliek bangladesh,volksrepublik bangladesh",
+  "BE": "belgica,belgie,belgien,belgio,belgique,belgium,kingdom of belgium,konigreich belgien,koninkrijk belgie,regno del belgio,reino de belgica,royaume de belgique",
+  "BF": "burkina faso,burquina faso",
+  "BG": "bulgaria,bulgarie,bulgarien,bulgarije,repubblica di bulgaria,republic of bulgaria,republica de bulgaria,republiek bulgarije,republik bulgarien,republique de bulgarie",
+  "BH": "bahrain,bahrein,barein,kingdom of bahrain,konigreich bahrain,koninkrijk bahrein,regno del bahrein,reino de barein,royaume de bahrein",
+  "BI": "burundi,repubblica del burundi,republic of burundi,republica de burundi,republiek burundi,republik burundi,republique du burundi",
+  "BJ": "benin,repubblica del benin,republic of benin,republica de benin,republiek benin,republik benin,republique du benin",
+  "BL": "saint barthelemy,san bartolome",
+  "BM": "bermuda,bermudes,islas bermudas",
+  "BN": "brunei,brunei darussalam",
+  "BO": "bolivia,bolivia estado plurinacional de,bolivia multinationale staat,bolivia plurinational state of,bolivia stato plurinazionale della,bolivie,bolivie etat plurinational de,bolivien,bolivien plurinationaler staat,estado plurinacional de bolivia,etat plurinational de bolivie,multinationale staat bolivia,plurinational state of bolivia,plurinationaler staat bolivien,stato plurinazionale della bolivia",
+  "BQ": "bonaire saint eustache et saba,bonaire sint eustatius and saba,bonaire sint eustatius en saba,bonaire sint eustatius und saba,islas bes,islas bes caribe neerlandes,paesi bassi caraibici",
+  "BR": "brasil,brasile,brasilien,brazil,brazilie,bresil,federale republiek brazilie,federative republic of brazil,foderative republik brasilien,repubblica federale del brasile,republica federativa de brasil,republique federale du bresil",
+  "BS": "bahama s,bahamas,commonwealth de las bahamas,commonwealth delle bahamas,commonwealth der bahamas,commonwealth des bahamas,commonwealth of the bahamas,gemenebest van de bahama s",
+  "BT": "bhoutan,bhutan,butan,kingdom of bhutan,konigreich bhutan,koninkrijk bhutan,regno del bhutan,reino de butan,royaume du bouthan",
+  "BV": "bouvet insel,bouvet island,bouveteiland,ile bouvet,isla bouvet,isola bouvet",
+  "BW": "botsuana,botswana,repubblica del botswana,republic of botswana,republica de botsuana,republiek botswana,republik botsuana,republique du botswana",
+  "BY": "belarus,bielorrusia,bielorussia,repubblica di bielorussia,republic of belarus,republica de bielorrusia,republiek belarus,republik belarus,republique du belarus,wit rusland",
+  "BZ": "belice,belize",
+  "CA": "canada,kanada",
+  "CC": "cocos,cocos iles,cocos islands,cocos keeling iles,cocos keeling islands,cocoseilanden,cocoseilanden keelingeilanden,iles cocos,islas cocos,islas cocos keeling,isole cocos,isole cocos keeling,kokos inseln,kokos keeling inseln",
+  "CD": "congo democratische republiek,congo kinshasa,congo republica democratica del,congo the democratic republic of the,democratische republiek congo,demokratische republik kongo,dr congo,repubblica democratica del congo,republica democratica del congo,republique democratique du congo,the democratic republic of the congo",
+  "CF": "centraal afrikaanse republiek,central african republic,repubblica centrafricana,republica centroafricana,republique centrafricaine,zentralafrikanische republik",
+  "CG": "congo,congo brazzaville,congo republic,kongo,repubblica del congo,republic of the congo,republica del congo,republiek congo,republik kongo,republique du congo",
+  "CH": "confederacion suiza,confederation helvetique,confederazione svizzera,schweiz,schweizerische eidgenossenschaft,suisse,suiza,svizzera,swiss confederation,switzerland,zwitserland,zwitserse bondsstaat",
+  "CI": "costa d avorio,costa de marfil,cote d ivoire,ivoorkust,ivory coast,repubblica della costa d avorio,republic of cote d ivoire,republica de costa de marfil,republiek ivoorkust,republik cote d ivoire,republique de cote d ivoire",
+  "CK": "cook islands,cookeilanden,cookinseln,iles cook,islas cook,isole cook",
+  "CL": "chile,chili,cile,repubblica del cile,republic of chile,republica de chile,republiek chili,republik chile,republique du chili",
+  "CM": "cameroon,cameroun,camerun,kameroen,kamerun,repubblica del camerun,republic of cameroon,republica del camerun,republiek kameroen,republik kamerun,republique du cameroun",
+  "CN": "china,chine,cina,people s republic of china,repubblica popolare cinese,republica popular china,republique populaire de chine,volksrepubliek china,volksrepublik china",
+  "CO": "colombia,colombie,kolumbien,repubblica di colombia,republic of colombia,republica de colombia,republiek colombia,republik kolumbien,republique de colombie",
+  "CR": "costa rica,repubblica di costa rica,republic of costa rica,republica de costa rica,republiek costa rica,republik costa rica,republique du costa rica",
+  "CU": "cuba,kuba,repubblica di cuba,republic of cuba,republica de cuba,republiek cuba,republik kuba,republique de cuba",
+  "CV": "cabo verde,cap vert,cape verde,capo verde,kaapverdie,kap verde,repubblica di capo verde,republic of cabo verde,republica de cabo verde,republiek kaapverdie,republik kap verde,republique du cap vert",
+  "CW": "curacao,curazao",
+  "CX": "christmas,christmas ile,christmas island,christmaseiland,ile christmas,isla de navidad,isola di natale,weihnachtsinseln",
+  "CY": "chipre,chypre,cipro,cyprus,repubblica di cipro,republic of cyprus,republica de chipre,republiek cyprus,republik zypern,republique de chypre,zypern",
+  "CZ": "cechia,chequia,czech republic,czechia,repubblica ceca,republica checa,republique tcheque,tchequie,tschechien,tschechische republik,tsjechie",
+  "DE": "alemania,allemagne,bondsrepubliek duitsland,bundesrepublik deutschland,deutschland,duitsland,federal republic of germany,germania,germany,repubblica federale di germania,republica federal de alemania,republique federale d allemagne",
+  "DJ": "djibouti,dschibuti,gibuti,repubblica di gibuti,republic of djibouti,republica de yibuti,republiek djibouti,republik dschibuti,republique de djibouti,yibuti",
+  "DK": "danemark,danimarca,denemarken,denmark,dinamarca,kingdom of denmark,konigreich danemark,koninkrijk denemarken,regno di danimarca,reino de dinamarca,royaume du danemark",
+  "DM": "commonwealth de dominica,commonwealth de la dominique,commonwealth di dominica,commonwealth dominica,commonwealth of dominica,dominica,dominique,gemenebest van dominica",
+  "DO": "dominicaanse republiek,dominican republic,dominikanische republik,repubblica dominicana,republica dominicana,republique dominicaine",
+  "DZ": "algeria,algerie,algerien,algerije,democratische volksrepubliek algerije,demokratische volksrepublik algerien,people s democratic republic of algeria,repubblica democratica popolare di algeria,republica democratica popular de argelia,republique algerienne democratique et populaire",
+  "EC": "ecuador,equateur,repubblica dell ecuador,republic of ecuador,republica del ecuador,republiek ecuador,republik ecuador,republique d equateur",
+  "EE": "estland,estonia,estonie,repubblica d estonia,republic of estonia,republica de estonia,republiek estland,republik estland,republique d estonie",
+  "EG": "agypten,arab republic of egypt,arabische republiek egypte,arabische republik agypten,egipto,egitto,egypt,egypte,repubblica araba d egitto,republica arabe de egipto,republique arabe d egypte",
+  "EH": "sahara occidental,sahara occidentale,westelijke sahara,western sahara,westsahara",
+  "ER": "eritrea,erythree,estado de eritrea,l etat d erythree,repubblica dell eritrea,staat eritrea,the state of eritrea",
+  "ES": "espagne,espana,kingdom of spain,konigreich spanien,koninkrijk spanje,regno di spagna,reino de espana,royaume d espagne,spagna,spain,spanien,spanje",
+  "ET": "athiopien,demokratische bundesrepublik athiopien,ethiopia,ethiopie,etiopia,federal democratic republic of ethiopia,federale democratische republiek ethiopie,repubblica federale democratica d etiopia,republica federal democratica de etiopia,republique federale democratique d ethiopie",
+  "FI": "finland,finlande,finlandia,finnland,repubblica di finlandia,republic of finland,republica de finlandia,republiek finland,republik finnland,republique de finlande",
+  "FJ": "fidji,fidschi,figi,fiji,fiyi,repubblica di figi,republic of fiji,republica de fiyi,republiek fiji,republik fidschi,republique des fidji",
+  "FK": "falkland islands,falkland islands malvinas,falklandeilanden,falklandeilanden malvinas,falklandinseln,falklandinseln malwinen,iles malouines,islas falkland,islas falkland malvinas,isole falkland,isole falkland malvine,malouines,malouines iles,malouines iles falkland",
+  "FM": "estados federados de micronesia,etats federes de micronesie,federale staten van micronesia,federated states of micronesia,foderierte staaten von mikronesien,micronesia,micronesia estados federados de,micronesia federated states of,micronesie,micronesie etats federes de,mikronesien,mikronesien foderierte staaten von,stati federati di micronesia",
+  "FO": "faeroer,faroe islands,faroer inseln,iles feroe,islas feroe,isole faer oer",
+  "FR": "france,francia,frankreich,frankrijk,franse republiek,franzosische republik,french republic,repubblica francese,republica francesa,republique francaise",
+  "GA": "gabon,gabonese republic,gabun,gabunische republik,repubblica gabonese,republica gabonesa,republiek gabon,republique gabonaise",
+  "GB": "britain,great britain,regno unito,regno unito di gran bretagna e d irlanda del nord,reino unido,reino unido de gran bretana e irlanda del norte,royaume uni,royaume uni de grande bretagne et d irlande du nord,uk,united kingdom,united kingdom of great britain and northern ireland,vereinigtes konigreich,vereinigtes konigreich grossbritannien und nordirland,verenigd koninkrijk,verenigd koninkrijk van groot brittannie en noord ierland",
+  "GD": "granada,grenada,grenade",
+  "GE": "georgia,georgie,georgien",
+  "GF": "frans guyana,franzosisch guyana,french guiana,guayana francesa,guyana francese,guyane francaise",
+  "GG": "guernesey,guernsey",
+  "GH": "ghana,repubblica del ghana,republic of ghana,republica de ghana,republiek ghana,republik ghana,republique du ghana",
+  "GI": "gibilterra,gibraltar",
+  "GL": "greenland,groenland,groenlandia,gronland",
+  "GM": "gambia,gambie,repubblica del gambia,republic of the gambia,republica de gambia,republiek gambia,republik gambia,republique de gambie",
+  "GN": "guinea,guinee,repubblica di guinea,republic of guinea,republica de guinea,republiek guinee,republik guinea,republique de guinee",
+  "GP": "guadalupa,guadalupe,guadeloupe",
+  "GQ": "aquatorialguinea,equatoriaal guinea,equatorial guinea,guinea ecuatorial,guinea equatoriale,guinee equatoriale,repubblica della guinea equatoriale,republic of equatorial guinea,republica de guinea ecuatorial,republiek equatoriaal guinea,republik aquatorialguinea,republique de guinee equatoriale",
+  "GR": "grece,grecia,greece,griechenland,griekenland,helleense republiek,hellenic republic,hellenische republik,repubblica ellenica,republica helenica,republique grecque",
+  "GS": "georgia del sud e isole sandwich australi,georgie du sud et les iles sandwich du sud,islas georgias del sur y sandwich del sur,south georgia and the south sandwich islands,south georgia und die sudlichen sandwichinseln,zuid georgia en de zuidelijke sandwicheilanden",
+  "GT": "guatemala,repubblica del guatemala,republic of guatemala,republica de guatemala,republiek guatemala,republik guatemala,republique du guatemala",
+  "GU": "guam",
+  "GW": "guinea bisau,guinea bissau,guinee bissau,repubblica di guinea bissau,republic of guinea bissau,republica de guinea bissau,republiek guinee bissau,republik guinea bissau,republique de guinee bissau",
+  "GY": "guyana,kooperative republik guyana,repubblica cooperativa di guyana,republic of guyana,republica de guyana,republiek guyana,republique de guyana",
+  "HK": "hong kong,hong kong sar,hong kong special administrative region of china,hongkong,region administrativa especial china de hong kong,region speciale administrative chinoise de hong kong,regione amministrativa speciale di hong kong della repubblica popolare cinese,sonderverwaltungsregion hongkong,speciale administratieve regio hongkong van de volksrepubliek china",
+  "HM": "heard island and mcdonald islands,heard und mcdonaldinseln,heardeiland en mcdonaldeilanden,iles heard et macdonald,islas heard y mcdonald,isole heard e mcdonald",
+  "HN": "honduras,repubblica dell honduras,republic of honduras,republica de honduras,republiek honduras,republik honduras,republique du honduras",
+  "HR": "croacia,croatia,croatie,croazia,kroatie,kroatien,repubblica di croazia,republic of croatia,republica de croacia,republiek kroatie,republik kroatien,republique de croatie",
+  "HT": "haiti,repubblica di haiti,republic of haiti,republica de haiti,republiek haiti,republik haiti,republique de haiti",
+  "HU": "hongarije,hongrie,hungary,hungria,ungarn,ungheria",
+  "ID": "indonesia,indonesie,indonesien,repubblica d indonesia,republic of indonesia,republica de indonesia,republiek indonesie,republik indonesien,republique d indonesie",
+  "IE": "ierland,ireland,irland,irlanda,irlande",
+  "IL": "estado de israel,etat d israel,israel,israele,staat israel,state of israel,stato d israele",
+  "IM": "eiland man,ile de man,insel man,isla de man,isle of man,isola di man",
+  "IN": "inde,india,indien,repubblica dell india,republic of india,republica de la india,republiek india,republik indien,republique d inde",
+  "IO": "britisches territorium im indischen ozean,british indian ocean territory,brits indische oceaanterritorium,territoire britannique de l ocean indien,territorio britanico del oceano indico,territorio britannico dell oceano indiano",
+  "IQ": "irak,iraq,repubblica d iraq,republic of iraq,republica de irak,republiek irak,republik irak,republique d iraq",
+  "IR": "iran,iran islamic republic of,iran islamische republik,iran republica islamica de,iran republique islamique d,islamic republic of iran,islamische republik iran,islamitische republiek iran,repubblica islamica dell iran,republica islamica de iran,republique islamique d iran",
+  "IS": "iceland,ijsland,island,islanda,islande,islandia,repubblica d islanda,republic of iceland,republica de islandia,republiek ijsland,republik island,republique d islande",
+  "IT": "italia,italiaanse republiek,italian republic,italie,italien,italienische republik,italy,repubblica italiana,republica italiana,republique italienne",
+  "JE": "jersey",
+  "JM": "giamaica,jamaica,jamaika,jamaique",
+  "JO": "giordania,haschemitisches konigreich jordanien,hashemite kingdom of jordan,hasjemitisch koninkrijk jordanie,jordan,jordania,jordanie,jordanien,regno hascimita di giordania,reino hachemi de jordania,royaume hachemite de jordanie",
+  "JP": "giappone,japan,japon",
+  "KE": "kenia,kenya,repubblica del kenya,republic of kenya,republica de kenia,republiek kenia,republik kenia,republique du kenya",
+  "KG": "kirghizistan,kirgisische republik,kirgisistan,kirgizie,kirgizische republiek,kirguistan,kyrgyz republic,kyrgyzstan,repubblica del kirghizistan,republica kirguiza,republique kirghize",
+  "KH": "cambodge,cambodia,cambodja,cambogia,camboya,kambodscha,kingdom of cambodia,konigreich kambodscha,koninkrijk cambodja,regno di cambogia,reino de camboya,royaume du cambodge",
+  "KI": "kiribati,repubblica di kiribati,republic of kiribati,republica de kiribati,republiek kiribati,republik kiribati,republique de kiribati",
+  "KM": "comore,comoren,comores,comores islas,comoros,islas comores,komoren,unie van de comoren,union de las comores,union des comores,union of the comoros,unione delle comore,vereinigung der komoren",
+  "KN": "saint christophe et nieves,saint kitts and nevis,saint kitts e nevis,saint kitts en nevis,san cristobal y nieves,st kitts und nevis",
+  "KP": "corea del nord,corea republica democratica popular de,coree du nord,coree republique populaire democratique de,democratic people s republic of korea,democratische volksrepubliek korea,demokratische volksrepublik korea,korea democratic people s republic of,korea democratische volksrepubliek,korea demokratische volksrepublik,noord korea,nordkorea,north korea,repubblica democratica popolare di corea,republica democratica popular de corea,republica popular democratica de corea,republique democratique populaire de coree,republique populaire democratique de coree",
+  "KR": "corea del sud,corea republica de,coree du sud,coree republique de,korea,korea republic of,korea republiek,korea republik,republic of korea,republica de corea,republiek korea,republik korea,republique de coree,south korea,sudkorea,zuid korea",
+  "KW": "estado de kuwait,etat du koweit,koeweit,koweit,kuwait,staat koeweit,staat kuwait,state of kuwait,stato del kuwait",
+  "KY": "cayman inseln,cayman islands,iles caimans,islas caiman,isole cayman,kaaimaneilanden",
+  "KZ": "kasachstan,kazachstan,kazajistan,kazakhstan,kazakistan,repubblica del kazakistan,republic of kazakhstan,republica de kazajistan,republiek kazachstan,republik kasachstan,republique du kazakhstan",
+  "LA": "demokratische volksrepublik laos,lao,lao people s democratic republic,lao republique democratique populaire,laos,laos democratische volksrepubliek,laos demokratische volksrepublik,republica democratica popular de lao,republique democratique populaire lao",
+  "LB": "lebanese republic,lebanon,liban,libanesische republik,libano,libanon,repubblica libanese,republica libanesa,republiek libanon,republique libanaise",
+  "LC": "saint lucia,sainte lucie,santa lucia,st lucia",
+  "LI": "furstentum liechtenstein,liechtenstein,principado de liechtenstein,principality of liechtenstein,principato del liechtenstein,principaute du liechtenstein,vorstendom liechtenstein",
+  "LK": "democratic socialist republic of sri lanka,democratische socialistische republiek sri lanka,demokratische sozialistische republik sri lanka,repubblica democratica socialista dello sri lanka,republica socialista democratica de sri lanka,republique democratique socialiste de sri lanka,sri lanka",
+  "LR": "liberia,repubblica di liberia,republic of liberia,republica de liberia,republiek liberia,republik liberia,republique du liberia",
+  "LS": "kingdom of lesotho,konigreich lesotho,koninkrijk lesotho,lesotho,lesoto,regno del lesotho,reino de lesoto,royaume du lesotho",
+  "LT": "litauen,lithuania,litouwen,lituania,lituanie,repubblica di lituania,republic of lithuania,republica de lituania,republiek litouwen,republik litauen,republique de lituanie",
+  "LU": "gran ducado de luxemburgo,grand duche du luxembourg,grand duchy of luxembourg,granducato di lussemburgo,groothertogdom luxemburg,grossherzogtum luxemburg,lussemburgo,luxembourg,luxemburg,luxemburgo",
+  "LV": "latvia,letland,letonia,lettland,lettonia,lettonie,repubblica di lettonia,republic of latvia,republica de letonia,republiek letland,republik lettland,republique de lettonie",
+  "LY": "libia,libie,libya,libye,libyen",
+  "MA": "kingdom of morocco,konigreich marokko,koninkrijk marokko,maroc,marocco,marokko,marruecos,morocco,regno del marocco,reino de marruecos,royaume du maroc",
+  "MC": "furstentum monaco,monaco,principado de monaco,principality of monaco,principato di monaco,principaute de monaco,vorstendom monaco",
+  "MD": "moldau,moldau republik,moldavia,moldavia republica de,moldavie,moldavie republiek,moldova,moldova republic of,moldova republique de,repubblica di moldavia,republic of moldova,republica de moldavia,republiek moldavie,republik moldau,republique de moldova",
+  "ME": "montenegro",
+  "MF": "saint martin,saint martin francia,saint martin franzosischer teil,saint martin french part,saint martin partie francaise,san martin,san martin zona francesa,sint maarten frans deel",
+  "MG": "madagascar,madagaskar,repubblica del madagascar,republic of madagascar,republica de madagascar,republiek madagaskar,republik madagaskar,republique de madagascar",
+  "MH": "iles marshall,islas marshall,isole marshall,marshall islands,marshalleilanden,marshallinseln,repubblica delle isole marshall,republic of the marshall islands,republica de las islas marshall,republiek der marshalleilanden,republik marshallinseln,republique des iles marshall",
+  "MK": "macedoine du nord,macedonia,macedonia del nord,macedonia del norte,noord macedonie,nordmazedonien,north macedonia,repubblica di macedonia del nord,republic of north macedonia,republica de macedonia del norte,republiek noord macedonie,republik nordmazedonien,republique de macedoine du nord",
+  "ML": "mali,repubblica del mali,republic of mali,republica de mali,republiek mali,republik mali,republique du mali",
+  "MM": "birmania,birmanie,burma,myanmar,repubblica cooperativistica di myanmar,republic of myanmar,republica de la union de myanmar,republiek myanmar,republik myanmar,republique de myanmar",
+  "MN": "mongolei,mongolia,mongolie",
+  "MO": "macao,macao sar,macao special administrative region of china,macau,region administrativa especial china de macao,region speciale administrative chinoise de macao,regione amministrativa speciale di macao della repubblica popolare cinese,sonderverwaltungsregion macao,speciale administratieve regio macau van de volksrepubliek china",
+  "MP": "commonwealth de las islas marianas del norte,commonwealth delle isole marianne settentrionali,commonwealth des iles mariannes du nord,commonwealth nordliche mariana inseln,commonwealth of the northern mariana islands,gemenebest van de noordelijke marianen,iles mariannes du nord,islas marianas del norte,isole marianne settentrionali,noordelijke marianen,nordliche marianen,northern mariana islands",
+  "MQ": "martinica,martinique",
+  "MR": "islamic republic of mauritania,islamische republik mauretanien,islamitische republiek mauritanie,mauretanien,mauritania,mauritanie,repubblica islamica di mauritania,republica islamica de mauritania,republique islamique de mauritanie",
+  "MS": "montserrat",
+  "MT": "malta,malte,repubblica di malta,republic of malta,republica de malta,republiek malta,republik malta,republique de malte",
+  "MU": "maurice,mauricio,mauritius,maurizio,repubblica di mauritius,republic of mauritius,republica de mauricio,republiek mauritius,republik mauritius,republique de l ile maurice",
+  "MV": "islas maldivas,maldive,maldiven,maldives,malediven,repubblica delle maldive,republic of maldives,republica de maldivas,republiek der maldiven,republik malediven,republique des maldives",
+  "MW": "malaui,malawi,repubblica del malawi,republic of malawi,republica de malawi,republiek malawi,republik malawi,republique du malawi",
+  "MX": "estados unidos mexicanos,etats unis du mexique,messico,mexico,mexiko,mexique,stati uniti messicani,united mexican states,vereinigte mexikanische staaten,verenigde mexicaanse staten",
+  "MY": "malaisie,malasia,malaysia,maleisie",
+  "MZ": "mosambik,mozambico,mozambique,repubblica del mozambico,republic of mozambique,republica de mozambique,republiek mozambique,republik mosambik,republique du mozambique",
+  "NA": "namibia,namibie,repubblica di namibia,republic of namibia,republica de namibia,republiek namibie,republik namibia,republique de namibie",
+  "NC": "neukaledonien,new caledonia,nieuw caledonie,nouvelle caledonie,nueva caledonia,nuova caledonia",
+  "NE": "niger,repubblica del niger,republic of the niger,republica del niger,republiek niger,republik niger,republique du niger",
+  "NF": "ile norfolk,isla norfolk,isola norfolk,norfolk,norfolk island,norfolkinsel",
+  "NG": "bundesrepublik nigeria,federal republic of nigeria,federale republiek nigeria,nigeria,repubblica federale della nigeria,republica federal de nigeria,republique federale du nigeria",
+  "NI": "nicaragua,repubblica di nicaragua,republic of nicaragua,republica de nicaragua,republiek nicaragua,republik nicaragua,republique du nicaragua",
+  "NL": "holland,kingdom of the netherlands,konigreich der niederlande,koninkrijk der nederlanden,nederland,netherlands,niederlande,paesi bassi,paises bajos,pays bas,regno dei paesi bassi,reino de los paises bajos,royaume des pays bas,the netherlands",
+  "NO": "kingdom of norway,konigreich norwegen,koninkrijk noorwegen,noorwegen,noruega,norvege,norvegia,norway,norwegen,regno di norvegia,reino de noruega,royaume de norvege",
+  "NP": "demokratische bundesrepublik nepal,federal democratic republic of nepal,federale democratische republiek van nepal,nepal,repubblica federale democratica del nepal,republica federal democratica de nepal,republique federale democratique du nepal",
+  "NR": "nauru,repubblica di nauru,republic of nauru,republica de nauru,republiek nauru,republik nauru,republique de nauru",
+  "NU": "nioue,niue",
+  "NZ": "neuseeland,new zealand,nieuw zeeland,nouvelle zelande,nueva zelanda,nuova zelanda",
+  "OM": "oman,sultanaat oman,sultanat d oman,sultanat oman,sultanate of oman,sultanato de oman,sultanato dell oman",
+  "PA": "panama,repubblica di panama,republic of panama,republica de panama,republiek panama,republik panama,republique du panama",
+  "PE": "perou,peru,repubblica del peru,republic of peru,republica del peru,republiek peru,republik peru,republique du perou",
+  "PF": "frans polynesie,franzosisch polynesien,french polynesia,polinesia francesa,polinesia francese,polynesie francaise",
+  "PG": "estado independiente de papua nueva guinea,etat independant de papouasie nouvelle guinee,independent state of papua new guinea,onafhankelijke staat papua nieuw guinea,papoea nieuw guinea,papouasie nouvelle guinee,papua neuguinea,papua new guinea,papua nueva guinea,papua nuova guinea,stato indipendente di papua nuova guinea,unabhangiger staat papua neuguinea",
+  "PH": "filipijnen,filipinas,filippine,philippinen,philippines,repubblica delle filippine,republic of the philippines,republica de filipinas,republiek der filipijnen,republik der philippinen,republique des philippines",
+  "PK": "islamic republic of pakistan,islamische republik pakistan,islamitische republiek pakistan,pakistan,repubblica islamica del pakistan,republica islamica de pakistan,republique islamique du pakistan",
+  "PL": "poland,polen,pologne,polonia,repubblica di polonia,republic of poland,republica de polonia,republiek polen,republik polen,republique de pologne",
+  "PM": "saint pierre and miquelon,saint pierre e miquelon,saint pierre en miquelon,saint pierre et miquelon,san pedro y miquelon,st pierre und miquelon",
+  "PN": "iles pitcairn,pitcairn,pitcairneilanden",
+  "PR": "porto rico,portorico,puerto rico",
+  "PS": "estado de palestina,etat de palestine,l etat de palestine,palastina,palastina staat,palestina,palestina estado de,palestina staat,palestina stato di,palestine,palestine etat de,palestine state of,staat palastina,staat palestina,state of palestine,stato di palestina,the state of palestine",
+  "PT": "portogallo,portugal,portugese republiek,portugiesische republik,portuguese republic,repubblica del portogallo,republica portuguesa,republique portugaise",
+  "PW": "palaos,palau,repubblica di palau,republic of palau,republica de palau,republiek palau,republik palau,republique de palau",
+  "PY": "paraguay,repubblica del paraguay,republic of paraguay,republica del paraguay,republiek paraguay,republik paraguay,republique du paraguay",
+  "QA": "catar,estado de qatar,etat du qatar,katar,qatar,staat katar,staat qatar,state of qatar,stato del qatar",
+  "RE": "ile de la reunion,reunion,reunion ile de la,riunione",
+  "RO": "roemenie,romania,roumanie,rumania,rumanien",
+  "RS": "repubblica di serbia,republic of serbia,republica de serbia,republiek servie,republik serbien,republique de serbie,serbia,serbie,serbien,servie",
+  "RU": "federacion rusa,federation de russie,rusland,russia,russian federation,russie,russie federation de,russische foderation",
+  "RW": "repubblica del ruanda,republica de ruanda,republiek rwanda,republik ruanda,republique rwandaise,ruanda,rwanda,rwandese republic",
+  "SA": "arabia saudi,arabia saudita,arabie saoudite,kingdom of saudi arabia,konigreich saudi arabien,koninkrijk saudi arabie,regno dell arabia saudita,reino de arabia saudi,royaume d arabie saoudite,saoedi arabie,saudi arabia,saudi arabien",
+  "SB": "iles salomon,islas salomon,isole salomone,salomon,salomon iles,salomoninseln,salomonseilanden,solomon islands",
+  "SC": "repubblica delle seychelles,republic of seychelles,republica de las seychelles,republiek seychellen,republik seychellen,republique des seychelles,seychellen,seychelles",
+  "SD": "repubblica del sudan,republic of the sudan,republica de sudan,republiek soedan,republik sudan,republique du soudan,soedan,soudan,sudan",
+  "SE": "kingdom of sweden,konigreich schweden,koninkrijk zweden,regno di svezia,reino de suecia,royaume de suede,schweden,suecia,suede,svezia,sweden,zweden",
+  "SG": "repubblica di singapore,republic of singapore,republica de singapur,republiek singapore,republik singapur,republique de singapour,singapore,singapour,singapur",
+  "SH": "saint helena ascension and tristan da cunha,sainte helene ascension et tristan da cunha,sant elena ascensione e tristan da cunha,santa elena ascension y tristan de acuna,sint helena ascension en tristan da cunha,st helena ascension und tristan da cunha",
+  "SI": "eslovenia,repubblica di slovenia,republic of slovenia,republica de eslovenia,republiek slovenie,republik slowenien,republique de slovenie,slovenia,slovenie,slowenien",
+  "SJ": "spitsbergen en jan mayen,svalbard and jan mayen,svalbard e jan mayen,svalbard et ile jan mayen,svalbard und jan mayen,svalbard y jan mayen",
+  "SK": "eslovaquia,repubblica slovacca,republica eslovaca,republique slovaque,slovaakse republiek,slovacchia,slovak republic,slovakia,slovaquie,slowakei,slowakije,slowakische republik",
+  "SL": "repubblica della sierra leone,republic of sierra leone,republica de sierra leona,republiek sierra leone,republik sierra leone,republique de sierra leone,sierra leona,sierra leone",
+  "SM": "repubblica di san marino,republic of san marino,republica de san marino,republiek san marino,republik san marino,republique de san marin,saint marin,san marino",
+  "SN": "repubblica del senegal,republic of senegal,republica del senegal,republiek senegal,republik senegal,republique du senegal,senegal",
+  "SO": "bundesrepublik somalia,federal republic of somalia,federale republiek somalie,repubblica federale di somalia,republica federal de somalia,republique federale de somalie,somalia,somalie",
+  "SR": "repubblica di suriname,republic of suriname,republica de surinam,republiek suriname,republik suriname,republique du surinam,surinam,suriname",
+  "SS": "repubblica del sudan del sud,republic of south sudan,republica de sudan del sur,republiek zuid soedan,republik sudsudan,republique du soudan du sud,soudan du sud,south sudan,sudan del sud,sudan del sur,sudsudan,zuid soedan",
+  "ST": "democratic republic of sao tome and principe,democratische republiek sao tome en principe,demokratische republik sao tome und principe,repubblica democratica di sao tome e principe,republica democratica de santo tome y principe,republique democratique de sao tome et principe,santo tome y principe,sao tome and principe,sao tome e principe,sao tome en principe,sao tome et principe,sao tome und principe",
+  "SV": "el salvador,repubblica di el salvador,republic of el salvador,republica de el salvador,republiek el salvador,republik el salvador,republique d el salvador,salvador",
+  "SX": "isla de san martin,isla de san martin zona holandsea,saint martin niederlandischer teil,saint martin partie neerlandaise,sint maarten,sint maarten dutch part,sint maarten nederlands deel,sint maarten olanda",
+  "SY": "arabische republik syrien,republica arabe de siria,republique arabe syrienne,siria,syria,syrian arab republic,syrie,syrien,syrien arabische republik,syrienne,syrienne republique arabe",
+  "SZ": "esuatini,eswatini,kingdom of eswatini,konigreich eswatini,koninkrijk eswatini,regno di eswatini,reino de esuatini,royaume d eswatini,swaziland",
+  "TC": "iles turques et caiques,islas turcas y caicos,isole turks e caicos,turks and caicos islands,turks en caicoseilanden,turks und caicosinseln",
+  "TD": "chad,ciad,repubblica del ciad,republic of chad,republica del chad,republiek tsjaad,republik tschad,republique du tchad,tchad,tschad,tsjaad",
+  "TF": "franse zuidelijke gebieden,franzosische sud und antarktisgebiete,french southern territories,terres australes francaises,territori francesi meridionali,territorios franceses del sur",
+  "TG": "repubblica del togo,republica togolesa,republiek togo,republik togo,republique togolaise,togo,togolese republic",
+  "TH": "kingdom of thailand,konigreich thailand,koninkrijk thailand,regno di thailandia,reino de tailandia,royaume de thailande,tailandia,thailand,thailande,thailandia",
+  "TJ": "repubblica del tagikistan,republic of tajikistan,republica de tayikistan,republiek tadzjikistan,republik tadschikistan,republique du tadjikistan,tadjikistan,tadschikistan,tadzjikistan,tagikistan,tajikistan,tayikistan",
+  "TK": "tokelau",
+  "TL": "democratic republic of timor leste,democratische republiek oost timor,demokratische republik timor leste,east timor,oost timor,repubblica democratica di timor est,republica democratica de timor oriental,republique democratique du timor leste,timor est,timor leste,timor oriental",
+  "TM": "turkmenistan",
+  "TN": "repubblica tunisina,republic of tunisia,republica de tunez,republiek tunesie,republique de tunisie,tunesie,tunesien,tunesische republik,tunez,tunisia,tunisie",
+  "TO": "kingdom of tonga,konigreich tonga,koninkrijk tonga,regno di tonga,reino de tonga,royaume des tonga,tonga",
+  "TR": "republic of turkiye,republiek turkije,republik turkei,turkei,turkey,turkije,turkiye",
+  "TT": "repubblica di trinidad e tobago,republic of trinidad and tobago,republica de trinidad y tobago,republiek trinidad en tobago,republik trinidad und tobago,republique de trinite et tobago,trinidad and tobago,trinidad e tobago,trinidad en tobago,trinidad und tobago,trinidad y tobago,trinite et tobago",
+  "TV": "tuvalu",
+  "TW": "chinesische provinz taiwan,province de chine taiwan,province of china taiwan,provincia de china taiwan,repubblica di cina taiwan,taiwan,taiwan chinesische provinz,taiwan province de chine,taiwan province of china,taiwan provincia de china,taiwan repubblica di cina",
+  "TZ": "repubblica unita di tanzania,republica unida de tanzania,republique unie de tanzanie,tansania,tansania vereinigte republik,tanzania,tanzania republica unida de,tanzania united republic of,tanzanie,tanzanie republique unie de,united republic of tanzania,vereinigte republik tansania,verenigde republiek tanzania",
+  "UA": "oekraine,ucraina,ucrania,ukraine",
+  "UG": "oeganda,ouganda,repubblica dell uganda,republic of uganda,republica de uganda,republiek oeganda,republik uganda,republique d ouganda,uganda",
+  "UM": "iles mineures eloignees des etats unis,islas ultramarinas menores de estados unidos,isole minori esterne degli stati uniti d america,kleine afgelegen eilanden van de verenigde staten,united states minor outlying islands",
+  "US": "estados unidos,estados unidos de america,etats unis,etats unis d amerique,stati uniti,stati uniti d america,u s a,united states,united states of america,usa,vereinigte staaten,vereinigte staaten von amerika,verenigde staten,verenigde staten van amerika",
+  "UY": "eastern republic of uruguay,oostelijke republiek uruguay,repubblica orientale dell uruguay,republica oriental del uruguay,republik ostlich des uruguay,republique orientale d uruguay,uruguay",
+  "UZ": "oezbekistan,ouzbekistan,repubblica dell uzbekistan,republic of uzbekistan,republica de uzbekistan,republiek oezbekistan,republik usbekistan,republique d ouzbekistan,usbekistan,uzbekistan",
+  "VA": "heiliger stuhl,heiliger stuhl staat vatikanstadt,holy see,holy see vatican city state,saint siege,saint siege etat de la cite du vatican,santa sede,santa sede ciudad estado del vaticano,santa sede stato della citta del vaticano,staat vaticaanstad,vaticaanstad,vaticaanstad staat,vatican,vatican city",
+  "VC": "saint vincent and the grenadines,saint vincent e grenadine,saint vincent en de grenadines,saint vincent et les grenadines,san vicente y las granadinas,st vincent und die grenadinen",
+  "VE": "bolivariaanse republiek venezuela,bolivarian republic of venezuela,bolivarische republik venezuela,repubblica bolivariana del venezuela,republica bolivariana de venezuela,republique bolivarienne du venezuela,venezuela,venezuela bolivariaanse republiek,venezuela bolivarian republic of,venezuela bolivarische republik,venezuela repubblica bolivariana del,venezuela republica bolivariana de,venezuela republique bolivarienne du",
+  "VG": "britanicas islas virgenes,britische jungferninseln,british virgin islands,britse maagdeneilanden,iles vierges britanniques,islas virgenes britanicas,isole vergini britanniche,isole vergini regno unito,maagdeneilanden britse,regno unito isole vergini,virgin islands british",
+  "VI": "amerikaanse maagdeneilanden,amerikanische jungferninseln,de eeuu islas virgenes,etats unis iles vierges,iles vierges,iles vierges des etats unis d amerique,iles vierges etats unis,islas virgenes de eeuu,islas virgenes de los estados unidos,isole vergini statunitensi,isole vergini u s a,maagdeneilanden amerikaanse,u s a isole vergini,u s virgin islands,virgin islands of the united states,virgin islands u s",
+  "VN": "repubblica socialista del vietnam,republica socialista de vietnam,republique socialiste du viet nam,socialist republic of viet nam,socialistische republiek vietnam,sozialistische republik vietnam,viet nam,vietnam",
+  "VU": "repubblica di vanuatu,republic of vanuatu,republica de vanuatu,republiek vanuatu,republik vanuatu,republique du vanuatu,vanuatu",
+  "WF": "wallis and futuna,wallis e futuna,wallis en futuna,wallis et futuna,wallis und futuna,wallis y futuna",
+  "WS": "estado independiente de samoa,etat independant de samoa,independent state of samoa,onafhankelijke staat samoa,samoa,stato indipendente di samoa,unabhangiger staat samoa",
+  "YE": "jemen,repubblica dello yemen,republic of yemen,republica del yemen,republiek jemen,republik jemen,republique du yemen,yemen",
+  "YT": "mayotte",
+  "ZA": "afrique du sud,repubblica sudafricana,republic of south africa,republica de sudafrica,republiek zuid afrika,republik sudafrika,republique d afrique du sud,south africa,sudafrica,sudafrika,zuid afrika",
+  "ZM": "repubblica dello zambia,republic of zambia,republica de zambia,republiek zambia,republik sambia,republique de zambie,sambia,zambia,zambie",
+  "ZW": "repubblica dello zimbabwe,republic of zimbabwe,republica de zimbabue,republiek zimbabwe,republik simbabwe,republique du zimbabwe,simbabwe,zimbabue,zimbabwe",
+};
+// @generated-end country-names
+
+/**
+ * =============================================================================
+ * ISO 3166-2 REGION DATA
+ * =============================================================================
+ */
+
+// Subdivision codes per country with the normalized names that resolve to them
+// ("CODE:name,name|CODE:name"), used by formatRegionId.
+// Generated by scripts/generate-geo-data.mjs from the iso-codes package - do not edit by hand.
+// @generated-start iso-3166-2
+const ISO_3166_2_REGIONS = {
+  "AD": "02:canillo|03:encamp|04:la masana,la massana|05:ordino|06:saint julia de loria,san julian de loria,sant julia de loria|07:andorra la vella,andorra la vieja,andorre la vieille|08:escaldes engordany,las escaldas engordany",
+  "AE": "AJ:ajman|AZ:abu dhabi,abu zaby|DU:dubai,dubayy|FU:al fujayrah,fudschaira,fujairah,fuyaira|RK:ra s al chaima,ra s al khaymah,ras al khaimah,ras el khaimah|SH:ash shariqah,schardscha,sharjah|UQ:oumm al qaiwain,umm al qaiwain,umm al qawain,umm al qaywayn",
+  "AF": "BAL:balch,balkh|BAM:bamiyan,bamyan|BDG:badghis|BDS:badakhchan,badakhshan,badakschan|BGL:baghlan,baglan|DAY:daikondi,daykundi|FRA:farah|FYB:faryab|GHA:ghazni|GHO:ghor,ghowr|HEL:helmand|HER:herat|JOW:jowzjan,juzjan|KAB:kaboul,kabul|KAN:kandahar|KAP:kapisa|KDZ:kundus,kunduz|KHO:chost,khost|KNR:kunar|LAG:laghman|LOG:logar,lugar|NAN:nangarhar,nangarjar|NIM:nimroz,nimrus,nimruz|NUR:nooristan,nourestan,nurestan,nuristan|PAN:panchir,panjshayr,panjshir|PAR:paruan,parwan|PIA:paktia,paktiya|PKA:paktika|SAM:samangan|SAR:sar e pol,sar e pul,sar i pul|TAK:tajar,takhar|URU:ourouzgan,uruzgan|WAR:vardak,wardag,wardak|ZAB:zaboul,zabul",
+  "AG": "03:saint george|04:saint john|05:saint mary|06:saint paul|07:saint peter|08:saint philip|10:barbade,barbuda|11:redonda",
+  "AL": "01:berat|02:durazzo,durres,durrses|03:elbasan|04:fier|05:argirocastro,gjirokaster,gjirokastra|06:corizia,korca,korce|07:kukes|08:alessio,lezha,lezhe|09:diber,dibra|10:scutari,shkoder,shkodra|11:tirana,tirane|12:valona,vlora,vlore",
+  "AM": "AG:aragacotn|AR:ararat|AV:armavir,armawir|ER:erevan,jerevan,jerewan,yerevan|GR:gegark unik|KT:kotajk,kotayk|LO:lori|SH:sirak|SU:sjunik,syunik|TV:tavus|VD:vayoc jor,vayots dzor",
+  "AO": "BGO:bengo|BGU:benguela|BIE:bie|CAB:cabinda|CCU:cuando cubango|CNN:cunene|CNO:cuanza nord,cuanza norte,noord cuanza|CUS:cuanza sud,cuanza sul,zuid cuanza|HUA:huambo|HUI:huila|LNO:lunda nord,lunda norte,noord lunda|LSU:lunda sud,lunda sul,zuid lunda|LUA:luanda|MAL:malange,malanje|MOX:moxico|NAM:namibe|UIG:uige|ZAI:zaire",
+  "AR": "A:salta|B:buenos aires|C:autonome stad buenos aires,autonome stadt buenos aires,citta autonoma di buenos aires,ciudad autonoma de buenos aires,ville autonome de buenos aires|D:san luis|E:entre rios|F:la rioja|G:santiago del estero|H:chaco|J:san juan|K:catamarca|L:la pampa|M:mendoza|N:misiones|P:formosa|Q:neuquen|R:rio negro|S:santa fe|T:tucuman|U:chubut|V:terra del fuoco,tierra del fuego,tierra del fuego antartida e islas del atlantico sur|W:corrientes|X:cordoba|Y:jujuy|Z:santa cruz",
+  "AT": "1:burgenland|2:carinthia,carinthie,karinthie,karnten|3:basse autriche,lower austria,neder oostenrijk,niederosterreich|4:haute autriche,oberosterreich,opper oostenrijk,upper austria|5:salisburgo,salzbourg,salzburg|6:steiermark,stiria,styria,styrie|7:tirol,tirolo,tyrol|8:vorarlberg|9:vienna,vienne,wenen,wien",
+  "AU": "ACT:australian capital territory,australisch hoofdstedelijk territorium,territoire de la capitale australienne|NSW:new south wales,nieuw zuid wales,nouvelle galles du sud,nuovo galles del sud|NT:noordelijk territorium,northern territory,territoire du nord,territorio del nord|QLD:queensland|SA:australia meridionale,australie meridionale,south australia,zuid australie|TAS:tasmania,tasmanie,tasmanien|VIC:victoria|WA:australia occidentale,australie occidentale,west australie,western australia",
+  "AZ": "ABS:abseron,absheron|AGA:agstafa|AGC:agcab di,agcabadi,agjabadi|AGM:agdam|AGS:agdas,agdash|AGU:agsu|AST:astara|BA:baki,bakoe,bakou,baku|BAB:bab k,babak,babek|BAL:balak n,balakan|BAR:b rd,barda|BEY:beyl qan,beylagan,beylaqan|BIL:bil suvar,bilasuvar|CAB:c brayil,cabrayil,jabrayil|CAL:c lilabad|CUL:culfa,julfa|DAS:dashkasan,dask s n,daskasan|FUZ:fizuli,fuzuli|GA:g nc,ganca,gandja,ganja|GAD:g d b y,gadabay|GOR:goranboy|GOY:goycay,goychay|GYG:goygol|HAC:haciqabul,hajigabul|IMI:imishli,imisli|ISM:ismailli,ismayilli|KAL:k lb c r,kalbacar,kalbajar|KAN:k ng rli,kangarli,kengerli|KUR:kurd mir,kurdamir|LA:l nk ran,lankaran,lankarani|LAC:lachin,lacin|LAN:|LER:lerik|MAS:masalli,masally|MI:ming cevir,mingacevir,mingachevir|NA:naftalan|NEF:neftcala,neftchala|NV:|NX:nachitschewan,nachitsjevan,nakhitchevan,naxcivan|OGU:oguz|ORD:ordubad|QAB:gabala,q b l,qabala|QAX:qakh,qax|QAZ:gazaj,qazakh,qazax|QBA:quba|QBI:qubadli|QOB:qobustan|QUS:qusar|SA:chaki,s ki,saki,shaki|SAB:sabirabad|SAD:s d r k,sadarak|SAH:sahbuz,shakhbuz|SAK:|SAL:salyan|SAR:s rur,sarur,sharur|SAT:saatli,saatly|SBN:chabran,sabran|SIY:siazan,siy z n,siyazan|SKR:s mkir,samkir,shamkir,shemkir|SM:sumqayit|SMI:samaxi,shamakhi,shamaxi|SMX:samukh,samux|SR:chirvan,sirvan|SUS:shusha,susa|TAR:t rt r,tartar|TOV:tovuz|UCA:ucar,ujar|XA:khankendi,xank ndi,xankandi|XAC:khachmaz,xacmaz|XCI:khojali,xocali|XIZ:khizi,xizi|XVD:khojavend,xocav nd,xocavand|YAR:yardimli,yardymli|YE:evlach,yevlakh,yevlax|YEV:|ZAN:z ngilan,zangilan|ZAQ:zaqatala|ZAR:z rdab,zardab",
+  "BA": "BIH:bosnie herzegovina,bosnie herzegovina federatie,federacija bosne i hercegovine,federatie bosnie herzegovina,federation de bosnie et herzegovine,federazione di bosnia ed erzegovina,foderation bosnien und herzegowina|BRC:brcko district,brcko distrikt,distretto di brcko,district de brcko|SRP:repubblica serba,republiek servie,republika srpska,republique serbe de bosnie,serbische republik,servie,servie republiek",
+  "BB": "01:christ church|02:saint andrew|03:saint george|04:saint james|05:saint john|06:saint joseph|07:saint lucy|08:saint michael|09:saint peter|10:saint philip|11:saint thomas",
+  "BD": "01:bandarban|02:barguna,laguna|03:bogura|04:brahmanbaria|05:bagerhat|06:|07:bhola|08:comilla,cumilla|09:chandpur|10:|11:bazaar di cox,cox s bazar|12:chuadanga|13:|14:dinajpur|15:faridpur|16:feni|17:gopalganj|18:gazipur|19:gaibandha|20:habiganj|21:jamalpur|22:jashore,jessore|23:jhenaidah|24:jaipurhat,joypurhat|25:jhalakathi,jhalakati,jhalokati|26:kishoreganj|27:|28:kurigram|29:khagrachari,khagrachhari|30:kushtia|31:lakshmipur|32:lalmonirhat|33:manikganj|34:|35:munshiganj|36:madaripur|37:fgura,magura|38:moulvibazar|39:meherpur|40:narayanganj|41:netrakona|42:narsingdi|43:nara,narail|44:natore|45:chapai nawabganj,nawabganj|46:nilphamari|47:noakhali|48:naogaon|49:pabna|50:pirojpur|51:patuakhali|52:panchagarh|53:rajbari|54:|55:|56:rangamati|57:sherpur|58:satkhira|59:sirajganj|60:|61:sunamganj|62:shariatpur|63:tanga,tangail|64:thakurgaon|A:barisal,barishal|B:chattogram,chittagong|C:dacca,dhaka|D:khulna|E:rajshahi|F:rangpur|G:sylhet|H:mymensingh",
+  "BE": "BRU:brussel,brussels,brussels capital,brussels capital region,brussels hoofdstedelijk gewest,bruxelles,bruxelles capitale,region de bruxelles capitale|VAN:antwerp,antwerpen,anvers,anversa,province of antwerp|VBR:brabant flamand,brabante fiammingo,flamisch brabant,flemish brabant,vlaams brabant|VLG:fiandre,flamande,flamande region,flanders,flemish region,region flamande,vlaams gewest,vlaanderen|VLI:limburg,limburgo,limourg|VOV:east flanders,flandre orientale,oost vlaanderen,ostflandern,vlaanderen orientale|VWV:flandre occidentale,vlaanderen occidentale,west flanders,west vlaanderen,westflandern|WAL:gewest wallonie,region wallonia,region wallonne,regione vallonia,vallonia,vallonia regione,wallonia,wallonia region,wallonie,wallonie gewest,wallonne,wallonne region,walloon region|WBR:brabant wallon,brabante vallone,waals brabant,wallonisch brabant,walloon brabant|WHT:hainaut,henegouwen,hennegau|WLG:liege,liegi,luik,luttich|WLX:lussemburgo,luxembourg,luxemburg|WNA:namen,namur",
+  "BF": "01:boucle du mouhoun|02:cascades|03:centre|04:centre est|05:centre nord|06:centre ouest|07:centre sud|08:est,occidentale|09:hauts bassins|10:noord,nord|11:plateau central|12:sahel|13:sud ouest|BAL:bale|BAM:bam|BAN:banwa|BAZ:bazega|BGR:bougouriba|BLG:boulgou|BLK:boulkiemde|COM:comoe|GAN:ganzourgou|GNA:gnagna|GOU:gourma|HOU:houet|IOB:ioba|KAD:kadiogo|KEN:kenedougou|KMD:komandjoari,komondjari|KMP:kompienga|KOP:koulpelogo|KOS:kossi|KOT:kouritenga|KOW:kourweogo|LER:leraba|LOR:loroum|MOU:mouhoun|NAM:namentenga|NAO:nahouri|NAY:nayala|NOU:noumbiel|OUB:oubritenga|OUD:oudalan|PAS:passore|PON:poni|SEN:seno|SIS:sissili|SMT:sanmatenga|SNG:sanguie|SOM:soum|SOR:sourou|TAP:tapoa|TUI:tuy|YAG:yagha|YAT:yatenga|ZIR:ziro|ZON:zondoma|ZOU:zoundeeogo,zoundweogo",
+  "BG": "01:blagoevgrad,blagoewgrad|02:boergas,bourgas,burgas|03:varna,warna|04:veliko tarnovo,weliko tarnowo|05:vidin,widin|06:vraca,vratsa,wraza|07:gabrovo,gabrowo|08:dobric,dobrich,dobritch,dobritsch,dobritsj|09:kardjali,kardschali,kardzhali,kardzjali|10:kjoestendil,kjustendil,kyoustendil,kyustendil|11:lovec,lovech,lovetch,lovetsj,lowetsch|12:montana|13:pasardschik,pazardjik,pazardzhik,pazardzjik|14:pernik|15:pleven,plewen|16:plovdiv,plowdiw|17:rasgrad,razgrad|18:roese,rousse,ruse,russe|19:silistra|20:sliven,sliwen|21:smoljan,smolyan|22:sofia,sofia hoofdstad,sofia stolitsa,sofia ville|23:|24:stara sagora,stara zagora|25:targovichte,targovishte,targovisjte,targoviste,targowischte|26:chaskovo,chaskowo,haskovo,khaskovo|27:choumen,schumen,shumen,sjoemen,sumen|28:jambol,yambol",
+  "BH": "13:al asimah|14:al janblyah,al janubiyah|15:al muharraq|17:asch schamaliyya,ash shamaliyah,ash shamallyah,nord",
+  "BI": "BB:bubanza|BL:bujumbura rural|BM:bujumbura mairie|BR:bururi|CA:cankuzo|CI:cibitoke|GI:gitega|KI:kirundo|KR:karuzi|KY:kayanza|MA:makamba|MU:muramvya|MW:mwaro|MY:muyinga|NG:ngozi|RM:rumonge|RT:rutana|RY:ruyigi",
+  "BJ": "AK:atacora|AL:alibori|AQ:atlantico,atlantique|BO:borgou|CO:colline,collines|DO:donga|KO:couffo|LI:litoral,litorale,littoral|MO:mono|OU:oueme|PL:altopiano,plateau|ZO:zou",
+  "BN": "BE:belait|BM:brunei en muara,brunei muara|TE:temburong|TU:tutong",
+  "BO": "B:beni,el beni|C:cochabamba|H:chuquisaca|L:la paz|N:pando|O:oruro|P:potosi|S:santa cruz|T:tarija",
+  "BQ": "BO:bonaire|SA:saba|SE:saint eustache,sint eustatius",
+  "BR": "AC:acre|AL:alagoas|AM:amazonas,amazone|AP:amapa|BA:bahia|CE:ceara|DF:distretto federale,district federal,distrito federal,federaal district|ES:espirito santo,espiritu santo|GO:goias|MA:maranhao,maranon|MG:minas gerais|MS:mato grosso del sud,mato grosso do sul,zuidelijk mato grosso|MT:mato grosso|PA:para|PB:paraiba|PE:pernambouc,pernambuco|PI:piaui|PR:parana|RJ:rio de janeiro|RN:rio grande del nord,rio grande do norte|RO:rondonia|RR:roraima|RS:rio grande del sud,rio grande do sul|SC:santa catarina|SE:sergipe|SP:san paolo,sao paulo,soo paulo|TO:tocantins",
+  "BS": "AK:acklins|BI:bimini|BP:black point|BY:berry eilanden,berry islands,iles berry,isole berry|CE:central eleuthera,eleuthera central,eleuthera centrale|CI:cat island|CK:crooked island and long cay,crooked island e long cay,crooked island en long cay,crooked island und long cay,ile crooked et long cay|CO:abaco central,abaco centrale,central abaco|CS:andros central,andros centrale,central andros|EG:east grand bahama,grand bahama est,grand bahama orientale|EX:exuma|FP:citta di freeport,city of freeport,freeport,freeport stad,ville de freeport|GC:grand cay|HI:harbour island|HT:hope town|IN:inagua|LI:long island|MC:mangrove cay|MG:mayaguana|MI:ile de moore,moore s island|NE:eleuthera nord,eleuthera septentrional,north eleuthera|NO:abaco nord,abaco septentrional,north abaco|NP:new providence|NS:andros nord,andros septentrional,north andros|RC:rum cay|RI:ragged island|SA:andros meridional,andros sud,south andros|SE:eleuthera meridional,eleuthera sud,south eleuthera|SO:abaco meridional,abaco sud,south abaco|SS:san salvador|SW:spanish wells|WG:grand bahama occidentale,grand bahama ovest,west grand bahama",
+  "BT": "11:paro|12:chhukha,chukha|13:haa|14:samtse|15:thimphu|21:tsirang|22:dagana|23:punakha|24:wangdue phodrang|31:sarpang|32:trongsa|33:bumthang|34:zhemgang|41:trashigang|42:mongar,monggar|43:pema gatshel,pemagatshel|44:lhuentse,lhuntse|45:samdrup jongkhar|GA:gasa|TY:trashi yangtse,trashiyangtse",
+  "BW": "CE:central,centrale|CH:chobe|FR:francistown|GA:gaborone|GH:ghanzi|JW:jwaneng|KG:kgalagadi|KL:kgatleng|KW:kweneng|LO:lobatse|NE:noord oost,nord est,nordost,north east|NW:noord west,nord ouest,nord ovest,nordwest,north west|SE:south east,sud est,sudost,zuid oost|SO:meridionale,meridionale botswana,southern,sud,zuid|SP:selibe phikwe|ST:sowa town",
+  "BY": "BR:bresckaja voblasc,brest,brest provincie,provincie brest,voblast de brest|HM:gorod minsk,minsk,minsk stad|HO:gomel skaja oblast,homel,homel provincie,provincie homel|HR:grodnenskaja oblast,grodno,grodno provincie,provincie grodno|MA:mahiliou,mahiliouskaja voblasc,mahiljow,mahiljow provincie,provincie mahiljow,regione di mahilou,voblast de mahiliow|MI:minsk oblast,minskaja oblast,oblast minsk,regione di minsk|VI:provincie vitebsk,viciebskaja voblasc,vitebsk,vitebsk provincie,voblast de vitebsk",
+  "BZ": "BZ:belice,belize|CY:cayo|CZL:corozal|OW:orange walk|SC:stann creek|TOL:toledo",
+  "CA": "AB:alberta|BC:british columbia,brits columbia,colombie britannique,columbia britanica,columbia britannica|MB:manitoba|NB:new brunswick,nouveau brunswick,nuevo brunswick|NL:newfoundland and labrador,newfoundland en labrador,newfoundland und labrador,terranova e labrador,terranova y labrador,terre neuve et labrador|NS:nouvelle ecosse,nova scotia,nueva escocia,nuova scozia|NT:noord west territoria,nordwest territorien,northwest territories,territoires du nord ouest,territori del nord ovest,territorios del noroeste|NU:nunavut|ON:ontario|PE:ile du prince edouard,isla del principe eduardo,isola del principe edoardo,prince edward island,prins edwardeiland|QC:quebec|SK:saskatchewan|YT:yukon",
+  "CD": "BC:kongo central|BU:bas uele|EQ:equateur,equatore,evenaarsprovincie|HK:haut katanga|HL:haut lomami,opper lomami|HU:haut uele,opper uele|IT:ituri|KC:centraal kasai,kasai central|KE:kasai oriental,oost kasai|KG:kwango|KL:kwilu|KN:kinshasa|KS:kasai|LO:lomami|LU:lualaba|MA:maniema|MN:mai ndombe|MO:mongala|NK:kivu nord,noord kivu,nord kivu|NU:noord ubangi,nord ubangi|SA:sankuru|SK:kivu sud,sud kivu,zuid kivu|SU:sud ubangi,zuid ubangi|TA:tanganyika|TO:tshopo|TU:tshuapa",
+  "CF": "AC:ouham|BB:bamingui bangoran|BGF:bangui|BK:basse kotto|HK:haute kotto|HM:haut mbomou|HS:haute sangha mambere kadei,mambere kadei|KB:gribingui,nana grebizi|KG:kemo,kemo giribingi|LB:lobaye|MB:mbomou|MP:ombella mpoko|NM:nana mambere|OP:ouham pende|SE:sangha|UK:ouaka|VK:vakaga",
+  "CG": "11:bouenza|12:pool|13:sangha|14:altopiani,altopiani congo,plateaux|15:cuvette ouest,cuvette ovest,cuvette west|16:pointe noire|2:lekoumou|5:kouilou|7:likouala|8:cuvette|9:niari|BZV:brazzaville",
+  "CH": "AG:aargau,argovia,argovie|AI:appenzell innerrhoden,appenzell rhodes interieures,appenzello interno|AR:appenzell ausserrhoden,appenzell rhodes exterieures,appenzello esterno|BE:bern,berna,berne|BL:bale campagne,basel landschaft,basilea campagna,bazel landschap|BS:bale ville,basel city,basel stad,basel stadt,basilea citta|FR:freiburg,fribourg|GE:geneva,geneve,genf,ginevra|GL:glaris,glarona,glarus|GR:graubunden,grigioni,grisons|JU:giura,jura|LU:lucerna,lucerne,luzern|NE:neuchatel,neuenburg|NW:nidvaldo,nidwald,nidwalden|OW:obvaldo,obwald,obwalden|SG:saint gall,saint gallen,san gallo,sankt gallen,st gallen|SH:schaffhausen,schaffhouse,sciaffusa|SO:soletta,soleure,solothurn|SZ:schwytz,schwyz,svitto|TG:thurgau,thurgovie,turgovia|TI:tessin,ticino|UR:uri|VD:vaud,waadt|VS:valais,vallese,wallis|ZG:zoug,zug,zugo|ZH:zurich,zurigo",
+  "CI": "AB:abidjan|BS:bas sassandra|CM:comoe|DN:denguele|GD:goh djiboua|LC:lacs|LG:lagunes|MG:montagnes|SM:sassandra marahoue|SV:savanes|VB:vallee du bandama|WR:woroba,worobe|YM:yamoussoukro|ZZ:zanzan",
+  "CL": "AI:aisen del general carlos ibanez del campo,aysen del general carlos ibanez del campo|AN:antofagasta|AP:arica e parinacota,arica et parinacota,arica y parinacota|AR:la araucania|AT:atacama|BI:biobio|CO:coquimbo|LI:bevrijder generaal bernard o higgins,libertador general bernardo o higgins|LL:los lagos|LR:los rios|MA:magallanes|ML:maule|NB:nuble|RM:hoofdstedelijke regio van santiago,region metropolitaine de santiago,region metropolitana de santiago,regione metropolitana di santiago,santiago,santiago hoofdstedelijke regio van|TA:tarapaca|VS:valparaiso",
+  "CM": "AD:adamaoua|CE:centre|EN:extreme nord,far north,provincia dell estremo nord,verre noorden|ES:east,est,oost,provincia dell est|LT:litoral,litorale,littoral|NO:noord,nord,north,provincia del nord|NW:noord west,nord ouest,nordoccidentale,nordoccidentale botswana,nordwest,north west|OU:ouest,provincia dell ovest,west|SU:provincia del sud,south,sud,zuid|SW:provincia di sudovest,south west,sud ouest,zuid west",
+  "CN": "AH:anhui,anhui provincie,anhui sheng,provincie anhui|BJ:beijing,beijing shi,beijing stadsprovincie,pechino,peking,peking stadsprovincie,stadsprovincie beijing,stadsprovincie peking|CQ:chongqing,chongqing shi,chongqing stadsprovincie,stadsprovincie chongqing,stadsprovincie tsjoengking,tsjoengking,tsjoengking stadsprovincie|FJ:fujian,fujian provincie,fujian sheng,provincie fujian|GD:guangdong,guangdong provincie,guangdong sheng,provincie guangdong|GS:gansu,gansu provincie,gansu sheng,provincie gansu|GX:guangxi,guangxi zhuang autonome regio,guangxi zhuangzu zizhiqu|GZ:guizhou,guizhou provincie,guizhou sheng,provincie guizhou|HA:henan,henan provincie,henan sheng,provincie henan|HB:hubei,hubei provincie,hubei sheng,provincie hubei|HE:hebei,hebei provincie,hebei sheng,provincie hebei|HI:hainan,hainan provincie,hainan sheng,provincie hainan|HK:hong kong sar,hongkong,hongkong speciale bestuurlijke regio|HL:heilongjiang,heilongjiang provincie,heilongjiang sheng,provincie heilongjiang|HN:hunan,hunan provincie,hunan sheng,provincie hunan|JL:jilin,jilin provincie,jilin sheng,provincie jilin|JS:jiangsu,jiangsu provincie,jiangsu sheng,provincie jiangsu|JX:jiangxi,jiangxi provincie,jiangxi sheng,provincie jiangxi|LN:liaoning,liaoning provincie,liaoning sheng,provincie liaoning|MO:macao sar,macau,macau speciale bestuurlijke regio|NM:autonome regio binnen mongolie,binnen mongolie,binnen mongolie autonome regio,nei mongol,nei mongol zizhiqu|NX:autonome hui regio ningxia,ningxia,ningxia huizi zizhiqu|QH:provincie qinghai,qinghai,qinghai provincie,qinghai sheng|SC:provincie sichuan,sichuan,sichuan provincie,sichuan sheng|SD:provincie shandong,shandong,shandong provincie,shandong sheng|SH:shanghai,shanghai shi,sjanghai,sjanghai stadsprovincie,stadsprovincie sjanghai|SN:provincie shaanxi,shaanxi,shaanxi provincie,shaanxi sheng|SX:provincie shanxi,shanxi,shanxi provincie,shanxi sheng|TJ:stadsprovincie tianjin,tianjin,tianjin shi,tianjin stadsprovincie|TW:taiwan sheng|XJ:autonome oeigoerse regio xinjiang,regione autonoma uigura dello xinjiang,xinjiang,xinjiang autonome oeigoerse regio,xinjiang uygur zizhiqu|XZ:tibet,tibetaanse autonome regio,xizang zizhiqu|YN:provincie yunnan,yunnan,yunnan provincie,yunnan sheng|ZJ:provincie zhejiang,zhejiang,zhejiang provincie,zhejiang sheng",
+  "CO": "AMA:amazonas,amazone|ANT:antioquia|ARA:arauca|ATL:atlantico|BOL:bolivar|BOY:boyaca|CAL:caldas|CAQ:caqueta|CAS:casanare|CAU:cauca|CES:cesar|CHO:choco|COR:cordoba|CUN:cundinamarca|DC:bogota,bogota hoofdstedelijk gewest van,distretto capitale di bogota,district de la capitale bogota,distrito capital de bogota,hoofdstedelijk gewest van bogota|GUA:guainia|GUV:guaviare|HUI:huila|LAG:la guajira|MAG:magdalena|MET:meta|NAR:narino|NSA:noordelijk van santander,norte de santander|PUT:putumayo|QUI:quindio|RIS:risaralda|SAN:santander|SAP:san andres providencia e santa catalina,san andres providencia en santa catalina,san andres providencia y santa catalina,san andres y providencia|SUC:sucre|TOL:tolima|VAC:valle del cauca,vallei van de cauca|VAU:vaupes|VID:vichada",
+  "CR": "A:alajuela|C:cartago|G:guanacaste|H:heredia|L:limon|P:puntarenas|SJ:san jose",
+  "CU": "01:pinar del rio|03:l avana,la habana|04:matanzas|05:villa clara|06:cienfuegos|07:sancti spiritus|08:ciego de avila|09:camaguey|10:las tunas|11:holguin|12:granma|13:santiago de cuba,santiago di cuba|14:guantanamo|15:artemisa|16:mayabeque|99:ile de la juventud,isla de la juventud,isola della gioventu",
+  "CV": "B:distretto di barlavento,iles de barlavento,ilhas de barlavento,islas de barlovento|BR:brava|BV:boa vista|CA:santa catarina|CF:santa catarina do fogo|CR:santa cruz|MA:maio|MO:mosteiros|PA:paul|PN:porto novo|PR:praia|RB:ribeira brava|RG:ribeira grande|RS:ribeira grande de santiago|S:distretto di sotavento,iles de sotavento,ilhas de sotavento|SD:sao domingos|SF:sao filipe|SL:sal|SM:sao miguel|SO:sao lourenco dos orgaos|SS:sao salvador do mundo|SV:sao vicente|TA:tarrafal|TS:tarrafal de sao nicolau",
+  "CY": "01:lefkosia,nicosia|02:lemesos,limasol|03:larnaca,larnaka|04:ammochostos,famagusta|05:baf,pafos,paphos|06:girne",
+  "CZ": "10:hlavni mesto praha,hoofdstedelijk gewest praag,praag,praag hoofdstedelijk gewest,praha,praha hlavni mesto|20:boemia centrale,boheme centrale,midden bohemen,midden bohemen regio,regio midden bohemen,stredocesky kraj|201:benesov,benschau|202:beroun|203:kladno|204:kolin|205:kutna hora|206:melnik|207:mlada boleslav|208:nymburk|209:praag oost,praga vychod,prague est,praha vychod|20A:praag west,praga zapad,prague ouest,praha zapad|20B:pribram|20C:rakovnik|31:boemia meridionale,boheme du sud,jihocesky kraj,regio zuid bohemen,zuid bohemen,zuid bohemen regio|311:ceske budejovice|312:cesky krumlov|313:jindrichuv hradec|314:pisek|315:prachatice|316:strakonice|317:tabor|32:pilsen,pilsen regio,plzen,plzensky kraj,regio pilsen,regione di plezn|321:domalice,domazlice|322:klatovy|323:pilsen stad,pilsen ville,plzen mesto|324:pilsen sud,pilsen zuid,plzen jih|325:pilsen noord,pilsen nord,plzen sever|326:rokycany|327:tachov|41:karlovarsky kraj,karlsbad,karlsbad regio,regio karlsbad,regione di karlovy vary|411:cheb|412:carlsbad,karlovy vary|413:sokolov|42:regio usti nad labem,regione di usti,ustecky kraj,usti nad labem regio|421:decin|422:chomutov|423:litomerice|424:louny|425:most|426:teplice|427:usti nad labem|51:liberec regio,liberecky kraj,regio liberec,regione di liberec|511:ceska lipa|512:jablonec nad nisou|513:liberec|514:semily|52:hradec kralove regio,kralovehradecky kraj,regio hradec kralove,regione di hradec kralove|521:hradec kralove|522:jicin|523:nachod|524:rychnov nad kneznou|525:trutnov|53:pardubice regio,pardubicky kraj,regio pardubice,regione di pardubice|531:chrudim|532:pardubice|533:svitavy|534:usti nad orlici|63:kraj vysocina,regio vysocina,region de vysocina,regione di vysocina,vysocina,vysocina regio|631:havlickuv brod|632:jihlava|633:pelhrimov|634:trebic|635:zdar nad sazavou|64:jihomoravsky kraj,moravia meridionale,moravie du sud,regio zuid moravie,zuid moravie,zuid moravie regio|641:blansko|642:brno citta,brno mesto|643:brno provincia,brno venkov|644:breclav|645:hodonin|646:vyskov|647:znojmo|71:olomouc regio,olomoucky kraj,regio olomouc,regione di olomouc|711:jesenik|712:olomouc|713:prostejov|714:prerov|715:sumperk|72:regio zlin,regione di zlin,zlin regio,zlinsky kraj|721:kromeriz|722:uherske hradiste|723:vsetin|724:zlin|80:moravia slesia,moravie silesie,moravisch silezie,moravisch silezie regio,moravskoslezsky kraj,regio moravisch silezie|801:bruntal|802:frydek mistek|803:karvina|804:novy jicin|805:opava|806:ostrava mesto,ostrava ville",
+  "DE": "BB:brandebourg,brandeburgo,brandenburg|BE:berlijn,berlin,berlino,land berlin|BW:bade wurtemberg,baden wuerttemberg,baden wurttemberg|BY:bavaria,baviera,baviere,bayern,beieren|HB:brema,breme,bremen|HE:assia,hesse,hessen|HH:amburgo,hambourg,hamburg|MV:mecklembourg pomeranie occidentale,mecklenburg vorpommern,mecklenburg western pomerania,meclemburgo pomerania anteriore|NI:bassa sassonia,basse saxe,lower saxony,nedersaksen,niedersachsen|NW:nord reno westfalia,nordrhein westfalen,north rhine westphalia,rhenanie du nord westfalie|RP:renania palatinato,rheinland pfalz,rhenanie palatinat,rhineland palatinate|SH:schleswig holstein|SL:saarland,sarre|SN:sachsen,saksen,saxe,saxony|ST:sachsen anhalt,saxe anhalt,saxony anhalt|TH:thueringen,thuringen,thuringia,turinge,turingia",
+  "DJ": "AR:arta|AS:ali sabieh|DI:dikhil|DJ:djibouti,dschibuti,gibuti,yibuti|OB:awbuk|TA:tadjoura,tadjourah,tagiura",
+  "DK": "81:jutland septentrional,noord jutland,nordjylland|82:jutland central,midden jutland,midtjylland|83:sud danemark,syddanmark,zuid denemarken|84:hoofdstad,hovedstaden|85:seeland,sjaelland",
+  "DM": "02:saint andrew|03:saint david|04:saint george|05:saint john|06:saint joseph|07:saint luke|08:saint mark|09:saint patrick|10:saint paul|11:saint peter",
+  "DO": "01:district national,district national santo domingo,distrito nacional,distrito nacional santo domingo,distrito nacional santo domingo de guzman|02:azua|03:baoruco|04:barahona|05:dajabon|06:duarte|07:elias pina|08:el seibo|09:espaillat|10:independencia|11:la altagracia|12:la romana|13:la vega|14:maria trinidad sanchez|15:monte cristi|16:pedernales|17:peravia|18:puerto plata|19:hermanas mirabal|20:samana|21:san cristobal|22:san juan|23:san pedro de macoris|24:sanchez ramirez|25:santiago|26:santiago rodriguez|27:valverde|28:monsenor nouel|29:monte plata|30:hato mayor|31:san jose de ocoa|32:santo domingo|33:cibao nordeste,cibao nordeste iii|34:cibao noroeste,cibao noroeste iv|35:bioko norte,bioko norte i,cibao norte|36:cibao sur,cibao sur ii|37:el valle|38:enriquillo|39:higuamo|40:ozama|41:valdesia|42:yuma",
+  "DZ": "01:adrar|02:chlef|03:laghouat|04:oum el bouaghi|05:batna|06:bejaia|07:biskra|08:bechar|09:blida|10:bouira|11:tamanrasset|12:tebessa|13:tlemcen|14:tiaret|15:tizi ouzou|16:alger,algeria,algier,algiers|17:djelfa|18:jijel|19:setif|20:saida|21:skikda|22:sidi bel abbes|23:annaba|24:guelma|25:constantine|26:medea|27:mostaganem|28:m sila|29:mascara|30:ouargla|31:oran,orano|32:el bayadh|33:illizi|34:bordj bou arreridj|35:boumerdes|36:el taref,el tarf|37:tindouf|38:tissemsilt|39:el oued|40:khenchela|41:souk ahras|42:tipaza|43:mila|44:ain defla|45:naama|46:ain temouchent|47:ghardaia|48:relizane",
+  "EC": "A:azuay|B:bolivar|C:carchi|D:orellana|E:esmeraldas|F:canar|G:guayas|H:chimborazo|I:imbabura|L:loja|M:manabi|N:napo|O:el oro|P:pichincha|R:los rios|S:morona santiago|SD:santo domingo de los tsachilas|SE:santa elena|T:tungurahua|U:sucumbios|W:galapagos|X:cotopaxi|Y:pastaza|Z:zamora chinchipe",
+  "EE": "130:alutaguse|141:anija|142:antsla|171:elva|184:haapsalu|191:haljala|198:harku|205:|214:haademeeste|245:joelahtme|247:jogeva|251:johvi|255:jarva|272:kadrina|283:kambja|284:kanepi|291:kastre|293:kehtna|296:keila|303:kihnu|305:kiili|317:kohila|321:kohtla jarve|338:kose|353:kuusalu|37:harju,harjumaa|39:hiiu,hiiumaa|424:loksa|430:laaneranna|431:laane harju|432:luunja|441:laane nigula|442:luganuse|446:maardu|45:ida viru,ida virumaa|478:muhu|480:mulgi|486:mustvee|50:jogevamaa|503:marjamaa|511:narva|514:narva joesuu|52:jarvamaa|528:noo|557:otepaa|56:laane,laanemaa|567:paide|586:peipsiaare|60:laane viru,laane virumaa|615:pohja sakala|618:poltsamaa|622:polva|624:parnu|638:pohja parnumaa|64:polvamaa|651:raasiku|653:rae|661:rakvere|663:|668:rapla|68:parnumaa|689:ruhnu|698:rouge|708:rapina|71:raplamaa|712:saarde|714:|719:saku|726:saue|732:setomaa|735:sillamae|74:saare,saaremaa|784:tallinn|79:tartumaa|792:tapa|793:tartu|796:|803:toila|809:tori|81:valgamaa|824:torva|834:turi|84:viljandimaa|855:valga|87:vorumaa|890:viimsi|897:viljandi|899:|901:vinni|903:viru nigula|907:vormsi|917:voru|919:|928:vaike maarja",
+  "EG": "ALX:al iskandariyah,alessandria,alexandrie|ASN:assuan,aswan|AST:assioet,asyut|BA:al bahr al ahmar,mar rosso,mer rouge|BH:al buhayrah|BNS:bani suwayf,beni suef|C:al qahirah,cairo,il cairo|DK:ad daqahliyah,ad daqahlyah,dakahlia|DT:damietta,dumyat|FYM:al fajoem,al fayyum,fayyum|GH:al gharbiyah,gharbiyya|GZ:al jizah,giza,gizeh|IS:al isma iliyah,ismailia|JS:janub sina,sinai del sud,zuidelijke sinai|KB:al qalyubiyah,qaliubia|KFS:kafr ash shaykh,kafr el sheikh|KN:qena,qina|LX:al uqsur,luxor|MN:al minya,minya|MNF:al minufiyah,menufia|MT:matruh|PTS:bur sa id,port said|SHG:sohag,suhaj|SHR:ash sharqiyah,sharkia|SIN:noord sinai,shamal sina|SUZ:as suways,suez|WAD:al wadi al jadid,wadi al jadid",
+  "ER": "AN:ansaba,anseba,regione dell anseba|DK:debubawi k eyyih bahri,debubawi keyih bahri|DU:al janubi,debub,regione del sud|GB:gash barka|MA:al awsat,maekel,regione centrale|SK:semenawi keyih bahri,semienawi k eyyih bahri",
+  "ES": "A:alacant,alicante|AB:albacete|AL:almeria|AN:andalousie,andalucia,andalusia,andalusie,andalusien|AR:aragon,aragona,aragonien|AS:asturias,asturias principado de,asturie,asturie vorstendom,asturien,asturies,asturies principaute des,principado de asturias,principaute des asturies,vorstendom asturie|AV:avila|B:barcelona|BA:badajoz|BI:biscaglia,biscaye,bizkaia,vizcaya|BU:burgos|C:a coruna,la corogne,la coruna|CA:cadice,cadix,cadiz|CB:cantabria,cantabrie,cantabrique,kantabrien|CC:caceres|CE:ceuta|CL:castiglia e leon,castile and leon,castilla y leon,castille and leon,castille et leon,kastilien und leon|CM:castiglia la mancia,castile la mancha,castilla la mancha,castille la mancha,castille la manche,kastilien la mancha|CN:canarias,canarie,canaries,canarische eilanden,canary islands,kanaren|CO:cordoba|CR:ciudad real|CS:castello,castellon|CT:catalonia,catalonie,cataluna,catalunya|CU:cuenca|EX:estremadura,extramadoure,extremadura|GA:galicia|GC:las palmas|GI:gerona,girona|GR:granada,grenade|GU:guadalajara|H:huelva|HU:huesca|IB:balearen,balearic islands,illes balears,islas baleares|J:jaen|L:lerida,lleida|LE:leon|LO:|LU:lugo|M:|MA:malaga|MC:murcei,murcei region de,murcia,murcia regio,murcia region de,regio murcia,region de murcei,region de murcia|MD:communaute de madrid,comunidad de madrid,gemeenschap madrid,madrid,madrid communaute de,madrid comunidad de,madrid gemeenschap|ML:melilla|MU:murcie|NA:nafarroa|NC:forale gemeenschap navarra,nafarroako foru komunitatea,navarra,navarra forale gemeenschap,navarre|O:|OR:orense,ourense|P:palencia|PM:|PO:pontevedra|PV:baskenland,basque country,euskal herria,pais vasco|RI:la rioja|S:|SA:salamanca,salamanque|SE:sevilla,seville,siviglia|SG:segovia,segovie|SO:soria|SS:gipuzkoa,guipuscoa,guipuzcoa|T:tarragona|TE:teruel|TF:santa cruz de tenerife|TO:toledo|V:|VA:valladolid|VC:autonome gemeenschap valencia,comunidad valenciana,comunitat valenciana,valencia,valencia autonome gemeenschap,valencian community,valenciana,valenciana comunidad|VI:alava,araba|Z:saragossa,saragosse,saragozza,zaragoza|ZA:zamora",
+  "ET": "AA:addis ababa,addis abeba|AF:afar|AM:amara,amhara|BE:benishangul gumuz,benshangul gumaz|DD:dire dawa|GA:gambela,gambela peoples|HA:harari,harari people|OR:oromia|SN:southern nations nationalities and peoples,southern nations nationalities und peoples,yedebub biheroch bihereseboch na hizboch|SO:somali|TI:tigrai,tigray",
+  "FI": "01:aland,isole aland|02:carelia meridionale,carelie du sud,etela karjala,south karelia,sudkarelien,zuid karelie|03:etela pohjanmaa,ostrobotnia meridionale,ostrobotnie du sud,south ostrobothnia,sudosterbotten,zuid ostrobothnie|04:etela savo,savo meridionale,savonie du sud,south savo,sudsavo,zuid savonie|05:kainuu|06:kanta hame|07:centraal ostrobothnie,central ostrobothnia,keski pohjanmaa,mittelosterbotten,ostrobotnia centrale,ostrobotnie centrale|08:centraal finland,central finland,finlande centrale,finlandia centrale,keski suomi,mittelfinnland|09:kymenlaakso,vallee de la kymi|10:lapland,laponie,lappi,lappland,lapponia|11:pirkanmaa|12:osterbotten,ostrobothnia,ostrobothnie,ostrobotnia,ostrobotnie,pohjanmaa|13:noord karelie,nordkarelien,north karelia,pohjois karjala|14:noord ostrobothnie,nordosterbotten,north ostrobothnia,pohjois pohjanmaa|15:noord savonie,nordsavo,north savo,pohjois savo|16:paijat hame|17:satakunta|18:uusimaa|19:southwest finland,varsinais suomi,zuidwest finland",
+  "FJ": "01:ba|02:bua|03:cakaudrove|04:kadavu|05:lau|06:lomaiviti|07:macuata|08:nadroga and navosa,nadroga navosa,nadroga und navosa|09:naitasiri|10:namosi|11:ra|12:rewa|13:serua|14:tailevu|C:central,centrale|E:eastern,est,oost,orientale|N:nord,northern,settentrionale|R:rotuma|W:occidentale,ouest,western",
+  "FM": "KSA:kosrae|PNI:pohnpei|TRK:chuuk|YAP:yap",
+  "FR": "01:ain|02:aisne|03:allier|04:alpen van hoog provence,alpes de haute provence,alpi dell alta provenza|05:alte alpi,hautes alpes,hoog alpen|06:alpes maritimes,alpi marittime,zee alpen|07:ardeche|08:ardenne,ardennen,ardennes|09:ariege|10:aube|11:aude|12:aveyron|13:bocche del rodano,bouches du rhone,oevers van de rhone|14:calvados|15:cantal|16:charente|17:charente maritime,zee charente|18:cher|19:correze|20R:corse,corsica,korsika|21:cote d or,goudkust|22:cotes d armor,kusten van armor|23:creuse|24:dordogna,dordogne|25:doubs|26:drome|27:eure|28:eure en loir,eure et loir|29:finistere|2A:corse du sud,corsica del sud,zuid corsica|2B:alta corsica,haute corse,hoog corsica|30:gard|31:alta garonna,haute garonne,hoog garonne|32:gers|33:gironda,gironde|34:herault|35:ille en vilaine,ille et vilaine|36:indre|37:indre en loire,indre et loire|38:isere|39:giura,jura|40:landes|41:loir en cher,loir et cher|42:loira,loire|43:alta loira,haute loire,hoog loire|44:loira atlantica,loire atlantique,loire atlantisch|45:loiret|46:lot|47:lot en garonne,lot et garonne|48:lozere|49:maine en loire,maine et loire|50:manche,manica|51:marna,marne|52:alta marna,haute marne|53:mayenne|54:meurthe en moezel,meurthe et moselle|55:meuse,mosa|56:morbihan|57:moezel,mosella,moselle|58:nievre|59:noord,nord|60:oise|61:orne|62:nauw van calais,pas de calais,passo di calais|63:puy de dome|64:pirenei atlantici,pyreneeen atlantisch,pyrenees atlantiques|65:alti pirenei,hautes pyrenees,hoog pyreneeen|66:oost pyreneeen,pirenei orientali,pyrenees orientales|67:bas rhin,basso reno,laag rijn|68:alto reno,haut rhin,hoog rijn|69:rhone,rodano|70:haute saone,hoog saone|71:saone en loire,saone et loire|72:sarthe|73:savoia,savoie|74:alta savoia,haute savoie,hoog savoie|75:parigi,parijs,paris|76:seine maritime,senna marittima,zee seine|77:seine en marne,seine et marne,senna e marna|78:yvelines|79:deux sevres|80:somme|81:tarn|82:tarn en garonne,tarn et garonne|83:var|84:vaucluse|85:vandea,vendee|86:vienne|87:haute vienne,hoog vienne|88:vogezen,vosges,vosgi|89:yonne|90:belfort,belfort territorium van,territoire de belfort,territorio de belfort,territorio di belfort,territorium van belfort|91:essonne|92:hauts de seine,hoog seine|93:seine saint denis|94:marne vallei,val de marne,valle della marna|95:val d oise|971:|972:|973:|974:|976:|ARA:alvernia rodano alpi,auvergne rhone alpes|BFC:borgogna franca contea,bourgogne franche comte|BL:saint barthelemy|BRE:bretagna,bretagne,brittany|CP:clipperton,isola clipperton|CVL:centre,centre val de loire,centro valle della loira|GES:grand est,grande est|GF:frans guyane,franzosisch guayana,french guiana,guiana francese,guyane,guyane francaise|GP:guadalupa,guadalupe,guadeloupe|HDF:alta francia,hauts de france|IDF:ile de france|MF:saint martin,sint maarten|MQ:martinica,martinique|NAQ:new aquitania,nouvelle aquitaine,nuova aquitania|NC:neukaledonien,nieuw caledonie,nouvelle caledonie,nuova caledonia|NOR:normandia,normandie,normandy|OCC:occitania,occitanie,okzitanien|PAC:provence alpes cote d azur,provenza alpi costa azzurra|PDL:paesi della loira,pays de la loire|PF:frans polynesie,franzosisch polynesien,polinesia francese,polynesie francaise|PM:saint pierre e miquelon,saint pierre et miquelon|RE:isola della riunione,la reunion,reunion|TF:franse zuidelijke gebieden,franzosische sudgebiete,terre australi francesi,terres australes francaises|WF:wallis e futuna,wallis en futuna,wallis et futuna|YT:mayotte",
+  "GA": "1:estuaire|2:haut ogooue|3:moyen ogooue|4:ngounie|5:nyanga|6:ogooue ivindo|7:ogooue lolo|8:ogooue maritime|9:woleu ntem",
+  "GB": "ABC:armagh banbridge and craigavon,armagh city banbridge and craigavon,armagh city banbridge und craigavon|ABD:aberdeenshire|ABE:aberdeen,aberdeen city,aberdeen ville|AGB:argyll and bute,argyll e bute,argyll en bute,argyll et bute,argyll und bute|AGY:anglesey,isle of anglesey,sir ynys mon|AND:ards and north down,ards e north down,ards en north down,ards et north down,ards und north down|ANN:antrim and newtownabbey,antrim e newtownabbey,antrim en newtownabbey,antrim et newtownabbey,antrim und newtownabbey|ANS:angus|BAS:bath and north east somerset,bath e north east somerset,bath en noord oost somerset,bath et somerset nord est,bath und north east somerset|BBD:blackburn avec darwen,blackburn con darwen,blackburn met darwen,blackburn with darwen|BCP:bournemouth christchurch and poole,bournemouth christchurch und poole|BDF:bedford|BDG:barking and dagenham,barking e dagenham,barking en dagenham,barking et dagenham,barking und dagenham|BEN:brent|BEX:bexley|BFS:belfast,belfast city|BGE:bridgend,pen y bont ar ogwr|BGW:blaenau gwent|BIR:birmingham|BKM:buckinghamshire|BNE:barnet|BNH:brighton and hove,brighton e hove,brighton en hove,brighton et hove,brighton und hove|BNS:barnsley|BOL:bolton|BPL:blackpool|BRC:bracknell forest|BRD:bradford|BRY:bromley|BST:bristol,bristol city of,bristol ville,citta di bristol,city of bristol|BUR:bury|CAM:cambridgeshire|CAY:caerffili,caerphilly|CBF:bedfordshire central,bedfordshire centrale,centraal bedfordshire,central bedfordshire|CCG:causeway coast and glens,causeway coast e glens,causeway coast en glens,causeway coast et glens,causeway coast und glens|CGN:ceredigion,sir ceredigion|CHE:cheshire east,cheshire est,cheshire oriental,oost cheshire|CHW:cheshire occidental et chester,cheshire ovest chester,cheshire west and chester,cheshire west und chester,west cheshire en chester|CLD:calderdale|CLK:clackmannanshire|CMA:cumbria,cumbrie|CMD:camden|CMN:carmarthenshire,sir gaerfyrddin|CON:cornouailles,cornovaglia,cornwall|COV:coventry|CRF:caerdydd,cardiff|CRY:croydon|CWY:conwy|DAL:darlington|DBY:derbyshire|DEN:denbighshire,sir ddinbych|DER:derby|DEV:devon|DGY:dumfries and galloway,dumfries e galloway,dumfries en galloway,dumfries et galloway,dumfries und galloway|DNC:doncaster|DND:dundee,dundee city,dundee ville|DOR:dorset|DRS:derry and strabane,derry e strabane,derry en strabane,derry et strabane,derry und strabane|DUD:dudley|DUR:county durham,durham,durham county|EAL:ealing|EAY:ayrshire oriental,east ayrshire|EDH:citta di edinburgh,city of edinburgh,edimbourg ville,edinburgh,edinburgh city of|EDU:dunbartonshire oriental,east dunbartonshire|ELN:east lothian,lothian oriental,oost lothian|ELS:eilean siar|ENF:enfield|ENG:engeland,england|ERW:east renfrewshire,renfrewshire oriental|ERY:east riding di yorkshire,east riding of yorkshire,riding of yorkshire oriental|ESS:essex|ESX:east sussex,oost sussex,sussex oriental|FAL:falkirk|FIF:fife|FLN:flintshire,sir y fflint|FMO:fermanagh and omagh,fermanagh e omagh,fermanagh en omagh,fermanagh et omagh,fermanagh und omagh|GAT:gateshead|GLG:citta di glasgow,glasgow,glasgow city,glasgow ville|GLS:gloucestershire|GRE:greenwich|GWN:gwynedd|HAL:halton|HAM:hampshire|HAV:havering|HCK:hackney|HEF:herefordshire|HIL:hillingdon|HLD:highland|HMF:hammersmith and fulham,hammersmith e fulham,hammersmith en fulham,hammersmith et fulham,hammersmith und fulham|HNS:hounslow|HPL:hartlepool|HRT:hertfordshire|HRW:harrow|HRY:haringey|IOS:iles scilly,isles of scilly,isola di scilly,scilly eiland|IOW:ile de wight,isle of wight,isola di wight,wight eiland|ISL:islington|IVC:inverclyde|KEC:kensington and chelsea,kensington e chelsea,kensington en chelsea,kensington et chelsea,kensington und chelsea|KEN:kent|KHL:kingston upon hull|KIR:kirklees|KTT:kingston s tamise,kingston sul tamigi,kingston upon thames|KWL:knowsley|LAN:lancashire|LBC:lisburn and castlereagh,lisburn e castlereagh,lisburn en castlereagh,lisburn et castlereagh,lisburn und castlereagh|LBH:lambeth|LCE:leicester|LDS:leeds|LEC:leicestershire|LEW:lewisham|LIN:lincolnshire|LIV:liverpool|LND:citta di londra,city of london,london,london city of,londres ville|LUT:luton|MAN:manchester|MDB:middlesbrough|MDW:medway|MEA:mid and east antrim,mid ed east antrim,mid et east antrim,mid und east antrim|MIK:milton keynes|MLN:midlothian|MON:monmouthshire,sir fynwy|MRT:merton|MRY:moray|MTY:merthyr tudful,merthyr tydfil|MUL:mid ulster|NAY:ayrshire nord,ayrshire septentrional,noord ayrshire,north ayrshire|NBL:northumberland|NEL:lincolnshire nord est,north east lincolnshire|NET:newcastle s tyne,newcastle upon tyne|NFK:norfolk|NGM:nottingham|NIR:noord ierland,nordirland,northern ireland|NLK:lanarkshire septentrional,north lanarkshire|NLN:lincolnshire septentrional,north lincolnshire|NMD:newry mourne and down,newry mourne e down,newry mourne et down,newry mourne und down|NSM:noord somerset,north somerset,somerset septentrional|NTH:northamptonshire|NTL:castell nedd port talbot,neath port talbot|NTT:nottinghamshire|NTY:noord tyneside,north tyneside,tyneside septentrional|NWM:newham|NWP:casnewydd,newport|NYK:north yorkshire,yorkshire septentrional|OLD:oldham|ORK:iles orkney,isole orkney,orkney eilanden,orkney islands|OXF:oxfordshire|PEM:pembrokeshire,sir benfro|PKN:perth and kinross,perth e kinross,perth en kinross,perth et kinross,perth und kinross|PLY:plymouth|POR:portsmouth|POW:powys|PTE:peterborough|RCC:redcar and cleveland,redcar e cleveland,redcar en cleveland,redcar et cleveland,redcar und cleveland|RCH:rochdale|RCT:rhondda cynon taf,rhondda cynon taff,rhondda cynontaf|RDB:redbridge|RDG:reading|RFW:renfrewshire|RIC:richmond s tamise,richmond sul tamigi,richmond upon thames|ROT:rotherham|RUT:rutland|SAW:sandwell|SAY:ayrshire meridional,south ayrshire|SCB:scottish borders|SCT:schotland,schottland,scotland|SFK:suffolk|SFT:sefton|SGC:gloucestershire meridional,south gloucestershire|SHF:sheffield|SHN:sainte helene,st helens|SHR:shropshire|SKP:stockport|SLF:salford|SLG:slough|SLK:lanarkshire meridional,south lanarkshire|SND:sunderland|SOL:solihull|SOM:somerset|SOS:southend aan zee,southend on sea,southend sur mer|SRY:surrey|STE:stoke aan trent,stoke on trent|STG:stirling|STH:southampton|STN:sutton|STS:staffordshire|STT:stockton aan tees,stockton on tees|STY:south tyneside,tyneside meridional,zuid tyneside|SWA:abertawe,swansea|SWD:swindon|SWK:southwark|TAM:tameside|TFW:telford and wrekin,telford e wrekin,telford en wrekin,telford et wrekin,telford und wrekin|THR:thurrock|TOB:torbay|TOF:tor faen,torfaen|TRF:trafford|TWH:tower hamlets|VGL:bro morgannwg,the vale of glamorgan,vale of glamorgan,vale of glamorgan the|WAR:warwickshire|WBK:berkshire occidental,west berkshire,westberkshire|WDU:dunbartonshire occidental,west dunbartonshire,westdunbartonshire|WFT:waltham forest|WGN:wigan|WIL:wiltshire|WKF:wakefield|WLL:walsall|WLN:lothian occidental,west lothian|WLS:cymru,wales|WLV:wolverhampton|WND:wandsworth|WNM:windsor and maidenhead,windsor e maidenhead,windsor en maidenhead,windsor et maidenhead,windsor und maidenhead|WOK:wokingham|WOR:worcestershire|WRL:wirral|WRT:warrington|WRX:wrecsam,wrexham|WSM:westminster|WSX:sussex occidental,west sussex|YOR:york|ZET:iles shetland,isole shetland,shetland eilanden,shetland islands",
+  "GD": "01:saint andrew|02:saint david|03:saint george|04:saint john|05:saint mark|06:saint patrick|10:iles grenadines du sud,isole grenadine meridionali,southern grenadine islands",
+  "GE": "AB:abchasien,abchazie,abkhazia,abkhazie|AJ:adjarie,adscharien,adzjarie,ajaria|GU:guria,gurien|IM:imereti|KA:k akheti,kakheti|KK:kvemo kartli|MM:mtscheta mtianeti,mtskheta mtianeti|RL:rach a lechkhumi kvemo svaneti,ratsja letsjchoemi en kvemo svaneti|SJ:samtsche dzjavacheti,samtskhe javakheti|SK:shida kartli,sjida kartli|SZ:samegrelo zemo svaneti|TB:tbilisi,tiblisi",
+  "GH": "AA:grand accra,grande accra,greater accra,groot accra|AF:ahafo|AH:ashanti|BE:bono east,bono oost|BO:bono|CP:central,centrale|EP:eastern,est,oost,orientale|NE:noord oost,nord est,nordost,north east|NP:nord,northern,settentrionale|OT:oti|SV:savannah|TV:volta|UE:haut ghana oriental,nordorientale,upper east|UW:haut ghana occidental,nordoccidentale,upper west|WN:western north|WP:occidentale,ouest,western",
+  "GL": "AV:avannaata kommunia,gemeente qeqqata|KU:gemeente kujalleq,kommune kujalleq,municipalite de kujalleq|QE:municipalite de qeqqata,qeqqata kommunia|QT:gemeente qeqertalik,kommune qeqertalik|SM:gemeente sermersooq,kommuneqarfik sermersooq,municipalite de sermersooq",
+  "GM": "B:banjul|L:lower river,riviere basse|M:central river,riviere haute|N:north bank,rive nord|U:rive haute,upper river|W:occidentale,ouest,western",
+  "GN": "B:boke|BE:beyla|BF:boffa|BK:|C:conakry|CO:coyah|D:kindia|DB:dabola|DI:dinguiraye|DL:dalaba|DU:dubreka|F:faranah|FA:|FO:forecariah|FR:fria|GA:gaoual|GU:gueckedou,guekedou|K:kankan|KA:|KB:koubia|KD:|KE:kerouane|KN:koundara|KO:kouroussa|KS:kissidougou|L:labe|LA:|LE:lelouma|LO:lola|M:mamou,marnou|MC:macenta|MD:mandiana|ML:mali|MM:|N:nzerekore|NZ:|PI:pita|SI:siguiri|TE:telimele|TO:tougue|YO:yomou",
+  "GQ": "AN:annobon|BN:bioko nord,bioko norte|BS:bioko sud,bioko sur|C:continentale regio,regiao continental|CS:centro sud,centro sur|DJ:djibloho|I:eilandenregio,regiao insular|KN:kie ntem|LI:litoral,litorale|WN:wele nzas",
+  "GR": "69:agion oros,oros athos|A:anatoliki makedonia kai thraki,oost macedonie en thracie|B:centraal macedonie,kentriki makedonia|C:dytiki makedonia,west macedonie|D:epirus,ipeiros|E:thessalia,thessalie|F:ionia nisia,ionische eilanden|G:dytiki ellada,west griekenland|H:centraal griekenland,sterea ellada|I:attica,attiki|J:peloponneso,peloponnesos,peloponnisos|K:noord egeische eilanden,voreio aigaio|L:notio aigaio,zuid egeische eilanden|M:kreta,kriti",
+  "GT": "AV:alta verapaz|BV:baja verapaz|CM:chimaltenango|CQ:chiquimula|ES:escuintla|GU:guatemala|HU:huehuetenango|IZ:izabal|JA:jalapa|JU:jutiapa|PE:peten|PR:el progreso|QC:el quiche,quiche|QZ:quetzaltenango|RE:retalhuleu|SA:sacatepequez|SM:san marcos|SO:solola|SR:santa rosa|SU:suchitepequez|TO:totonicapan|ZA:zacapa",
+  "GW": "BA:bafata|BL:bissagoseilanden,bolama bijagos,boloma|BM:biombo|BS:bissau|CA:cacheu|GA:gabu|L:est,leste,west|N:noord,nord,norte|OI:oio|QU:quinara|S:sud,sul,zuid|TO:tombali",
+  "GY": "BA:barima waini|CU:cuyuni mazaruni,cuyuni mazaruniazaruni|DE:demerara mahaica|EB:berbice est corentyne,berbice oriental courantyne,east berbice corentyne,oost berbice corantijn|ES:essequibo eilanden west demerara,essequibo islands west demerara,iles d essequibo demerara occidental,isole essequibo demerara ovest|MA:mahaica berbice|PM:pomeroon supenaam|PT:potaro siparuni|UD:boven demerara berbice,demerara superiore berbice,haut demerara berbice,upper demerara berbice|UT:boven takutu boven essequibo,haut takutu haut essequibo,takutu superiore essequibo superiore,upper takutu upper essequibo",
+  "HN": "AT:atlantida|CH:choluteca|CL:colon|CM:comayagua|CP:copan|CR:cortes|EP:el paraiso|FM:francisco morazan|GD:gracias a dios|IB:iles de la baie,islas de la bahia|IN:intibuca|LE:hondurese lempira,lempira|LP:la paz|OC:ocotepeque|OL:olancho|SB:santa barbara|VA:valle|YO:yoro",
+  "HR": "01:gespanschaft zagreb,provincie zagreb,regione di zagabria,zagreb,zagreb provincie,zagrebacka zupanija|02:gespanschaft krapina zagorje,krapina zagorje,krapina zagorje provincie,krapinsko zagorska zupanija,provincie krapina zagorje,regione di kaprina e dello zagorje|03:gespanschaft siska moslavina,provincie sisak moslavina,regione di sisak e della moslavina,sisacko moslavacka zupanija,sisak moslavina,sisak moslavina provincie|04:gespanschaft karlovac,karlovac,karlovac provincie,karlovacka zupanija,provincie karlovac,regione di karlovac|05:gespanschaft varazdin,provincie varazdin,regione di varasdino,varazdin,varazdin provincie,varazdinska zupanija|06:gespanschaft koprivnica krizevci,koprivnica krizevci,koprivnica krizevci provincie,koprivnicko krizevacka zupanija,provincie koprivnica krizevci,regione di koprivincia e krizevci|07:bjelovar bilogora,bjelovar bilogora provincie,bjelovarsko bilogorska zupanija,gespanschaft bjelovar bilogora,provincie bjelovar bilogora,regione di bjelovar e della bilogora|08:gespanschaft primorje gorski,primorje gorski,primorje gorski kotar,primorje gorski provincie,primorsko goranska zupanija,provincie primorje gorski,regione litoraneo montana|09:gespanschaft lika senj,licko senjska zupanija,lika senj,lika senj provincie,provincie lika senj,regione delle lika e di segna|10:gespanschaft virovitica podravina,provincie virovitica podravina,regione di virovitica e della podravina,virovitica podravina,virovitica podravina provincie,viroviticko podravska zupanija|11:gespanschaft pozega slawonien,pozega slavonie,pozega slavonie provincie,pozesko slavonska zupanija,provincie pozega slavonie,regione di pozega e della slavonia|12:brod posavina,brod posavina provincie,brodsko posavska zupanija,gespanschaft brod posavina,provincie brod posavina,regione di brod e della posavina|13:gespanschaft zadar,provincie zadar,regione zaratina,zadar,zadar provincie,zadarska zupanija|14:gespanschaft osijek baranja,osijek baranja,osijek baranja provincie,osjecko baranjska zupanija,provincie osijek baranja,regione di osijec e della baranja|15:gespanschaft sibenik knin,provincie sibenik knin,regione di sebenico e tenin,sibenik knin,sibenik knin provincie,sibensko kninska zupanija|16:gespanschaft vukovar srijem,provincie vukovar srijem,regione di vukorav e della sirmia,vukovar srijem,vukovar srijem provincie,vukovar syrmie,vukovarsko srijemska zupanija|17:gespanschaft split dalmatien,provincie split dalmatie,regione spalatino dalmata,split dalmatie,split dalmatie provincie,splitsko dalmatinska zupanija|18:gespanschaft istrien,istarska zupanija,istrie,istrie provincie,provincie istrie,regione istriana|19:dubrovacko neretvanska zupanija,dubrovnik neretva,dubrovnik neretva provincie,gespanschaft dubrovnik neretva,provincie dubrovnik neretva,regione raguseo narentana|20:gespanschaft medimurje,medimurje,medimurska zupanija,medjimurje,medjimurje provincie,provincie medjimurje,regione del medimurje|21:grad zagreb,stadt zagreb,ville de zagreb,zagabria citta,zagreb stad",
+  "HT": "AR:artibonite|CE:centre|GA:grand anse,grandans|ND:noord,nord|NE:nord est|NI:nip,nippes|NO:nord ouest,nord ovest|OU:lwes,ouest|SD:sid,sud|SE:sides,sud est",
+  "HU": "BA:baranya|BC:bekescsaba|BE:bekes|BK:bacs kiskun|BU:budapest|BZ:borsod abauj zemplen|CS:csongrad|DE:debrecen|DU:dunaujvaros|EG:eger|ER:erd|FE:fejer|GS:gyor moson sopron|GY:gyor|HB:hajdu bihar|HE:heves|HV:hodmezovasarhely|JN:jasz nagykun szolnok|KE:komarom esztergom|KM:kecskemet|KV:kaposvar|MI:miskolc|NK:nagykanizsa|NO:nograd|NY:nyiregyhaza|PE:pest|PS:pecs|SD:szeged|SF:szekesfehervar|SH:szombathely|SK:szolnok|SN:sopron|SO:somogy|SS:szekszard|ST:salgotarjan|SZ:szabolcs szatmar bereg|TB:tatabanya|TO:tolna|VA:vas|VE:veszprem|VM:|ZA:zala|ZE:zalaegerszeg",
+  "ID": "AC:aceh|BA:bali|BB:bangka belitung,kepulauan bangka belitung|BE:bengkulu|BT:banten|GO:gorontalo|JA:jambi|JB:giava occidentale,java ouest,jawa barat,west java|JI:giava orientale,java est,jawa timur,oost java|JK:groot jakarta,jakarta,jakarta raya|JT:giava centrale,java centre,jawa tengah,midden java|JW:giava,java,jawa|KA:kalimantan|KB:kalimantan barat,kalimantan occidentale,kalimantan ouest,west kalimantan|KI:kalimantan est,kalimantan orientale,kalimantan timur,oost kalimantan|KR:iles riau,kepulauan riau,riau eilanden,riau kepulauan|KS:kalimantan meridionale,kalimantan selatan,kalimantan sud,zuid kalimantan|KT:centraal kalimantan,kalimantan centrale,kalimantan centre,kalimantan tengah|KU:kalimantan utara,noord kalimantan|LA:lampung|MA:|ML:maluku,molukken,moluques|MU:maluku settentrionale,maluku utara,moluques nord,noord molukken|NB:iles de la sonde occidentales,nusa tenggara barat,nusa tenggara occidentale,west nusa tenggara|NT:iles de la sonde orientales,nusa tenggara orientale,nusa tenggara timur,oost nusa tenggara|NU:nusa tenggara|PA:|PB:papua barat,west papua|PP:papoea,papua|RI:riau|SA:noord sulawesi,sulawesi nord,sulawesi settentrionale,sulawesi utara|SB:sumatera barat,west sumatra|SG:sulawesi du sud est,sulawesi tenggara,zuidoost sulawesi|SL:celebes,sulawesi|SM:sumatera,sumatra|SN:sulawesi meridionale,sulawesi selatan,sulawesi sud,zuid sulawesi|SR:sulawesi barat,sulawesi occidentale,sulawesi ouest,west sulawesi|SS:sumatera selatan,zuid sumatra|ST:centraal sulawesi,sulawesi centrale,sulawesi centre,sulawesi tengah|SU:noord sumatra,sumatera utara,sumatra nord,sumatra settentrionale|YO:yogyakarta",
+  "IE": "C:connacht,connaught|CE:clare|CN:cavan|CO:cork|CW:carlow|D:dublin,dublino|DL:donegal|G:galway|KE:kildare|KK:kilkenny|KY:kerry|L:leinster|LD:longford|LH:louth|LK:limerick|LM:leitrim|LS:laois|M:munster|MH:meath|MN:monaghan|MO:mayo|OY:offaly|RN:roscommon|SO:sligo|TA:tipperary|U:ulster|WD:waterford|WH:westmeath|WW:wicklow|WX:wexford",
+  "IL": "D:al janubi,debub,regione del sud|HA:haifa,hefa|JM:al quds|M:al awsat,maekel,regione centrale|TA:tall abib,tel aviv|Z:ash shamali",
+  "IN": "AN:andaman and nicobar islands,andaman en nicobar eilanden,andamanen und nikobaren,iles andaman et nicobar,isole andamane e nicobare|AP:andhra pradesh|AR:arunachal pradesh|AS:assam|BR:bihar|CH:chandigarh|CT:chhattisgarh|DH:dadra and nagar haveli and daman and diu,dadra en nagar haveli en daman en diu,dadra und nagar haveli und daman und diu|DL:delhi|GA:goa|GJ:gujarat|HP:himachal pradesh|HR:haryana|JH:jharkhand|JK:jammu and kashmir,jammu en kasjmir,jammu und kashmir|KA:karnataka|KL:kerala|LA:ladakh|LD:lakshadweep|MH:maharashtra|ML:meghalaya|MN:manipur|MP:madhya pradesh|MZ:mizoram|NL:nagaland|OR:odisha|PB:penjab,punjab|PY:pondichery,puducherry|RJ:rajasthan|SK:sikkim|TG:telangana|TN:tamil nadu|TR:tripura|UP:uttar pradesh|UT:uttarakhand|WB:bengala occidentale,bengale occidental,west bengal,west bengalen,westbengalen",
+  "IQ": "AN:al anbar|AR:arbil,erbil|BA:al basrah|BB:babil|BG:bagdad,baghdad|DA:dahuk,duhok|DI:diyala|DQ:dhi qar|KA:karbala|KI:kirkuk|MA:maysan|MU:al muthanna|NA:an najaf|NI:ninawa|QA:al qadisiyah|SD:salah ad din|SU:as sulaymaniyah,suleimaniya|WA:wasit",
+  "IR": "00:markazi|01:gilan|02:mazandaran|03:azarbayjan e sharqi,oost azerbeidzjan|04:azarbayjan e gharbi,west azerbeidzjan|05:kermanschah,kermanshah|06:chuzestan,khoezistan,khuzestan|07:fars|08:kerman|09:khorasan e razavi,razavi khorasan|10:esfahan,isfahan,ispahan|11:sistan e baluchestan,sistan en beloetsjistan,sistan o balouchestan,sistan und belutchistan,sistan va baluchestan|12:kordestan,kurdistan|13:hamadan,hamedan|14:chahar mahaal en bakhtiari,chahar mahal va bakhtiari|15:lorestan|16:ilam|17:kohgiluyeh en boyer ahmad,kohgiluyeh va bowyer ahmad|18:buschehr,bushehr|19:zandschan,zanjan|20:semnan|21:yazd|22:hormosgan,hormozgan|23:teheran,tehran|24:ardabil,ardebil|25:qom|26:qazvin|27:golestan|28:khorasan e shomali,noord khorasan|29:khorasan e jonubi,zuid khorasan|30:alborz,elboers,elburz",
+  "IS": "1:hofudborgarsvaedi,hoofdstedelijke regio|2:peninsule meridionale,penisola meridionale,sudurnes,zuidelijk schiereiland|3:ouest,terra dell ovest,vesturland,westland|4:fiordi occidentali,fjords de l ouest,vestfirdir,westfjorden|5:noordland west,nord ouest,nordurland vestra,terra del nordovest|6:noordland oost,nord est,nordurland eystra,terra del nordest|7:austurland,est,oostland,terra dell est|8:sud,sudurland,terra del sud,zuidland|AKH:akrahreppur|AKN:akranes,akraneskaupstadur|AKU:akureyrarbaer,akureyri|ARN:arneshreppur|ASA:asahreppur|BFJ:borgarfjardarhreppur|BLA:blaskogabyggd|BLO:blonduos,blonduosbaer|BOG:borgarbyggd|BOL:bolungarvik,bolungarvikurkaupstadur|DAB:dalabyggd|DAV:dalvikurbyggd|DJU:djupavogshreppur,djupivogur|EOM:eyja og miklaholtshreppur|EYF:eyjafjardarsveit|FJD:fjardabyggd|FJL:fjallabyggd|FLA:floahreppur|FLD:fljotsdalsherad|FLR:fljotsdalshreppur|GAR:gardabaer|GOG:grimsnes og grafningshreppur|GRN:grindavik,grindavikurbaer|GRU:grundarfjardarbaer,grundarfjordur|GRY:grytubakkahreppur|HAF:hafnarfjardarkaupstadur,hafnarfjordur|HEL:helgafellssveit|HRG:horgarsveit|HRU:hrunamannahreppur|HUT:hunavatnshreppur|HUV:hunathing vestra|HVA:hvalfjardarsveit|HVE:hveragerdisbaer|ISA:isafjardarbaer|KAL:kaldrananeshreppur|KJO:kjosarhreppur|KOP:kopavogsbaer,kopavogur|LAN:langanesbyggd|MOS:mosfellsbaer|MYR:myrdalshreppur|NOR:nordurthing|RGE:rangarthing eystra|RGY:rangarthing ytra|RHH:reykholahreppur|RKN:reykjanesbaer|RKV:reykjavik,reykjavikurborg|SBH:svalbardshreppur|SBT:svalbardsstrandarhreppur|SDN:sudurnesjabaer|SDV:sudavikurhreppur|SEL:seltjarnarnesbaer|SEY:seydisfjardarkaupstadur|SFA:arborg,sveitarfelagid arborg|SHF:hornafjordur,sveitarfelagid hornafjordur|SKF:skaftarhreppur|SKG:skagabyggd|SKO:skorradalshreppur|SKU:skutustadahreppur|SNF:snaefellsbaer|SOG:skeida og gnupverjahreppur|SOL:olfus,sveitarfelagid olfus|SSF:skagafjordur,sveitarfelagid skagafjordur|SSS:skagastrond,sveitarfelagid skagastrond|STR:strandabyggd|STY:stykkisholmsbaer|SVG:sveitarfelagid vogar|TAL:talknafjardarhreppur|THG:thingeyjarsveit|TJO:tjorneshreppur|VEM:vestmannaeyjabaer|VER:vesturbyggd|VOP:vopnafjardarhreppur",
+  "IT": "21:piamonte,piedmont,piemont,piemonte|23:aosta valley,aostadal,val d aoste,valle d aosta|25:lombardei,lombardia,lombardie,lombardije,lombardy|32:trentin haut adige,trentino alto adige,trentino alto adigio,trentino sudtirol,trentino zuid tirol|34:venetie,venetien,veneto|36:friuli venezia giulia|42:liguria,ligurie,ligurien|45:emilia romagna,emilia romana,emilie romagne|52:toscana,toscane,toskana,tuscany|55:ombrie,umbria,umbrie,umbrien|57:marcas,marche,marken|62:lacio,latium,lazio|65:abruzos,abruzzen,abruzzes,abruzzo|67:molise|72:campania,campanie,kampanien|75:apulia,apulie,apulien,pouilles,puglia|77:basilicata,basilicate,basilikata|78:calabre,calabria,calabrie,kalabrien|82:sicile,sicilia,sicilie,sicily,sizilien|88:cerdena,sardaigne,sardegna,sardinia,sardinie,sardinien|AG:agrigent,agrigente,agrigento|AL:alessandria,alexandrie|AN:ancona,ancone|AP:ascoli piceno|AQ:l aquila|AR:arezzo|AT:asti|AV:avellino|BA:bari|BG:bergame,bergamo|BI:biella|BL:belluno|BN:benevento|BO:bologna,bologne,bolonia|BR:brindisi|BS:brescia|BT:barletta andria trani|BZ:bolzano,bozen|CA:cagliari|CB:campobasso|CE:caserta,caserte|CH:chieti|CL:caltanissetta|CN:cuneo|CO:come,como|CR:cremona,cremone|CS:cosenza|CT:catane,catania,catanie|CZ:catanzaro|EN:enna|FC:forli cesena|FE:ferrara,ferrare|FG:foggia|FI:firenze,florence,florencia,florenz|FM:fermo|FR:frosinone|GE:genes,genova,genua|GO:gorizia,gorz|GR:grosseto|IM:imperia|IS:isernia|KR:crotone|LC:lecco|LE:lecce|LI:livorno,livourne|LO:lodi|LT:latina|LU:lucca,lucques|MB:monza e brianza,monza et brianza,monza und brianza|MC:macerata|ME:messina,messine|MI:mailand,milaan,milan,milano|MN:mantoue,mantova,mantua|MO:modena,modene|MS:massa carrara|MT:matera|NA:napels,naples,napoli,neapel|NO:novara,novare|NU:nuoro|OR:oristano|PA:palerme,palermo|PC:piacence,piacenza|PD:padoue,padova,padua|PE:pescara|PG:perouse,perugia|PI:pisa,pise|PN:pordenone|PO:prato|PR:parma,parme|PT:pistoia|PU:pesaro e urbino,pesaro en urbino,pesaro et urbino,pesaro und urbino|PV:pavia,pavie|PZ:potenza|RA:ravenna,ravenne|RC:calabrie regio,reggio calabria,regio calabrie|RE:emilie,emilie regio,reggio emilia,regio emilie|RG:ragouse,ragusa|RI:rieti|RM:rom,roma,rome|RN:rimini|RO:rovigo|SA:salerne,salerno|SI:siena,sienne|SO:sondrio|SP:la spezia|SR:siracusa,siracuse,syracuse,syrakus|SS:sassari|SU:sud sardegna,zuid sardinie|SV:savona,savone|TA:tarante,taranto,tarent|TE:teramo|TN:trente,trento,trient|TO:torino,turijn,turin|TP:trapani|TR:terni|TS:triest,trieste|TV:trevise,treviso|UD:udine|VA:varese|VB:verbano cusio ossola|VC:vercelli|VE:venedig,venezia,venise|VI:vicence,vicenza|VR:verona,verone|VT:viterbo|VV:vibo valentia",
+  "JM": "01:kingston|02:saint andrew|03:saint thomas|04:portland|05:saint mary|06:saint ann|07:trelawny|08:saint james|09:hanover|10:westmoreland|11:saint elizabeth|12:manchester|13:clarendon|14:saint catherine",
+  "JO": "AJ:adschlun,ajloun,ajlun|AM:al asimah,amman|AQ:akaba,al aqabah,aqaba,aqabah|AT:at tafila,at tafilah,tafila,tafilah|AZ:az zarqa,zarka|BA:al balqa,balka|IR:irbid|JA:dscharasch,jarash,jerash|KA:al karak,karak,kerak|MA:al mafraq,mafrak,mafraq|MD:madaba|MN:ma an",
+  "JP": "01:hokkaido|02:aomori|03:iwate|04:miyagi|05:akita|06:yamagata|07:fukushima|08:ibaraki|09:tochigi|10:gunma|11:saitama|12:chiba|13:tokio,tokyo|14:kanagawa|15:niigata|16:toyama|17:ishikawa|18:fukui|19:yamanashi|20:nagano|21:gifu|22:shizuoka|23:aichi|24:mie|25:shiga|26:kioto,kyoto|27:osaka|28:hyogo|29:nara|30:wakayama|31:tottori|32:shimane|33:okayama|34:hiroshima|35:yamaguchi|36:tokushima|37:kagawa|38:ehime|39:kochi|40:fukuoka|41:saga|42:nagasaki|43:kumamoto|44:oita|45:miyazaki|46:kagoshima|47:okinawa",
+  "KE": "01:baringo|02:bomet|03:bungoma|04:busia|05:elgeyo marakwet|06:embu|07:garissa|08:homa bay|09:isiolo|10:kajiado|11:kakamega|12:kericho|13:kiambu|14:kilifi|15:kirinyaga|16:kisii|17:kisumu|18:kitui|19:kwale|20:laikipia|21:lamu|22:machakos|23:makueni|24:mandera|25:marsabit|26:meru|27:migori|28:mombasa|29:murang a|30:nairobi,nairobi city,nairobi county|31:nakuru|32:nandi|33:narok|34:nyamira|35:nyandarua|36:nyeri|37:samburu|38:siaya|39:taita taveta,taveta|40:tana river|41:tharaka nithi|42:trans nzoia|43:turkana|44:uasin gishu|45:vihiga|46:wajir|47:west pokot",
+  "KG": "B:batken,batken provincie,provincie batken|C:chuyskaya oblast,provincie tsjoej,tsjoej,tsjoej provincie|GB:bishkek shaary,bisjkek|GO:gorod osh,os,os stad|J:dzhalal abadskaya oblast,dzjalal abad,dzjalal abad provincie,provincie dzjalal abad|N:naryn,naryn provincie,provincie naryn|O:os provincie,osch,osh,provincie os|T:provincie talas,talas,talas provincie|Y:issyk kul skaja oblast,provincie ysykkol,ysykkol,ysykkol provincie",
+  "KH": "1:banteay mean cheay,banteay mean choay|10:kracheh|11:mondol kiri,mondulkiri|12:phnom penh,phnom penh stedelijk gewest,stedelijk gewest phnom penh|13:preah vihear|14:prey veaeng,prey veng|15:pothisat,pousaat,pouthisat,pursat|16:ratanakiri,ratanakkiri,rotanak kiri|17:siem reab,siem reap|18:preah sihanouk,sihanoukville,sihanoukville stedelijk gewest,stedelijk gewest sihanoukville|19:stoeng treng|2:baat dambang,battambang|20:svaay rieng,svay rieng|21:taakaev,takeo,takev|22:oddar meancheay,oddar meanchey,otdar mean chey|23:kaeb,keb|24:pailin,pailin stedelijk gewest,stedelijk gewest pailin|25:tbong khmum|3:kampong chaam,kampong cham|4:kampong chhnang|5:kampong spoe,kampong spueu|6:kampong thum|7:kampot|8:kandaal,kandal|9:kaoh kong,koh kong",
+  "KI": "G:gilbert eilanden,gilbert islands,gilbertinseln,iles gilbert,isole gilbert|L:iles line,isole line,line eilanden,line islands,linieinseln|P:iles phoenix,isole phoenix,phoenix eilanden,phoenix islands,phoenixinseln",
+  "KM": "A:andjouan,anjouan|G:andjazidja,grande comore|M:moheli",
+  "KN": "01:christ church nichola town|02:saint anne sandy point|03:saint george basseterre|04:saint george gingerland|05:saint james windward|06:saint john capisterre|07:saint john figtree|08:saint mary cayon|09:saint paul capisterre|10:saint paul charlestown|11:saint peter basseterre|12:saint thomas lowland|13:saint thomas middle island|15:trinity palmetto point|K:saint kitts|N:nevis",
+  "KP": "01:p yongyang,pyongyang|02:p yongan namdo|03:p yongan bukto,p yongan pukto|04:chagang,chagang do|05:hwanghae meridional,hwanghae namdo|06:hwanghae bukto,hwanghae pukto,hwanghae septentrional|07:kangweonto,kangwon do|08:hamgyong namdo|09:hamgyong bukto,hamgyong pukto|10:ryanggang do|13:raseon,rason|14:namp o,nampho",
+  "KR": "11:seoel,seoel stadsgewest,seoul,seoul stadsgewest,seoul teukbyeolsi,stadsgewest seoel,stadsgewest seoul|26:busan gwangyeoksi,busan metropolitan city|27:daegu gwangyeoksi,daegu metropolitan city|28:incheon gwangyeoksi,incheon metropolitan city|29:gwangju gwangyeoksi,gwangju metropolitan city|30:daejeon gwangyeoksi,daejeon metropolitan city|31:ulsan gwangyeoksi,ulsan metropolitan city|41:gyeonggi do|42:gangwon do|43:chungcheongbuk do,noord chungcheong|44:chungcheongnam do,zuid chungcheong|45:jeollabuk do,noord jeolla|46:jeollanam do,zuid jeolla|47:gyeongsangbuk do,noord gyeongsang|48:gyeongsangnam do,zuid gyeongsang|49:jeju do,jeju eiland,jeju teukbyeoljachido,quelpaardseiland|50:sejong",
+  "KW": "AH:ahmadi,al ahmadi|FA:al farwanayah,al farwaniyah,al farwanlyah|HA:hawalli|JA:al jahra,jahra|KU:al asimah|MU:mubarak al kabier,mubarak al kabir",
+  "KZ": "AKM:akmolinskaja oblast,aqmola,aqmola provincie,provincie aqmola|AKT:aktjubinskaja oblast,aqtobe,aqtobe provincie,provincie aqtobe|ALA:alma ata,almaty|ALM:almatinskaja oblast,almaty provincie,provincie almaty|AST:nur sultan|ATY:atiraw,atiraw provincie,atyrauskaja oblast,provincie atiraw|KAR:karaganda,karaganda provincie,karagandinskaja oblast,provincie karaganda|KUS:kostanajskaja oblast,provincie qostanay,qostanay,qostanay provincie|KZY:kyzylordinskaja oblast,provincie qizilorda,qizilorda,qizilorda provincie|MAN:mangghystau,mangghystau oblysy,mangistaw,mangistaw provincie,manguistaou,provincie mangistaw,provinz mangghystau|PAV:pavlodar,pavlodar oblysy,pavlodar provincie,provincie pavlodar,provinz pawlodar|SEV:noord kazachstan,noord kazachstan provincie,provincie noord kazachstan,severo kazahstanskaja oblast|SHY:shymkent,simkenttoshkent|VOS:kazakhstan oriental,kazakistan orientale,oost kazachstan,oost kazachstan provincie,provincie oost kazachstan,provinz ostkasachstan,shyghys qazaqstan oblysy|YUZ:provincie turkistan,turkestankaya oblast,turkistan,turkistan provincie|ZAP:batis qazaqstan,batis qazaqstan provincie,batys qazaqstan oblysy,provincie batis qazaqstan|ZHA:djamboul,jambil,jambil provincie,provincie jambil,provinz schambyl,zhambyl,zhambyl oblysy",
+  "LA": "AT:attapeu,attapu|BK:bokeo|BL:bolikhamsai,bolikhamxai|CH:champasak,champassak|HO:houaphan,hua phan|KH:khammouan,khammuan|LM:louang namtha,luang namtha|LP:louangphabang,luang prabang|OU:oudomxai,oudomxay,udomxai|PH:phongsali|SL:salavan|SV:savannakhet|VI:viangchan|VT:|XA:sainyabuli,sayaburi,xaignabouli|XE:sekong,xekong|XI:xiangkhouang|XS:saysomboun,xaisomboun,xiasomboun",
+  "LB": "AK:aakkar,akkar|AS:ash shimal,noord libanon|BA:bayrut,beiroet|BH:baalbek hermel|BI:al biqa,bekavallei|JA:al janub,zuid libanon|JL:jabal lubnan,libanongebergte|NA:an nabatiyah,nabatiye",
+  "LC": "01:anse la raye|02:castries|03:choiseul|05:dennery|06:gros islet|07:laborie|08:micoud|10:soufriere|11:vieux fort|12:canarie,canaries",
+  "LI": "01:balzers|02:eschen|03:gamprin|04:mauren|05:planken|06:ruggell|07:schaan|08:schellenberg|09:triesen|10:triesenberg|11:vaduz",
+  "LK": "1:westelijke provincie,western province|11:colombo|12:gampaha|13:kalutara|2:central province,centrale provincie|21:kandy|22:matale|23:nuwara eliya|3:southern province,zuidelijke provincie|31:galle|32:matara|33:hambantota|4:noordelijke provincie,northern province|41:jaffna|42:kilinochchi|43:mannar|44:vavuniya|45:mullaitivu,mullaittivu|5:eastern province,oostelijke provincie|51:batticaloa|52:ampara|53:trincomalee|6:noordwestelijke provincie,north western province|61:kurunegala|62:puttalam|7:noordelijke centrale provincie,north central province|71:anuradhapura|72:polonnaruwa|8:provincie uva,uva province|81:badulla|82:monaragala,moneragala|9:sabaragamuwa,sabaragamuwa province|91:rathnapura,ratnapura|92:kegalla,kegalle",
+  "LR": "BG:bong|BM:bomi|CM:grand cape mount|GB:grand bassa|GG:grand gedeh|GK:grand kru|GP:gbarpolu|LO:lofa|MG:margibi|MO:montserrado|MY:maryland|NI:nimba|RG:river gee|RI:river cess|SI:sinoe",
+  "LS": "A:maseru|B:botha bothe,butha buthe|C:leribe|D:berea|E:mafeteng|F:mohale s hoek|G:quthing|H:qacha s nek|J:mokhotlong|K:thaba tseka",
+  "LT": "01:akmene|02:alytaus miestas|03:alytus|04:anyksciai|05:birstonas,birstono|06:birzai|07:druskininkai|08:elektrenai|09:ignalina|10:jonava|11:joniskis|12:jurbarkas|13:kaisiadorys|14:kalvarija,kalvarijos|15:kauno miestas|16:kaunas|17:kazlu ruda,kazlu rudos|18:kedainiai|19:kelme|20:klaipedos miestas|21:klaipeda|22:kretinga|23:kupiskis|24:lazdijai|25:marijampole|26:mazeikiai|27:moletai|28:neringa|29:pagegiai|30:pakruojis|31:palangos miestas|32:panevezio miestas|33:panevezys|34:pasvalys|35:plunge|36:prienai|37:radviliskis|38:raseiniai|39:rietavo|40:rokiskis|41:sakiai|42:salcininkai|43:siauliu miestas|44:siauliai|45:silale|46:silute|47:sirvintos|48:skuodas|49:svencionys|50:taurage|51:telsiai|52:trakai|53:ukmerge|54:utena|55:varena|56:vilkaviskis|57:vilniaus miestas|58:vilnius|59:visaginas|60:zarasai|AL:alytaus apskritis,alytus district|KL:klaipedos apskritis|KU:kaunas district,kauno apskritis|MR:marijampole district,marijampoles apskritis|PN:panevezio apskritis,panevezys district|SA:siauliai district,siauliu apskritis|TA:taurages apskritis|TE:telsiai district,telsiu apskritis|UT:utena district,utenos apskritis|VL:vilniaus apskritis,vilnius district",
+  "LU": "CA:capellen|CL:clerf,clervaux|DI:diekirch|EC:echternach|ES:esch an der alzette,esch sur alzette|GR:grevenmacher|LU:lussemburgo,luxembourg,luxemburg|ME:mersch|RD:redange|RM:remich|VD:veianen,vianden|WI:wiltz",
+  "LV": "001:aglona,aglonas,aglonas commune,aglonas novads,municipalita di aglona|002:aizkraukles,aizkraukles commune,aizkraukles novads,municipalita di aizkraukle|003:aizpute,aizputes,aizputes commune,aizputes novads,municipalita di aizpute|004:akniste,aknistes,aknistes commune,aknistes novads,municipalita di akniste|005:aloja,alojas,alojas commune,alojas novads,municipalita di aloja|006:alsunga,alsungas,alsungas commune,alsungas novads,municipalita di alsunga|007:aluksne,aluksnes,aluksnes commune,aluksnes novads,municipalita di aluksne|008:amata,amatas,amatas commune,amatas novads,municipalita di amata|009:ape,apes,apes commune,apes novads,municipalita di ape|010:auce,auces,auces commune,auces novads,municipalita di auce|011:adazi,adazu,adazu commune,adazu novads,municipalita di adazu|012:babite,babites,babites commune,babites novads,municipalita di babite|013:baldone,baldones,baldones commune,baldones novads,municipalita di baldone|014:baltinava,baltinavas,baltinavas commune,baltinavas novads,municipalita di baltinava|015:balvi,balvu,balvu commune,balvu novads,municipalita di balvu|016:bauska,bauskas,bauskas commune,bauskas novads,municipalita di bauska|017:beverina,beverinas,beverinas commune,beverinas novads,municipalita di beverina|018:broceni,brocenu,brocenu commune,brocenu novads,municipalita di brocenu|019:burtnieki,burtnieku,burtnieku commune,burtnieku novads,municipalita di burtnieku|020:carnikava,carnikavas,carnikavas commune,carnikavas novads,municipalita di carnikava|021:cesvaine,cesvaines,cesvaines commune,cesvaines novads,municipalita di cesvaine|022:cesis,cesu,cesu commune,cesu novads,municipalita di cesu|023:cibla,ciblas,ciblas commune,ciblas novads,municipalita di cibla|024:dagda,dagdas,dagdas commune,dagdas novads,municipalita di dagda|025:daugavpils commune,daugavpils novads,municipalita di daugavpil|026:dobele,dobeles,dobeles commune,dobeles novads,municipalita di dobele|027:dundaga,dundagas,dundagas commune,dundagas novads,municipalita di dundaga|028:durbe,durbes,durbes commune,durbes novads,municipalita di durbe|029:engure,engures,engures commune,engures novads,municipalita di engure|030:ergli,erglu,erglu commune,erglu novads,municipalita di erglu|031:garkalne,garkalnes,garkalnes commune,garkalnes novads,municipalita di garkalne|032:grobina,grobinas,grobinas commune,grobinas novads,municipalita di grobina|033:gulbene,gulbenes,gulbenes commune,gulbenes novads,municipalita di gulbene|034:iecava,iecavas,iecavas commune,iecavas novads,municipalita di iecava|035:ikskile,ikskiles,ikskiles commune,ikskiles novads,municipalita di ikskile|036:ilukste,ilukstes,ilukstes commune,ilukstes novads,municipalita di ilukste|037:incukalna,incukalna commune,incukalna novads,incukalns,municipalita di incukalna|038:jaunjelgava,jaunjelgavas,jaunjelgavas commune,jaunjelgavas novads,municipalita di jaunjelgava|039:jaunpiebalga,jaunpiebalgas,jaunpiebalgas commune,jaunpiebalgas novads,municipalita di jaunpiebalga|040:jaunpils,jaunpils commune,jaunpils novads,municipalita di jaunpil|041:jelgavas,jelgavas commune,jelgavas novads,municipalita di jelgava|042:jekabpils commune,jekabpils novads,municipalita di jekabpil|043:kandava,kandavas,kandavas commune,kandavas novads,municipalita di kandava|044:karsava,karsavas,karsavas commune,karsavas novads,municipalita di karsava|045:kocenu,kocenu commune,kocenu novads,municipalita di kocenu|046:koknese,kokneses,kokneses commune,kokneses novads,municipalita di koknese|047:kraslava,kraslavas,kraslavas commune,kraslavas novads,municipalita di kraslava|048:krimulda,krimuldas,krimuldas commune,krimuldas novads,municipalita di krimulda|049:krustpils,krustpils commune,krustpils novads,municipalita di krustpil|050:kuldiga,kuldigas,kuldigas commune,kuldigas novads,municipalita di kuldiga|051:keguma,keguma commune,keguma novads,kegums,municipalita di keguma|052:kekava,kekavas,kekavas commune,kekavas novads,municipalita di kekavas|053:lielvarde,lielvardes,lielvardes commune,lielvardes novads,municipalita di lielvarde|054:limbazi,limbazu,limbazu commune,limbazu novads,municipalita di limbazu|055:ligatne,ligatnes,ligatnes commune,ligatnes novads,municipalita di ligatnes|056:livani,livanu,livanu commune,livanu novads,municipalita di livanu|057:lubana,lubanas,lubanas commune,lubanas novads,municipalita di lubanas|058:ludza,ludzas,ludzas commune,ludzas novads,municipalita di ludza|059:madona,madonas,madonas commune,madonas novads,municipalita di madona|060:mazsalaca,mazsalacas,mazsalacas commune,mazsalacas novads,municipalita di mazsalaca|061:malpils,malpils commune,malpils novads,municipalita di malpils|062:marupe,marupes,marupes commune,marupes novads,municipalita di marupe|063:mersraga,mersraga commune,mersraga novads,municipalita di mersraga|064:municipalita di nauksenu,naukseni,nauksenu,nauksenu commune,nauksenu novads|065:municipalita di nereta,nereta,neretas,neretas commune,neretas novads|066:municipalita di nica,nica,nicas,nicas commune,nicas novads|067:municipalita di ogre,ogre,ogres,ogres commune,ogres novads|068:municipalita di olaine,olaine,olaines,olaines commune,olaines novads|069:municipalita di ozolnieku,ozolnieki,ozolnieku,ozolnieku commune,ozolnieku novads|070:municipalita di pargauja,pargauja,pargaujas,pargaujas commune,pargaujas novads|071:municipalita di pavilosta,pavilosta,pavilostas,pavilostas commune,pavilostas novads|072:municipalita di plavinu,plavinas,plavinu,plavinu commune,plavinu novads|073:municipalita di preilu,preili,preilu,preilu commune,preilu novads|074:municipalita di priekule,priekule,priekules,priekules commune,priekules novads|075:municipalita di priekulu,priekuli,priekulu,priekulu commune,priekulu novads|076:municipalita di rauna,rauna,raunas,raunas commune,raunas novads|077:municipalita di rezekne,rezeknes,rezeknes commune,rezeknes novads|078:municipalita di riebinu,riebini,riebinu,riebinu commune,riebinu novads|079:municipalita di roja,roja,rojas,rojas commune,rojas novads|080:municipalita di ropazu,ropazi,ropazu,ropazu commune,ropazu novads|081:municipalita di rucava,rucava,rucavas,rucavas commune,rucavas novads|082:municipalita di rugaju,rugaji,rugaju,rugaju commune,rugaju novads|083:municipalita di rundales,rundale,rundales,rundales commune,rundales novads|084:municipalita di rujienas,rujiena,rujienas,rujienas commune,rujienas novads|085:municipalita di sala,sala,salas,salas commune,salas novads|086:municipalita di salacgriva,salacgriva,salacgrivas,salacgrivas commune,salacgrivas novads|087:municipalita di salaspil,salaspils,salaspils commune,salaspils novads|088:municipalita di saldu,saldus,saldus commune,saldus novads|089:municipalita di saulkrastu,saulkrasti,saulkrastu,saulkrastu commune,saulkrastu novads|090:municipalita di seja,seja,sejas,sejas commune,sejas novads|091:municipalita di sigulda,sigulda,siguldas,siguldas commune,siguldas novads|092:municipalita di skriveru,skriveri,skriveru,skriveru commune,skriveru novads|093:municipalita di skrunda,skrunda,skrundas,skrundas commune,skrundas novads|094:municipalita di smiltene,smiltene,smiltenes,smiltenes commune,smiltenes novads|095:municipalita di stopinu,stopini,stopinu,stopinu commune,stopinu novads|096:municipalita di strencu,strenci,strencu,strencu commune,strencu novads|097:municipalita di talsu,talsi,talsu,talsu commune,talsu novads|098:municipalita di tervetes,tervete,tervetes,tervetes commune,tervetes novads|099:municipalita di tukuma,tukuma,tukuma commune,tukuma novads,tukums|100:municipalita di vainode,vainode,vainodes,vainodes commune,vainodes novads|101:municipalita di valka,valka,valkas,valkas commune,valkas novads|102:municipalita di varaklanu,varaklani,varaklanu,varaklanu commune,varaklanu novads|103:municipalita di varkava,varkava,varkavas,varkavas commune,varkavas novads|104:municipalita di vecpiebalgas,vecpiebalga,vecpiebalgas,vecpiebalgas commune,vecpiebalgas novads|105:municipalita di vecumnieku,vecumnieki,vecumnieku,vecumnieku commune,vecumnieku novads|106:municipalita di ventspil,ventspils commune,ventspils novads|107:municipalita di viesite,viesite,viesites,viesites commune,viesites novads|108:municipalita di vilakas,vilaka,vilakas,vilakas commune,vilakas novads|109:municipalita di vilanu,vilani,vilanu,vilanu commune,vilanu novads|110:municipalita di zilupe,zilupe,zilupes,zilupes commune,zilupes novads|DGV:daugavpils,daugavpils stad|JEL:jelgava,jelgava stad|JKB:jekabpils,jekabpils stad|JUR:jurmala|LPX:liepaja|REZ:rezekne,rezekne stad|RIX:riga|VEN:ventspils|VMR:valmiera",
+  "LY": "BA:banghazi,bengasi,benghazi|BU:al butnan|DR:darna,darnah,derna|GT:ghat|JA:al dschabal al achdar,al jabal al akhdar|JG:al dschabal al gharbi,al jabal al gharbi|JI:al jafarah,al jfara|JU:al dschufra,al jufrah|KF:al kufra,al kufrah|MB:al marqab,al murgub|MI:misrata,misratah,misurata|MJ:al mardsch,al marj|MQ:murzuk,murzuq|NL:nalut|NQ:an nuqat al khams|SB:sabha,sebha|SR:sirte,surt|TB:tarabulus,tripoli,tripolis|WA:al wahat|WD:wadi al haya,wadi al hayat|WS:wadi ash shati|ZA:az zawiya,az zawiyah,ez zauia",
+  "MA": "01:tanger tetouan al hoceima|02:l oriental,oriental,regione orientale|03:fes meknes|04:rabat sale kenitra|05:beni mellal khenifra|06:casablanca settat|07:marrakech safi|08:draa tafilalet|09:souss massa|10:guelmim oued noun,guelmim oued noun eh gedeeltelijk,guelmim oued noun eh partial,guelmim oued noun eh partiel,guelmim oued noun teilweise eh|11:laayoune sakia el hamra,laayoune sakia el hamra eh gedeeltelijk,laayoune sakia el hamra eh partial,laayoune sakia el hamra eh partiel,laayoune sakia el hamra teilweise eh|12:dakhla oued ed dahab,dakhla oued ed dahab eh|AGD:agadir ida ou tanane|AOU:aousserd,aousserd eh|ASZ:assa zag,assa zag eh gedeeltelijk,assa zag eh partial,assa zag eh partiel,assa zag teilweise eh|AZI:azilal|BEM:beni mellal|BER:berkane|BES:benslimane|BOD:boujdour,boujdour eh|BOM:boulemane|BRR:berrechid|CAS:casablanca|CHE:chefchaouen,chefchaouene|CHI:chichaoua|CHT:chtouka ait baha|DRI:driouch|ERR:errachidia|ESI:essaouira|ESM:es semara,es semara eh partial,es semara eh partiel,es semara teilweise eh,es smara,es smara eh gedeeltelijk|FAH:fahs anjra|FES:fes,fez|FIG:figuig|FQH:fquih ben salah|GUE:guelmim|GUF:guercif|HAJ:el hajeb|HAO:al haouz|HOC:al hoceima|IFR:ifrane|INE:inezgane ait melloul|JDI:el jadida|JRA:jerada|KEN:kenitra|KES:el kelaa des sraghna|KHE:khemisset|KHN:khenifra|KHO:khouribga|LAA:laayoune,laayoune eh|LAR:larache|MAR:marrakech|MDF:m diq fnideq|MED:mediouna|MEK:meknes|MID:midelt|MOH:mohammadia,mohammedia|MOU:moulay yacoub|NAD:nador|NOU:nouaceur|OUA:ouarzazate|OUD:oued ed dahab,oued ed dahab eh|OUJ:oujda angad|OUZ:ouezzane|RAB:rabat|REH:rehamna|SAF:safi|SAL:sale|SEF:sefrou|SET:settat|SIB:sidi bennour|SIF:sidi ifni|SIK:sidi kacem|SIL:sidi slimane|SKH:skhirate temara|TAF:tarfaya,tarfaya eh gedeeltelijk,tarfaya eh partial,tarfaya eh partiel,tarfaya teilweise eh|TAI:taourirt|TAO:taounate|TAR:taroudannt,taroudant|TAT:tata|TAZ:taza|TET:tetouan|TIN:tinghir|TIZ:tiznit|TNG:tanger assilah|TNT:tan tan,tan tan eh gedeeltelijk,tan tan eh partial,tan tan eh partiel,tan tan teilweise eh|YUS:youssoufia|ZAG:zagora",
+  "MC": "CL:la colle|CO:la condamina,la condamine|FO:fontevecchia,fontvieille|GA:la gare|JE:jardin exotique|LA:larvotto|MA:malbousquet|MC:monte carlo|MG:moneghetti|MO:monaco stad,monaco ville|MU:moulins|PH:port hercule|SD:sainte devote|SO:la source|SP:spelugues|SR:saint roman|VR:vallon de la rousse",
+  "MD": "AN:anenii noi|BA:balti,baltsi|BD:bender,tighina|BR:briceni|BS:basarabeasca|CA:cahul|CL:calarasi|CM:cimislia|CR:criuleni|CS:causeni|CT:cantemir|CU:chisinau|DO:donduseni|DR:drochia|DU:dubasari|ED:edinet|FA:falesti|FL:floresti|GA:autonome territoriale eenheid gagaoezie,gagaoezie,gagaoezie autonome territoriale eenheid,gagauzia,gagauzia unitatea teritoriala autonoma,gagauzia unitatea teritoriala autonoma utag,unitatea teritoriala autonoma gagauzia,utag|GL:glodeni|HI:hincesti|IA:ialoveni|LE:leova|NI:nisporeni|OC:ocnita|OR:orhei|RE:rezina|RI:riscani|SD:soldanesti|SI:singerei|SN:autonome territoriale einheit transnistrien,stanga nistrului,stinga nistrului,stinga nistrului unitatea teritoriala din,territoriale eenheid transnistrie,transnistrie,transnistrie territoriale eenheid,unitatea teritoriala din stinga nistrului|SO:soroca|ST:straseni|SV:stefan voda|TA:taraclia|TE:telenesti|UN:ungheni",
+  "ME": "01:andrijavica,andrijevica|02:antivari,bar|03:berane|04:bijelo polje|05:budua,budva|06:cetinje,cettigne|07:danilovgrad|08:castelnuovo,herceg novi|09:kolasin|10:kotor|11:mojkovac|12:niksic|13:plav|14:pljevlja|15:pluzine|16:podgorica|17:rozaje|18:savnik|19:tivat|20:ulcinj|21:zabljak|22:gusinje|23:petnjica|24:tuzi",
+  "MG": "A:toamasina|D:antsiranana|F:fianarantsoa|M:mahajanga|T:antananarivo,tananarive|U:toliara",
+  "MH": "ALK:ailuk|ALL:ailinginae,ailinglaplap|ARN:arno|AUR:aur|EBO:ebon|ENI:enewetak ujelang,eniwetok en ujelang|JAB:jabat,jabwot|JAL:jaluit|KIL:bikini en kili,bikini kili|KWA:kwajalein|L:chaine de ralik,ralik chain,ralik keten,ralik kette|LAE:lae|LIB:lib|LIK:likiep|MAJ:majuro|MAL:maloelap|MEJ:mejit|MIL:mili|NMK:namdrik,namorik|NMU:namu|RON:rongelap|T:chaine de ratak,ratak chain,ratak keten,ratak kette|UJA:ujae|UTI:utirik,utrik|WTH:wotho|WTJ:wotje",
+  "MK": "101:veles|102:gradsko|103:demir kapija|104:kavadarci|105:lozovo|106:negotino|107:rosoman|108:sveti nikole|109:caska|201:berovo|202:vinica|203:delcevo|204:zrnovci|205:karbinci|206:kocani|207:makedonska kamenica|208:pehcevo|209:probistip|210:cesinovo oblesevo|211:stip|301:vevcani|303:debar|304:debarca,debrca|307:kicevo|308:makedonski brod|310:ohrid|311:plasnica|312:struga|313:centar zupa|401:bogdanci|402:bosilovo|403:valandovo|404:vasilevo|405:gevgelija|406:dojran|407:konce|408:novo selo|409:radovis|410:strumica|501:bitola|502:demir hisar|503:dolneni|504:krivogastani|505:krusevo|506:mogila|507:novaci|508:prilep|509:resen|601:bogovinje|602:brvenica|603:vrapciste|604:gostivar|605:zelino|606:jegunovce|607:mavrovo en rostusa,mavrovo i rostuse|608:tearce|609:tetovo|701:kratovo|702:kriva palanka|703:kumanovo|704:lipkovo|705:rankovce|706:staro nagoricane|801:aerodrom|802:aracinovo|803:butel|804:gazi baba|805:gjorce petrov,gorce petrov|806:zelenikovo|807:ilinden|808:karpos|809:kisela voda|810:petrovec|811:saraj|812:sopiste|813:studenicani|814:centar|815:cair|816:cucer sandevo|817:suto orizari",
+  "ML": "1:kayes|10:taoudenit,taoudenni|2:koulikoro|3:sikasso|4:segou|5:mopti|6:timboektoe,timbuktu,tombouctou|7:gao|8:kidal|9:menaka|BKO:bamako",
+  "MM": "01:sagaing|02:bago,pegu|03:magway,magwe|04:mandalay|05:tanasserim,tanintharyi|06:rangoon,yangon|07:ayeyarwady,irawadi|11:kachin|12:kayah|13:karen,kayin|14:chin|15:mon|16:rakhaing,rakhine|17:shan|18:nay pyi taw,naypyidaw",
+  "MN": "035:orchon,orhon|037:darchan uul,darhan uul|039:chentii,hentiy|041:chowsgol,hovsgol|043:chowd,hovd|046:uvs,uws|047:tov,tow|049:selenge|051:suchbaatar,suhbaatar|053:omnogovi|055:ovorhangaj,ovorhangay,oworchangai|057:dzavhan,zawchan|059:dundgovi|061:dornod|063:dornogovi|064:govi sumber,govisumber|065:govi altaj,govi altay|067:bulgan|069:bajanchongor,bayanhongor|071:bajan olgii,bayan olgi,bayan olgiy|073:archangai,arhangay|1:ulaanbaatar,ulan bator",
+  "MR": "01:hodh ech chargui|02:hodh el gharbi|03:assaba|04:gorgol|05:brakna|06:trarza|07:adrar|08:dakhlet nouadhibou|09:tagant|10:guidimaka|11:tiris zemmour|12:inchiri|13:nouakchott ouest|14:nouakchott nord|15:nouakchott sud",
+  "MT": "01:attard|02:balzan|03:birgu,vittoriosa|04:birchircara,birkirkara|05:birzebbuga,birzebuggia|06:bormla,cospicua|07:dingli|08:fgura,figura|09:floriana|10:fontana|11:gudia,gudja|12:gzira|13:g ajnsielem,ghajnsielem|14:g arb,garbo|15:g arg ur,gargur|16:g asri,ghasri|17:asciac,g axaq|18:amrun,hamrun|19:iklin,l iclin|20:isla,senglea|21:calcara,kalkara|22:kercem|23:chircop,kirkop|24:lia,lija|25:luca,luqa|26:marsa|27:marsa scala,marsaskala|28:marsa scirocco,marsaxlokk|29:mdina,medina|30:mellie a,mellieha|31:mgarr,mugiarro|32:mosta,musta|33:micabba,mqabba|34:msida|35:marfa,mtarfa|36:monsciar,munxar|37:nadur|38:nasciar,naxxar|39:paola|40:pembroke|41:pieta|42:la cala,qala|43:curmi,qormi|44:crendi,qrendi|45:rabat gozo,victoria|46:rabat malta|47:safi|48:saint julian s,san giljan|49:saint john|50:saint lawrence,san lawrenz|51:saint paul s bay,san pawl il ba ar|52:sannat|53:saint lucia s,santa lucija|54:santa venera|55:siggiewi,suggeui|56:sliema|57:swieqi|58:ta xbiex|59:tarscen,tarxien|60:la valette,la valletta,valletta|61:caccia,xag ra|62:xeuchia,xewkija|63:xg ajra,xghajra|64:zabbar|65:zebbug,zebbug gozo|66:zebbug malta|67:zeitun,zejtun|68:zurrico,zurrieq",
+  "MU": "AG:agalega eilanden,agalega inseln,agalega islands,iles agalega,isole agalega|BL:black river|CC:cargados carajos schar,cargados carajos shoals|FL:flacq|GP:grand port|MO:moka|PA:pamplemousses|PL:port louis|PW:plaines wilhems|RO:ile rodrigues,isola rodrigues,rodrigues eiland,rodrigues insel,rodrigues island|RR:rempart rivier,riviere du rempart|SA:savanne",
+  "MV": "00:south ari atoll,zuidelijke ari atol|01:addu atol,addu city|02:noordelijke ari atol,north ari atoll|03:faadhippolhu,faadhippolhu atol|04:felidhu atol,felidhu atoll|05:haddhunmathi atol,hahdhunmathi|07:noordelijke thiladhunmathi atol,north thiladhunmathi|08:kolhumadulu,kolhumadulu atol|12:mulaku atol,mulaku atoll|13:noordelijke maalhosmadulhu atol,north maalhosmadulu|14:noordelijke nilandhe atol,north nilandhe atoll|17:south nilandhe atoll,zuidelijke nilandhe atol|20:south maalhosmadulu,zuidelijke maalhosmadulhu atol|23:south thiladhunmathi,zuidelijke thiladhunmathi atol|24:noordelijke miladhunmadulhu atol,north miladhunmadulu|25:south miladhunmadulu,zuidelijke miladhunmadulhu atol|26:male atol,male atoll|27:noordelijke huvadhu atol,north huvadhu atoll|28:south huvadhu atoll,zuidelijke huvadhu atol|29:fuvammulah|MLE:male",
+  "MW": "BA:balaka|BL:blantyre|C:central region,centrale regio,region centrale|CK:chikwawa|CR:chiradzulu|CT:chitipa|DE:dedza|DO:dowa|KR:karonga|KS:kasungu|LI:lilongwe|LK:likoma|MC:mchinji|MG:mangochi|MH:machinga|MU:mulanje|MW:mwanza|MZ:mzimba|N:noordelijke regio,northern region,region septentrionale|NB:baie de nkhata,nkhata baai,nkhata bay|NE:neno|NI:ntchisi|NK:nkhotakota|NS:nsanje|NU:ntcheu|PH:phalombe|RU:rumphi|S:region meridionale,southern region,zuidelijke regio|SA:salima|TH:thyolo|ZO:zomba",
+  "MX": "AGU:aguascalientes|BCN:baja california,bassa california,basse californie,neder californie|BCS:baja california sur,bassa california del sud,basse californie meridionale,zuid neder californie|CAM:campeche|CHH:chihuahua|CHP:chiapas|CMX:citta del messico,ciudad de mexico,mexico stad,mexiko stadt,ville de mexico|COA:coahuila de zaragoza,etat de coahuila de zaragoza|COL:colima|DUR:durango|GRO:guerrero|GUA:guanajuato|HID:hidalgo|JAL:jalisco|MEX:messico,mexico|MIC:michoacan de ocampo|MOR:morelos|NAY:nayarit|NLE:nouveau leon,nuevo leon|OAX:oaxaca|PUE:puebla|QUE:queretaro|ROO:quintana roo|SIN:sinaloa|SLP:san luis potosi|SON:sonora|TAB:tabasco|TAM:tamaulipas|TLA:tlaxcala|VER:veracruz de ignacio de la llave|YUC:yucatan|ZAC:zacatecas",
+  "MY": "01:johor|02:kedah|03:kelantan|04:malakka,melaka|05:negeri sembilan|06:pahang|07:penang,pulau pinang|08:perak|09:perlis|10:selangor|11:terengganu|12:sabah|13:sarawak|14:bundesterritorium kuala lumpur,federaal territorium kuala lumpur,kuala lumpur,kuala lumpur federaal territorium,kuala lumpur territoire federal,wilayah persekutuan kuala lumpur|15:bundesterritorium labuan,federaal territorium labuan,labuan,labuan federaal territorium,labuan territoire federal,wilayah persekutuan labuan|16:bundesterritorium putrajaya,federaal territorium putrajaya,putrajaya,putrajaya federaal territorium,putrajaya territoire federal,wilayah persekutuan putrajaya",
+  "MZ": "A:niassa|B:manica|G:gaza|I:inhambane|L:maputo|MPM:|N:nampula|P:cabo delgado|Q:zambezia|S:sofala|T:tete",
+  "NA": "CA:zambezi|ER:erongo|HA:hardap|KA:karas|KE:kavango east,kavango oost|KH:khomas|KU:kunene|KW:kavango west|OD:otjozondjupa|OH:omaheke|ON:oshana|OS:omusati|OT:oshikoto|OW:ohangwena",
+  "NE": "1:agades,agadez|2:diffa|3:dosso|4:maradi|5:tahoua|6:tillaberi|7:zinder|8:niamey",
+  "NG": "AB:abia|AD:adamawa|AK:akwa ibom|AN:anambra|BA:bauchi|BE:benue|BO:borno|BY:bayelsa|CR:cross river|DE:delta|EB:ebonyi|ED:edo|EK:ekiti|EN:enugu|FC:abuja federal capital territory,federaal hoofdstedelijk territorium|GO:gombe|IM:imo|JI:jigawa|KD:kaduna|KE:kebbi|KN:kano|KO:kogi|KT:katsina|KW:kwara|LA:lagos|NA:nasarawa,nassarawa|NI:niger|OG:ogun|ON:ondo|OS:osun|OY:oyo|PL:altopiano,plateau|RI:rivers,rivieres|SO:sokoto|TA:taraba|YO:yobe|ZA:zamfara",
+  "NI": "AN:costa caribe norte,region autonoma de la costa caribe norte|AS:costa caribe sur,region autonoma de la costa caribe sur|BO:boaco|CA:carazo|CI:chinandega|CO:chontales|ES:esteli|GR:granada,grenade|JI:jinotega|LE:leon|MD:madriz|MN:managua|MS:masaya|MT:matagalpa|NS:nouvelle segovie,nueva segovia|RI:rivas|SJ:rio san juan,riviere san juan",
+  "NL": "AW:aruba|BQ1:bonaire|BQ2:saba|BQ3:saint eustache,sint eustatius|CW:curacao,curazao|DR:drenthe|FL:flevoland|FR:friesland,fryslan|GE:gelderland,gheldria,gueldre|GR:groninga,groningen,groningue|LI:limburg,limburgo,limourg|NB:brabant septentrional,brabante settentrionale,noord brabant,nordbrabant,north brabant|NH:hollande septentrionale,noord holland,nordholland,north holland,olanda settentrionale|OV:overijssel|SX:saint martin,sint maarten|UT:utrecht|ZE:zeeland,zelanda,zelande|ZH:hollande meridionale,olanda meridionale,south holland,sudholland,zuid holland",
+  "NO": "03:oslo|11:rogaland|15:more og romsdal|18:nordland|21:spitsbergen,spitsbergen arctische regio,svalbard,svalbard arctic region,svalbard arctische regio,svalbard arktische region,svalbard region arctique,svalbard regione artica|22:jan mayen,jan mayen arctic region,jan mayen arctische regio,jan mayen arktische region,jan mayen region arctique,jan mayen regione artica|30:viken|34:innlandet|38:vestfold og telemark|42:agder|46:vestland|50:trondelag,troondelage|54:romssa ja finnmarkku,troms og finnmark",
+  "NP": "1:central,centrale|2:mid western,mid westers|3:occidentale,ouest,western|4:eastern,est,oost,orientale|5:far western,ver westers|BA:|BH:bheri|DH:dhaulagiri,dhawalagiri|GA:|JA:janakpur|KA:|KO:kosi|LU:lumbini|MA:mahakali|ME:mechi|NA:narayani|P1:province 1,provincie 1|P2:province 2,provincie 2|P3:bagmati|P4:gandaki|P5:province 5,provincie 5|P6:karnali|P7:sudur pashchim,sudurpashchim|RA:rapti|SA:sagarmatha|SE:seti",
+  "NR": "01:aiwo|02:anabar|03:anetan|04:anibare|05:baiti,baitsi|06:boe|07:buada|08:denigomodu|09:ewa|10:ijuw|11:meneng|12:nibok|13:uaboe|14:yaren",
+  "NZ": "AUK:auckland|BOP:baie de plenty,bay of plenty|CAN:canterbury|CIT:chatham islands territorium,chatham islands territory,territoire des iles chatham,territorio delle chatham islands|GIS:gisborne|HKB:baie de hawke,hawke s bay|MBH:marlborough|MWT:manawatu wanganui|NSN:nelson|NTL:noordland,northland,pays du nord|OTA:otago|STL:pays du sud,southland,zuidland|TAS:tasman|TKI:taranaki|WGN:wellington|WKO:waikato|WTC:cote occidentale,west coast,westkust",
+  "OM": "BJ:gouvernement zuid al batinah,janub al batinah|BS:gouvernement noord al batinah,shamal al batinah|BU:al buraimi,al buraymi|DA:ad dachiliyah,ad dakhiliyah|MA:mascate,maskat,masqat|MU:musandam|SJ:gouvernement zuid ash sharqiyah,janub ash sharqiyah|SS:gouvernement noord ash sharqiyah,shamal ash sharqiyah|WU:al wusta|ZA:az zahira,az zahirah|ZU:dhofar,zufar",
+  "PA": "1:bocas del toro|10:panama oeste|2:cocle|3:colon|4:chiriqui|5:darien|6:herrera|7:los santos|8:panama|9:veraguas|EM:embera|KY:guna yala|NB:ngobe bugle",
+  "PE": "AMA:amarumayu,amazonas|ANC:ancash|APU:apurimac,apurimaq|ARE:arequipa|AYA:ayacucho|CAJ:cajamarca|CAL:callao,el callao|CUS:cusco,cuzco|HUC:huanuco|HUV:huancavelica|ICA:ica|JUN:hunin,junin|LAL:la libertad|LAM:lambayeque|LIM:lima|LMA:lima hatun llaqta,lima stad|LOR:loreto|MDD:madre de dios|MOQ:moquegua|PAS:pasco|PIU:piura|PUN:puno|SAM:san martin|TAC:tacna|TUM:tumbes|UCA:ucayali",
+  "PG": "CPK:chimbu,simbu|CPM:central,centrale|EBR:east new britain,nouvelle bretagne orientale,nuova britannia orientale|EHG:altopiani orientali,eastern highlands,highlands orientaux|EPW:enga|ESW:east sepik,sepik orientale,spik oriental|GPK:golfe,golfo,gulf|HLA:hela|JWK:jiwaka|MBA:baia miline,baie de milne,milne bay|MPL:morobe|MPM:madang|MRL:manus|NCD:distretto della capitale nazionale,distretto della capitale nazionale porto moresby,national capital district,national capital district port moresby,port moresby,port moresby district de la capitale|NIK:new ireland,nouvelle irlande,nuova irlanda|NPP:nord,northern,settentrionale|NSB:bougainville|SAN:west sepik|SHM:altopiani del sud,highlands meridionaux,southern highlands|WBK:nouvelle bretagne occidentale,nuova britannia occidentale,west new britain|WHM:altopiani occidentali,highlands occidentaux,western highlands|WPD:occidentale,ouest,western",
+  "PH": "00:national capital region,nationale hoofstadregio,region de la capital nacional,region de la capitale nationale,regione capitale nazionale|01:ilocos,ilocos regio i,ilocos region i,ilocos regione i|02:cagayan valley,cagayan valley regio ii,cagayan valley region ii,cagayan valley regione ii,valle del cagayan,valle del cagayan region ii,vallee de cagayan,vallee de cagayan region ii|03:central luzon,central luzon regio iii,central luzon region iii,luzon central,luzon central region iii,luzon centrale,luzon centrale regione iii|05:bicol,bicol regio v,bicol region v,bicol regione v|06:visayas occidental,visayas occidental region vi,visayas occidentale,visayas occidentale regione vi,visayas occidentales,visayas occidentales region vi,western visayas,western visayas regio vi,western visayas region vi|07:central visayas,central visayas regio vii,central visayas region vii,visayas central,visayas central region vii,visayas centrale,visayas centrale regione vii,visayas centrales,visayas centrales region vii|08:eastern visayas,eastern visayas regio viii,eastern visayas region viii,visayas oriental,visayas oriental region viii,visayas orientale,visayas orientale regione viii,visayas orientales,visayas orientales region viii|09:peninsula de zamboanga,peninsula de zamboanga region ix,peninsule de zamboanga,peninsule de zamboanga region ix,penisola della zamboanga,penisola della zamboanga regione ix,zamboanga peninsula,zamboanga peninsula regio ix,zamboanga peninsula region ix|10:mindanao del norte,mindanao del norte region x,mindanao septentrional,mindanao septentrional region x,mindanao settentrionale,mindanao settentrionale regione x,northern mindanao,northern mindanao regio x,northern mindanao region x|11:davao,davao regio xi,davao region xi,davao regione xi|12:soccsksargen,soccsksargen regio xii,soccsksargen region xii,soccsksargen regione xii|13:caraga,caraga regio xiii,caraga region xiii,caraga regione xiii|14:autonome regio in muslim mindanao,autonome regio in muslim mindanao armm,autonome region muslimisches mindanao,autonome region muslimisches mindanao armm,autonomous region in muslim mindanao,autonomous region in muslim mindanao armm,region autonome musulmane de mindanao,region autonome musulmane de mindanao armm,regione autonoma del mindanao musulmano,regione autonoma del mindanao musulmano armm|15:cordillera administratieve regio,cordillera administratieve regio car,cordillera administrative region,cordillera administrative region car,region administrative de cordillera,region administrative de cordillera car,regione cordigliera amministrativa,regione cordigliera amministrativa car|40:calabarzon,calabarzon regio iv a,calabarzon region iv a|41:mimaropa,mimaropa regio iv b,mimaropa region iv b|ABR:abra|AGN:agusan del nord,agusan del norte,agusan du nord|AGS:agusan del sud,agusan del sur,agusan du sud|AKL:aklan|ALB:albay|ANT:antique|APA:apayao|AUR:aurora|BAN:bataan|BAS:basilan|BEN:benguet|BIL:biliran|BOH:bohol|BTG:batangas|BTN:batanes|BUK:bukidnon|BUL:bulacan|CAG:cagayan|CAM:camiguin|CAN:camarines nord,camarines norte|CAP:capiz|CAS:camarines sud,camarines sur|CAT:catanduanes|CAV:cavite|CEB:cebu|COM:davao de oro|DAO:davao oriental,davao orientale|DAS:davao del sud,davao del sur,davao du sud|DAV:davao del nord,davao del norte,davao du nord|DIN:dinagat islands,iles dinagat,isole dinagat|DVO:davao occidental|EAS:eastern samar,samar oriental,samar orientale|GUI:guimaras|IFU:ifugao|ILI:iloilo|ILN:ilocos nord,ilocos norte|ILS:ilocos sud,ilocos sur|ISA:isabela|KAL:kalinga|LAG:laguna|LAN:lanao del nord,lanao del norte,lanao du nord|LAS:lanao del sud,lanao del sur,lanao du sud|LEY:leyte|LUN:la union|MAD:marinduque|MAG:maguindanao|MAS:masbate|MDC:mindoro occidental,mindoro occidentale|MDR:mindoro oriental,mindoro orientale|MOU:mountain province,province de la montagne|MSC:misamis occidental,misamis occidentale|MSR:misamis oriental,misamis orientale|NCO:cotabato|NEC:negros occidental,negros occidentale|NER:negros oriental,negros orientale|NSA:northern samar,samar septentrional,samar settentrionale|NUE:nouvelle ecija,nueva ecija|NUV:nouvelle biscaye,nueva vizcaya|PAM:pampanga,pampangan|PAN:pangasinaans,pangasinan|PLW:palawan|QUE:quezon|QUI:quirino|RIZ:rizal|ROM:romblon|SAR:sarangani|SCO:cotabato sud,south cotabato|SIG:siquijor|SLE:leyte meridional,leyte meridionale,southern leyte|SLU:sulu|SOR:sorsogon|SUK:sultan kudarat|SUN:surigao del nord,surigao del norte,surigao du nord|SUR:surigao del sud,surigao del sur,surigao du sud|TAR:tarlac|TAW:tawi tawi|WSA:samar|ZAN:zamboanga del nord,zamboanga del norte,zamboanga du nord|ZAS:zamboanga del sud,zamboanga del sur,zamboanga du sud|ZMB:zambales|ZSI:zamboanga sibugay",
+  "PK": "BA:balochistan,baloutchistan,beloetsjistan,belutschistan|GB:gilgit baltistan|IS:islamabad|JK:azad jammu and kashmir,azad jammu und kashmir,azad staat van jammu en kasjmir|KP:khyber pakhtunkhwa|PB:penjab,punjab|SD:sindh",
+  "PL": "02:bassa slesia,basse silesie,dolnoslaskie,dolnoslazki,lower silesia,niederschlesien|04:cuiavia pomerania,cujavie pomeranie,kujawien pommern,kujawsko pomorski,kujawsko pomorskie|06:lubelskie,lublin,lublino|08:lebus,lubuskie,lubusz|10:lodz,lodzkie|12:klein polen,kleinpolen,lesser poland,malopolskie,petite pologne,piccola polonia|14:masovia,masovie,masowien,mazovia,mazovie,mazowieckie|16:opole,opole silesie centrale,opolskie,oppeln|18:basses carpates,karpatenvorland,podkarpackie,precarpazi,subcarpathia,subkarpaten|20:podlachia,podlachie,podlachien,podlasie,podlaskie|22:pomerania,pomeranie,pommeren,pommern,pomorskie|24:schlesien,silesia,silesie,silesie haute silesie,silezie,slaskie,slesia|26:heilig kruis,heiligkreuz,sainte croix,santacroce,swietokrzyskie,swiety krzyz|28:ermland masuren,ermland mazurie,varmia masuria,varmie mazurie,warmia masuria,warminsko mazurskie|30:grande pologne,grande polonia,greater poland,groot polen,grosspolen,wielkopolskie|32:pomerania occidentale,pomeranie occidentale,west pomerania,west pommeren,westpommern,zachodniopomorskie",
+  "PS": "BTH:bethlehem,betlemme|DEB:dair al balah,deir el balah|GZA:gaza|HBN:hebron|JEM:gerusalemme,jerusalem,jeruzalem|JEN:dschenin,jenin,jenine|JRH:jericho al aghwar,jericho and al aghwar,jericho und al aghwar|KYS:chan yunis,khan yunis|NBS:nablus|NGZ:gaza du nord,gaza nord,noord gaza,nordgaza,north gaza|QQA:qalqilya|RBH:ramallah|RFH:rafah|SLT:salfit|TBS:tubas|TKM:tulkarem,tulkarm",
+  "PT": "01:aveiro|02:beja|03:braga|04:braganca|05:castelo branco|06:coimbra|07:evora|08:faro|09:guarda|10:leiria|11:lisboa,lisbona,lisbonne,lissabon|12:portalegre|13:oporto,porto|14:santarem|15:setubal|16:viana do castelo|17:vila real|18:viseu|20:acores,acores region autonome,autonome regio azoren,autonome region azoren,regiao autonoma dos acores,regione autonoma delle azorre|30:autonome regio madeira,autonome region madeira,madere,madere region autonome,regiao autonoma da madeira,regione autonoma di madeira",
+  "PW": "002:aimeliik|004:airai|010:angaur|050:hatohobei|100:kayangel|150:koror|212:melekeok|214:ngaraard|218:ngarchelong|222:ngardmau|224:ngatpang|226:ngchesar|227:ngeremlengui|228:ngiwal|350:peleliu|370:sonsorol",
+  "PY": "1:concepcion|10:alto parana,haut parana,hoog parana|11:central,centrale|12:neembucu|13:amambay|14:canindeyu|15:president hayes,presidente hayes|16:alto paraguay,haut paraguay,hoog paraguay|19:boqueron|2:san pedro|3:cordillera,cordillere|4:guaira|5:caaguazu|6:caazapa|7:itapua|8:misiones|9:paraguari|ASU:asuncion",
+  "QA": "DA:ad dawhah,doha|KH:al khawr wa adh dhakhirah|MS:ash shamal|RA:ar rayyan|SH:al shahaniya,ash shihaniyah|US:umm salal|WA:al wakra,al wakrah|ZA:az za ayin",
+  "RO": "AB:alba|AG:arges|AR:arad|B:boekarest,bucarest,bucuresti,bukarest|BC:bacau|BH:bihor|BN:bistrita nasaud|BR:braila|BT:botosani|BV:brasov|BZ:buzau|CJ:cluj|CL:calarasi|CS:caras severin|CT:constanta|CV:covasna|DB:dambovita|DJ:dolj|GJ:gorj|GL:galati|GR:giurgiu|HD:hunedoara|HR:harghita|IF:ilfov|IL:ialomita|IS:iasi|MH:mehedinti|MM:maramures|MS:mures|NT:neamt|OT:olt|PH:prahova|SB:sibiu|SJ:salaj|SM:satu mare|SV:suceava|TL:tulcea|TM:timis|TR:teleorman|VL:valcea|VN:vrancea|VS:vaslui",
+  "RS": "00:belgrad,belgrade,belgrado,beograd|01:backa septentrionale,bezirk severna backa,noord backa,severnobacki okrug|02:banatcka meridionale,bezirk srednji banat,centraal banaat,srednjebanatski okrug|03:banatcka septentrionale,bezirk severni banat,noord banaat,severnobanatski okrug|04:bezirk juzni backa,juznobanat,juznobanatski okrug,zuid banaat|05:backa occidentale,bezirk zapadna backa,west backa,zapadnobacki okrug|06:bezirk juzna backa,juznobac,juznobacki okrug,zuid backa|07:bezirk srem,srem,sremski okrug|08:bezirk macvan,macva,macvan,macvanski okrug|09:bezirk kolubara,kolubara,kolubarski okrug|10:bezirk podunavlje,podunavlje,podunavski okrug|11:bezirk branicevo,branicevo,branicevski okrug|12:bezirk sumadija,sumadija,sumadijski okrug|13:bezirk pomoravlje,pomoravlje,pomoravski okrug|14:bezirk bor,bor,borski okrug|15:bezirk zajecar,zajecar,zajecarski okrug|16:bezirk zlatibor,zlatibor,zlatiborski okrug|17:bezirk moravica,moravica,moravicki okrug|18:bezirk raska,raska,raski okrug|19:bezirk rasina,rasina,rasinski okrug|20:bezirk nisava,nisava,nisavski okrug|21:bezirk toplica,toplica,toplicki okrug|22:bezirk pirot,pirot,pirotski okrug|23:bezirk jablanica,jablanica,jablanicki okrug|24:bezirk pcinja,pcinja,pcinjski okrug|25:bezirk kosovo,kosovski okrug|26:bezirk pec,pec,pecki okrug|27:bezirk prizren,prizren,prizrenski okrug|28:bezirk kosovska mitrovica,kosovo mitrovica,kosovska mitrovica,kosovsko mitrovacki okrug|29:bezirk kosovo pomoravlje,kosovo pomoravlje,kosovsko pomoravski okrug|KM:kosovo,kosovo e metohija,kosovo metohija|VO:voivodine,vojvodina",
+  "RU": "AD:adygeja,adygeja respublika,adygeya,adygeya republiek,republiek adygeya,respublika adygeja|AL:altaj,altaj republiek,altaj respublika,republiek altaj,respublika altaj|ALT:altaj kraj,altajskij kraj,kraj altaj|AMU:amoer,amoer oblast,amurskaja oblast,oblast amoer|ARK:arhangel skaja oblast,arkhangelsk,arkhangelsk oblast,oblast arkhangelsk|AST:astrachan,astrachan oblast,astrahanskaja oblast,oblast astrachan|BA:bachkirie,bashkortostan,bashkortostan respublika,basjkirostan,basjkirostan republiek,repubblica del baskortostan,republiek basjkirostan,republik baschkortostan,respublika bashkortostan|BEL:belgorod,belgorod oblast,belgorodskaja oblast,oblast belgorod|BRY:brjansk,brjansk oblast,brjanskaja oblast,oblast brjansk|BU:boerjatie,boerjatie republiek,burjatija,burjatija respublika,republiek boerjatie,respublika burjatija|CE:chechenskaya respublika,repubblica cecena,republiek tsjetsjenie,republik tschetschenien,tchetchenie,tsjetsjenie,tsjetsjenie republiek|CHE:chelyabinskaya oblast,oblast di celjabinsk,oblast tscheljabinsk,oblast tsjeljabinsk,tcheliabinsk,tsjeljabinsk,tsjeljabinsk oblast|CHU:autonomer kreis tschuktschen,autonoom district tsjoekotka,chukotskiy avtonomnyy okrug,okrug autonomo di chukotka,tchoukotka,tsjoekotka,tsjoekotka autonoom district|CU:chuvashsk,chuvashskaya respublika,republiek tsjoevasjie,republik tschuwaschien,tchouvachie,tsjoevasjie,tsjoevasjie republiek|DA:dagestan,dagestan republiek,dagestan respublika,daghestan,daguestan,republiek dagestan,republik dagestan,respublika dagestan|IN:ingoesjetie,ingoesjetie republiek,ingushetiya,ingushetiya respublika,republiek ingoesjetie,respublika ingushetiya|IRK:irkoetsk,irkoetsk oblast,irkutskaja oblast,oblast irkoetsk|IVA:ivanovo,ivanovo oblast,ivanovskaja oblast,oblast ivanovo|KAM:kamchatskiy kray,kamtchatka,kamtsjatka,kamtsjatka kraj,krai di kamchatka,kraj kamtsjatka,region kamtschatka|KB:kabardie balkarie,kabardie balkarie republiek,kabardino balkarskaja respublika,republiek kabardie balkarie|KC:karacaj circassia,karachayevo cherkesskaya respublika,karatchaievo tcherkessie,karatsjaj tsjerkessie,karatsjaj tsjerkessie republiek,republiek karatsjaj tsjerkessie,republik karatschai tscherkessien|KDA:kraj krasnodar,krasnodar,krasnodar kraj,krasnodarskij kraj|KEM:kemerovo,kemerovo oblast,kemerovskaja oblast,oblast kemerovo|KGD:kaliningrad,kaliningrad oblast,kaliningradskaja oblast,oblast kaliningrad|KGN:koergan,koergan oblast,kurganskaja oblast,oblast koergan|KHA:chabarovsk,chabarovsk kraj,habarovskij kraj,kraj chabarovsk|KHM:autonoom district chanto mansie,chanto mansie,chanto mansie autonoom district,hanty mansijskij avtonomnyj okrug|KIR:kirov,kirov oblast,kirovskaja oblast,oblast kirov|KK:chakassie,chakassie republiek,hakasija,hakasija respublika,republiek chakassie,respublika hakasija|KL:kalmukkie,kalmukkie republiek,kalmykija,kalmykija respublika,republiek kalmukkie,respublika kalmykija|KLU:kaloega,kaloega oblast,kalouga,kaluzhskaya oblast,oblast di kaluga,oblast kaloega,oblast kaluga|KO:komi,komi republiek,komi respublika,komis,repubblica dei komi,republiek komi,republik komi,respublika komi|KOS:kostroma,kostroma oblast,kostromskaja oblast,oblast kostroma|KR:karelie,karelie republiek,karelija,karelija respublika,republiek karelie,respublika karelija|KRS:koersk,koersk oblast,kurskaja oblast,oblast koersk|KYA:kraj krasnojarsk,krasnojarsk,krasnojarsk kraj,krasnojarskij kraj|LEN:leningrad,leningrad oblast,leningradskaja oblast,oblast leningrad|LIP:lipeckaja oblast,lipetsk,lipetsk oblast,oblast lipetsk|MAG:magadan,magadan oblast,magadanskaja oblast,oblast magadan|ME:mari el,mari el republiek,marij el,marij el respublika,republiek mari el,respublika marij el|MO:mordovie,mordovie republiek,mordovija,mordovija respublika,republiek mordovie,respublika mordovija|MOS:moskou,moskou oblast,moskovskaja oblast,oblast moskou|MOW:mosca,moscou,moskau,moskva|MUR:moermansk,moermansk oblast,murmanskaja oblast,oblast moermansk|NEN:autonoom district nenetsie,neneckij avtonomnyj okrug,nenetsie,nenetsie autonoom district|NGR:novgorod,novgorod oblast,novgorodskaja oblast,oblast novgorod|NIZ:nijni novgorod,nizhegorodskaya oblast,nizjni novgorod,nizjni novgorod oblast,oblast di niznij novgorod,oblast nischni nowgorod,oblast nizjni novgorod|NVS:novosibirsk,novosibirsk oblast,novosibirskaja oblast,oblast novosibirsk|OMS:oblast di omsk,oblast omsk,omsk,omsk oblast,omskaja oblast|ORE:oblast di orenburg,oblast orenburg,orenburg,orenburg oblast,orenburgskaja oblast|ORL:oblast orjol,orjol,orjol oblast,orlovskaja oblast|PER:kraj perm,perm,perm kraj,permskij kraj|PNZ:oblast di penza,oblast penza,penza,penza oblast,penzenskaja oblast|PRI:kraj primorje,primorje,primorje kraj,primorskij kraj|PSK:oblast di pskov,oblast pskov,pskov,pskov oblast,pskovskaja oblast|ROS:oblast di rostov,oblast rostov,rostov,rostov oblast,rostovskaja oblast|RYA:oblast di rjazan,oblast rjazan,rjazan,rjazan oblast,rjazanskaja oblast|SA:jakoetie,republiek sacha,respublika saha,sacha,sacha republiek,saha,saha respublika|SAK:oblast di sachalin,oblast sachalin,sachalin,sachalin oblast,sahalinskaja oblast|SAM:oblast di samara,oblast samara,samara,samara oblast,samarskaja oblast|SAR:oblast di saratov,oblast saratov,saratov,saratov oblast,saratovskaja oblast|SE:noord ossetie,noord ossetie alanie,noord ossetie alanie republiek,republiek noord ossetie alanie,respublika severnaja osetija,severnaja osetija,severnaja osetija respublika|SMO:oblast di smolensk,oblast smolensk,smolensk,smolensk oblast,smolenskaja oblast|SPE:saint petersbourg,san pietroburgo,sankt peterburg,sint petersburg|STA:kraj stavropol,stavropol,stavropol kraj,stavropol skij kraj|SVE:oblast di sverdlovsk,oblast sverdlovsk,sverdlovsk,sverdlovsk oblast,sverdlovskaja oblast|TA:repubblica del tatarstan,republiek tatarije,republiek tatarstan,republik tatarstan,respublika tatarstan,tatarije,tatarije republiek,tatarstan,tatarstan republiek,tatarstan respublika|TAM:oblast di tambov,oblast tambov,tambov,tambov oblast,tambovskaja oblast|TOM:oblast di tomsk,oblast tomsk,tomsk,tomsk oblast,tomskaja oblast|TUL:oblast di tula,oblast toela,toela,toela oblast,tul skaja oblast|TVE:oblast di tver,oblast tver,tver,tver oblast,tverskaja oblast|TY:republiek toeva,respublika tyva,toeva,toeva republiek,tyva,tyva respublika|TYU:oblast di tjumen,oblast tjoemen,tjoemen,tjoemen oblast,tjumenskaja oblast|UD:oedmoertie,oedmoertie republiek,republiek oedmoertie,udmurtskaja respublika|ULY:oblast oeljanovsk,oeljanovsk,oeljanovsk oblast,ul janovskaja oblast|VGG:oblast di volgograd,oblast wolgograd,volgogradskaja oblast,wolgograd,wolgograd oblast|VLA:oblast di vladimir,oblast vladimir,vladimir,vladimir oblast,vladimirskaja oblast|VLG:oblast di vologda,oblast vologda,vologda,vologda oblast,vologodskaja oblast|VOR:oblast di voronez,oblast voronezj,oblast woronesch,voronej,voronezhskaya oblast,voronezj,voronezj oblast|YAN:autonoom district jamalie,jamalie,jamalie autonoom district,jamalo neneckij avtonomnyj okrug|YAR:jaroslavl,jaroslavl oblast,jaroslavskaja oblast,oblast di jaroslavl,oblast jaroslavl|YEV:evrejskaja avtonomnaja oblast,joodse autonome oblast|ZAB:krai di zabajkal,kraj zabajkalski,region transbaikalien,transbaikalie,zabajkal skij kraj,zabajkalski,zabajkalski kraj",
+  "RW": "01:city of kigali|02:eastern,est,oost,orientale|03:nord,northern,settentrionale|04:occidentale,ouest,western|05:meridionale,meridionale botswana,southern,sud,zuid",
+  "SA": "01:ar riyad|02:makkah al mukarramah,mekka|03:al madinah al munawwarah|04:ash sharqiyah,sharkia|05:al qasim,qasim|06:ha il|07:tabuk|08:al hudud ash shamaliyah|09:jazan,jizan|10:nadschran,najran|11:al bahah|12:al jawf,dschauf|14:asir",
+  "SB": "CE:central,centrale|CH:choiseul|CT:capital territory,capital territory honiara,hauptstadt,hauptstadt honiara,honiara,honiara hoofdstedelijk gewest,honiara territoire de la capitale,hoofdstedelijk gewest honiara,territorio della capitale,territorio della capitale honiara|GU:guadalcanal|IS:isabel|MK:makira ulawa|ML:malaita|RB:rennell and bellona,rennell bellona,rennell e bellona,rennell et bellona,rennell und bellona|TE:temotu|WE:occidentale,ouest,western",
+  "SC": "01:anse aux pins|02:anse boileau|03:anse etoile|04:au cap|05:anse royale|06:baie lazare|07:baie sainte anne|08:beau vallon|09:bel air|10:bel ombre|11:cascade|12:glacis|13:grand anse mahe|14:grand anse praslin|15:la digue|16:english river,la riviere anglaise|17:mont buxton|18:mont fleuri|19:plaisance|20:pointe la rue,pointe larue|21:port glaud|22:saint louis|23:takamaka|24:les mamelles|25:roche caiman|26:ile perseverance i|27:ile perseverance ii",
+  "SD": "DC:centraal darfoer,central darfur|DE:east darfur,oost darfoer|DN:noord darfoer,north darfur|DS:south darfur,zuid darfoer|DW:west darfoer,west darfur|GD:al qadarif,gedaref|GK:west kordofan|GZ:al jazirah,gezira|KA:kassala|KH:khartoem,khartoum,khartum|KN:noord kordofan,north kordofan|KS:south kordofan,zuid kordofan|NB:blauwe nijl,blue nile|NO:nord,northern,settentrionale|NR:nijl,river nile|NW:white nile,witte nijl|RS:red sea,rode zee|SI:sennar",
+  "SE": "AB:stockholms lan|AC:vasterbottens lan|BD:norrbottens lan|C:uppsala lan|D:sodermanlands lan|E:ostergotlands lan|F:jonkopings lan|G:kronobergs lan|H:kalmar lan|I:gotlands lan|K:blekinge lan|M:skane lan|N:hallands lan|O:vastra gotalands lan|S:varmlands lan|T:orebro lan|U:vastmanlands lan|W:dalarnas lan|X:gavleborgs lan|Y:vasternorrlands lan|Z:jamtlands lan",
+  "SG": "01:central singapore,singapore centrale regio,singapore centro,singapour centre,zentral singapur|02:noord oost,nord est,nordost,north east|03:noord west,nord ouest,nord ovest,nordwest,north west|04:south east,sud est,sudost,zuid oost|05:south west,sud ouest,sud ovest,sudwest,zuid west",
+  "SH": "AC:ascension|HL:saint helena,sainte helene,sant elena,sint helena|TA:tristan da cunha",
+  "SI": "001:aidussina,ajdovscina|002:beltinci|003:bled|004:bohinj|005:borovnica|006:bovec,plezzo|007:brda,collio|008:brezovica|009:brezica,brezice|010:tisina|011:celje|012:cerklje na gorenjskem|013:cerknica,circonico|014:cerkno,circhina|015:crensovci|016:crna na koroskem|017:crnomelj|018:destrnik|019:divaca,divaccia|020:dobrepolje|021:dobrova polhov gradec|022:dol pri ljubljani|023:domzale|024:dornava|025:dravograd|026:duplek|027:gorenja vas poljane|028:gorisnica,gorsnica|029:gornja radgona|030:gornji grad|031:gornji petrovci|032:grosuplje|033:salovci|034:hrastnik|035:erpelle cosina,hrpelje kozina|036:idria,idrija|037:ig|038:ilirska bistrica,villa del nevoso|039:ivancna gorica|040:izola|041:jesenice|042:jursinci|043:kamnik|044:canale d isonzo,kanal|045:kidricevo|046:caporetto,kobarid|047:kobilje|048:kocevje|049:comeno,komen|050:koper|051:kozje|052:kranj|053:kranjska gora|054:krsko|055:kungota|056:kuzma|057:lasko|058:lenart|059:lendava|060:litija|061:ljubljana,lubiana|062:ljubno|063:ljutomer|064:logatec|065:loska dolina|066:loski potok|067:luce|068:lukovica|069:majsperk|070:maribor|071:medvode|072:menges|073:metlika|074:mezica|075:merna castagnevizza,miren kostanjevica|076:mislinja|077:moravce|078:moravske toplice|079:mozirje|080:murska sobota|081:muta|082:naklo|083:nazarje|084:nova gorica|085:novo mesto|086:odranci|087:ormoz|088:osilnica|089:pesnica|090:piran|091:pivka,san pietro del carso|092:podcetrtek|093:podvelka|094:postojna,postumia|095:preddvor|096:ptuj|097:puconci|098:race fram|099:radece|100:radenci|101:radlje ob dravi|102:radovljica|103:ravne na koroskem|104:ribnica|105:rogasovci|106:rogaska slatina|107:rogatec|108:ruse|109:semic|110:sevnica|111:sesana,sezana|112:slovenj gradec|113:slovenska bistrica|114:slovenske konjice|115:starse|116:sveti jurij ob scavnici|117:sencur|118:sentilj|119:sentjernej|120:sentjur|121:skocjan|122:skofja loka|123:skofljica,skoftjica|124:smarje pri jelsah|125:smartno ob paki|126:sostanj|127:store|128:tolmin,tolmino|129:trbovje,trbovlje|130:trebnje|131:trzic|132:turnisce|133:velenje|134:velika lasce,velike lasce|135:videm|136:vipacco,vipava|137:vitanje|138:vodice|139:vojnik|140:vrhnika|141:vuzenica|142:zagorje ob savi|143:zavrc|144:zrece|146:zelezniki|147:ziri|148:benedikt|149:bistrica ob sotli|150:bloke|151:braslovce|152:cankova|153:cerkvenjak|154:dobje|155:dobrna|156:dobrovnik|157:dolenjske toplice|158:grad|159:hajdina|160:hoce slivnica|161:hodos|162:horjul,jorjul|163:jezersko|164:komenda|165:kostel|166:krizevci|167:lovrenc na pohorju|168:markovci|169:miklavz na dravskem polju,miklavz na dravskern polju|170:mirna pec|171:oplotnica|172:podlehnik|173:polzela|174:prebold|175:prevalje|176:razkrizje|177:ribnica na pohorju|178:selnica ob dravi|179:sodrazica|180:solcava|181:sveta ana|182:sveti andraz v slovenskih goricah|183:san pietro vertoiba,sempeter vrtojba|184:tabor|185:trnovska vas|186:trzin|187:velika polana|188:verzej|189:vransko|190:zalec|191:zetale|192:zirovnica|193:zuzemberk|194:smartno pri litiji|195:apace|196:cirkulane|197:kosanjevica na krki|198:makole|199:mokronog trebelno|200:poljcane|201:rence vogrsko|202:sredisce ob dravi|203:straza|204:sveta trojica v slovenskih goricah|205:sveti tomaz|206:smarjeske toplice|207:gorje|208:log dragomer|209:recica ob savinji|210:sveti jurij v slovenskih goricah|211:sentrupert|212:mirna|213:ankaran",
+  "SK": "BC:banska bystrica,banska bystrica regio,banskobystricky kraj,bezirk banska bystrica,regio banska bystrica,regione di banska bystrica|BL:bratislava,bratislava regio,bratislavsky kraj,pressburger bezirk,regio bratislava,regione di bratislava|KI:kaschauer landschaftsverband,kosice,kosice regio,kosicky kraj,regio kosice,regione di kosice|NI:neutraer landschaftsverband,nitra,nitra regio,nitriansky kraj,regio nitra,regione di nitra|PV:eperieser landschaftsverband,presov,presov regio,presovsky kraj,regio presov,regione di presov|TA:regio trnava,regione di trnava,trnava,trnava regio,trnavsky kraj,tyrnauer landschaftsverband|TC:regio trencin,regione di trencin,trenciansky kraj,trencin,trencin regio,trentschiner landschaftsverband|ZI:regio zilina,regione di zilina,silleiner landschaftsverband,zilina,zilina regio,zilinsky kraj",
+  "SL": "E:eastern,est,oost,orientale|N:nord,northern,settentrionale|NW:north western|S:meridionale,meridionale botswana,southern,sud,zuid|W:area occidentale,area occidentale freetown,westelijk gebied,westelijk gebied freetown,western area,western area freetown,zone ouest,zone ouest freetown",
+  "SM": "01:acquaviva|02:chiesanuova|03:domagnano|04:faetano|05:fiorentino|06:borgo maggiore|07:citta di san marino,san marino|08:monte giardino,montegiardino|09:serravalle",
+  "SN": "DB:diourbel|DK:dakar|FK:fatick|KA:kaffrine|KD:kolda|KE:kedougou|KL:kaolack|LG:louga|MT:matam|SE:sedhiou|SL:saint louis|TC:tambacounda|TH:thies|ZG:ziguinchor",
+  "SO": "AW:awdal|BK:bakool|BN:banaadir|BR:bari|BY:bay|GA:galguduud|GE:gedo|HI:hiiraan|JD:jubbada dhexe,midden juba|JH:jubbada hoose,neder juba|MU:mudug|NU:nugaal|SA:sanaag|SD:midden shabelle,shabeellaha dhexe|SH:neder shabelle,shabeellaha hoose|SO:sool|TO:togdheer|WO:woqooyi galbeed",
+  "SR": "BR:brokopondo|CM:commewijne|CR:coronie|MA:marowijne|NI:nickerie|PM:paramaribo|PR:para|SA:saramacca|SI:sipaliwini|WA:wanica",
+  "SS": "BN:bahr el ghazal du nord,northern bahr el ghazal|BW:bahr el gazal occidental,western bahr el ghazal|EC:centraal equatoria,central equatoria,equateur central,equatoria centrale|EE:eastern equatoria,equateur oriental,equatoria orientale,oost equatoria|EW:equateur occidental,equatoria occidentale,west equatoria,western equatoria|JG:dschunqali,jonglei,jonquali|LK:lacs,lakes,meren|NU:haut nil,nilo superiore,opper nijl,upper nile|UY:eenheid,unite,unity|WR:warab,warrap",
+  "ST": "01:agua grande|02:cantagalo|03:caue|04:lemba|05:lobata|06:me zochi|P:principe",
+  "SV": "AH:ahuachapan|CA:cabanas|CH:chalatenango|CU:cuscatlan|LI:la libertad|MO:morazan|PA:la paz|SA:santa ana|SM:san miguel|SO:sonsonate|SS:san salvador|SV:san vicente|UN:la union|US:usulutan",
+  "SY": "DI:damas,damasco,dimaschq,dimashq|DR:dar a,dera|DY:dair az zaur,dayr az zawr,deir ez zor|HA:al hasakah|HI:hims,homs|HL:aleppo,halab|HM:hama,hamah|ID:idlib|LA:al ladhiqiyah,latakia|QU:al qunaytirah,al quneitra,quneitra|RA:ar raqqa,ar raqqah|RD:rif dimashq|SU:as suwayda|TA:tartoes,tartous,tartus",
+  "SZ": "HH:hhohho|LU:lubombo|MA:manzini|SH:shiselweni",
+  "TD": "BA:al batha,batha|BG:bahr el ghazal|BO:borkou|CB:chari baguirmi|EE:ennedi est|EO:ennedi ouest|GR:guera|HL:hadjer lamis|KA:kanem|LC:al buhayrah|LO:logone occidental|LR:logone oriental|MA:mandoul|MC:moyen chari|ME:mayo kebbi est|MO:mayo kebbi ouest|ND:madinat injamina,ndjamena,ville de ndjamena|OD:ouaddai|SA:salamat|SI:sila|TA:tandjile|TI:tibasti,tibesti|WF:wadi fira",
+  "TG": "C:centrale|K:kara|M:maritime,maritime region|P:altopiani,altopiani congo,plateaux|S:savanes",
+  "TH": "10:krung thep maha nakhon|11:samut prakan|12:nonthaburi|13:pathum thani|14:phra nakhon si ayutthaya|15:ang thong|16:lop buri|17:sing buri|18:chai nat|19:saraburi|20:chon buri|21:rayong|22:chanthaburi|23:trat|24:chachoengsao|25:prachin buri|26:nakhon nayok|27:sa kaeo|30:nakhon ratchasima|31:buri ram|32:surin|33:si sa ket|34:ubon ratchathani|35:yasothon|36:chaiyaphum|37:amnat charoen|38:bueng kan|39:nong bua lam phu|40:khon kaen|41:udon thani|42:loei|43:nong khai|44:maha sarakham|45:roi et|46:kalasin|47:sakon nakhon|48:nakhon phanom|49:mukdahan|50:chiang mai|51:lamphun|52:lampang|53:uttaradit|54:phrae|55:nan|56:phayao|57:chiang rai|58:mae hong son|60:nakhon sawan|61:uthai thani|62:kamphaeng phet|63:tak|64:sukhothai|65:phitsanulok|66:phichit|67:phetchabun|70:ratchaburi|71:kanchanaburi|72:suphan buri|73:nakhon pathom|74:samut sakhon|75:samdrup jongkhar,samut songkhram|76:phetchaburi|77:prachuap khiri khan|80:nakhon si thammarat|81:krabi|82:phangnga|83:phuket|84:surat thani|85:ranong|86:chumphon|90:songkhla|91:satun|92:trang|93:phatthalung|94:pattani|95:yala|96:narathiwat|S:pattaya,phatthaya",
+  "TJ": "DU:doesjanbe,dushanbe|GB:gorno badachsjan,kuhistoni badakhshon|KT:chatlon,khatlon|RA:districten onder jurisdictie van de republiek,nohiyahoi tobei jumhuri|SU:sugd,sughd",
+  "TL": "AL:aileu|AN:ainaro|BA:baucau|BO:bobonaro|CO:cova lima|DI:dili|ER:ermera|LA:lautein,lautem|LI:likisa,liquica|MF:manufahi|MT:manatuto|OE:oe cusse ambeno,oekusi ambenu|VI:vikeke,viqueque",
+  "TM": "A:ahal|B:balkan|D:dasoguz|L:lebap|M:mary|S:achgabat,asgabat",
+  "TN": "11:tunis,tunisi|12:l ariana|13:ben arous|14:la manouba,manouba|21:nabeul|22:zaghouan|23:bizerte|31:beja|32:jendouba|33:le kef|34:siliana|41:kairouan|42:kasserine|43:sidi bouzid|51:sousse|52:monastir|53:mahdia|61:sfax|71:gafsa|72:tozeur|73:kebili|81:gabes|82:medenine|83:tataouine",
+  "TO": "01:eua|02:ha apai|03:niuas|04:tongatapu|05:vava u",
+  "TR": "01:adana|02:adiyaman|03:afyonkarahisar|04:agri|05:amasya|06:ankara|07:antalya|08:artvin|09:aydin|10:balikesir|11:bilecik|12:bingol|13:bitlis|14:bolu|15:burdur|16:bursa|17:canakkale|18:cankiri|19:corum|20:denizli|21:diyarbakir|22:edirne|23:elazig|24:erzincan|25:erzurum|26:eskisehir|27:gaziantep|28:giresun|29:gumushane|30:hakkari|31:hatay|32:isparta|33:mersin|34:istanbul|35:izmir|36:kars|37:kastamonu|38:kayseri|39:kirklareli|40:kirsehir|41:kocaeli|42:konya|43:kutahya|44:malatya|45:manisa|46:kahramanmaras|47:mardin|48:mugla|49:mus|50:nevsehir|51:nigde|52:ordu|53:rize|54:sakarya|55:samsun|56:siirt|57:sinop|58:sivas|59:tekirdag|60:tokat|61:trabzon|62:tunceli|63:sanliurfa|64:usak|65:van|66:yozgat|67:zonguldak|68:aksaray|69:bayburt|70:karaman|71:kirikkale|72:batman|73:sirnak|74:bartin|75:ardahan|76:igdir|77:yalova|78:karabuk|79:kilis|80:osmaniye|81:duzce",
+  "TT": "ARI:arima|CHA:chaguanas|CTT:couva tabaquite talparo|DMN:diego martin|MRC:mayaro rio claro,rio claro mayaro|PED:penal debe|POS:port d espagne,port of spain,puerto espana|PRT:princes town|PTF:point fortin|SFO:san fernando|SGE:sangre grande|SIP:siparia|SJL:san juan laventille|TOB:tobago|TUP:tunapuna piarco",
+  "TV": "FUN:funafuti|NIT:niutao|NKF:nukufetau|NKL:nukulaelae|NMA:nanumea|NMG:nanumaga|NUI:nui|VAI:vaitupu",
+  "TW": "CHA:changhua|CYI:chiayi|CYQ:|HSQ:hsinchu|HSZ:|HUA:hualien|ILA:yilan|KEE:keelung|KHH:kaohsiung|KIN:kinmen|LIE:lienchiang|MIA:miaoli|NAN:nantou|NWT:new taipei,nieuw taipei|PEN:penghu|PIF:pingtung|TAO:taoyuan|TNN:tainan|TPE:taipei|TTT:taitung|TXG:taichung|YUN:yunlin",
+  "TZ": "01:arusha|02:dar es salaam|03:dodoma|04:iringa|05:kagera|06:noord pemba,pemba north|07:noord zanzibar,zanzibar north|08:kigoma|09:kilimandjaro,kilimanjaro,kilimanyaro|10:pemba south,zuid pemba|11:zanzibar south,zuid zanzibar centraal en|12:lindi|13:mara|14:mbeya|15:west zanzibar stedelijk en,zanzibar west|16:morogoro|17:mtwara|18:mwanza|19:coast,pwani|20:rukwa|21:ruvuma|22:shinyanga|23:singida|24:tabora|25:tanga|26:manyara|27:geita|28:katavi|29:njombe|30:simiyu|31:songwe",
+  "UA": "05:provincie vinnytsja,vinnytsja,vinnytsja provincie,vinnytska oblast|07:oblast di volinia,provincie wolynie,volynska oblast,wolynie,wolynie provincie|09:loehansk,loehansk provindie,luhanska oblast,provindie loehansk|12:dnipropetrovska oblast,dnjepropetrovsk,dnjepropetrovsk provincie,provincie dnjepropetrovsk|14:donetsk,donetsk provincie,donetska oblast,provincie donetsk|18:provincie zjytomyr,zhytomyrska oblast,zjytomyr,zjytomyr provincie|21:provincie transkarpatie,transkarpatie,transkarpatie provincie,zakarpatska oblast|23:provincie zaporizja,zaporizja,zaporizja provincie,zaporizka oblast|26:ivano frankivsk,ivano frankivsk provincie,ivano frankivska oblast,provincie ivano frankivsk|30:kiev,kiev stad,kyiv|32:kiev provincie,kyivska oblast,provincie kiev|35:kirovohrad,kirovohrad provincie,kirovohradska oblast,provincie kirovohrad|40:municipalite de sebastopol,sebastopol,sevastopol,sevastopoli,sewastopol|43:avtonomna respublika krym|46:lviv,lviv provincie,lvivska oblast,provincie lviv|48:mykolaivska oblast,mykolajiv,mykolajiv provincie,provincie mykolajiv|51:odeska oblast,odessa,odessa provincie,provincie odessa|53:oblast di poltava,poltava,poltava provincie,poltavska oblast,provincie poltava|56:provincie rivne,rivne,rivne provincie,rivnenska oblast|59:provincie soemy,soemy,soemy provincie,sumska oblast|61:provincie ternopil,ternopil,ternopil provincie,ternopilska oblast|63:charkov,charkov provincie,kharkivska oblast,provincie charkov|65:cherson,cherson provincie,khersonska oblast,provincie cherson|68:chmelnytsky,chmelnytsky provincie,khmelnytska oblast,provincie chmelnytsky|71:cherkaska oblast,provincie tsjerkasy,tsjerkasy,tsjerkasy provincie|74:chernihivska oblast,provincie tsjernihiv,tsjernihiv,tsjernihiv provincie|77:chernivetska oblast,provincie tsjernivtsi,tsjernivtsi,tsjernivtsi provincie",
+  "UG": "101:kalangala|102:kampala|103:kiboga|104:luwero|105:masaka|106:mpigi|107:mubende|108:mukono|109:nakasongola|110:rakai|111:sembabule|112:kayunga|113:wakiso|114:lyantonde|115:mityana|116:nakaseke|117:buikwe|118:bukomansibi|119:butambala|120:buvuma|121:gomba|122:kalungu|123:kyankwanzi|124:lwengo|125:kyotera|126:kasanda|201:bugiri|202:busia|203:iganga|204:jinja|205:kamuli|206:kapchorwa|207:katakwi|208:kumi|209:mbale|210:pallisa|211:soroti|212:tororo|213:kaberamaido|214:mayuge|215:sironko|216:amuria|217:budaka|218:bududa|219:bukedea|220:bukwo|221:butaleja|222:kaliro|223:manafwa|224:namutumba|225:bulambuli|226:buyende|227:kibuku|228:kween|229:luuka|230:namayingo|231:ngora|232:serere|233:butebo|234:namisindwa|235:bugweri|236:kapelebyong|237:kalaki|301:adjumani|302:apac|303:arua|304:gulu|305:kitgum|306:kotido|307:lira|308:moroto|309:moyo|310:nebbi|311:nakapiripirit|312:pader|313:yumbe|314:abim|315:amolatar|316:amuru|317:dokolo|318:kaabong|319:koboko|320:maracha|321:oyam|322:agago|323:alebtong|324:amudat|325:kole|326:lamwo|327:napak|328:nwoya|329:otuke|330:zombo|331:omoro|332:pakwach|333:kwania|334:nabilatuk|335:karenga|336:madi okollo|337:obongi|401:bundibugyo|402:bushenyi|403:hoima|404:kabale|405:kabarole|406:kasese|407:kibaale|408:kisoro|409:masindi|410:mbarara|411:ntungamo|412:rukungiri|413:kamwenge|414:kanungu|415:kyenjojo|416:buliisa,bulisa|417:ibanda|418:isingiro|419:kiruhura|420:buhweju|421:kiryandongo|422:kyegegwa|423:mitooma|424:ntoroko|425:rubirizi|426:sheema|427:kagadi|428:kakumiro|429:rubanda|430:bunyangabu|431:rukiga|432:kikuube|433:kazo|434:kitagwenda|435:rwampara|C:central,centrale|E:eastern,est,oost,orientale|N:nord,northern,settentrionale|W:occidentale,ouest,western",
+  "UM": "67:atoll johnston,atollo johnston,johnston atol,johnston atoll|71:iles midway,islas midway,isole midway,midway,midway eilanden,midway islands,midway islas,midwayinseln|76:ile navassa,isola navassa,navassa eiland,navassa insel,navassa island|79:isla wake,isola wake,wake,wake eiland,wake isla,wake island|81:baker eiland,baker insel,baker island,ile baker,isola baker|84:howland eiland,howland insel,howland island,ile howland,isola howland|86:ile jarvis,isola jarvis,jarvis eiland,jarvis insel,jarvis island|89:kingman reef,kingman rif,kingman riff|95:atoll palmyra,atollo palmyra,palmyra atol,palmyra atoll",
+  "US": "AK:alaska|AL:alabama|AR:arkansas|AS:american samoa,amerikaans samoa,amerikanisch samoa,samoa americaines,samoa americane,samoa estadounidense|AZ:arizona|CA:california,californie,kalifornien|CO:colorado|CT:connecticut|DC:district de columbia,district of columbia,district van columbia,distrito de columbia|DE:delaware|FL:florida,floride|GA:georgia,georgie,georgien|GU:guam|HI:hawai,hawaii|IA:iowa|ID:idaho|IL:illinois|IN:indiana|KS:kansas|KY:kentucky|LA:louisiana,louisiane,luisiana|MA:massachusetts|MD:maryland|ME:maine|MI:michigan|MN:minnesota|MO:missouri|MP:iles mariannes du nord,islas marianas del norte,isole marianne settentrionali,noordelijke marianen,nordliche marianen,northern mariana islands|MS:misisipi,mississippi|MT:montana|NC:carolina del nord,carolina del norte,caroline du nord,noord carolina,north carolina|ND:dakota del nord,dakota del norte,dakota du nord,noord dakota,north dakota|NE:nebraska|NH:new hampshire,nuevo hampshire|NJ:new jersey,nueva jersey|NM:new mexico,nouveau mexique,nuevo mexico|NV:nevada|NY:new york,nueva york|OH:ohio|OK:oklahoma|OR:oregon|PA:pennsylvania,pennsylvanie,pensilvania|PR:porto rico,portorico,puerto rico|RI:rhode eiland,rhode island|SC:carolina del sud,carolina del sur,caroline du sud,south carolina,zuid carolina|SD:dakota del sud,dakota del sur,dakota du sud,south dakota,zuid dakota|TN:tennessee|TX:texas|UM:iles mineures eloignees des etats unis,islas ultramarinas menores de estados unidos,isole minori esterne degli stati uniti d america,kleine afgelegen eilanden van de verenigde staten,united states minor outlying islands|UT:utah|VA:virginia,virginie|VI:amerikaanse maagdeneilanden,iles vierges des etats unis,maagdeneilanden,maagdeneilanden amerikaanse,u s virgin islands,virgin islands,virgin islands u s|VT:vermont|WA:washington|WI:wisconsin|WV:virginia occidental,virginia occidentale,west virginia|WY:wyoming",
+  "UY": "AR:artigas|CA:canelones|CL:cerro largo|CO:colonia|DU:durazno|FD:florida,floride|FS:flores|LA:lavalleja|MA:maldonado|MO:montevideo|PA:paysandu|RN:rio negro|RO:rocha|RV:rivera|SA:salto|SJ:san jose|SO:soriano|TA:tacuarembo|TT:treinta y tres",
+  "UZ": "AN:andijan,andijon|BU:boukhara,buchara,bukhara,buxoro|FA:farg ona|JI:jizzakh,jizzax|NG:namangan|NW:navoiy|QA:qashqadaryo|QR:qoraqalpog iston respublikasi|SA:samarcanda,samarcande,samarkand,samarqand|SI:sirdarya,sirdaryo|SU:surxondaryo|TK:tachkent,taskent,toshkent|TO:|XO:xorazm",
+  "VC": "01:charlotte|02:saint andrew|03:saint david|04:saint george|05:saint patrick|06:grenadine,grenadines",
+  "VE": "A:bogota,bogota hoofdstedelijk gewest van,distrito capital,hoofdstedelijk gewest van bogota|B:anzoategui|C:apure|D:aragua|E:barinas|F:bolivar|G:carabobo|H:cojedes|I:falcon|J:guarico|K:lara|L:merida|M:miranda|N:monagas|O:nueva esparta|P:portuguesa|R:sucre|S:tachira|T:trujillo|U:yaracuy|V:zulia|W:dependances federales,dependencias federales,dipendenze federali,federale afhankelijkheden|X:la guaira|Y:delta amacuro|Z:amazonas,amazone",
+  "VN": "01:lai chau|02:lao cai|03:ha giang|04:cao bang|05:son la|06:yen bai|07:tuyen quang|09:lang son|13:quang ninh|14:hoa binh|18:ninh binh|20:thai binh|21:thanh hoa|22:nghe an|23:ha tinh|24:quang binh|25:quang tri|26:thua thien hue|27:quang nam|28:kon tum|29:quang ngai|30:gia lai|31:binh dinh|32:phu yen|33:dak lak|34:khanh hoa|35:lam dong|36:ninh thuan|37:tay ninh|39:dong nai|40:binh thuan|41:long an|43:ba ria vung tau|44:an giang|45:dong thap|46:tien giang|47:kien giang|49:vinh long|50:ben tre|51:tra vinh|52:soc trang|53:bac kan|54:bac giang|55:bac lieu|56:bac ninh|57:binh duong|58:binh phuoc|59:ca mau|61:hai duong|63:ha nam|66:hung yen|67:nam dinh|68:phu tho|69:thai nguyen|70:vinh phuc|71:dien bien|72:dak nong|73:hau giang|CT:can tho|DN:da nang,da nang stad|HN:ha noi,hanoi|HP:hai phong|SG:ho chi minh,ho chi minhstad",
+  "VU": "MAP:malampa|PAM:penama|SAM:sanma|SEE:shefa|TAE:tafea|TOB:torba",
+  "WF": "AL:alo|SG:sigave|UV:uvea",
+  "WS": "AA:a ana|AL:aiga i le tai|AT:atua|FA:fa asaleleaga|GE:gaga emauga|GI:gagaifomauga|PA:palauli|SA:satupa itea|TU:tuamasaga|VF:va a o fonoti|VS:vaisigano",
+  "YE": "AB:abyan|AD:adan|AM:amran|BA:al bayda|DA:ad dali|DH:dhamar|HD:hadramaut,hadramawt|HJ:haddscha,hajjah|HU:al hudaida,al hudayda,al hudaydah|IB:ibb|JA:al jawf,dschauf|LA:lahidsch,lahij|MA:ma rib|MR:al mahra,al mahrah|MW:al mahwit|RA:raima,raymah|SA:amanat al asimah,amanat al asimah stad sanaa,city|SD:sa dah|SH:schabwa,shabwa,shabwah|SN:san a,sanaa|SU:arkhabil suqutra,socotra|TA:ta izz",
+  "ZA": "EC:cap oriental,capo orientale,eastern cape,oost kaap,ostkap|FS:etat libre,free state,freistaat,oranje vrystaat|GP:gauteng|KZN:kwazulu natal|LP:limpopo|MP:mpumalanga|NC:cap du nord,capo settentrionale,noord kaap,nordkap,northern cape|NW:noord west,nord ouest,nordoccidentale,nordoccidentale botswana,nordwest,north west|WC:cap occidental,west kaap,western cape,westkap",
+  "ZM": "01:occidentale,ouest,western|02:central,centrale|03:eastern,est,oost,orientale|04:luapula|05:nord,northern,settentrionale|06:noord west,nord occidentale,nordwestprovinz,north ouest,north western|07:meridionale,meridionale botswana,southern,sud,zuid|08:copperbelt,kopergordel|09:lusaka|10:muchinga",
+  "ZW": "BU:bulawayo|HA:harare|MA:manicaland|MC:mashonaland centraal,mashonaland central,mashonaland centrale|ME:mashonaland east,mashonaland est,mashonaland oost,mashonaland oriental|MI:midlands|MN:matabeleland noord,matabeleland nord,matabeleland north,matabeleland septentrional|MS:matabeleland meridional,matabeleland south,matabeleland sud,matabeleland zuid|MV:masvingo|MW:mashonaland occidental,mashonaland ovest,mashonaland west",
+};
+// @generated-end iso-3166-2
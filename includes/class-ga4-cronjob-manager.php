@@ -466,7 +466,8 @@ class GA4_Cronjob_Manager
         // Prepare headers with Worker API key authentication
         $headers = array(
             'Content-Type' => 'application/json',
-            'User-Agent' => 'GA4-Server-Side-Tagging-Batch/2.0.0'
+            'User-Agent' => 'GA4-Server-Side-Tagging-Batch/2.0.0',
+            'X-GA4-Proxied' => 'true' // Informational; the worker only keeps the relayed location for requests with the Worker API key
         );
 
         // Add Worker API key authentication header
@@ -504,6 +505,7 @@ class GA4_Cronjob_Manager
         $response_body = wp_remote_retrieve_body($response);
 
         if ($response_code >= 200 && $response_code < 300) {
+            $this->record_worker_validation_messages($response_body, $events);
             return true;
         } else {
             if ($this->logger) {
@@ -513,6 +515,47 @@ class GA4_Cronjob_Manager
         }
     }
 
+    /**
+     * Log GA4 validation messages returned by the Cloudflare Worker
+     * The Worker includes validation_messages when its validation mode is enabled.
+     *
+     * @since    3.0.0
+     * @param    string    $response_body    The raw Worker response body.
+     * @param    array     $events           The original event objects from database.
+     */
+    private function record_worker_validation_messages($response_body, $events = null)
+    {
+        $response_data = json_decode($response_body, true);
+        if (!is_array($response_data) || empty($response_data['validation_messages'])) {
+            return;
+        }
+
+        if ($this->logger) {
+            foreach ($response_data['validation_messages'] as $validation) {
+                // Batch responses group messages per event, single responses return a flat list
+                $event_name = isset($validation['event']) ? $validation['event'] : 'event';
+                $messages = isset($validation['messages']) ? $validation['messages'] : array($validation);
+
+                foreach ($messages as $message) {
+                    $this->logger->warning(sprintf(
+                        'GA4 validation (%s): %s [%s] %s',
+                        $event_name,
+                        isset($message['validation_code']) ? $message['validation_code'] : 'UNKNOWN',
+                        isset($message['field_path']) ? $message['field_path'] : '',
+                        isset($message['description']) ? $message['description'] : ''
+                    ));
+                }
+            }
+        }
+
+        if ($events) {
+            $event_ids = array_map(function ($event) {
+                return $event->id;
+            }, $events);
+            $this->event_logger->update_event_cloudflare_response($event_ids, $response_body);
+        }
+    }
+
     /**
      * Send events individually to Google Analytics (bypass Cloudflare)
      *
@@ -899,7 +942,8 @@ class GA4_Cronjob_Manager
                     // Prepare headers with Worker API key authentication
                     $headers = array(
                         'Content-Type' => 'application/json',
-                        'User-Agent' => 'GA4-Server-Side-Tagging-Direct/3.0.0'
+                        'User-Agent' => 'GA4-Server-Side-Tagging-Direct/3.0.0',
+                        'X-GA4-Proxied' => 'true' // Informational; the worker only keeps the relayed location for requests with the Worker API key
                     );
                     
                     // Add Worker API key authentication header
@@ -17,6 +17,17 @@ if (!defined('WPINC')) {
 
 class GA4_Encryption_Util
 {
+    /**
+     * Options holding the JWT keyring: current signing key, staged next key and previous key
+     *
+     * @since    3.0.0
+     */
+    const KEYRING_OPTIONS = array(
+        'ga4_jwt_encryption_key',
+        'ga4_jwt_encryption_key_next',
+        'ga4_jwt_encryption_key_previous'
+    );
+
     /**
      * Create JWT token with encrypted payload
      *
@@ -93,7 +104,8 @@ class GA4_Encryption_Util
         $header = array(
             'typ' => 'JWT',
             'alg' => 'HS256',
-            'enc' => 'A256GCM' // Indicate AES-256-GCM encryption
+            'enc' => 'A256GCM', // Indicate AES-256-GCM encryption
+            'kid' => self::get_key_id(bin2hex($key)) // Lets the receiver pick the key from its keyring
         );
         
         // Encrypt the payload data using AES-GCM
@@ -105,7 +117,8 @@ class GA4_Encryption_Util
             'iv' => self::base64url_encode($encryption_result['iv']),
             'tag' => self::base64url_encode($encryption_result['tag']),
             'iat' => time(),
-            'exp' => time() + 300 // 5 minutes expiry
+            'exp' => time() + 300, // 5 minutes expiry
+            'jti' => bin2hex(random_bytes(16)) // Unique id so the worker can reject replayed tokens
         );
         
         // Base64URL encode header and payload
@@ -149,6 +162,9 @@ class GA4_Encryption_Util
         
         list($header_encoded, $payload_encoded, $signature_encoded) = $parts;
         
+        // Use the keyring entry the token was signed with (tokens from before a rotation)
+        $key = self::resolve_signing_key($header_encoded, $key);
+        
         // Verify signature first
         $expected_signature = hash_hmac('sha256', $header_encoded . '.' . $payload_encoded, $key, true);
         $provided_signature = self::base64url_decode($signature_encoded);
@@ -610,6 +626,109 @@ class GA4_Encryption_Util
         }
     }
 
+    /**
+     * Get the key id (kid) for an encryption key
+     * The first 16 hex characters of the SHA-256 digest of the raw key bytes,
+     * computed the same way by the Cloudflare Worker
+     *
+     * @since    3.0.0
+     * @param string $key_hex Encryption key (64 hex characters)
+     * @return string Key id
+     */
+    public static function get_key_id($key_hex)
+    {
+        return substr(hash('sha256', hex2bin($key_hex)), 0, 16);
+    }
+
+    /**
+     * Get all configured JWT encryption keys indexed by key id
+     * Contains the current signing key plus the staged (next) and previous keys during a rotation
+     *
+     * @since    3.0.0
+     * @return array Map of key id => key hex
+     */
+    public static function get_keyring()
+    {
+        $keyring = array();
+        foreach (self::KEYRING_OPTIONS as $option_name) {
+            $key_hex = self::retrieve_encrypted_key($option_name);
+            if ($key_hex && self::validate_encryption_key($key_hex)) {
+                $keyring[self::get_key_id($key_hex)] = $key_hex;
+            }
+        }
+        return $keyring;
+    }
+
+    /**
+     * Resolve the binary key a JWT was signed with from its kid header
+     * Falls back to the given key for tokens without a kid or with an unknown kid
+     *
+     * @since    3.0.0
+     * @param string $header_encoded Base64URL encoded JWT header
+     * @param string $key Binary key supplied by the caller
+     * @return string Binary key
+     */
+    private static function resolve_signing_key($header_encoded, $key)
+    {
+        $header = json_decode(self::base64url_decode($header_encoded), true);
+        if (!is_array($header) || empty($header['kid']) || $header['kid'] === self::get_key_id(bin2hex($key))) {
+            return $key;
+        }
+
+        $keyring = self::get_keyring();
+        return isset($keyring[$header['kid']]) ? hex2bin($keyring[$header['kid']]) : $key;
+    }
+
+    /**
+     * Stage a new JWT encryption key for rotation
+     * The staged key is accepted by the worker once added to its keyring, but not yet used for signing
+     *
+     * @since    3.0.0
+     * @param string $key_hex New encryption key (64 hex characters)
+     * @return bool True on success
+     */
+    public static function stage_encryption_key($key_hex)
+    {
+        if (!self::validate_encryption_key($key_hex)) {
+            throw new \Exception('Invalid encryption key format. Must be 64 hex characters.');
+        }
+        return self::store_encrypted_key($key_hex, 'ga4_jwt_encryption_key_next');
+    }
+
+    /**
+     * Switch signing to the staged key
+     * The current key becomes the previous key so tokens and stored data signed with it still verify
+     *
+     * @since    3.0.0
+     * @return bool True on success
+     */
+    public static function activate_staged_encryption_key()
+    {
+        $next_key = self::retrieve_encrypted_key('ga4_jwt_encryption_key_next');
+        if (!$next_key || !self::validate_encryption_key($next_key)) {
+            throw new \Exception('No staged encryption key to activate.');
+        }
+
+        $current_key = self::retrieve_encrypted_key('ga4_jwt_encryption_key');
+        if ($current_key && self::validate_encryption_key($current_key)) {
+            self::store_encrypted_key($current_key, 'ga4_jwt_encryption_key_previous');
+        }
+
+        self::store_encrypted_key($next_key, 'ga4_jwt_encryption_key');
+        return update_option('ga4_jwt_encryption_key_next', '');
+    }
+
+    /**
+     * Retire the previous key once nothing signed with it is in flight anymore
+     *
+     * @since    3.0.0
+     * @return bool True on success
+     */
+    public static function retire_previous_encryption_key()
+    {
+        return update_option('ga4_jwt_encryption_key_previous', '');
+    }
+
 
 
 
@@ -636,6 +755,7 @@ class GA4_Encryption_Util
             'typ' => 'JWT',
             'alg' => 'HS256',
             'enc' => 'A256GCM',
+            'kid' => self::get_key_id($permanent_key_hex),
             'permanent' => true // Mark as permanent encryption
         );
         
@@ -647,8 +767,9 @@ class GA4_Encryption_Util
             'enc_data' => self::base64url_encode($encryption_result['encrypted']),
             'iv' => self::base64url_encode($encryption_result['iv']),
             'tag' => self::base64url_encode($encryption_result['tag']),
-            'iat' => time()
-            // No 'exp' field - permanent tokens don't expire
+            'iat' => time(),
+            'jti' => bin2hex(random_bytes(16)) // Unique id so the worker can reject replayed tokens
+            // No 'exp' field - permanent tokens don't expire (the worker limits their age by iat)
         );
         
         // Base64URL encode header and payload
@@ -700,6 +821,9 @@ class GA4_Encryption_Util
             
             list($header_encoded, $payload_encoded, $signature_encoded) = $parts;
             
+            // Stored data may have been encrypted with a key that has since been rotated
+            $binary_key = self::resolve_signing_key($header_encoded, $binary_key);
+            
             // Verify signature first
             $expected_signature = hash_hmac('sha256', $header_encoded . '.' . $payload_encoded, $binary_key, true);
             $provided_signature = self::base64url_decode($signature_encoded);
@@ -1643,6 +1643,28 @@ class GA4_Event_Logger
         );
     }
 
+    /**
+     * Store the Cloudflare Worker response for events (unified table approach)
+     *
+     * @since    3.0.0
+     * @param    array     $event_ids    Array of event IDs to update.
+     * @param    string    $response     The raw Worker response body.
+     */
+    public function update_event_cloudflare_response($event_ids, $response)
+    {
+        global $wpdb;
+
+        foreach ($event_ids as $event_id) {
+            $wpdb->update(
+                $this->table_name,
+                array('cloudflare_response' => sanitize_textarea_field($response)),
+                array('id' => $event_id),
+                array('%s'),
+                array('%d')
+            );
+        }
+    }
+
     /**
      * Get events for cronjob table display (unified table approach)
      *
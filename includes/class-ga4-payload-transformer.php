@@ -673,7 +673,9 @@ class GA4_Payload_Transformer
             'browser_name', 'browser_version', 'screen_resolution', 'screen_width', 'screen_height',
             'os_name', 'os_version', 'device_model', 'device_brand',
             'mobile_model_name', 'mobile_brand_name',
-            'viewport_width', 'viewport_height', 'language', 'accept_language',
+            'viewport_width', 'viewport_height', 'language', 'accept_language', 'client_hints',
+            // Ad platform ids (only the worker's Meta destination uses them)
+            'event_id', 'fbp', 'fbc',
             // User identification (moved to top level)
             'user_id'
             // NOTE: session_id is intentionally NOT removed - it should remain in event params
@@ -1973,7 +1973,8 @@ class GA4_Server_Side_Tagging_Endpoint
             }
 
             $headers = array(
-                'Content-Type' => 'application/json'
+                'Content-Type' => 'application/json',
+                'X-GA4-Proxied' => 'true' // Informational; the worker only keeps the relayed location for requests with the Worker API key
             );
 
             // Add Worker API key authentication header
@@ -2045,7 +2046,8 @@ class GA4_Server_Side_Tagging_Endpoint
             }
 
             $headers = array(
-                'Content-Type' => 'application/json'
+                'Content-Type' => 'application/json',
+                'X-GA4-Proxied' => 'true' // Informational; the worker only keeps the relayed location for requests with the Worker API key
             );
 
             // Add Worker API key authentication header
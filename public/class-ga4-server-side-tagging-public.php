@@ -188,11 +188,20 @@ class GA4_Server_Side_Tagging_Public
         // Add cache-busting for development/debug mode to ensure fresh script loading for all JS files
         $script_version = get_option('ga4_server_side_tagging_debug_mode', false) ? time() : GA4_SERVER_SIDE_TAGGING_VERSION;
 
-        // 1. First enqueue the utilities library (dependency for other scripts)
+        // 1. First enqueue the utilities library (dependency for other scripts),
+        // with the generated country/timezone tables it uses
+        wp_enqueue_script(
+            'ga4-geo-data',
+            GA4_SERVER_SIDE_TAGGING_PLUGIN_URL . 'public/js/ga4-geo-data.js',
+            array(),
+            $script_version,
+            false
+        );
+
         wp_enqueue_script(
             'ga4-utilities',
             GA4_SERVER_SIDE_TAGGING_PLUGIN_URL . 'public/js/ga4-utilities.js',
-            array('jquery'),
+            array('jquery', 'ga4-geo-data'),
             $script_version,
             false
         );
@@ -242,8 +251,13 @@ class GA4_Server_Side_Tagging_Public
             // Direct method - no encryption, includes cloudflare URL
             $script_data['encryptionEnabled'] = false;
             $script_data['cloudflareWorkerUrl'] = get_option('ga4_cloudflare_worker_url', '');
+            // Key for signing sendBeacon/simple requests to the worker (they cannot carry auth headers)
+            $script_data['requestSigningKey'] = \GA4ServerSideTagging\Utilities\GA4_Encryption_Util::retrieve_encrypted_key('ga4_request_signing_key') ?: '';
         }
 
+        // Edge geolocation needs requests that come straight from the browser to the worker
+        $edge_geolocation = $transmission_method === 'direct_to_cf' && (bool) get_option('ga4_edge_geolocation', false);
+
         // Continue with other settings
         $script_data = array_merge($script_data, array(
             // GDPR Consent settings (enhanced)
@@ -255,6 +269,7 @@ class GA4_Server_Side_Tagging_Public
                 'timeoutAction' => get_option('ga4_consent_timeout_action', 'deny'),
                 'consentModeEnabled' => true,
                 'disableAllIP' => (bool) get_option('ga4_disable_all_ip', false),
+                'edgeGeolocation' => $edge_geolocation,
                 'storageExpirationHours' => (int) get_option('ga4_storage_expiration_hours', 24)
             ),
 
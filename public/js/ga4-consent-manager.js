@@ -1514,6 +1514,9 @@
         if (anonymizedParams.user_agent) {
           anonymizedParams.user_agent = this.anonymizeUserAgent(anonymizedParams.user_agent);
         }
+        if (anonymizedParams.client_hints) {
+          anonymizedParams.client_hints = GA4Utils.device.anonymizeClientHints(anonymizedParams.client_hints);
+        }
         
         // Remove precise location data
         delete anonymizedParams.geo_latitude;
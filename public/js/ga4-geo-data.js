@@ -0,0 +1,778 @@
+/**
+ * GA4 Server-Side Tagging Geo Data
+ * ISO 3166-1 countries with UN M49 continent/subcontinent codes and IANA timezone to country mapping.
+ * The Cloudflare Worker embeds the same tables, so browser and worker resolve locations identically.
+ *
+ * Generated by scripts/generate-geo-data.mjs - do not edit the tables by hand.
+ *
+ * @since 2.3.6
+ */
+
+(function (window) {
+  "use strict";
+
+  // Country code -> [alpha-3, English name, M49 continent, M49 subcontinent]
+  // @generated-start countries
+  var GEO_COUNTRIES = {
+    "AD": ["AND","Andorra","150","039"],
+    "AE": ["ARE","United Arab Emirates","142","145"],
+    "AF": ["AFG","Afghanistan","142","034"],
+    "AG": ["ATG","Antigua and Barbuda","019","029"],
+    "AI": ["AIA","Anguilla","019","029"],
+    "AL": ["ALB","Albania","150","039"],
+    "AM": ["ARM","Armenia","142","145"],
+    "AO": ["AGO","Angola","002","017"],
+    "AQ": ["ATA","Antarctica","",""],
+    "AR": ["ARG","Argentina","019","005"],
+    "AS": ["ASM","American Samoa","009","061"],
+    "AT": ["AUT","Austria","150","155"],
+    "AU": ["AUS","Australia","009","053"],
+    "AW": ["ABW","Aruba","019","029"],
+    "AX": ["ALA","Åland Islands","150","154"],
+    "AZ": ["AZE","Azerbaijan","142","145"],
+    "BA": ["BIH","Bosnia and Herzegovina","150","039"],
+    "BB": ["BRB","Barbados","019","029"],
+    "BD": ["BGD","Bangladesh","142","034"],
+    "BE": ["BEL","Belgium","150","155"],
+    "BF": ["BFA","Burkina Faso","002","011"],
+    "BG": ["BGR","Bulgaria","150","151"],
+    "BH": ["BHR","Bahrain","142","145"],
+    "BI": ["BDI","Burundi","002","014"],
+    "BJ": ["BEN","Benin","002","011"],
+    "BL": ["BLM","Saint Barthélemy","019","029"],
+    "BM": ["BMU","Bermuda","019","021"],
+    "BN": ["BRN","Brunei Darussalam","142","035"],
+    "BO": ["BOL","Bolivia","019","005"],
+    "BQ": ["BES","Bonaire, Sint Eustatius and Saba","019","029"],
+    "BR": ["BRA","Brazil","019","005"],
+    "BS": ["BHS","Bahamas","019","029"],
+    "BT": ["BTN","Bhutan","142","034"],
+    "BV": ["BVT","Bouvet Island","019","005"],
+    "BW": ["BWA","Botswana","002","018"],
+    "BY": ["BLR","Belarus","150","151"],
+    "BZ": ["BLZ","Belize","019","013"],
+    "CA": ["CAN","Canada","019","021"],
+    "CC": ["CCK","Cocos (Keeling) Islands","009","053"],
+    "CD": ["COD","Congo, The Democratic Republic of the","002","017"],
+    "CF": ["CAF","Central African Republic","002","017"],
+    "CG": ["COG","Congo","002","017"],
+    "CH": ["CHE","Switzerland","150","155"],
+    "CI": ["CIV","Côte d'Ivoire","002","011"],
+    "CK": ["COK","Cook Islands","009","061"],
+    "CL": ["CHL","Chile","019","005"],
+    "CM": ["CMR","Cameroon","002","017"],
+    "CN": ["CHN","China","142","030"],
+    "CO": ["COL","Colombia","019","005"],
+    "CR": ["CRI","Costa Rica","019","013"],
+    "CU": ["CUB","Cuba","019","029"],
+    "CV": ["CPV","Cabo Verde","002","011"],
+    "CW": ["CUW","Curaçao","019","029"],
+    "CX": ["CXR","Christmas Island","009","053"],
+    "CY": ["CYP","Cyprus","142","145"],
+    "CZ": ["CZE","Czechia","150","151"],
+    "DE": ["DEU","Germany","150","155"],
+    "DJ": ["DJI","Djibouti","002","014"],
+    "DK": ["DNK","Denmark","150","154"],
+    "DM": ["DMA","Dominica","019","029"],
+    "DO": ["DOM","Dominican Republic","019","029"],
+    "DZ": ["DZA","Algeria","002","015"],
+    "EC": ["ECU","Ecuador","019","005"],
+    "EE": ["EST","Estonia","150","154"],
+    "EG": ["EGY","Egypt","002","015"],
+    "EH": ["ESH","Western Sahara","002","015"],
+    "ER": ["ERI","Eritrea","002","014"],
+    "ES": ["ESP","Spain","150","039"],
+    "ET": ["ETH","Ethiopia","002","014"],
+    "FI": ["FIN","Finland","150","154"],
+    "FJ": ["FJI","Fiji","009","054"],
+    "FK": ["FLK","Falkland Islands (Malvinas)","019","005"],
+    "FM": ["FSM","Micronesia, Federated States of","009","057"],
+    "FO": ["FRO","Faroe Islands","150","154"],
+    "FR": ["FRA","France","150","155"],
+    "GA": ["GAB","Gabon","002","017"],
+    "GB": ["GBR","United Kingdom","150","154"],
+    "GD": ["GRD","Grenada","019","029"],
+    "GE": ["GEO","Georgia","142","145"],
+    "GF": ["GUF","French Guiana","019","005"],
+    "GG": ["GGY","Guernsey","150","154"],
+    "GH": ["GHA","Ghana","002","011"],
+    "GI": ["GIB","Gibraltar","150","039"],
+    "GL": ["GRL","Greenland","019","021"],
+    "GM": ["GMB","Gambia","002","011"],
+    "GN": ["GIN","Guinea","002","011"],
+    "GP": ["GLP","Guadeloupe","019","029"],
+    "GQ": ["GNQ","Equatorial Guinea","002","017"],
+    "GR": ["GRC","Greece","150","039"],
+    "GS": ["SGS","South Georgia and the South Sandwich Islands","019","005"],
+    "GT": ["GTM","Guatemala","019","013"],
+    "GU": ["GUM","Guam","009","057"],
+    "GW": ["GNB","Guinea-Bissau","002","011"],
+    "GY": ["GUY","Guyana","019","005"],
+    "HK": ["HKG","Hong Kong","142","030"],
+    "HM": ["HMD","Heard Island and McDonald Islands","009","053"],
+    "HN": ["HND","Honduras","019","013"],
+    "HR": ["HRV","Croatia","150","039"],
+    "HT": ["HTI","Haiti","019","029"],
+    "HU": ["HUN","Hungary","150","151"],
+    "ID": ["IDN","Indonesia","142","035"],
+    "IE": ["IRL","Ireland","150","154"],
+    "IL": ["ISR","Israel","142","145"],
+    "IM": ["IMN","Isle of Man","150","154"],
+    "IN": ["IND","India","142","034"],
+    "IO": ["IOT","British Indian Ocean Territory","002","014"],
+    "IQ": ["IRQ","Iraq","142","145"],
+    "IR": ["IRN","Iran","142","034"],
+    "IS": ["ISL","Iceland","150","154"],
+    "IT": ["ITA","Italy","150","039"],
+    "JE": ["JEY","Jersey","150","154"],
+    "JM": ["JAM","Jamaica","019","029"],
+    "JO": ["JOR","Jordan","142","145"],
+    "JP": ["JPN","Japan","142","030"],
+    "KE": ["KEN","Kenya","002","014"],
+    "KG": ["KGZ","Kyrgyzstan","142","143"],
+    "KH": ["KHM","Cambodia","142","035"],
+    "KI": ["KIR","Kiribati","009","057"],
+    "KM": ["COM","Comoros","002","014"],
+    "KN": ["KNA","Saint Kitts and Nevis","019","029"],
+    "KP": ["PRK","North Korea","142","030"],
+    "KR": ["KOR","South Korea","142","030"],
+    "KW": ["KWT","Kuwait","142","145"],
+    "KY": ["CYM","Cayman Islands","019","029"],
+    "KZ": ["KAZ","Kazakhstan","142","143"],
+    "LA": ["LAO","Laos","142","035"],
+    "LB": ["LBN","Lebanon","142","145"],
+    "LC": ["LCA","Saint Lucia","019","029"],
+    "LI": ["LIE","Liechtenstein","150","155"],
+    "LK": ["LKA","Sri Lanka","142","034"],
+    "LR": ["LBR","Liberia","002","011"],
+    "LS": ["LSO","Lesotho","002","018"],
+    "LT": ["LTU","Lithuania","150","154"],
+    "LU": ["LUX","Luxembourg","150","155"],
+    "LV": ["LVA","Latvia","150","154"],
+    "LY": ["LBY","Libya","002","015"],
+    "MA": ["MAR","Morocco","002","015"],
+    "MC": ["MCO","Monaco","150","155"],
+    "MD": ["MDA","Moldova","150","151"],
+    "ME": ["MNE","Montenegro","150","039"],
+    "MF": ["MAF","Saint Martin (French part)","019","029"],
+    "MG": ["MDG","Madagascar","002","014"],
+    "MH": ["MHL","Marshall Islands","009","057"],
+    "MK": ["MKD","North Macedonia","150","039"],
+    "ML": ["MLI","Mali","002","011"],
+    "MM": ["MMR","Myanmar","142","035"],
+    "MN": ["MNG","Mongolia","142","030"],
+    "MO": ["MAC","Macao","142","030"],
+    "MP": ["MNP","Northern Mariana Islands","009","057"],
+    "MQ": ["MTQ","Martinique","019","029"],
+    "MR": ["MRT","Mauritania","002","011"],
+    "MS": ["MSR","Montserrat","019","029"],
+    "MT": ["MLT","Malta","150","039"],
+    "MU": ["MUS","Mauritius","002","014"],
+    "MV": ["MDV","Maldives","142","034"],
+    "MW": ["MWI","Malawi","002","014"],
+    "MX": ["MEX","Mexico","019","013"],
+    "MY": ["MYS","Malaysia","142","035"],
+    "MZ": ["MOZ","Mozambique","002","014"],
+    "NA": ["NAM","Namibia","002","018"],
+    "NC": ["NCL","New Caledonia","009","054"],
+    "NE": ["NER","Niger","002","011"],
+    "NF": ["NFK","Norfolk Island","009","053"],
+    "NG": ["NGA","Nigeria","002","011"],
+    "NI": ["NIC","Nicaragua","019","013"],
+    "NL": ["NLD","Netherlands","150","155"],
+    "NO": ["NOR","Norway","150","154"],
+    "NP": ["NPL","Nepal","142","034"],
+    "NR": ["NRU","Nauru","009","057"],
+    "NU": ["NIU","Niue","009","061"],
+    "NZ": ["NZL","New Zealand","009","053"],
+    "OM": ["OMN","Oman","142","145"],
+    "PA": ["PAN","Panama","019","013"],
+    "PE": ["PER","Peru","019","005"],
+    "PF": ["PYF","French Polynesia","009","061"],
+    "PG": ["PNG","Papua New Guinea","009","054"],
+    "PH": ["PHL","Philippines","142","035"],
+    "PK": ["PAK","Pakistan","142","034"],
+    "PL": ["POL","Poland","150","151"],
+    "PM": ["SPM","Saint Pierre and Miquelon","019","021"],
+    "PN": ["PCN","Pitcairn","009","061"],
+    "PR": ["PRI","Puerto Rico","019","029"],
+    "PS": ["PSE","Palestine, State of","142","145"],
+    "PT": ["PRT","Portugal","150","039"],
+    "PW": ["PLW","Palau","009","057"],
+    "PY": ["PRY","Paraguay","019","005"],
+    "QA": ["QAT","Qatar","142","145"],
+    "RE": ["REU","Réunion","002","014"],
+    "RO": ["ROU","Romania","150","151"],
+    "RS": ["SRB","Serbia","150","039"],
+    "RU": ["RUS","Russian Federation","150","151"],
+    "RW": ["RWA","Rwanda","002","014"],
+    "SA": ["SAU","Saudi Arabia","142","145"],
+    "SB": ["SLB","Solomon Islands","009","054"],
+    "SC": ["SYC","Seychelles","002","014"],
+    "SD": ["SDN","Sudan","002","015"],
+    "SE": ["SWE","Sweden","150","154"],
+    "SG": ["SGP","Singapore","142","035"],
+    "SH": ["SHN","Saint Helena, Ascension and Tristan da Cunha","002","011"],
+    "SI": ["SVN","Slovenia","150","039"],
+    "SJ": ["SJM","Svalbard and Jan Mayen","150","154"],
+    "SK": ["SVK","Slovakia","150","151"],
+    "SL": ["SLE","Sierra Leone","002","011"],
+    "SM": ["SMR","San Marino","150","039"],
+    "SN": ["SEN","Senegal","002","011"],
+    "SO": ["SOM","Somalia","002","014"],
+    "SR": ["SUR","Suriname","019","005"],
+    "SS": ["SSD","South Sudan","002","014"],
+    "ST": ["STP","Sao Tome and Principe","002","017"],
+    "SV": ["SLV","El Salvador","019","013"],
+    "SX": ["SXM","Sint Maarten (Dutch part)","019","029"],
+    "SY": ["SYR","Syria","142","145"],
+    "SZ": ["SWZ","Eswatini","002","018"],
+    "TC": ["TCA","Turks and Caicos Islands","019","029"],
+    "TD": ["TCD","Chad","002","017"],
+    "TF": ["ATF","French Southern Territories","002","014"],
+    "TG": ["TGO","Togo","002","011"],
+    "TH": ["THA","Thailand","142","035"],
+    "TJ": ["TJK","Tajikistan","142","143"],
+    "TK": ["TKL","Tokelau","009","061"],
+    "TL": ["TLS","Timor-Leste","142","035"],
+    "TM": ["TKM","Turkmenistan","142","143"],
+    "TN": ["TUN","Tunisia","002","015"],
+    "TO": ["TON","Tonga","009","061"],
+    "TR": ["TUR","Türkiye","142","145"],
+    "TT": ["TTO","Trinidad and Tobago","019","029"],
+    "TV": ["TUV","Tuvalu","009","061"],
+    "TW": ["TWN","Taiwan","142","030"],
+    "TZ": ["TZA","Tanzania","002","014"],
+    "UA": ["UKR","Ukraine","150","151"],
+    "UG": ["UGA","Uganda","002","014"],
+    "UM": ["UMI","United States Minor Outlying Islands","009","057"],
+    "US": ["USA","United States","019","021"],
+    "UY": ["URY","Uruguay","019","005"],
+    "UZ": ["UZB","Uzbekistan","142","143"],
+    "VA": ["VAT","Holy See (Vatican City State)","150","039"],
+    "VC": ["VCT","Saint Vincent and the Grenadines","019","029"],
+    "VE": ["VEN","Venezuela","019","005"],
+    "VG": ["VGB","Virgin Islands, British","019","029"],
+    "VI": ["VIR","Virgin Islands, U.S.","019","029"],
+    "VN": ["VNM","Vietnam","142","035"],
+    "VU": ["VUT","Vanuatu","009","054"],
+    "WF": ["WLF","Wallis and Futuna","009","061"],
+    "WS": ["WSM","Samoa","009","061"],
+    "YE": ["YEM","Yemen","142","145"],
+    "YT": ["MYT","Mayotte","002","014"],
+    "ZA": ["ZAF","South Africa","002","018"],
+    "ZM": ["ZMB","Zambia","002","014"],
+    "ZW": ["ZWE","Zimbabwe","002","014"],
+  };
+
+  var GEO_TIMEZONES = {
+    "Africa/Abidjan": "CI",
+    "Africa/Accra": "GH",
+    "Africa/Addis_Ababa": "ET",
+    "Africa/Algiers": "DZ",
+    "Africa/Asmara": "ER",
+    "Africa/Bamako": "ML",
+    "Africa/Bangui": "CF",
+    "Africa/Banjul": "GM",
+    "Africa/Bissau": "GW",
+    "Africa/Blantyre": "MW",
+    "Africa/Brazzaville": "CG",
+    "Africa/Bujumbura": "BI",
+    "Africa/Cairo": "EG",
+    "Africa/Casablanca": "MA",
+    "Africa/Ceuta": "ES",
+    "Africa/Conakry": "GN",
+    "Africa/Dakar": "SN",
+    "Africa/Dar_es_Salaam": "TZ",
+    "Africa/Djibouti": "DJ",
+    "Africa/Douala": "CM",
+    "Africa/El_Aaiun": "EH",
+    "Africa/Freetown": "SL",
+    "Africa/Gaborone": "BW",
+    "Africa/Harare": "ZW",
+    "Africa/Johannesburg": "ZA",
+    "Africa/Juba": "SS",
+    "Africa/Kampala": "UG",
+    "Africa/Khartoum": "SD",
+    "Africa/Kigali": "RW",
+    "Africa/Kinshasa": "CD",
+    "Africa/Lagos": "NG",
+    "Africa/Libreville": "GA",
+    "Africa/Lome": "TG",
+    "Africa/Luanda": "AO",
+    "Africa/Lubumbashi": "CD",
+    "Africa/Lusaka": "ZM",
+    "Africa/Malabo": "GQ",
+    "Africa/Maputo": "MZ",
+    "Africa/Maseru": "LS",
+    "Africa/Mbabane": "SZ",
+    "Africa/Mogadishu": "SO",
+    "Africa/Monrovia": "LR",
+    "Africa/Nairobi": "KE",
+    "Africa/Ndjamena": "TD",
+    "Africa/Niamey": "NE",
+    "Africa/Nouakchott": "MR",
+    "Africa/Ouagadougou": "BF",
+    "Africa/Porto-Novo": "BJ",
+    "Africa/Sao_Tome": "ST",
+    "Africa/Tripoli": "LY",
+    "Africa/Tunis": "TN",
+    "Africa/Windhoek": "NA",
+    "America/Adak": "US",
+    "America/Anchorage": "US",
+    "America/Anguilla": "AI",
+    "America/Antigua": "AG",
+    "America/Araguaina": "BR",
+    "America/Argentina/Buenos_Aires": "AR",
+    "America/Argentina/Catamarca": "AR",
+    "America/Argentina/ComodRivadavia": "AR",
+    "America/Argentina/Cordoba": "AR",
+    "America/Argentina/Jujuy": "AR",
+    "America/Argentina/La_Rioja": "AR",
+    "America/Argentina/Mendoza": "AR",
+    "America/Argentina/Rio_Gallegos": "AR",
+    "America/Argentina/Salta": "AR",
+    "America/Argentina/San_Juan": "AR",
+    "America/Argentina/San_Luis": "AR",
+    "America/Argentina/Tucuman": "AR",
+    "America/Argentina/Ushuaia": "AR",
+    "America/Aruba": "AW",
+    "America/Asuncion": "PY",
+    "America/Atikokan": "CA",
+    "America/Atka": "US",
+    "America/Bahia": "BR",
+    "America/Bahia_Banderas": "MX",
+    "America/Barbados": "BB",
+    "America/Belem": "BR",
+    "America/Belize": "BZ",
+    "America/Blanc-Sablon": "CA",
+    "America/Boa_Vista": "BR",
+    "America/Bogota": "CO",
+    "America/Boise": "US",
+    "America/Buenos_Aires": "AR",
+    "America/Cambridge_Bay": "CA",
+    "America/Campo_Grande": "BR",
+    "America/Cancun": "MX",
+    "America/Caracas": "VE",
+    "America/Catamarca": "AR",
+    "America/Cayenne": "GF",
+    "America/Cayman": "KY",
+    "America/Chicago": "US",
+    "America/Chihuahua": "MX",
+    "America/Ciudad_Juarez": "MX",
+    "America/Cordoba": "AR",
+    "America/Costa_Rica": "CR",
+    "America/Coyhaique": "CL",
+    "America/Creston": "CA",
+    "America/Cuiaba": "BR",
+    "America/Curacao": "CW",
+    "America/Danmarkshavn": "GL",
+    "America/Dawson": "CA",
+    "America/Dawson_Creek": "CA",
+    "America/Denver": "US",
+    "America/Detroit": "US",
+    "America/Dominica": "DM",
+    "America/Edmonton": "CA",
+    "America/Eirunepe": "BR",
+    "America/El_Salvador": "SV",
+    "America/Ensenada": "MX",
+    "America/Fort_Nelson": "CA",
+    "America/Fort_Wayne": "US",
+    "America/Fortaleza": "BR",
+    "America/Glace_Bay": "CA",
+    "America/Godthab": "GL",
+    "America/Goose_Bay": "CA",
+    "America/Grand_Turk": "TC",
+    "America/Grenada": "GD",
+    "America/Guadeloupe": "GP",
+    "America/Guatemala": "GT",
+    "America/Guayaquil": "EC",
+    "America/Guyana": "GY",
+    "America/Halifax": "CA",
+    "America/Havana": "CU",
+    "America/Hermosillo": "MX",
+    "America/Indiana/Indianapolis": "US",
+    "America/Indiana/Knox": "US",
+    "America/Indiana/Marengo": "US",
+    "America/Indiana/Petersburg": "US",
+    "America/Indiana/Tell_City": "US",
+    "America/Indiana/Vevay": "US",
+    "America/Indiana/Vincennes": "US",
+    "America/Indiana/Winamac": "US",
+    "America/Indianapolis": "US",
+    "America/Inuvik": "CA",
+    "America/Iqaluit": "CA",
+    "America/Jamaica": "JM",
+    "America/Jujuy": "AR",
+    "America/Juneau": "US",
+    "America/Kentucky/Louisville": "US",
+    "America/Kentucky/Monticello": "US",
+    "America/Knox_IN": "US",
+    "America/Kralendijk": "BQ",
+    "America/La_Paz": "BO",
+    "America/Lima": "PE",
+    "America/Los_Angeles": "US",
+    "America/Louisville": "US",
+    "America/Lower_Princes": "SX",
+    "America/Maceio": "BR",
+    "America/Managua": "NI",
+    "America/Manaus": "BR",
+    "America/Marigot": "MF",
+    "America/Martinique": "MQ",
+    "America/Matamoros": "MX",
+    "America/Mazatlan": "MX",
+    "America/Mendoza": "AR",
+    "America/Menominee": "US",
+    "America/Merida": "MX",
+    "America/Metlakatla": "US",
+    "America/Mexico_City": "MX",
+    "America/Miquelon": "PM",
+    "America/Moncton": "CA",
+    "America/Monterrey": "MX",
+    "America/Montevideo": "UY",
+    "America/Montserrat": "MS",
+    "America/Nassau": "BS",
+    "America/New_York": "US",
+    "America/Nome": "US",
+    "America/Noronha": "BR",
+    "America/North_Dakota/Beulah": "US",
+    "America/North_Dakota/Center": "US",
+    "America/North_Dakota/New_Salem": "US",
+    "America/Nuuk": "GL",
+    "America/Ojinaga": "MX",
+    "America/Panama": "PA",
+    "America/Pangnirtung": "CA",
+    "America/Paramaribo": "SR",
+    "America/Phoenix": "US",
+    "America/Port-au-Prince": "HT",
+    "America/Port_of_Spain": "TT",
+    "America/Porto_Acre": "BR",
+    "America/Porto_Velho": "BR",
+    "America/Puerto_Rico": "PR",
+    "America/Punta_Arenas": "CL",
+    "America/Rainy_River": "CA",
+    "America/Rankin_Inlet": "CA",
+    "America/Recife": "BR",
+    "America/Regina": "CA",
+    "America/Resolute": "CA",
+    "America/Rio_Branco": "BR",
+    "America/Rosario": "AR",
+    "America/Santa_Isabel": "MX",
+    "America/Santarem": "BR",
+    "America/Santiago": "CL",
+    "America/Santo_Domingo": "DO",
+    "America/Sao_Paulo": "BR",
+    "America/Scoresbysund": "GL",
+    "America/Shiprock": "US",
+    "America/Sitka": "US",
+    "America/St_Barthelemy": "BL",
+    "America/St_Johns": "CA",
+    "America/St_Kitts": "KN",
+    "America/St_Lucia": "LC",
+    "America/St_Thomas": "VI",
+    "America/St_Vincent": "VC",
+    "America/Swift_Current": "CA",
+    "America/Tegucigalpa": "HN",
+    "America/Thule": "GL",
+    "America/Tijuana": "MX",
+    "America/Toronto": "CA",
+    "America/Tortola": "VG",
+    "America/Vancouver": "CA",
+    "America/Virgin": "VI",
+    "America/Whitehorse": "CA",
+    "America/Winnipeg": "CA",
+    "America/Yakutat": "US",
+    "America/Yellowknife": "CA",
+    "Antarctica/Casey": "AQ",
+    "Antarctica/Davis": "AQ",
+    "Antarctica/DumontDUrville": "AQ",
+    "Antarctica/Macquarie": "AU",
+    "Antarctica/Mawson": "AQ",
+    "Antarctica/McMurdo": "AQ",
+    "Antarctica/Palmer": "AQ",
+    "Antarctica/Rothera": "AQ",
+    "Antarctica/Syowa": "AQ",
+    "Antarctica/Troll": "AQ",
+    "Antarctica/Vostok": "AQ",
+    "Arctic/Longyearbyen": "SJ",
+    "Asia/Aden": "YE",
+    "Asia/Almaty": "KZ",
+    "Asia/Amman": "JO",
+    "Asia/Anadyr": "RU",
+    "Asia/Aqtau": "KZ",
+    "Asia/Aqtobe": "KZ",
+    "Asia/Ashgabat": "TM",
+    "Asia/Ashkhabad": "TM",
+    "Asia/Atyrau": "KZ",
+    "Asia/Baghdad": "IQ",
+    "Asia/Bahrain": "BH",
+    "Asia/Baku": "AZ",
+    "Asia/Bangkok": "TH",
+    "Asia/Barnaul": "RU",
+    "Asia/Beirut": "LB",
+    "Asia/Bishkek": "KG",
+    "Asia/Brunei": "BN",
+    "Asia/Calcutta": "IN",
+    "Asia/Chita": "RU",
+    "Asia/Choibalsan": "MN",
+    "Asia/Chongqing": "CN",
+    "Asia/Chungking": "CN",
+    "Asia/Colombo": "LK",
+    "Asia/Dacca": "BD",
+    "Asia/Damascus": "SY",
+    "Asia/Dhaka": "BD",
+    "Asia/Dili": "TL",
+    "Asia/Dubai": "AE",
+    "Asia/Dushanbe": "TJ",
+    "Asia/Famagusta": "CY",
+    "Asia/Gaza": "PS",
+    "Asia/Harbin": "CN",
+    "Asia/Hebron": "PS",
+    "Asia/Ho_Chi_Minh": "VN",
+    "Asia/Hong_Kong": "HK",
+    "Asia/Hovd": "MN",
+    "Asia/Irkutsk": "RU",
+    "Asia/Istanbul": "TR",
+    "Asia/Jakarta": "ID",
+    "Asia/Jayapura": "ID",
+    "Asia/Jerusalem": "IL",
+    "Asia/Kabul": "AF",
+    "Asia/Kamchatka": "RU",
+    "Asia/Karachi": "PK",
+    "Asia/Kashgar": "CN",
+    "Asia/Kathmandu": "NP",
+    "Asia/Katmandu": "NP",
+    "Asia/Khandyga": "RU",
+    "Asia/Kolkata": "IN",
+    "Asia/Krasnoyarsk": "RU",
+    "Asia/Kuala_Lumpur": "MY",
+    "Asia/Kuching": "MY",
+    "Asia/Kuwait": "KW",
+    "Asia/Macao": "MO",
+    "Asia/Macau": "MO",
+    "Asia/Magadan": "RU",
+    "Asia/Makassar": "ID",
+    "Asia/Manila": "PH",
+    "Asia/Muscat": "OM",
+    "Asia/Nicosia": "CY",
+    "Asia/Novokuznetsk": "RU",
+    "Asia/Novosibirsk": "RU",
+    "Asia/Omsk": "RU",
+    "Asia/Oral": "KZ",
+    "Asia/Phnom_Penh": "KH",
+    "Asia/Pontianak": "ID",
+    "Asia/Pyongyang": "KP",
+    "Asia/Qatar": "QA",
+    "Asia/Qostanay": "KZ",
+    "Asia/Qyzylorda": "KZ",
+    "Asia/Riyadh": "SA",
+    "Asia/Saigon": "VN",
+    "Asia/Sakhalin": "RU",
+    "Asia/Samarkand": "UZ",
+    "Asia/Seoul": "KR",
+    "Asia/Shanghai": "CN",
+    "Asia/Singapore": "SG",
+    "Asia/Srednekolymsk": "RU",
+    "Asia/Taipei": "TW",
+    "Asia/Tashkent": "UZ",
+    "Asia/Tbilisi": "GE",
+    "Asia/Tehran": "IR",
+    "Asia/Tel_Aviv": "IL",
+    "Asia/Thimbu": "BT",
+    "Asia/Thimphu": "BT",
+    "Asia/Tokyo": "JP",
+    "Asia/Tomsk": "RU",
+    "Asia/Ujung_Pandang": "ID",
+    "Asia/Ulaanbaatar": "MN",
+    "Asia/Ulan_Bator": "MN",
+    "Asia/Urumqi": "CN",
+    "Asia/Ust-Nera": "RU",
+    "Asia/Vientiane": "LA",
+    "Asia/Vladivostok": "RU",
+    "Asia/Yakutsk": "RU",
+    "Asia/Yangon": "MM",
+    "Asia/Yekaterinburg": "RU",
+    "Asia/Yerevan": "AM",
+    "Atlantic/Azores": "PT",
+    "Atlantic/Bermuda": "BM",
+    "Atlantic/Canary": "ES",
+    "Atlantic/Cape_Verde": "CV",
+    "Atlantic/Faeroe": "FO",
+    "Atlantic/Faroe": "FO",
+    "Atlantic/Madeira": "PT",
+    "Atlantic/Reykjavik": "IS",
+    "Atlantic/South_Georgia": "GS",
+    "Atlantic/St_Helena": "SH",
+    "Atlantic/Stanley": "FK",
+    "Australia/ACT": "AU",
+    "Australia/Adelaide": "AU",
+    "Australia/Brisbane": "AU",
+    "Australia/Broken_Hill": "AU",
+    "Australia/Canberra": "AU",
+    "Australia/Currie": "AU",
+    "Australia/Darwin": "AU",
+    "Australia/Eucla": "AU",
+    "Australia/Hobart": "AU",
+    "Australia/LHI": "AU",
+    "Australia/Lindeman": "AU",
+    "Australia/Lord_Howe": "AU",
+    "Australia/Melbourne": "AU",
+    "Australia/NSW": "AU",
+    "Australia/North": "AU",
+    "Australia/Perth": "AU",
+    "Australia/Queensland": "AU",
+    "Australia/South": "AU",
+    "Australia/Sydney": "AU",
+    "Australia/Tasmania": "AU",
+    "Australia/Victoria": "AU",
+    "Australia/West": "AU",
+    "Australia/Yancowinna": "AU",
+    "Brazil/Acre": "BR",
+    "Brazil/DeNoronha": "BR",
+    "Brazil/East": "BR",
+    "Brazil/West": "BR",
+    "Canada/Atlantic": "CA",
+    "Canada/Central": "CA",
+    "Canada/Mountain": "CA",
+    "Canada/Newfoundland": "CA",
+    "Canada/Pacific": "CA",
+    "Canada/Saskatchewan": "CA",
+    "Canada/Yukon": "CA",
+    "Chile/Continental": "CL",
+    "Chile/EasterIsland": "CL",
+    "Europe/Amsterdam": "NL",
+    "Europe/Andorra": "AD",
+    "Europe/Astrakhan": "RU",
+    "Europe/Athens": "GR",
+    "Europe/Belfast": "GB",
+    "Europe/Belgrade": "RS",
+    "Europe/Berlin": "DE",
+    "Europe/Bratislava": "SK",
+    "Europe/Brussels": "BE",
+    "Europe/Bucharest": "RO",
+    "Europe/Budapest": "HU",
+    "Europe/Busingen": "DE",
+    "Europe/Chisinau": "MD",
+    "Europe/Copenhagen": "DK",
+    "Europe/Dublin": "IE",
+    "Europe/Gibraltar": "GI",
+    "Europe/Guernsey": "GG",
+    "Europe/Helsinki": "FI",
+    "Europe/Isle_of_Man": "IM",
+    "Europe/Istanbul": "TR",
+    "Europe/Jersey": "JE",
+    "Europe/Kaliningrad": "RU",
+    "Europe/Kiev": "UA",
+    "Europe/Kirov": "RU",
+    "Europe/Kyiv": "UA",
+    "Europe/Lisbon": "PT",
+    "Europe/Ljubljana": "SI",
+    "Europe/London": "GB",
+    "Europe/Luxembourg": "LU",
+    "Europe/Madrid": "ES",
+    "Europe/Malta": "MT",
+    "Europe/Mariehamn": "AX",
+    "Europe/Minsk": "BY",
+    "Europe/Monaco": "MC",
+    "Europe/Moscow": "RU",
+    "Europe/Nicosia": "CY",
+    "Europe/Oslo": "NO",
+    "Europe/Paris": "FR",
+    "Europe/Podgorica": "ME",
+    "Europe/Prague": "CZ",
+    "Europe/Riga": "LV",
+    "Europe/Rome": "IT",
+    "Europe/Samara": "RU",
+    "Europe/San_Marino": "SM",
+    "Europe/Sarajevo": "BA",
+    "Europe/Saratov": "RU",
+    "Europe/Simferopol": "UA",
+    "Europe/Skopje": "MK",
+    "Europe/Sofia": "BG",
+    "Europe/Stockholm": "SE",
+    "Europe/Tallinn": "EE",
+    "Europe/Tirane": "AL",
+    "Europe/Tiraspol": "MD",
+    "Europe/Ulyanovsk": "RU",
+    "Europe/Uzhgorod": "UA",
+    "Europe/Vaduz": "LI",
+    "Europe/Vatican": "VA",
+    "Europe/Vienna": "AT",
+    "Europe/Vilnius": "LT",
+    "Europe/Volgograd": "RU",
+    "Europe/Warsaw": "PL",
+    "Europe/Zagreb": "HR",
+    "Europe/Zaporozhye": "UA",
+    "Europe/Zurich": "CH",
+    "Indian/Antananarivo": "MG",
+    "Indian/Chagos": "IO",
+    "Indian/Christmas": "CX",
+    "Indian/Cocos": "CC",
+    "Indian/Comoro": "KM",
+    "Indian/Kerguelen": "TF",
+    "Indian/Mahe": "SC",
+    "Indian/Maldives": "MV",
+    "Indian/Mauritius": "MU",
+    "Indian/Mayotte": "YT",
+    "Indian/Reunion": "RE",
+    "Mexico/BajaNorte": "MX",
+    "Mexico/BajaSur": "MX",
+    "Mexico/General": "MX",
+    "Pacific/Apia": "WS",
+    "Pacific/Auckland": "NZ",
+    "Pacific/Bougainville": "PG",
+    "Pacific/Chatham": "NZ",
+    "Pacific/Chuuk": "FM",
+    "Pacific/Easter": "CL",
+    "Pacific/Efate": "VU",
+    "Pacific/Enderbury": "KI",
+    "Pacific/Fakaofo": "TK",
+    "Pacific/Fiji": "FJ",
+    "Pacific/Funafuti": "TV",
+    "Pacific/Galapagos": "EC",
+    "Pacific/Gambier": "PF",
+    "Pacific/Guadalcanal": "SB",
+    "Pacific/Guam": "GU",
+    "Pacific/Honolulu": "US",
+    "Pacific/Johnston": "US",
+    "Pacific/Kanton": "KI",
+    "Pacific/Kiritimati": "KI",
+    "Pacific/Kosrae": "FM",
+    "Pacific/Kwajalein": "MH",
+    "Pacific/Majuro": "MH",
+    "Pacific/Marquesas": "PF",
+    "Pacific/Midway": "UM",
+    "Pacific/Nauru": "NR",
+    "Pacific/Niue": "NU",
+    "Pacific/Norfolk": "NF",
+    "Pacific/Noumea": "NC",
+    "Pacific/Pago_Pago": "AS",
+    "Pacific/Palau": "PW",
+    "Pacific/Pitcairn": "PN",
+    "Pacific/Pohnpei": "FM",
+    "Pacific/Port_Moresby": "PG",
+    "Pacific/Rarotonga": "CK",
+    "Pacific/Saipan": "MP",
+    "Pacific/Tahiti": "PF",
+    "Pacific/Tarawa": "KI",
+    "Pacific/Tongatapu": "TO",
+    "Pacific/Wake": "UM",
+    "Pacific/Wallis": "WF",
+    "US/Alaska": "US",
+    "US/Aleutian": "US",
+    "US/Central": "US",
+    "US/East-Indiana": "US",
+    "US/Eastern": "US",
+    "US/Hawaii": "US",
+    "US/Indiana-Starke": "US",
+    "US/Michigan": "US",
+    "US/Mountain": "US",
+    "US/Pacific": "US",
+  };
+  // @generated-end countries
+
+  window.GA4GeoData = {
+    countries: GEO_COUNTRIES,
+    timezones: GEO_TIMEZONES,
+  };
+})(window);
@@ -2411,6 +2411,27 @@
         }
       }
 
+      // Ad platform conversions get an event id shared with the browser pixel so the
+      // server-side copy (e.g. Meta Conversions API) can be deduplicated against it
+      var adConversionEvents = ['purchase', 'add_to_cart', 'begin_checkout', 'form_conversion'];
+      if (adConversionEvents.includes(eventName)) {
+        if (!eventParams.event_id) {
+          eventParams.event_id = this.generateEventId();
+        }
+
+        var fbp = GA4Utils.helpers.getCookie('_fbp');
+        var fbc = GA4Utils.helpers.getCookie('_fbc');
+        if (fbp && !eventParams.fbp) {
+          eventParams.fbp = fbp;
+        }
+        if (fbc && !eventParams.fbc) {
+          eventParams.fbc = fbc;
+        }
+
+        // Let the site's pixel code reuse the id: $(document).on('ga4AdConversion', fn)
+        $(document).trigger('ga4AdConversion', [eventName, eventParams.event_id, eventParams]);
+      }
+
       // Add debug_mode and timestamp if not present
       if (!eventParams.hasOwnProperty("debug_mode")) {
         if (Boolean(this.config.debugMode) === true) {
@@ -2424,6 +2445,12 @@
       if (!eventParams.hasOwnProperty("user_agent")) {
         eventParams.user_agent = navigator.userAgent;
       }
+      if (!eventParams.hasOwnProperty("client_hints")) {
+        var clientHints = GA4Utils.device.getClientHints();
+        if (clientHints) {
+          eventParams.client_hints = clientHints;
+        }
+      }
       // ALWAYS ensure complete location data is present for all events
       try {
         eventParams = await this.enrichEventWithLocationData(eventParams, eventName);
@@ -2803,8 +2830,9 @@
           timestamp: eventData.timestamp || Date.now()
         };
         
-        // Use sendBeacon for direct_to_cf transmission method (fastest option)
-        const requestBody = JSON.stringify(payloadData);
+        // Use sendBeacon for direct_to_cf transmission method (fastest option), signed synchronously so it goes out during unload
+        const signedPayload = GA4Utils.ajax.signForWorker(this.config.cloudflareWorkerUrl, payloadData, this.config);
+        const requestBody = JSON.stringify(signedPayload);
         
         if (navigator.sendBeacon) {
           // Create a Blob with the correct content type
@@ -3030,8 +3058,6 @@
       } else {
         // Use standard fetch with proper headers for non-critical events
         try {
-          var payload = JSON.stringify(batchData);
-          
           // Prepare headers for the request
           const headers = {
             'Content-Type': 'application/json',
@@ -3039,11 +3065,12 @@
           };
     
 
-          // Use fetch with proper headers for Cloudflare Worker
+          // Use fetch with proper headers for Cloudflare Worker (started synchronously so keepalive covers page unload)
+          const signedBatch = GA4Utils.ajax.signForWorker(this.config.cloudflareWorkerUrl, batchData, this.config);
           fetch(this.config.cloudflareWorkerUrl, {
             method: 'POST',
             headers: headers,
-            body: payload,
+            body: JSON.stringify(signedBatch),
             keepalive: true, // Important for page unload
             type: "ping"
           }).then(function(response) {
@@ -3272,6 +3299,9 @@
       if (anonymizedParams.user_agent) {
         anonymizedParams.user_agent = this.anonymizeUserAgent(anonymizedParams.user_agent);
       }
+      if (anonymizedParams.client_hints) {
+        anonymizedParams.client_hints = GA4Utils.device.anonymizeClientHints(anonymizedParams.client_hints);
+      }
       
       // Remove precise location data
       delete anonymizedParams.geo_latitude;
@@ -3369,11 +3399,12 @@
         
    
 
-        // Use sendBeacon for direct_to_cf as it's the fastest option
-        const requestBody = JSON.stringify({
+        // Use sendBeacon for direct_to_cf as it's the fastest option (signing is synchronous, nothing is awaited before it)
+        const signedPayload = GA4Utils.ajax.signForWorker(this.config.cloudflareWorkerUrl, {
           event_name: payload.name,
           params: payload.params || {}
-        });
+        }, this.config);
+        const requestBody = JSON.stringify(signedPayload);
         
         if (navigator.sendBeacon) {
           // Create a Blob with the correct content type
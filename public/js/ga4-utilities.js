@@ -770,19 +770,34 @@
         return parsedUA;
       },
 
+      /**
+       * High-entropy client hints, filled by loadHighEntropyHints()
+       */
+      highEntropyHints: null,
+
       /**
        * Get User Agent Client Hints (modern approach)
+       * Includes full versions, platform version and model once loadHighEntropyHints() resolved;
+       * the worker uses them for the GA4 device object (see detectDevice in the worker)
        * @returns {Object|null}
        */
       getClientHints: function () {
         // Check if User Agent Client Hints API is available
         if (navigator.userAgentData) {
           try {
-            return {
+            var hints = {
               brands: navigator.userAgentData.brands,
               mobile: navigator.userAgentData.mobile,
               platform: navigator.userAgentData.platform,
             };
+
+            if (this.highEntropyHints) {
+              hints.fullVersionList = this.highEntropyHints.fullVersionList;
+              hints.platformVersion = this.highEntropyHints.platformVersion;
+              hints.model = this.highEntropyHints.model;
+            }
+
+            return hints;
           } catch (e) {
             GA4Utils.helpers.log("Error accessing User Agent Client Hints:", e);
             return null;
@@ -791,6 +806,49 @@
         return null;
       },
 
+      /**
+       * Request high-entropy client hints once per page (Chromium browsers only)
+       * @returns {Promise<Object|null>}
+       */
+      loadHighEntropyHints: function () {
+        var self = this;
+
+        if (
+          !navigator.userAgentData ||
+          typeof navigator.userAgentData.getHighEntropyValues !== "function"
+        ) {
+          return Promise.resolve(null);
+        }
+
+        return navigator.userAgentData
+          .getHighEntropyValues(["fullVersionList", "platformVersion", "model"])
+          .then(function (values) {
+            self.highEntropyHints = {
+              fullVersionList: values.fullVersionList || [],
+              platformVersion: values.platformVersion || "",
+              model: values.model || "",
+            };
+            return self.highEntropyHints;
+          })
+          .catch(function (e) {
+            GA4Utils.helpers.log("Error loading high-entropy client hints:", e);
+            return null;
+          });
+      },
+
+      /**
+       * Remove the high-entropy fields from client hints (when ad_user_data is denied)
+       * @param {Object} hints Client hints from getClientHints()
+       * @returns {Object}
+       */
+      anonymizeClientHints: function (hints) {
+        return {
+          brands: hints.brands,
+          mobile: hints.mobile,
+          platform: hints.platform,
+        };
+      },
+
       /**
        * Get screen resolution
        * @returns {string}
@@ -863,12 +921,30 @@
      * Location Data Management using centralized storage
      */
     location: {
+      /**
+       * Whether the Cloudflare Worker resolves the location at the edge
+       * In that mode the browser sends no location and makes no IP lookups.
+       * @returns {boolean}
+       */
+      isEdgeGeolocation: function () {
+        return !!(
+          window.ga4ServerSideTagging &&
+          window.ga4ServerSideTagging.consentSettings &&
+          window.ga4ServerSideTagging.consentSettings.edgeGeolocation
+        );
+      },
+
       /**
        * Get cached location data if valid, otherwise fetch fresh data
        * @returns {Promise<Object>}
        */
       get: function () {
         return new Promise((resolve, reject) => {
+          if (this.isEdgeGeolocation()) {
+            resolve({});
+            return;
+          }
+
           // Get location data from centralized storage
           var userData = GA4Utils.storage.getUserData();
           var expirationHours = GA4Utils.storage.getExpirationHours();
@@ -2194,6 +2270,7 @@
        */
       sendPayloadReliable: async function (endpoint, payload, config, logPrefix, isCritical = false) {
         logPrefix = logPrefix || "[GA4Utils Reliable]";
+        payload = this.signForWorker(endpoint, payload, config);
         
         // SECURITY VALIDATION - Do not send request if security checks fail
         const securityValidation = this.validateRequestSecurity(endpoint, payload, config);
@@ -2305,6 +2382,30 @@
         }
       },
 
+      /**
+       * Sign a payload that goes straight to the Cloudflare Worker when a signing key is configured
+       * Synchronous and never throws, so it is safe right before sendBeacon in unload handlers.
+       * @param {string} endpoint URL the payload is sent to
+       * @param {Object} payload Data to send
+       * @param {Object} config Configuration object
+       * @returns {Object} Signed payload, or the payload unchanged
+       */
+      signForWorker: function (endpoint, payload, config) {
+        if (!config || !config.requestSigningKey || !config.cloudflareWorkerUrl ||
+            endpoint !== config.cloudflareWorkerUrl || (payload && payload._sig)) {
+          return payload;
+        }
+        
+        try {
+          return GA4Utils.encryption.signPayload(payload, config.requestSigningKey);
+        } catch (error) {
+          GA4Utils.helpers.log("⚠️ Request signing failed, sending unsigned payload", {
+            error: error.message
+          }, config);
+          return payload;
+        }
+      },
+
       /**
        * Send payload using Fetch API (alternative to jQuery AJAX)
        * @param {string} endpoint URL to send to
@@ -2315,6 +2416,7 @@
        */
       sendPayloadFetch: async function (endpoint, payload, config, logPrefix) {
         logPrefix = logPrefix || "[GA4Utils Fetch]";
+        payload = this.signForWorker(endpoint, payload, config);
 
         // SECURITY VALIDATION - Do not send request if security checks fail
         const securityValidation = this.validateRequestSecurity(endpoint, payload, config);
@@ -2338,6 +2440,11 @@
           headers["X-Simple-request"] = "true";
         }
 
+        // Batches are rate limited on their own route, which the worker picks before reading the body
+        if (payload && (payload.batch === true || (Array.isArray(payload.events) && payload.events.length > 1))) {
+          headers["X-GA4-Batch"] = "true";
+        }
+
         var requestBody = JSON.stringify(payload);
 
         // Add nonce for WordPress REST API endpoints and handle encryption
@@ -2722,127 +2829,14 @@
 
       /**
        * Get country from timezone
-       * @param {string} timezone Timezone identifier
-       * @returns {string} Country name
+       * Uses the IANA timezone table from ga4-geo-data.js, shared with the Cloudflare Worker
+       * @param {string} timezone Timezone identifier (e.g., "Europe/Amsterdam")
+       * @returns {string} ISO 3166-1 alpha-2 country code (e.g., "NL"), or "" when unknown
        */
       getCountryFromTimezone: function(timezone) {
-        if (!timezone) return "";
-        
-        // Map of timezone regions to countries
-        var timezoneToCountry = {
-          // Europe
-          "Europe/Amsterdam": "Netherlands",
-          "Europe/London": "United Kingdom", 
-          "Europe/Paris": "France",
-          "Europe/Berlin": "Germany",
-          "Europe/Rome": "Italy",
-          "Europe/Madrid": "Spain",
-          "Europe/Vienna": "Austria",
-          "Europe/Brussels": "Belgium",
-          "Europe/Zurich": "Switzerland",
-          "Europe/Stockholm": "Sweden",
-          "Europe/Oslo": "Norway",
-          "Europe/Copenhagen": "Denmark",
-          "Europe/Helsinki": "Finland",
-          "Europe/Warsaw": "Poland",
-          "Europe/Prague": "Czech Republic",
-          "Europe/Budapest": "Hungary",
-          "Europe/Athens": "Greece",
-          "Europe/Lisbon": "Portugal",
-          "Europe/Dublin": "Ireland",
-          "Europe/Moscow": "Russia",
-          "Europe/Kiev": "Ukraine",
-          
-          // Americas
-          "America/New_York": "United States",
-          "America/Los_Angeles": "United States",
-          "America/Chicago": "United States",
-          "America/Denver": "United States",
-          "America/Phoenix": "United States",
-          "America/Toronto": "Canada",
-          "America/Vancouver": "Canada",
-          "America/Montreal": "Canada",
-          "America/Mexico_City": "Mexico",
-          "America/Sao_Paulo": "Brazil",
-          "America/Buenos_Aires": "Argentina",
-          "America/Santiago": "Chile",
-          "America/Lima": "Peru",
-          "America/Bogota": "Colombia",
-          "America/Caracas": "Venezuela",
-          
-          // Asia
-          "Asia/Tokyo": "Japan",
-          "Asia/Shanghai": "China",
-          "Asia/Hong_Kong": "Hong Kong",
-          "Asia/Singapore": "Singapore",
-          "Asia/Seoul": "South Korea",
-          "Asia/Bangkok": "Thailand",
-          "Asia/Jakarta": "Indonesia",
-          "Asia/Manila": "Philippines",
-          "Asia/Kuala_Lumpur": "Malaysia",
-          "Asia/Mumbai": "India",
-          "Asia/Kolkata": "India",
-          "Asia/Delhi": "India",
-          "Asia/Dubai": "United Arab Emirates",
-          "Asia/Riyadh": "Saudi Arabia",
-          "Asia/Tel_Aviv": "Israel",
-          "Asia/Istanbul": "Turkey",
-          
-          // Oceania
-          "Australia/Sydney": "Australia",
-          "Australia/Melbourne": "Australia",
-          "Australia/Perth": "Australia",
-          "Australia/Brisbane": "Australia",
-          "Pacific/Auckland": "New Zealand",
-          "Pacific/Fiji": "Fiji",
-          
-          // Africa
-          "Africa/Cairo": "Egypt",
-          "Africa/Lagos": "Nigeria",
-          "Africa/Johannesburg": "South Africa",
-          "Africa/Nairobi": "Kenya",
-          "Africa/Casablanca": "Morocco",
-          "Africa/Tunis": "Tunisia",
-        };
-        
-        try {
-          // Direct lookup first
-          if (timezoneToCountry[timezone]) {
-            return timezoneToCountry[timezone];
-          }
-          
-          // Fallback: extract from timezone structure
-          var timezoneRegions = timezone.split("/");
-          if (timezoneRegions.length >= 2) {
-            var continent = timezoneRegions[0];
-            var location = timezoneRegions[1];
-            
-            // Handle some common patterns
-            if (continent === "America") {
-              if (location.includes("New_York") || location.includes("Los_Angeles") || 
-                  location.includes("Chicago") || location.includes("Denver") || 
-                  location.includes("Phoenix") || location.includes("Detroit") ||
-                  location.includes("Atlanta") || location.includes("Miami")) {
-                return "United States";
-              }
-              if (location.includes("Toronto") || location.includes("Vancouver") || 
-                  location.includes("Montreal") || location.includes("Edmonton")) {
-                return "Canada";
-              }
-              if (location.includes("Mexico")) {
-                return "Mexico";
-              }
-            }
-            
-            // Generic fallback - use location name as country
-            return location.replace(/_/g, " ");
-          }
-          
-          return "";
-        } catch (e) {
-          GA4Utils.helpers.log("Error extracting country from timezone:", e);
-          return "";
-        }
+        if (!timezone || !window.GA4GeoData) return "";
+
+        return window.GA4GeoData.timezones[timezone] || "";
       },
 
       /**
@@ -2851,6 +2845,11 @@
        * @returns {Object} Location data with continent, country, and city
        */
       getLocationFromTimezone: function(timezone) {
+        // With edge geolocation the worker sets the location, the browser sends none
+        if (GA4Utils.location.isEdgeGeolocation()) {
+          return {};
+        }
+
         return {
           continent: this.getContinentFromTimezone(timezone),
           country: this.getCountryFromTimezone(timezone),
@@ -3198,7 +3197,8 @@
           iv: this.base64urlEncode(encryptionResult.iv),
           tag: this.base64urlEncode(authTag),
           iat: Math.floor(Date.now() / 1000),
-          exp: Math.floor(Date.now() / 1000) + 300 // 5 minutes expiry
+          exp: Math.floor(Date.now() / 1000) + 300, // 5 minutes expiry
+          jti: this.generateTokenId() // Unique id so the worker can reject replayed tokens
         };
         
         // Base64URL encode header and payload
@@ -3281,6 +3281,118 @@
         }
       },
 
+      /**
+       * Generate a random token id (128 bits, hex)
+       * @returns {string} - Token id
+       */
+      generateTokenId: function() {
+        const bytes = window.crypto.getRandomValues(new Uint8Array(16));
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+      },
+
+      /**
+       * Sign a payload for the Cloudflare Worker (sendBeacon and simple requests cannot carry auth headers)
+       * The HMAC covers "<timestamp>.<JSON body>" and is embedded in the payload as _sig.
+       * Signs synchronously, so pagehide/unload handlers can sign and call sendBeacon before the page is gone.
+       * @param {Object} payload - Payload to sign (without _sig)
+       * @param {string} keyHex - Request signing key (hex string)
+       * @returns {Object} - Copy of the payload with _sig: { ts, sig }
+       */
+      signPayload: function(payload, keyHex) {
+        const unsignedPayload = Object.assign({}, payload);
+        delete unsignedPayload._sig;
+        
+        const ts = Math.floor(Date.now() / 1000);
+        const data = new TextEncoder().encode(ts + '.' + JSON.stringify(unsignedPayload));
+        const signature = this.hmacSHA256Sync(data, this.hexToBytes(keyHex));
+        
+        unsignedPayload._sig = { ts: ts, sig: this.base64urlEncode(signature) };
+        return unsignedPayload;
+      },
+
+      /**
+       * Create HMACSHA256 signature synchronously (WebCrypto only offers an async API)
+       * @param {Uint8Array} data - Data to sign
+       * @param {Uint8Array} key - Signing key
+       * @returns {Uint8Array} - Signature
+       */
+      hmacSHA256Sync: function(data, key) {
+        const blockSize = 64;
+        let blockKey = key.length > blockSize ? this.sha256Sync(key) : key;
+        const innerPad = new Uint8Array(blockSize + data.length);
+        const outerPad = new Uint8Array(blockSize + 32);
+        
+        for (let i = 0; i < blockSize; i++) {
+          const keyByte = i < blockKey.length ? blockKey[i] : 0;
+          innerPad[i] = keyByte ^ 0x36;
+          outerPad[i] = keyByte ^ 0x5c;
+        }
+        innerPad.set(data, blockSize);
+        outerPad.set(this.sha256Sync(innerPad), blockSize);
+        
+        return this.sha256Sync(outerPad);
+      },
+
+      /**
+       * SHA-256 digest (FIPS 180-4)
+       * @param {Uint8Array} data - Data to hash
+       * @returns {Uint8Array} - 32-byte digest
+       */
+      sha256Sync: function(data) {
+        const K = [
+          0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+          0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+          0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+          0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+          0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+          0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+          0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+          0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+        ];
+        const hash = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+        
+        // Padding: 0x80, zeros, then the bit length as a 64-bit big-endian integer
+        const paddedLength = Math.ceil((data.length + 9) / 64) * 64;
+        const padded = new Uint8Array(paddedLength);
+        padded.set(data);
+        padded[data.length] = 0x80;
+        const view = new DataView(padded.buffer);
+        view.setUint32(paddedLength - 8, Math.floor(data.length / 0x20000000));
+        view.setUint32(paddedLength - 4, (data.length * 8) >>> 0);
+        
+        const rotr = (value, bits) => (value >>> bits) | (value << (32 - bits));
+        const w = new Uint32Array(64);
+        
+        for (let offset = 0; offset < paddedLength; offset += 64) {
+          for (let i = 0; i < 16; i++) {
+            w[i] = view.getUint32(offset + i * 4);
+          }
+          for (let i = 16; i < 64; i++) {
+            const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+            const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+            w[i] = (w[i - 16] + s0 + w[i - 7] + s1) >>> 0;
+          }
+          
+          let [a, b, c, d, e, f, g, h] = hash;
+          for (let i = 0; i < 64; i++) {
+            const t1 = (h + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + K[i] + w[i]) >>> 0;
+            const t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) >>> 0;
+            h = g; g = f; f = e; e = (d + t1) >>> 0;
+            d = c; c = b; b = a; a = (t1 + t2) >>> 0;
+          }
+          
+          hash[0] = (hash[0] + a) >>> 0; hash[1] = (hash[1] + b) >>> 0;
+          hash[2] = (hash[2] + c) >>> 0; hash[3] = (hash[3] + d) >>> 0;
+          hash[4] = (hash[4] + e) >>> 0; hash[5] = (hash[5] + f) >>> 0;
+          hash[6] = (hash[6] + g) >>> 0; hash[7] = (hash[7] + h) >>> 0;
+        }
+        
+        const digest = new Uint8Array(32);
+        const digestView = new DataView(digest.buffer);
+        hash.forEach((word, i) => digestView.setUint32(i * 4, word));
+        return digest;
+      },
+
       /**
        * Create HMACSHA256 signature
        * @param {string} data - Data to sign
@@ -3562,6 +3674,9 @@
     GA4Utils.storage.cleanupExpiredData();
     GA4Utils.page.cleanupAllExpiredData();
 
+    // Full browser/OS versions and model for the worker's device detection
+    GA4Utils.device.loadHighEntropyHints();
+
     GA4Utils.helpers.log(
       "GA4Utils initialized, migration and cleanup completed",
       null,
@@ -0,0 +1,513 @@
+/**
+ * Generate the geographic lookup data embedded in cloudflare-worker-example.js
+ * and public/js/ga4-geo-data.js
+ *
+ * Source data comes from the Debian/Ubuntu `iso-codes` package (JSON tables and
+ * gettext translations) and the system tzdata, so the output follows the official
+ * ISO 3166 and IANA lists instead of hand-picked entries. Geolocation providers
+ * (ipapi.co, ipinfo.io, Cloudflare request.cf) mostly report GeoNames/MaxMind
+ * English names, which are added from the *_ALIASES tables below. UN M49 regions
+ * are not packaged anywhere, so they are listed in M49_SUBCONTINENTS.
+ *
+ * Usage: node scripts/generate-geo-data.mjs [--iso-codes=/usr/share/iso-codes/json] [--locale=/usr/share/locale] [--zoneinfo=/usr/share/zoneinfo]
+ *
+ * The country and timezone tables are written to both files, so the worker and
+ * the browser always share the same data. Before writing, every ISO country is
+ * checked to round-trip (alpha-2 -> alpha-3/name/translations -> alpha-2) and to
+ * have an M49 region; the script fails instead of writing incomplete data.
+ * tests/worker/geo-data.test.mjs checks the written tables the same way.
+ * The output replaces the blocks between the "@generated-start" and
+ * "@generated-end" markers; everything else is left untouched.
+ */
+
+import { readFileSync, writeFileSync, existsSync } from "node:fs";
+import { dirname, join } from "node:path";
+import { fileURLToPath } from "node:url";
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), "..");
+const WORKER_FILE = join(ROOT, "cloudflare-worker-example.js");
+const BROWSER_FILE = join(ROOT, "public", "js", "ga4-geo-data.js");
+
+const args = Object.fromEntries(
+  process.argv.slice(2).map((arg) => arg.replace(/^--/, "").split("="))
+);
+const ISO_CODES_DIR = args["iso-codes"] || "/usr/share/iso-codes/json";
+const LOCALE_DIR = args.locale || "/usr/share/locale";
+const ZONEINFO_DIR = args.zoneinfo || "/usr/share/zoneinfo";
+
+// Translations merged into the name indexes (visitor languages we see most)
+const REGION_LANGUAGES = ["en", "de", "nl", "fr", "es", "it"];
+
+/**
+ * UN M49 subcontinents (GA4 subcontinent_id) with their continent (continent_id)
+ * and ISO 3166-1 alpha-2 members. Sub-Saharan Africa and Latin America use the
+ * intermediate regions, as GA4 does. Antarctica (AQ) has no M49 region.
+ */
+const M49_SUBCONTINENTS = {
+  "015": { continent: "002", countries: "DZ EG EH LY MA SD TN" },
+  "014": { continent: "002", countries: "BI DJ ER ET IO KE KM MG MU MW MZ RE RW SC SO SS TF TZ UG YT ZM ZW" },
+  "017": { continent: "002", countries: "AO CD CF CG CM GA GQ ST TD" },
+  "018": { continent: "002", countries: "BW LS NA SZ ZA" },
+  "011": { continent: "002", countries: "BF BJ CI CV GH GM GN GW LR ML MR NE NG SH SL SN TG" },
+  "029": { continent: "019", countries: "AG AI AW BB BL BQ BS CU CW DM DO GD GP HT JM KN KY LC MF MQ MS PR SX TC TT VC VG VI" },
+  "013": { continent: "019", countries: "BZ CR GT HN MX NI PA SV" },
+  "005": { continent: "019", countries: "AR BO BR BV CL CO EC FK GF GS GY PE PY SR UY VE" },
+  "021": { continent: "019", countries: "BM CA GL PM US" },
+  "143": { continent: "142", countries: "KG KZ TJ TM UZ" },
+  "030": { continent: "142", countries: "CN HK JP KP KR MN MO TW" },
+  "035": { continent: "142", countries: "BN ID KH LA MM MY PH SG TH TL VN" },
+  "034": { continent: "142", countries: "AF BD BT IN IR LK MV NP PK" },
+  "145": { continent: "142", countries: "AE AM AZ BH CY GE IL IQ JO KW LB OM PS QA SA SY TR YE" },
+  "151": { continent: "150", countries: "BG BY CZ HU MD PL RO RU SK UA" },
+  "154": { continent: "150", countries: "AX DK EE FI FO GB GG IE IM IS JE LT LV NO SE SJ" },
+  "039": { continent: "150", countries: "AD AL BA ES GI GR HR IT ME MK MT PT RS SI SM VA" },
+  "155": { continent: "150", countries: "AT BE CH DE FR LI LU MC NL" },
+  "053": { continent: "009", countries: "AU CC CX HM NF NZ" },
+  "054": { continent: "009", countries: "FJ NC PG SB VU" },
+  "057": { continent: "009", countries: "FM GU KI MH MP NR PW UM" },
+  "061": { continent: "009", countries: "AS CK NU PF PN TK TO TV WF WS" },
+};
+
+/**
+ * Country spellings that are missing from the ISO 3166-1 names and translations
+ */
+const PROVIDER_COUNTRY_ALIASES = {
+  AE: ["UAE"],
+  BN: ["Brunei"],
+  CD: ["DR Congo", "Congo-Kinshasa"],
+  CG: ["Congo", "Congo Republic", "Congo-Brazzaville", "Republic of the Congo"],
+  CI: ["Ivory Coast"],
+  CV: ["Cape Verde"],
+  CZ: ["Czech Republic"],
+  FM: ["Micronesia"],
+  GB: ["UK", "Great Britain", "Britain"],
+  HK: ["Hong Kong SAR"],
+  KP: ["North Korea"],
+  KR: ["South Korea", "Korea"],
+  LA: ["Laos"],
+  MD: ["Moldova"],
+  MK: ["Macedonia"],
+  MM: ["Burma"],
+  MO: ["Macau", "Macao SAR"],
+  NL: ["The Netherlands", "Holland"],
+  PS: ["Palestine"],
+  RU: ["Russia"],
+  SY: ["Syria"],
+  SZ: ["Swaziland"],
+  TL: ["East Timor"],
+  TR: ["Turkey"],
+  TZ: ["Tanzania"],
+  US: ["USA", "United States of America", "U.S.A."],
+  VA: ["Vatican City", "Vatican"],
+  VN: ["Vietnam"],
+};
+
+// Old timezone names whose current zone is shared by several countries
+const TIMEZONE_OVERRIDES = {
+  "America/Virgin": "VI",
+  "Europe/Belfast": "GB",
+};
+
+/**
+ * Provider spellings that are missing from the ISO 3166-2 names and translations.
+ * Keyed by country, then by ISO 3166-2 subdivision code (without country prefix).
+ */
+const PROVIDER_REGION_ALIASES = {
+  AT: {
+    2: ["Carinthia"],
+    3: ["Lower Austria"],
+    4: ["Upper Austria"],
+    6: ["Styria"],
+    7: ["Tyrol"],
+    9: ["Vienna"],
+  },
+  BE: {
+    BRU: ["Brussels Capital", "Brussels-Capital Region", "Brussels", "Brussel", "Bruxelles", "Bruxelles-Capitale"],
+    VAN: ["Antwerp", "Province of Antwerp"],
+    VBR: ["Flemish Brabant"],
+    VLG: ["Flanders", "Flemish Region", "Vlaanderen"],
+    VOV: ["East Flanders"],
+    VWV: ["West Flanders"],
+    WAL: ["Wallonia", "Walloon Region", "Wallonie", "Wallonië"],
+    WBR: ["Walloon Brabant"],
+  },
+  CH: {
+    BS: ["Basel-City"],
+    GE: ["Geneva"],
+    SG: ["St. Gallen", "Saint Gallen"],
+  },
+  DE: {
+    BE: ["Land Berlin"],
+    BW: ["Baden-Wuerttemberg"],
+    HE: ["Hesse"],
+    MV: ["Mecklenburg-Western Pomerania"],
+    NI: ["Lower Saxony"],
+    NW: ["North Rhine-Westphalia"],
+    RP: ["Rhineland-Palatinate"],
+    SN: ["Saxony"],
+    ST: ["Saxony-Anhalt"],
+    TH: ["Thuringia", "Thueringen"],
+  },
+  ES: {
+    AN: ["Andalusia"],
+    CL: ["Castille and León", "Castile and León"],
+    CM: ["Castille-La Mancha", "Castile-La Mancha"],
+    CN: ["Canary Islands"],
+    CT: ["Catalonia"],
+    IB: ["Balearic Islands"],
+    NC: ["Navarre", "Navarra"],
+    PV: ["Basque Country", "País Vasco"],
+    VC: ["Valencia", "Valencian Community", "Comunitat Valenciana"],
+  },
+  FR: {
+    "20R": ["Corsica"],
+    BRE: ["Brittany"],
+    CVL: ["Centre"],
+    GF: ["French Guiana"],
+    NOR: ["Normandy"],
+    RE: ["Reunion"],
+  },
+  GB: {
+    ENG: ["England"],
+    NIR: ["Northern Ireland"],
+    SCT: ["Scotland"],
+    WLS: ["Wales"],
+  },
+  IT: {
+    21: ["Piedmont"],
+    23: ["Aosta Valley", "Valle d'Aosta"],
+    25: ["Lombardy"],
+    52: ["Tuscany"],
+    75: ["Apulia"],
+    82: ["Sicily"],
+    88: ["Sardinia"],
+  },
+  NL: {
+    FR: ["Friesland"],
+    NB: ["North Brabant"],
+    NH: ["North Holland"],
+    ZH: ["South Holland"],
+  },
+  PL: {
+    "02": ["Lower Silesia"],
+    12: ["Lesser Poland"],
+    14: ["Mazovia"],
+    18: ["Subcarpathia"],
+    20: ["Podlasie"],
+    22: ["Pomerania"],
+    24: ["Silesia"],
+    28: ["Warmia-Masuria"],
+    30: ["Greater Poland"],
+    32: ["West Pomerania"],
+  },
+};
+
+const NAME_FOLDING = { "ß": "ss", "ł": "l", "ø": "o", "æ": "ae", "œ": "oe", "đ": "d", "ð": "d", "þ": "th", "ı": "i" };
+
+/**
+ * Normalize a place name for lookups.
+ * Must stay in sync with normalizeGeoName() in the worker.
+ */
+function normalizeName(name) {
+  return String(name)
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[ßłøæœđðþı]/g, (char) => NAME_FOLDING[char])
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+/**
+ * Expand the iso-codes naming conventions into the spellings people actually use:
+ * "Wales [Cymru GB-CYM]", "Murcia, Región de", "Guyane (française)", "A; B", "Name*"
+ */
+function nameVariants(name) {
+  const variants = new Set();
+  const base = name.replace(/\*$/, "").trim();
+
+  base.split(";").forEach((part) => {
+    const bracket = part.match(/^(.*?)\s*\[(.*)\]\s*$/);
+    const main = (bracket ? bracket[1] : part).trim();
+    if (bracket) {
+      const alternate = bracket[2].replace(/\b[A-Z]{2}-[A-Z0-9]{1,3}\b/g, "").trim();
+      if (alternate) variants.add(alternate);
+    }
+
+    variants.add(main);
+    const withoutParens = main.replace(/\s*\([^)]*\)/g, "").trim();
+    variants.add(withoutParens);
+
+    // "Bristol, City of" -> "City of Bristol"; lists like "Armagh City, Banbridge and Craigavon" stay as they are
+    const inverted = withoutParens.match(/^([^,]+),\s*(.+)$/);
+    if (inverted && !/\b(and|und|en|et|e|y)\b/.test(inverted[2])) {
+      variants.add(`${inverted[2]} ${inverted[1]}`);
+      variants.add(inverted[1]);
+    }
+  });
+
+  return [...variants].filter(Boolean);
+}
+
+/**
+ * Minimal reader for gettext .mo catalogs (msgid -> msgstr)
+ */
+function readMoCatalog(file) {
+  const catalog = new Map();
+  if (!existsSync(file)) return catalog;
+
+  const buffer = readFileSync(file);
+  const magic = buffer.readUInt32LE(0);
+  const read = magic === 0x950412de
+    ? (offset) => buffer.readUInt32LE(offset)
+    : (offset) => buffer.readUInt32BE(offset);
+  const count = read(8);
+  const originals = read(12);
+  const translations = read(16);
+
+  for (let i = 0; i < count; i++) {
+    const idLength = read(originals + i * 8);
+    const idOffset = read(originals + i * 8 + 4);
+    const strLength = read(translations + i * 8);
+    const strOffset = read(translations + i * 8 + 4);
+    const id = buffer.toString("utf8", idOffset, idOffset + idLength);
+    if (id) catalog.set(id, buffer.toString("utf8", strOffset, strOffset + strLength));
+  }
+
+  return catalog;
+}
+
+/**
+ * Build "CODE:name,name|CODE:name" strings per country.
+ * Every normalized name appears once per country; on collisions the higher
+ * priority source wins (provider alias > official name > translation), then
+ * top-level subdivisions win over their children.
+ */
+function buildRegionData() {
+  const subdivisions = JSON.parse(readFileSync(join(ISO_CODES_DIR, "iso_3166-2.json"), "utf8"))["3166-2"];
+  const catalogs = REGION_LANGUAGES.map((lang) =>
+    readMoCatalog(join(LOCALE_DIR, lang, "LC_MESSAGES", "iso_3166-2.mo"))
+  );
+
+  const countries = new Map();
+  const codes = new Map();
+  const claim = (country, code, name, priority, topLevel) => {
+    const key = normalizeName(name);
+    if (!key) return;
+    if (!countries.has(country)) countries.set(country, new Map());
+    const names = countries.get(country);
+    const rank = priority * 2 + (topLevel ? 1 : 0);
+    const current = names.get(key);
+    if (!current || rank > current.rank) names.set(key, { code, rank });
+  };
+
+  subdivisions.forEach((subdivision) => {
+    const [country, code] = subdivision.code.split("-");
+    const topLevel = !subdivision.parent;
+    if (!codes.has(country)) codes.set(country, new Set());
+    codes.get(country).add(code);
+
+    nameVariants(subdivision.name).forEach((name) => claim(country, code, name, 2, topLevel));
+    catalogs.forEach((catalog) => {
+      const translated = catalog.get(subdivision.name);
+      if (translated) nameVariants(translated).forEach((name) => claim(country, code, name, 1, topLevel));
+    });
+  });
+
+  Object.entries(PROVIDER_REGION_ALIASES).forEach(([country, aliases]) => {
+    Object.entries(aliases).forEach(([code, names]) => {
+      if (!codes.has(country) || !codes.get(country).has(code)) {
+        throw new Error(`Unknown subdivision in PROVIDER_REGION_ALIASES: ${country}-${code}`);
+      }
+      names.forEach((name) => claim(country, code, name, 3, true));
+    });
+  });
+
+  const result = {};
+  [...codes.keys()].sort().forEach((country) => {
+    const byCode = new Map([...codes.get(country)].map((code) => [code, []]));
+    countries.get(country).forEach(({ code }, name) => byCode.get(code).push(name));
+    result[country] = [...byCode.keys()]
+      .sort()
+      .map((code) => `${code}:${byCode.get(code).sort().join(",")}`)
+      .join("|");
+  });
+
+  return result;
+}
+
+/**
+ * Build the ISO 3166-1 country table, the localized name index and the M49 lookup.
+ * Names claimed by two countries at the same priority (e.g. "Korea") are dropped
+ * unless PROVIDER_COUNTRY_ALIASES decides them.
+ */
+function buildCountryData() {
+  const isoCountries = JSON.parse(readFileSync(join(ISO_CODES_DIR, "iso_3166-1.json"), "utf8"))["3166-1"];
+  const catalogs = REGION_LANGUAGES.map((lang) =>
+    readMoCatalog(join(LOCALE_DIR, lang, "LC_MESSAGES", "iso_3166-1.mo"))
+  );
+
+  const m49 = new Map();
+  Object.entries(M49_SUBCONTINENTS).forEach(([subcontinent, { continent, countries }]) => {
+    countries.split(" ").forEach((code) => {
+      if (m49.has(code)) throw new Error(`${code} is listed in two M49 subcontinents`);
+      m49.set(code, { continent, subcontinent });
+    });
+  });
+
+  const names = new Map();
+  const claim = (code, name, priority) => {
+    const key = normalizeName(name);
+    if (!key) return;
+    const current = names.get(key);
+    if (!current || priority > current.priority) {
+      names.set(key, { code, priority });
+    } else if (priority === current.priority && code !== current.code) {
+      current.code = null;
+    }
+  };
+
+  const countries = {};
+  isoCountries.sort((a, b) => a.alpha_2.localeCompare(b.alpha_2)).forEach((country) => {
+    const code = country.alpha_2;
+    if (code !== "AQ" && !m49.has(code)) throw new Error(`${code} has no M49 subcontinent`);
+
+    const region = m49.get(code) || { continent: "", subcontinent: "" };
+    const displayName = country.common_name || country.name;
+    countries[code] = [country.alpha_3, displayName, region.continent, region.subcontinent];
+
+    [country.name, country.common_name, country.official_name].filter(Boolean).forEach((name) => {
+      nameVariants(name).forEach((variant) => claim(code, variant, 2));
+      catalogs.forEach((catalog) => {
+        const translated = catalog.get(name);
+        if (translated) nameVariants(translated).forEach((variant) => claim(code, variant, 1));
+      });
+    });
+  });
+
+  m49.forEach((_, code) => {
+    if (!countries[code]) throw new Error(`M49_SUBCONTINENTS lists unknown country ${code}`);
+  });
+
+  Object.entries(PROVIDER_COUNTRY_ALIASES).forEach(([code, aliases]) => {
+    if (!countries[code]) throw new Error(`Unknown country in PROVIDER_COUNTRY_ALIASES: ${code}`);
+    aliases.forEach((alias) => claim(code, alias, 3));
+  });
+
+  const nameIndex = {};
+  Object.keys(countries).forEach((code) => { nameIndex[code] = []; });
+  names.forEach(({ code }, name) => {
+    if (code) nameIndex[code].push(name);
+  });
+  Object.keys(nameIndex).forEach((code) => { nameIndex[code] = nameIndex[code].sort().join(","); });
+
+  return { countries, nameIndex };
+}
+
+/**
+ * Map IANA timezones to countries: zone.tab for canonical zones, tzdata links
+ * (e.g. "Asia/Calcutta", which browsers still report) for the old names.
+ * Links to a zone that zone1970.tab shares between countries (e.g. "Africa/Asmera"
+ * -> "Africa/Nairobi") are ambiguous and only kept through TIMEZONE_OVERRIDES.
+ */
+function buildTimezoneData(countries) {
+  const timezones = { ...TIMEZONE_OVERRIDES };
+  const sharedZones = new Set();
+
+  readFileSync(join(ZONEINFO_DIR, "zone1970.tab"), "utf8").split("\n").forEach((line) => {
+    if (!line || line.startsWith("#")) return;
+    const [codes, , zone] = line.split("\t");
+    if (codes.includes(",")) sharedZones.add(zone);
+  });
+
+  readFileSync(join(ZONEINFO_DIR, "zone.tab"), "utf8").split("\n").forEach((line) => {
+    if (!line || line.startsWith("#")) return;
+    const [country, , zone] = line.split("\t");
+    timezones[zone] = country;
+  });
+
+  readFileSync(join(ZONEINFO_DIR, "tzdata.zi"), "utf8").split("\n").forEach((line) => {
+    const [type, target, link] = line.split(" ");
+    if (type !== "L" || !link.includes("/") || link.startsWith("Etc/") || timezones[link]) return;
+    if (timezones[target] && !sharedZones.has(target)) timezones[link] = timezones[target];
+  });
+
+  Object.entries(timezones).forEach(([zone, country]) => {
+    if (!countries[country]) throw new Error(`Timezone ${zone} maps to unknown country ${country}`);
+  });
+
+  return Object.fromEntries(Object.keys(timezones).sort().map((zone) => [zone, timezones[zone]]));
+}
+
+/**
+ * Check that every country resolves back to itself from each of its identifiers
+ */
+function verifyCountryRoundTrip(countries, nameIndex) {
+  const byAlpha3 = new Map(Object.entries(countries).map(([code, [alpha3]]) => [alpha3, code]));
+  const byName = new Map();
+  Object.entries(nameIndex).forEach(([code, names]) => {
+    names.split(",").filter(Boolean).forEach((name) => byName.set(name, code));
+  });
+
+  const failures = [];
+  Object.entries(countries).forEach(([code, [alpha3, displayName]]) => {
+    if (byAlpha3.get(alpha3) !== code) failures.push(`${code}: alpha-3 ${alpha3}`);
+    if (byName.get(normalizeName(displayName)) !== code) failures.push(`${code}: name "${displayName}"`);
+  });
+
+  if (failures.length) {
+    throw new Error(`Countries that do not round-trip:\n  ${failures.join("\n  ")}`);
+  }
+}
+
+/**
+ * Render an object as one "key": value line per entry
+ */
+function renderObject(declaration, object, indent = "") {
+  return [
+    `${indent}${declaration} = {`,
+    ...Object.entries(object).map(([key, value]) => `${indent}  "${key}": ${JSON.stringify(value)},`),
+    `${indent}};`,
+  ];
+}
+
+/**
+ * Replace a marked generated block in a CRLF source file
+ */
+function replaceGeneratedBlock(file, source, name, lines) {
+  const start = `// @generated-start ${name}`;
+  const end = `// @generated-end ${name}`;
+  const from = source.indexOf(start);
+  const to = source.indexOf(end);
+  if (from === -1 || to === -1 || to < from) {
+    throw new Error(`Generated block "${name}" not found in ${file}`);
+  }
+  const indent = source.slice(source.lastIndexOf("\n", to) + 1, to);
+  return source.slice(0, from + start.length) + "\r\n" + lines.join("\r\n") + "\r\n" + indent + source.slice(to);
+}
+
+const regions = buildRegionData();
+const { countries, nameIndex } = buildCountryData();
+const timezones = buildTimezoneData(countries);
+verifyCountryRoundTrip(countries, nameIndex);
+
+let worker = readFileSync(WORKER_FILE, "utf8");
+worker = replaceGeneratedBlock(WORKER_FILE, worker, "iso-3166-2", renderObject("const ISO_3166_2_REGIONS", regions));
+worker = replaceGeneratedBlock(WORKER_FILE, worker, "countries", [
+  ...renderObject("const GEO_COUNTRIES", countries),
+  "",
+  ...renderObject("const GEO_TIMEZONES", timezones),
+]);
+worker = replaceGeneratedBlock(WORKER_FILE, worker, "country-names", renderObject("const COUNTRY_NAME_INDEX", nameIndex));
+writeFileSync(WORKER_FILE, worker);
+
+let browser = readFileSync(BROWSER_FILE, "utf8");
+browser = replaceGeneratedBlock(BROWSER_FILE, browser, "countries", [
+  ...renderObject("var GEO_COUNTRIES", countries, "  "),
+  "",
+  ...renderObject("var GEO_TIMEZONES", timezones, "  "),
+]);
+writeFileSync(BROWSER_FILE, browser);
+
+console.log(`ISO 3166-1: ${Object.keys(countries).length} countries, ${Object.keys(timezones).length} timezones`);
+console.log(`ISO 3166-2: ${Object.keys(regions).length} countries, ${Object.values(regions).reduce((total, data) => total + data.split("|").length, 0)} subdivisions`);
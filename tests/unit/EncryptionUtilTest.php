@@ -209,4 +209,126 @@ class EncryptionUtilTest extends TestCase
             $this->markTestSkipped('Header encryption methods not implemented yet');
         }
     }
+
+    /**
+     * Test time-based JWT tokens carry a unique jti and an expiry
+     */
+    public function test_time_based_jwt_has_jti()
+    {
+        $key = str_repeat('a', 64);
+
+        $first = $this->decode_jwt_part(GA4_Encryption_Util::encrypt('{"test":"data"}', $key), 1);
+        $second = $this->decode_jwt_part(GA4_Encryption_Util::encrypt('{"test":"data"}', $key), 1);
+
+        $this->assertMatchesRegularExpression('/^[0-9a-f]{32}$/', $first['jti']);
+        $this->assertNotEquals($first['jti'], $second['jti']);
+        $this->assertIsInt($first['iat']);
+        $this->assertEquals($first['iat'] + 300, $first['exp']);
+    }
+
+    /**
+     * Test permanent JWT tokens carry a unique jti but no expiry
+     */
+    public function test_permanent_jwt_has_jti()
+    {
+        $key = str_repeat('a', 64);
+
+        $token = GA4_Encryption_Util::create_permanent_jwt_token('{"test":"data"}', $key);
+        $header = $this->decode_jwt_part($token, 0);
+        $payload = $this->decode_jwt_part($token, 1);
+        $other = $this->decode_jwt_part(GA4_Encryption_Util::create_permanent_jwt_token('{"test":"data"}', $key), 1);
+
+        $this->assertTrue($header['permanent']);
+        $this->assertMatchesRegularExpression('/^[0-9a-f]{32}$/', $payload['jti']);
+        $this->assertNotEquals($payload['jti'], $other['jti']);
+        $this->assertIsInt($payload['iat']);
+        $this->assertArrayNotHasKey('exp', $payload);
+    }
+
+    /**
+     * Test the kid matches the worker's getKeyId (first 16 hex chars of SHA-256 over the raw key bytes)
+     */
+    public function test_key_id_matches_worker()
+    {
+        // Vectors computed with the worker's getKeyId
+        $this->assertEquals('e0e77a507412b120', GA4_Encryption_Util::get_key_id(str_repeat('a', 64)));
+        $this->assertEquals('4884fdaafea47c29', GA4_Encryption_Util::get_key_id(str_repeat('0123456789abcdef', 4)));
+
+        $key = str_repeat('a', 64);
+        $time_based = $this->decode_jwt_part(GA4_Encryption_Util::encrypt('{}', $key), 0);
+        $permanent = $this->decode_jwt_part(GA4_Encryption_Util::create_permanent_jwt_token('{}', $key), 0);
+
+        $this->assertEquals('e0e77a507412b120', $time_based['kid']);
+        $this->assertEquals('e0e77a507412b120', $permanent['kid']);
+    }
+
+    /**
+     * Test tokens signed with the previous key still decrypt during a staged rotation
+     */
+    public function test_decrypt_with_previous_key_during_rotation()
+    {
+        $old_key = str_repeat('a', 64);
+        $new_key = str_repeat('0123456789abcdef', 4);
+        $options = $this->mock_options(array('ga4_jwt_encryption_key' => $old_key));
+
+        $time_based = GA4_Encryption_Util::encrypt('{"test":"time-based"}', $old_key);
+        $permanent = GA4_Encryption_Util::create_permanent_jwt_token('{"test":"permanent"}', $old_key);
+
+        // Stage and activate the new key: the old key moves to the previous slot
+        $this->assertTrue(GA4_Encryption_Util::stage_encryption_key($new_key));
+        GA4_Encryption_Util::activate_staged_encryption_key();
+
+        $this->assertEquals($new_key, GA4_Encryption_Util::retrieve_encrypted_key('ga4_jwt_encryption_key'));
+        $this->assertEquals($old_key, GA4_Encryption_Util::retrieve_encrypted_key('ga4_jwt_encryption_key_previous'));
+        $this->assertEquals('', $options['ga4_jwt_encryption_key_next']);
+
+        $this->assertEquals('{"test":"time-based"}', GA4_Encryption_Util::decrypt($time_based, $new_key));
+        $this->assertEquals('{"test":"permanent"}', GA4_Encryption_Util::decrypt_permanent_jwt_token($permanent, $new_key));
+
+        // Once the previous key is retired its tokens no longer verify
+        GA4_Encryption_Util::retire_previous_encryption_key();
+
+        $this->assertFalse(GA4_Encryption_Util::decrypt($time_based, $new_key));
+        $this->assertFalse(GA4_Encryption_Util::decrypt_permanent_jwt_token($permanent, $new_key));
+    }
+
+    /**
+     * Decode a Base64URL encoded JWT segment
+     *
+     * @param string $token JWT token
+     * @param int $index Segment index (0 = header, 1 = payload)
+     * @return array Decoded segment
+     */
+    private function decode_jwt_part($token, $index)
+    {
+        $this->assertIsString($token);
+        $parts = explode('.', $token);
+        $this->assertCount(3, $parts);
+
+        return json_decode(base64_decode(strtr($parts[$index], '-_', '+/')), true);
+    }
+
+    /**
+     * Back get_option/update_option with an in-memory option store
+     *
+     * @param array $initial Initial option values
+     * @return \ArrayObject Option store
+     */
+    private function mock_options($initial)
+    {
+        $options = new \ArrayObject(array_merge(array(
+            'ga4_time_based_salt' => 'test-salt',
+            'ga4_time_based_auth_key' => 'test-auth-key'
+        ), $initial));
+
+        Functions\when('get_option')->alias(function ($name, $default = false) use ($options) {
+            return isset($options[$name]) ? $options[$name] : $default;
+        });
+        Functions\when('update_option')->alias(function ($name, $value) use ($options) {
+            $options[$name] = $value;
+            return true;
+        });
+
+        return $options;
+    }
 }
@@ -0,0 +1,98 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadWorker, createEnv } from './load-worker.mjs';
+
+const worker = await loadWorker([
+  'constantTimeEqual', 'authenticateApiKey', 'hasApiKeyScope', 'ADMIN_ROUTE_SCOPES', 'initializeEnvironment', 'handleRequest'
+]);
+
+const realFetch = globalThis.fetch;
+const realWarn = console.warn;
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+  console.warn = realWarn;
+});
+
+const env = createEnv({
+  API_KEY: 'legacy-key',
+  API_KEYS: JSON.stringify({
+    sender: { key: 'sender-key', scopes: ['send'] },
+    replayer: { key: 'replay-key', scopes: ['replay'] },
+    stats: { key: 'stats-key', scopes: ['stats', 'unknown'] },
+    from_secret: { key_env: 'PARTNER_SECRET' },
+    missing_secret: { key_env: 'NOT_SET' }
+  }),
+  PARTNER_SECRET: 'partner-key'
+});
+
+function admin(path, key, method = 'GET') {
+  return worker.handleRequest(new Request(`https://worker.example.com${path}`, {
+    method: method,
+    headers: key ? { 'Authorization': `Bearer ${key}` } : {}
+  }), env);
+}
+
+test('constantTimeEqual compares whole values, including their length', () => {
+  assert.equal(worker.constantTimeEqual('secret-key', 'secret-key'), true);
+  assert.equal(worker.constantTimeEqual('secret-key', 'secret-kez'), false);
+  assert.equal(worker.constantTimeEqual('secret-key', 'secret-key-2'), false);
+  assert.equal(worker.constantTimeEqual('secret', ''), false);
+  assert.equal(worker.constantTimeEqual('', ''), true);
+  assert.equal(worker.constantTimeEqual('ключ', 'ключ'), true);
+});
+
+test('API keys are matched by their bearer token and carry their scopes', () => {
+  console.warn = () => {};
+  worker.initializeEnvironment(env);
+
+  const legacy = worker.authenticateApiKey('Bearer legacy-key');
+  assert.equal(legacy.name, 'default');
+  assert.equal(worker.hasApiKeyScope(legacy, 'stats'), true); // The admin scope grants every scope
+
+  const stats = worker.authenticateApiKey('Bearer stats-key');
+  assert.deepEqual(stats.scopes, ['stats']);
+  assert.equal(worker.hasApiKeyScope(stats, 'send'), false);
+
+  assert.equal(worker.authenticateApiKey('Bearer partner-key').name, 'from_secret');
+  assert.deepEqual(worker.authenticateApiKey('Bearer partner-key').scopes, ['send']);
+  assert.equal(worker.authenticateApiKey('Bearer sender-ke'), null);
+  assert.equal(worker.authenticateApiKey('sender-key'), null);
+  assert.equal(worker.authenticateApiKey('Bearer '), null);
+  assert.equal(worker.hasApiKeyScope(null, 'send'), false);
+});
+
+test('admin routes require the scope listed in ADMIN_ROUTE_SCOPES', async () => {
+  console.warn = () => {};
+  assert.equal(worker.ADMIN_ROUTE_SCOPES['/admin/dead-letters'], 'replay');
+  assert.equal(worker.ADMIN_ROUTE_SCOPES['/admin/bot-stats'], 'stats');
+
+  assert.equal((await admin('/admin/dead-letters')).status, 401);
+  assert.equal((await admin('/admin/dead-letters', 'wrong-key')).status, 401);
+  assert.equal((await admin('/admin/dead-letters', 'sender-key')).status, 403);
+  assert.equal((await admin('/admin/dead-letters', 'stats-key')).status, 403);
+  assert.equal((await admin('/admin/dead-letters', 'replay-key')).status, 200);
+  assert.equal((await admin('/admin/dead-letters', 'legacy-key')).status, 200);
+
+  assert.equal((await admin('/admin/bot-stats', 'replay-key')).status, 403);
+  assert.equal((await admin('/admin/bot-stats', 'stats-key')).status, 200);
+
+  // Unlisted admin routes need the admin scope
+  const forbidden = await admin('/admin/unknown', 'replay-key');
+  assert.equal(forbidden.status, 403);
+  assert.match((await forbidden.json()).details, /lacks the admin scope/);
+});
+
+test('a key without the send scope cannot post events', async () => {
+  console.warn = () => {};
+  globalThis.fetch = async () => new Response(null, { status: 204 });
+
+  const response = await worker.handleRequest(new Request('https://worker.example.com/', {
+    method: 'POST',
+    headers: { 'Authorization': 'Bearer stats-key', 'Content-Type': 'application/json' },
+    body: JSON.stringify({ name: 'page_view', params: { client_id: '1.2' } })
+  }), env);
+
+  assert.equal(response.status, 403);
+  assert.match((await response.json()).details, /lacks the send scope/);
+});
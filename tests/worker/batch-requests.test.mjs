@@ -0,0 +1,59 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadWorker, createEnv } from './load-worker.mjs';
+
+const worker = await loadWorker(['handleRequest']);
+
+const realFetch = globalThis.fetch;
+let requests;
+
+const env = createEnv({
+  API_KEYS: JSON.stringify({ test: { key: 'test-key', scopes: ['send'], skip_bot_detection: true } })
+});
+
+const CONSENT = { ad_user_data: 'GRANTED', ad_personalization: 'GRANTED' };
+
+function sendBatch(events) {
+  return worker.handleRequest(new Request('https://worker.example.com/', {
+    method: 'POST',
+    headers: { 'Authorization': 'Bearer test-key', 'Content-Type': 'application/json' },
+    body: JSON.stringify({ batch: true, consent: CONSENT, events: events })
+  }), env);
+}
+
+function pageView(clientId, index) {
+  return { name: 'page_view', params: { client_id: clientId, session_id: '123', page_number: index } };
+}
+
+beforeEach(() => {
+  requests = [];
+  globalThis.fetch = async (url, init) => {
+    requests.push(JSON.parse(init.body));
+    return new Response(null, { status: 204 });
+  };
+});
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+test('a batch is sent as multi-event requests of at most 25 events', async () => {
+  const events = Array.from({ length: 30 }, (_, index) => pageView('1.2', index));
+  const body = await (await sendBatch(events)).json();
+
+  assert.deepEqual(requests.map(request => request.events.length), [25, 5]);
+  assert.deepEqual(requests.flatMap(request => request.events.map(event => event.params.page_number)), events.map((_, index) => index));
+  assert.equal(body.ga4_requests, 2);
+  assert.equal(body.events_processed, 30);
+});
+
+test('events of different clients are never sent in one request', async () => {
+  const body = await (await sendBatch([pageView('1.1', 0), pageView('2.2', 1), pageView('1.1', 2)])).json();
+
+  assert.equal(requests.length, 2);
+  assert.deepEqual(requests.map(request => [request.client_id, request.events.map(event => event.params.page_number)]), [
+    ['1.1', [0, 2]],
+    ['2.2', [1]]
+  ]);
+  assert.equal(body.ga4_requests, 2);
+});
@@ -0,0 +1,73 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadWorker, createEnv } from './load-worker.mjs';
+
+const worker = await loadWorker(['handleRequest']);
+
+const realFetch = globalThis.fetch;
+let requests;
+
+function botRequest(ip) {
+  return new Request('https://worker.example.com/', {
+    method: 'POST',
+    headers: {
+      'CF-Connecting-IP': ip,
+      'Content-Type': 'application/json',
+      'Origin': 'https://example.com',
+      'User-Agent': 'python-requests/2.31'
+    },
+    body: JSON.stringify({ name: 'page_view', params: { client_id: '1.2', session_id: '123' } })
+  });
+}
+
+function sentTo(measurementId) {
+  return requests
+    .filter(request => new URL(request.url).searchParams.get('measurement_id') === measurementId)
+    .flatMap(request => request.body.events);
+}
+
+beforeEach(() => {
+  requests = [];
+  globalThis.fetch = async (url, init) => {
+    requests.push({ url: String(url), body: JSON.parse(init.body) });
+    return new Response(null, { status: 204 });
+  };
+});
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+test('block mode drops bot events', async () => {
+  const body = await (await worker.handleRequest(botRequest('203.0.113.20'), createEnv())).json();
+
+  assert.equal(body.filtered, true);
+  assert.equal(body.reason, 'bot_detected');
+  assert.equal(requests.length, 0);
+});
+
+test('monitor mode sends bot events tagged with their traffic quality', async () => {
+  const body = await (await worker.handleRequest(botRequest('203.0.113.21'), createEnv({ BOT_DETECTION_MODE: 'monitor' }))).json();
+
+  assert.equal(body.filtered, undefined);
+  const [event] = sentTo('G-TEST123');
+  assert.equal(event.params.traffic_quality, 'bot');
+  assert.ok(event.params.bot_score >= 50);
+  assert.match(event.params.bot_reasons, /^user_agent_pattern: python; /);
+  assert.ok(event.params.bot_reasons.length <= 100);
+});
+
+test('a traffic_quality filter routes bots to their own property', async () => {
+  const env = createEnv({
+    BOT_DETECTION_MODE: 'monitor',
+    GA4_DESTINATIONS: JSON.stringify([
+      { id: 'main', measurement_id: 'G-MAIN', api_secret: 'main-secret', traffic_quality: ['human', 'suspect'] },
+      { id: 'bots', measurement_id: 'G-BOTS', api_secret: 'bots-secret', traffic_quality: ['bot'] }
+    ])
+  });
+
+  await worker.handleRequest(botRequest('203.0.113.22'), env);
+
+  assert.equal(sentTo('G-MAIN').length, 0);
+  assert.equal(sentTo('G-BOTS').length, 1);
+});
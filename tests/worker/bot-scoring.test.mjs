@@ -0,0 +1,101 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadWorker, createEnv } from './load-worker.mjs';
+
+const worker = await loadWorker(['detectBot', 'loadBotDetectionConfig', 'initializeEnvironment']);
+
+const realWarn = console.warn;
+
+afterEach(() => {
+  console.warn = realWarn;
+  worker.initializeEnvironment(createEnv());
+});
+
+const PAYLOAD = { name: 'page_view', params: { client_id: '1.2' } };
+
+function request(headers) {
+  const incoming = new Request('https://worker.example.com/', { method: 'POST', headers: headers });
+  Object.defineProperty(incoming, 'cf', { value: { country: 'DE', city: 'Berlin', asn: 3320 } });
+  return incoming;
+}
+
+// Fires the user_agent, headers and request_patterns checks
+const scriptRequest = () => request({ 'User-Agent': 'python-requests/2.31' });
+
+// Fires the request_patterns check only (no Origin or Referer)
+const browserRequest = () => request({
+  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36',
+  'Accept': '*/*',
+  'Accept-Language': 'de',
+  'Accept-Encoding': 'gzip',
+  'Content-Length': '10'
+});
+
+test('the score is the sum of the weights of the checks that fire', () => {
+  worker.initializeEnvironment(createEnv());
+  const detection = worker.detectBot(scriptRequest(), PAYLOAD);
+
+  assert.equal(detection.score, 80);
+  assert.deepEqual(
+    Object.entries(detection.checks).filter(([, score]) => score > 0),
+    [['user_agent', 30], ['headers', 25], ['request_patterns', 25]]
+  );
+  assert.equal(detection.isBot, true);
+  assert.equal(detection.trafficQuality, 'bot');
+  assert.equal(detection.reasons.length, 3);
+});
+
+test('scores between the suspect and bot thresholds are suspect traffic', () => {
+  worker.initializeEnvironment(createEnv());
+  const detection = worker.detectBot(browserRequest(), PAYLOAD);
+
+  assert.equal(detection.score, 25);
+  assert.equal(detection.isBot, false);
+  assert.equal(detection.trafficQuality, 'suspect');
+
+  worker.initializeEnvironment(createEnv({ BOT_SUSPECT_THRESHOLD: '30' }));
+  assert.equal(worker.detectBot(browserRequest(), PAYLOAD).trafficQuality, 'human');
+});
+
+test('weights, thresholds and disabled checks come from the environment', () => {
+  worker.initializeEnvironment(createEnv({
+    BOT_CHECK_WEIGHTS: JSON.stringify({ user_agent: 60, headers: 0 }),
+    BOT_CHECK_REQUEST_PATTERNS: 'false',
+    BOT_SCORE_THRESHOLD: '70'
+  }));
+  const detection = worker.detectBot(scriptRequest(), PAYLOAD);
+
+  assert.equal(detection.score, 60);
+  assert.equal('request_patterns' in detection.checks, false);
+  assert.equal(detection.checks.headers, 0);
+  assert.equal(detection.isBot, false);
+  assert.equal(detection.trafficQuality, 'suspect');
+  assert.equal(detection.threshold, 70);
+});
+
+test('invalid settings fall back to the defaults', () => {
+  const warnings = [];
+  console.warn = message => warnings.push(message);
+
+  const config = worker.loadBotDetectionConfig({
+    BOT_CHECK_WEIGHTS: '{"user_agent": 30',
+    BOT_SCORE_THRESHOLD: '-5',
+    BOT_SUSPECT_THRESHOLD: '80',
+    BOT_DETECTION_MODE: 'shadow'
+  });
+  assert.equal(config.weights.user_agent, 30);
+  assert.equal(config.threshold, 50);
+  assert.equal(config.suspectThreshold, 50); // Never above the bot threshold
+  assert.equal(config.mode, 'block');
+  assert.equal(warnings.length, 2);
+
+  const partial = worker.loadBotDetectionConfig({ BOT_CHECK_WEIGHTS: JSON.stringify({ geography: -1, headers: 'x', behavior: 5 }) });
+  assert.equal(partial.weights.geography, 25);
+  assert.equal(partial.weights.headers, 25);
+  assert.equal(partial.weights.behavior, 5);
+});
+
+test('BOT_DETECTION_ENABLED=false turns detection off', () => {
+  worker.initializeEnvironment(createEnv({ BOT_DETECTION_ENABLED: 'false' }));
+  assert.deepEqual(worker.detectBot(scriptRequest(), PAYLOAD), { isBot: false, reason: 'detection_disabled' });
+});
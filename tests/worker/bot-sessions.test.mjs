@@ -0,0 +1,94 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadWorker, createEnv } from './load-worker.mjs';
+
+const worker = await loadWorker(['handleRequest', 'getBotSessionKey']);
+
+const BROWSER_UA = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36';
+const HEADLESS_UA = 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) HeadlessChrome/120.0 Safari/537.36 bot';
+
+const realFetch = globalThis.fetch;
+let sentEvents;
+
+function sendBatch(events, env = createEnv()) {
+  const body = JSON.stringify({ batch: true, events: events });
+  const request = new Request('https://worker.example.com/', {
+    method: 'POST',
+    headers: {
+      'Content-Length': String(Buffer.byteLength(body)),
+      'CF-Connecting-IP': '198.51.100.30',
+      'Content-Type': 'application/json',
+      'Origin': 'https://example.com',
+      'User-Agent': BROWSER_UA,
+      'Accept': '*/*',
+      'Accept-Language': 'de',
+      'Accept-Encoding': 'gzip'
+    },
+    body: body
+  });
+  Object.defineProperty(request, 'cf', { value: { country: 'DE', city: 'Berlin', asn: 3320 } });
+  return worker.handleRequest(request, env);
+}
+
+function sessionEvent(name, sessionId, userAgent) {
+  return { name: name, params: { client_id: `client.${sessionId}`, session_id: sessionId, user_agent: userAgent } };
+}
+
+beforeEach(() => {
+  sentEvents = [];
+  globalThis.fetch = async (url, init) => {
+    sentEvents.push(...JSON.parse(init.body).events.map(event => `${event.name}:${event.params.session_id}`));
+    return new Response(null, { status: 204 });
+  };
+});
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+test('batch events are grouped by session, then client id', () => {
+  assert.equal(worker.getBotSessionKey({ params: { session_id: 's1', client_id: 'c1' } }), 'session:s1');
+  assert.equal(worker.getBotSessionKey({ params: { client_id: 'c1' } }), 'client:c1');
+  assert.equal(worker.getBotSessionKey({ params: {} }), 'batch');
+});
+
+test('a bot session after a human one is filtered, the human session is sent', async () => {
+  const body = await (await sendBatch([
+    sessionEvent('page_view', 'human', BROWSER_UA),
+    sessionEvent('page_view', 'headless', HEADLESS_UA),
+    sessionEvent('scroll', 'human', BROWSER_UA),
+    sessionEvent('scroll', 'headless', HEADLESS_UA)
+  ])).json();
+
+  assert.deepEqual(sentEvents, ['page_view:human', 'scroll:human']);
+  assert.equal(body.events_filtered, 2);
+  assert.deepEqual(body.filtered_events.map(filtered => [filtered.index, filtered.session]), [
+    [1, 'session:headless'],
+    [3, 'session:headless']
+  ]);
+});
+
+test('a batch of bot sessions only gets the filtered response', async () => {
+  const body = await (await sendBatch([
+    sessionEvent('page_view', 'headless', HEADLESS_UA),
+    sessionEvent('scroll', 'headless', HEADLESS_UA)
+  ])).json();
+
+  assert.deepEqual(sentEvents, []);
+  assert.equal(body.filtered, true);
+  assert.equal(body.reason, 'bot_detected');
+  assert.equal(body.events_filtered, 2);
+});
+
+test('in monitor mode each event is tagged with its own session\'s traffic quality', async () => {
+  const env = createEnv({ BOT_DETECTION_MODE: 'monitor' });
+  const qualities = [];
+  globalThis.fetch = async (url, init) => {
+    qualities.push(...JSON.parse(init.body).events.map(event => event.params.traffic_quality));
+    return new Response(null, { status: 204 });
+  };
+
+  await sendBatch([sessionEvent('page_view', 'human', BROWSER_UA), sessionEvent('page_view', 'headless', HEADLESS_UA)], env);
+
+  assert.deepEqual(qualities.sort(), ['bot', 'human']);
+});
@@ -0,0 +1,183 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadWorker, createEnv } from './load-worker.mjs';
+
+const NAMES = ['recordBotDetection', 'flushBotStats', 'getBotStats', 'foldBotStats', 'initializeEnvironment', 'createMemoryKVStore'];
+const realFetch = globalThis.fetch;
+const realWarn = console.warn;
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+  console.warn = realWarn;
+});
+
+const detection = { isBot: true, monitorOnly: false, checks: { headers: 30 }, reasons: ['Missing headers'] };
+
+function botRequest(country) {
+  const request = new Request('https://worker.example/', { method: 'POST', headers: { 'User-Agent': 'python-requests/2.31' } });
+  Object.defineProperty(request, 'cf', { value: { country: country, asn: 64500 } });
+  return request;
+}
+
+/**
+ * Load one worker module per isolate
+ */
+async function loadIsolates(count) {
+  const isolates = [];
+  for (let i = 0; i < count; i++) {
+    const isolate = await loadWorker(NAMES);
+    isolate.initializeEnvironment(createEnv());
+    isolates.push(isolate);
+  }
+  return isolates;
+}
+
+/**
+ * KV store whose operations yield between read and write, like a remote namespace
+ */
+function createSlowKVStore(memory) {
+  const pause = () => new Promise(resolve => setTimeout(resolve, 1));
+  return {
+    async get(...args) { await pause(); return memory.get(...args); },
+    async put(...args) { await pause(); return memory.put(...args); },
+    async delete(...args) { return memory.delete(...args); },
+    async list(...args) { return memory.list(...args); }
+  };
+}
+
+test('isolates write their own keys and the counts are summed on read', async () => {
+  const isolates = await loadIsolates(3);
+  const store = createSlowKVStore(isolates[0].createMemoryKVStore());
+  isolates.forEach(isolate => isolate.initializeEnvironment(createEnv({ BOT_STATS_KV: store })));
+
+  for (const [index, isolate] of isolates.entries()) {
+    for (let i = 0; i <= index; i++) {
+      isolate.recordBotDetection(detection, botRequest('DE'), {}, 2);
+    }
+  }
+  // Concurrent flushes cannot lose counts: no isolate writes another isolate's key
+  await Promise.all(isolates.map(isolate => isolate.flushBotStats()));
+
+  const listing = await store.list({ prefix: 'bot_stats_isolate:' });
+  assert.equal(listing.keys.length, 3);
+
+  const stats = await isolates[0].getBotStats(1);
+  assert.equal(stats.buckets.length, 1);
+  assert.equal(stats.totals.requests, 6);
+  assert.equal(stats.totals.events, 12);
+  assert.equal(stats.totals.dropped, 12);
+  assert.deepEqual(stats.totals.countries, { DE: 12 });
+  assert.deepEqual(stats.totals.ua_families, { python: 12 });
+});
+
+test('repeated flushes replace the isolate totals instead of adding them again', async () => {
+  const [isolate] = await loadIsolates(1);
+
+  isolate.recordBotDetection(detection, botRequest('FR'), {});
+  await isolate.flushBotStats();
+  await isolate.flushBotStats();
+  isolate.recordBotDetection(detection, botRequest('FR'), {});
+  await isolate.flushBotStats();
+
+  assert.equal((await isolate.getBotStats(1)).totals.requests, 2);
+});
+
+test('counters that fail to write are written by the next flush', async () => {
+  const [isolate] = await loadIsolates(1);
+  const memory = isolate.createMemoryKVStore();
+  let failing = true;
+  isolate.initializeEnvironment(createEnv({
+    BOT_STATS_KV: { ...memory, async put(...args) { if (failing) throw new Error('KV unavailable'); return memory.put(...args); } }
+  }));
+  console.warn = () => {};
+
+  isolate.recordBotDetection(detection, botRequest('NL'), {});
+  await isolate.flushBotStats();
+  assert.equal((await memory.list({ prefix: 'bot_stats_isolate:' })).keys.length, 0);
+
+  failing = false;
+  await isolate.flushBotStats();
+  assert.equal((await isolate.getBotStats(1)).totals.requests, 1);
+});
+
+test('the fetch handler flushes counted bots through ctx.waitUntil', async () => {
+  const worker = await loadWorker(NAMES);
+  const store = worker.createMemoryKVStore();
+  const pending = [];
+  globalThis.fetch = async () => new Response(null, { status: 204 });
+
+  const response = await worker.default.fetch(new Request('https://worker.example/', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Origin': 'https://example.com', 'User-Agent': 'python-requests/2.31' },
+    body: JSON.stringify({ name: 'page_view', params: { client_id: '123.456' } })
+  }), createEnv({ BOT_STATS_KV: store }), { waitUntil: promise => pending.push(promise) });
+
+  assert.equal(response.status, 200);
+  assert.equal(pending.length, 1);
+  await Promise.all(pending);
+
+  const listing = await store.list({ prefix: 'bot_stats_isolate:' });
+  assert.equal(listing.keys.length, 1);
+  assert.match(listing.keys[0].name, /^bot_stats_isolate:\d{4}-\d\d-\d\dT\d\d:00:00\.000Z:[0-9a-f-]{36}$/);
+});
+
+/**
+ * Copy the flushed counters of an isolate to other isolate keys of an earlier bucket
+ */
+async function copyToBucket(store, bucket, isolates) {
+  const [{ name }] = (await store.list({ prefix: 'bot_stats_isolate:' })).keys;
+  const counters = await store.get(name, { type: 'json' });
+  for (let i = 0; i < isolates; i++) {
+    await store.put(`bot_stats_isolate:${bucket}:isolate-${i}`, JSON.stringify({ ...counters, bucket: bucket }));
+  }
+  await store.delete(name);
+}
+
+test('the scheduled handler folds finished hours into one key per hour', async () => {
+  const worker = await loadWorker(NAMES);
+  const store = worker.createMemoryKVStore();
+  const env = createEnv({ BOT_STATS_KV: store });
+  worker.initializeEnvironment(env);
+
+  worker.recordBotDetection(detection, botRequest('DE'), {}, 3);
+  await worker.flushBotStats();
+  const bucket = new Date(Math.floor(Date.now() / 3600000) * 3600000 - 2 * 3600000).toISOString();
+  await copyToBucket(store, bucket, 4);
+
+  const pending = [];
+  await worker.default.scheduled({}, env, { waitUntil: promise => pending.push(promise) });
+  await Promise.all(pending);
+
+  // A late isolate flush (running totals of 2 requests) is added to the folded key of its hour
+  worker.recordBotDetection(detection, botRequest('DE'), {}, 3);
+  await worker.flushBotStats();
+  await copyToBucket(store, bucket, 1);
+  assert.deepEqual(await worker.foldBotStats(), { buckets: 1, keys: 1 });
+
+  assert.deepEqual((await store.list({ prefix: 'bot_stats_isolate:' })).keys, []);
+  assert.deepEqual((await store.list({ prefix: 'bot_stats:' })).keys.map(key => key.name), [`bot_stats:${bucket}`]);
+
+  const stats = await worker.getBotStats(3);
+  assert.equal(stats.buckets.length, 1);
+  assert.equal(stats.totals.requests, 6);
+  assert.equal(stats.totals.events, 18);
+});
+
+test('statistics requests read a capped number of keys', async () => {
+  const worker = await loadWorker(NAMES);
+  const memory = worker.createMemoryKVStore();
+  let reads = 0;
+  worker.initializeEnvironment(createEnv({
+    BOT_STATS_KV: { ...memory, async get(...args) { reads++; return memory.get(...args); } }
+  }));
+
+  worker.recordBotDetection(detection, botRequest('DE'), {});
+  await worker.flushBotStats();
+  const bucket = new Date(Math.floor(Date.now() / 3600000) * 3600000).toISOString();
+  await copyToBucket(memory, bucket, 600);
+
+  const stats = await worker.getBotStats(1);
+  assert.equal(stats.truncated, true);
+  assert.equal(reads, 500);
+  assert.equal(stats.totals.requests, 500);
+});
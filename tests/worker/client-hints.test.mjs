@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadWorker } from './load-worker.mjs';
+
+const worker = await loadWorker(['detectDevice', 'getClientHints', 'parseClientHintBrands', 'extractDeviceInfo']);
+
+// Reduced user agents: Chrome freezes the OS version and device model
+const CHROME_WINDOWS = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36';
+const CHROME_ANDROID = 'Mozilla/5.0 (Linux; Android 10; K) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Mobile Safari/537.36';
+const SAFARI_IPHONE = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_4_1 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.4.1 Mobile/15E148 Safari/604.1';
+
+const WINDOWS_11_HEADERS = {
+  'Sec-CH-UA': '"Chromium";v="124", "Google Chrome";v="124", "Not-A.Brand";v="99"',
+  'Sec-CH-UA-Mobile': '?0',
+  'Sec-CH-UA-Platform': '"Windows"',
+  'Sec-CH-UA-Platform-Version': '"15.0.0"',
+  'Sec-CH-UA-Full-Version-List': '"Chromium";v="124.0.6367.91", "Google Chrome";v="124.0.6367.91", "Not-A.Brand";v="99.0.0.0"'
+};
+
+const ANDROID_HINTS = {
+  brands: [{ brand: 'Google Chrome', version: '124' }],
+  mobile: true,
+  platform: 'Android',
+  platformVersion: '14.0.0',
+  model: 'SM-S918B'
+};
+
+function hintRequest(headers) {
+  return new Request('https://worker.example.com/', { headers: headers });
+}
+
+test('Sec-CH-UA brand lists are parsed in header order', () => {
+  assert.deepEqual(worker.parseClientHintBrands(WINDOWS_11_HEADERS['Sec-CH-UA']), [
+    { brand: 'Chromium', version: '124' },
+    { brand: 'Google Chrome', version: '124' },
+    { brand: 'Not-A.Brand', version: '99' }
+  ]);
+  assert.deepEqual(worker.parseClientHintBrands(null), []);
+});
+
+test('client hint headers give the Windows 11 version and the full browser version with consent', () => {
+  const device = worker.extractDeviceInfo({ user_agent: CHROME_WINDOWS }, hintRequest(WINDOWS_11_HEADERS), { ad_user_data: 'GRANTED' });
+
+  assert.deepEqual(device, {
+    category: 'desktop',
+    browser: 'Chrome',
+    browser_version: '124.0.6367.91',
+    operating_system: 'Windows',
+    operating_system_version: '11'
+  });
+});
+
+test('high-entropy hints are ignored without ad_user_data consent', () => {
+  const hints = worker.getClientHints({}, hintRequest(WINDOWS_11_HEADERS), false);
+  assert.equal('platformVersion' in hints, false);
+  assert.equal('fullVersionList' in hints, false);
+
+  const device = worker.extractDeviceInfo({ user_agent: CHROME_WINDOWS }, hintRequest(WINDOWS_11_HEADERS), { ad_user_data: 'DENIED' });
+  assert.equal(device.browser_version, '124');
+  assert.equal(device.operating_system_version, '10');
+
+  const android = worker.extractDeviceInfo({ user_agent: CHROME_ANDROID, client_hints: ANDROID_HINTS }, null, {});
+  assert.equal(android.model, undefined);
+  assert.notEqual(android.operating_system_version, '14');
+});
+
+test('hints sent in the payload give the model and brand of reduced Android user agents', () => {
+  const device = worker.extractDeviceInfo({ user_agent: CHROME_ANDROID, client_hints: ANDROID_HINTS }, null, { ad_user_data: 'GRANTED' });
+
+  assert.deepEqual(device, {
+    category: 'mobile',
+    browser: 'Chrome',
+    browser_version: '124',
+    operating_system: 'Android',
+    operating_system_version: '14',
+    model: 'SM-S918B',
+    brand: 'Samsung'
+  });
+});
+
+test('a specific brand replaces the generic Chrome of the user agent', () => {
+  const device = worker.detectDevice(CHROME_WINDOWS, {
+    brands: [{ brand: 'Brave', version: '124' }, { brand: 'Chromium', version: '124' }, { brand: 'Not-A.Brand', version: '99' }],
+    platform: 'Windows'
+  });
+  assert.equal(device.browser, 'Brave');
+  assert.equal(device.browser_version, '124');
+});
+
+test('browsers without client hints are parsed from the user agent', () => {
+  assert.deepEqual(worker.detectDevice(SAFARI_IPHONE), {
+    category: 'mobile',
+    browser: 'Safari',
+    browser_version: '17.4.1',
+    operating_system: 'iOS',
+    operating_system_version: '17.4.1',
+    model: 'iPhone',
+    brand: 'Apple'
+  });
+});
@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadWorker, createEnv } from './load-worker.mjs';
+
+const worker = await loadWorker(['handleCORS', 'getCORSHeaders', 'initializeEnvironment', 'handleRequest']);
+
+const env = createEnv({
+  ALLOWED_DOMAINS: 'example.com, *.shop.test',
+  ENVIRONMENT: 'staging',
+  ALLOWED_DOMAINS_STAGING: 'staging.example.org'
+});
+worker.initializeEnvironment(env);
+
+function preflight(origin) {
+  return new Request('https://worker.example.com/', {
+    method: 'OPTIONS',
+    headers: origin ? { 'Origin': origin, 'Access-Control-Request-Method': 'POST' } : {}
+  });
+}
+
+test('preflights from allowed origins echo the origin', async () => {
+  for (const origin of ['https://example.com', 'https://www.example.com', 'https://eu.shop.test', 'https://staging.example.org']) {
+    const response = await worker.handleRequest(preflight(origin), env);
+    assert.equal(response.status, 204, origin);
+    assert.equal(response.headers.get('Access-Control-Allow-Origin'), origin);
+    assert.equal(response.headers.get('Access-Control-Allow-Credentials'), 'true');
+    assert.equal(response.headers.get('Vary'), 'Origin');
+  }
+});
+
+test('preflights from other origins are rejected without CORS headers', () => {
+  const rejected = [
+    'https://evil.com',
+    'https://example.com.evil.com',
+    'https://notexample.com',
+    'https://shop.test', // "*.shop.test" only allows subdomains
+    'null',
+    'not a url',
+    null
+  ];
+
+  for (const origin of rejected) {
+    const response = worker.handleCORS(preflight(origin));
+    assert.equal(response.status, 403, String(origin));
+    assert.equal(response.headers.get('Access-Control-Allow-Origin'), null);
+    assert.equal(response.headers.get('Vary'), 'Origin');
+  }
+});
+
+test('responses never reflect an origin outside the allowlist', () => {
+  const allowed = worker.getCORSHeaders(new Request('https://worker.example.com/', { headers: { 'Origin': 'https://example.com' } }));
+  assert.equal(allowed['Access-Control-Allow-Origin'], 'https://example.com');
+
+  const other = worker.getCORSHeaders(new Request('https://worker.example.com/', { headers: { 'Origin': 'https://evil.com' } }));
+  assert.equal(other['Access-Control-Allow-Origin'], undefined);
+  assert.equal(other['Access-Control-Allow-Credentials'], undefined);
+});
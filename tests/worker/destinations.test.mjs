@@ -0,0 +1,82 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadWorker, createEnv } from './load-worker.mjs';
+
+const worker = await loadWorker(['handleRequest', 'initializeEnvironment']);
+
+const realFetch = globalThis.fetch;
+let requests;
+let failingProperty;
+
+const env = createEnv({
+  API_KEYS: JSON.stringify({ test: { key: 'test-key', scopes: ['send'], skip_bot_detection: true } }),
+  GA4_DESTINATIONS: JSON.stringify([
+    { id: 'main', measurement_id: 'G-MAIN', api_secret: 'main-secret' },
+    {
+      id: 'shop',
+      measurement_id: 'G-SHOP',
+      api_secret: 'shop-secret',
+      events: ['purchase'],
+      rewrites: { rename: { value: 'revenue' }, set: { property: 'shop' } }
+    }
+  ])
+});
+
+function sendBatch(events) {
+  return worker.handleRequest(new Request('https://worker.example.com/', {
+    method: 'POST',
+    headers: { 'Authorization': 'Bearer test-key', 'Content-Type': 'application/json' },
+    body: JSON.stringify({ batch: true, events: events })
+  }), env);
+}
+
+function sentTo(measurementId) {
+  return requests
+    .filter(request => new URL(request.url).searchParams.get('measurement_id') === measurementId)
+    .map(request => request.body);
+}
+
+const EVENTS = [
+  { name: 'page_view', params: { client_id: '1.2', session_id: '123' } },
+  { name: 'purchase', params: { client_id: '1.2', session_id: '123', value: 10, currency: 'EUR' } }
+];
+
+beforeEach(() => {
+  requests = [];
+  failingProperty = null;
+  globalThis.fetch = async (url, init) => {
+    requests.push({ url: String(url), body: JSON.parse(init.body) });
+    return new URL(String(url)).searchParams.get('measurement_id') === failingProperty
+      ? new Response('unavailable', { status: 503 })
+      : new Response(null, { status: 204 });
+  };
+});
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+test('each property gets the events its filters accept, with its own rewrites', async () => {
+  await sendBatch(EVENTS);
+
+  const [main] = sentTo('G-MAIN');
+  assert.deepEqual(main.events.map(event => event.name), ['page_view', 'purchase']);
+  assert.equal(main.events[1].params.value, 10);
+  assert.equal(main.events[1].params.property, undefined);
+
+  const [shop] = sentTo('G-SHOP');
+  assert.deepEqual(shop.events.map(event => event.name), ['purchase']);
+  assert.equal(shop.events[0].params.revenue, 10);
+  assert.equal(shop.events[0].params.value, undefined);
+  assert.equal(shop.events[0].params.property, 'shop');
+  assert.equal(new URL(requests.find(request => request.url.includes('G-SHOP')).url).searchParams.get('api_secret'), 'shop-secret');
+});
+
+test('a failing property is queued for retry without failing the others', async () => {
+  failingProperty = 'G-SHOP';
+  const body = await (await sendBatch(EVENTS)).json();
+
+  assert.equal(body.events_queued_for_retry, 1);
+  assert.equal(sentTo('G-MAIN').length, 1);
+  assert.equal(sentTo('G-SHOP').length, 1);
+});
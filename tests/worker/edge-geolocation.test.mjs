@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadWorker, createEnv } from './load-worker.mjs';
+
+const worker = await loadWorker(['enhanceWithIPGeolocation', 'isProxiedRequest', 'initializeEnvironment']);
+
+worker.initializeEnvironment(createEnv({
+  EDGE_GEOLOCATION: 'true',
+  API_KEYS: JSON.stringify({ wordpress: { key: 'wp-key', scopes: ['send'] } })
+}));
+
+// Cloudflare location of the request: the visitor for browser requests, the WordPress server when relayed
+const CF = { country: 'NL', city: 'Amsterdam', regionCode: 'NH', continent: 'EU' };
+
+function edgeRequest(headers = {}) {
+  const request = new Request('https://worker.example/', { method: 'POST', headers: headers });
+  Object.defineProperty(request, 'cf', { value: CF });
+  return request;
+}
+
+function browserLocatedPayload() {
+  return { params: { geo_country: 'IT', geo_city: 'Milan', geo_region: 'Lombardy', geo_continent: 'EU' } };
+}
+
+test('browser requests get the location Cloudflare resolved at the edge', () => {
+  const { params } = worker.enhanceWithIPGeolocation(browserLocatedPayload(), edgeRequest());
+  assert.deepEqual(params, { geo_country: 'NL', geo_city: 'Amsterdam', geo_region: 'NH' });
+});
+
+test('requests relayed by WordPress with a Worker API key keep the browser location', () => {
+  const relayed = [
+    edgeRequest({ 'Authorization': 'Bearer wp-key' }),
+    edgeRequest({ 'Authorization': 'Bearer wp-key', 'X-GA4-Proxied': 'true' })
+  ];
+
+  for (const request of relayed) {
+    assert.equal(worker.isProxiedRequest(request), true);
+    assert.deepEqual(worker.enhanceWithIPGeolocation(browserLocatedPayload(), request), browserLocatedPayload());
+  }
+});
+
+test('the X-GA4-Proxied header without a valid API key does not keep the browser location', () => {
+  const spoofed = [
+    edgeRequest({ 'X-GA4-Proxied': 'true' }),
+    edgeRequest({ 'Authorization': 'Bearer wrong-key', 'X-GA4-Proxied': 'true' })
+  ];
+
+  for (const request of spoofed) {
+    assert.equal(worker.isProxiedRequest(request), false);
+    const { params } = worker.enhanceWithIPGeolocation(browserLocatedPayload(), request);
+    assert.deepEqual(params, { geo_country: 'NL', geo_city: 'Amsterdam', geo_region: 'NH' });
+  }
+});
@@ -0,0 +1,137 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadWorker, createEnv } from './load-worker.mjs';
+
+const worker = await loadWorker([
+  'applyEventRules', 'parseEventRules', 'matchesRuleCondition', 'deriveRuleParam', 'handleRequest', 'DEFAULT_EVENT_RULES'
+]);
+
+const realFetch = globalThis.fetch;
+const realWarn = console.warn;
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+  console.warn = realWarn;
+});
+
+/**
+ * Parse a rule set and collect the warnings it logs
+ */
+function parseQuietly(ruleSet) {
+  const warnings = [];
+  console.warn = message => warnings.push(message);
+  try {
+    return { ruleSet: worker.parseEventRules(ruleSet), warnings: warnings };
+  } finally {
+    console.warn = realWarn;
+  }
+}
+
+test('rules rename, drop, derive and default params in order', () => {
+  const { event, dropped, applied } = worker.applyEventRules(
+    { name: 'generate_lead', params: { order_id: 'T-1', affiliation: 'shop', debug_mode: true } },
+    [
+      { id: 'rename', when: { event: 'generate_lead' }, rename_event: 'form_conversion' },
+      {
+        when: { event: ['form_conversion'] },
+        rename_params: { order_id: 'transaction_id' },
+        drop_params: ['debug_mode'],
+        derive_params: { order_label: '{affiliation}-{transaction_id}', copy: '{transaction_id}' },
+        defaults: { currency: 'EUR', affiliation: 'ignored' }
+      },
+      { id: 'never', when: { event: 'purchase' }, defaults: { value: 1 } }
+    ]
+  );
+
+  assert.equal(dropped, false);
+  assert.deepEqual(applied, ['rename', 'rule_2']);
+  assert.deepEqual(event, {
+    name: 'form_conversion',
+    params: { transaction_id: 'T-1', affiliation: 'shop', order_label: 'shop-T-1', copy: 'T-1', currency: 'EUR' }
+  });
+});
+
+test('drop_event stops at the first matching rule', () => {
+  const input = { name: 'page_view', params: { page_location: 'https://example.com/wp-admin/edit.php' } };
+  const rules = [
+    { id: 'drop_admin', when: { params: { page_location: { matches: '/wp-admin/' } } }, drop_event: true },
+    { defaults: { never: true } }
+  ];
+  const result = worker.applyEventRules(input, rules);
+  assert.equal(result.dropped, true);
+  assert.equal(result.dropped_by, 'drop_admin');
+  assert.equal(input.params.never, undefined);
+});
+
+test('conditions', () => {
+  const holds = worker.matchesRuleCondition;
+  assert.equal(holds('purchase', 'purchase'), true);
+  assert.equal(holds(['a', 'b'], 'c'), false);
+  assert.equal(holds({ exists: true }, ''), false);
+  assert.equal(holds({ exists: false }, undefined), true);
+  assert.equal(holds({ equals: 5, not_equals: 6 }, 5), true);
+  assert.equal(holds({ in: ['EUR', 'USD'] }, 'GBP'), false);
+  assert.equal(holds({ not_in: ['EUR'] }, 'GBP'), true);
+  assert.equal(holds({ matches: '^/shop' }, '/shop/item'), true);
+  assert.equal(holds({ matches: /^\/shop/ }, undefined), false);
+  assert.equal(holds({ gt: 10, lt: 20 }, '15'), true);
+  assert.equal(holds({ gt: 10 }, 10), false);
+});
+
+test('derived params are skipped when a referenced param is missing', () => {
+  assert.equal(worker.deriveRuleParam('{a}-{b}', { a: 1 }), undefined);
+  assert.equal(worker.deriveRuleParam('{a}', { a: 1 }), 1);
+});
+
+test('parseEventRules compiles patterns and drops invalid rules', () => {
+  const { ruleSet, warnings } = parseQuietly(JSON.stringify({
+    rules: [
+      { id: 'ok', when: { params: { page_location: { matches: 'checkout' } } }, defaults: { step: 1 } },
+      { id: 'bad_in', when: { params: { currency: { in: 'EUR' } } }, drop_event: true },
+      { id: 'bad_not_in', when: { event: { not_in: 5 } }, drop_event: true },
+      { id: 'bad_regex', when: { params: { page_location: { matches: '([' } } }, drop_event: true },
+      { id: 'bad_drop', drop_params: 'debug_mode' },
+      { id: 'typo', when: { event: { equal: 'purchase' } }, drop_event: true },
+      'not a rule'
+    ]
+  }));
+
+  assert.deepEqual(ruleSet.rules.map(rule => rule.id), ['ok']);
+  assert.ok(ruleSet.rules[0].when.params.page_location.matches instanceof RegExp);
+  assert.equal(warnings.length, 6);
+  assert.match(warnings[0], /bad_in.*in must be an array/);
+  assert.match(warnings[2], /bad_regex.*not a valid pattern/);
+  assert.deepEqual(ruleSet.device_params, worker.DEFAULT_EVENT_RULES.device_params);
+});
+
+test('parseEventRules rejects rule sets with malformed lists', () => {
+  assert.throws(() => worker.parseEventRules({ rules: {} }), /"rules" array/);
+  assert.throws(() => worker.parseEventRules({ internal_fields: 'batch' }), /internal_fields/);
+});
+
+test('a bad configured rule does not fail requests', async () => {
+  const requests = [];
+  globalThis.fetch = async (url, init) => {
+    requests.push(JSON.parse(init.body));
+    return new Response(null, { status: 204 });
+  };
+  console.warn = () => {};
+
+  const env = createEnv({
+    API_KEYS: JSON.stringify({ test: { key: 'test-key', scopes: ['send'], skip_bot_detection: true } }),
+    EVENT_RULES: JSON.stringify({
+      rules: [
+        { id: 'broken', when: { params: { page_location: { matches: '(' } } }, drop_event: true },
+        { id: 'tag', when: { event: { in: ['page_view'] } }, defaults: { site: 'nl' } }
+      ]
+    })
+  });
+  const response = await worker.handleRequest(new Request('https://worker.example.com/', {
+    method: 'POST',
+    headers: { 'Authorization': 'Bearer test-key', 'Content-Type': 'application/json' },
+    body: JSON.stringify({ name: 'page_view', params: { client_id: '1.2', page_location: 'https://example.com/' } })
+  }), env);
+
+  assert.equal(response.status, 200);
+  assert.equal(requests[0].events[0].params.site, 'nl');
+});
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadWorker, createEnv } from './load-worker.mjs';
+
+const worker = await loadWorker(['normalizeGA4Event', 'initializeEnvironment']);
+
+worker.initializeEnvironment(createEnv());
+
+test('events within the limits are left unchanged', () => {
+  const event = { name: 'page_view', params: { page_location: 'https://example.com/' + 'a'.repeat(900), session_id: '1' } };
+  const params = event.params;
+
+  assert.deepEqual(worker.normalizeGA4Event(event), []);
+  assert.equal(event.params, params);
+  assert.equal(event.params.page_location.length, 920);
+});
+
+test('names, values and items are truncated to the GA4 limits', () => {
+  const longName = 'custom_parameter_with_a_very_long_name_xyz';
+  const event = {
+    name: 'e'.repeat(45),
+    params: {
+      [longName]: 'v',
+      description: 'd'.repeat(150),
+      page_title: 't'.repeat(350),
+      items: Array.from({ length: 210 }, (_, index) => ({ item_id: String(index), item_name: 'n'.repeat(120) }))
+    }
+  };
+
+  const actions = worker.normalizeGA4Event(event).map(entry => entry.action);
+
+  assert.deepEqual(actions, ['event_name_truncated', 'param_name_truncated', 'param_value_truncated', 'param_value_truncated', 'items_truncated', 'item_values_truncated']);
+  assert.equal(event.name.length, 40);
+  assert.equal(event.params[longName.substring(0, 40)], 'v');
+  assert.equal(event.params.description.length, 100);
+  assert.equal(event.params.page_title.length, 300);
+  assert.equal(event.params.items.length, 200);
+  assert.equal(event.params.items[0].item_name.length, 100);
+});
+
+test('surplus parameters are dropped by priority: drop_first, then unlisted, keep last', () => {
+  const params = { value: 10, currency: 'EUR', debug_mode: true, page_path: '/' };
+  for (let i = 0; i < 25; i++) {
+    params[`custom_${i}`] = i;
+  }
+  const event = { name: 'purchase', params: params };
+
+  const dropped = worker.normalizeGA4Event(event).map(entry => entry.param);
+
+  assert.deepEqual(dropped, ['debug_mode', 'page_path', 'custom_24', 'custom_23']);
+  assert.equal(Object.keys(event.params).length, 25);
+  assert.equal(event.params.value, 10);
+  assert.equal(event.params.currency, 'EUR');
+});
+
+test('GA4_PARAM_PRIORITY overrides which parameters are kept', () => {
+  worker.initializeEnvironment(createEnv({ GA4_PARAM_PRIORITY: JSON.stringify({ keep: ['custom_25'], drop_first: ['custom_0'] }) }));
+  try {
+    const params = {};
+    for (let i = 0; i < 27; i++) {
+      params[`custom_${i}`] = i;
+    }
+    const event = { name: 'page_view', params: params };
+
+    assert.deepEqual(worker.normalizeGA4Event(event).map(entry => entry.param), ['custom_0', 'custom_26']);
+    assert.equal(event.params.custom_25, 25);
+  } finally {
+    worker.initializeEnvironment(createEnv());
+  }
+});
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import vm from 'node:vm';
+import { loadWorker } from './load-worker.mjs';
+
+const worker = await loadWorker([
+  'GEO_COUNTRIES', 'GEO_TIMEZONES', 'COUNTRY_NAME_INDEX', 'convertCountryToISO', 'normalizeGeoName', 'extractLocationData'
+]);
+
+/**
+ * Evaluate public/js/ga4-geo-data.js the way the browser does and return window.GA4GeoData
+ */
+function loadBrowserGeoData() {
+  const file = join(dirname(fileURLToPath(import.meta.url)), '..', '..', 'public', 'js', 'ga4-geo-data.js');
+  const context = { window: {} };
+  vm.runInNewContext(readFileSync(file, 'utf8'), context);
+  // Re-create the objects in this realm so deepStrictEqual compares values, not prototypes
+  return JSON.parse(JSON.stringify(context.window.GA4GeoData));
+}
+
+const browser = loadBrowserGeoData();
+const countryCodes = Object.keys(worker.GEO_COUNTRIES);
+
+test('worker and browser embed the same country and timezone tables', () => {
+  assert.ok(countryCodes.length >= 249);
+  assert.deepEqual(browser.countries, worker.GEO_COUNTRIES);
+  assert.deepEqual(browser.timezones, worker.GEO_TIMEZONES);
+});
+
+test('every country has a name index entry and an M49 region', () => {
+  assert.deepEqual(Object.keys(worker.COUNTRY_NAME_INDEX).sort(), countryCodes.slice().sort());
+
+  for (const [code, [alpha3, name, continent, subcontinent]] of Object.entries(worker.GEO_COUNTRIES)) {
+    assert.match(alpha3, /^[A-Z]{3}$/, code);
+    assert.ok(name, code);
+    // Antarctica is the only ISO country without an M49 region
+    if (code === 'AQ') continue;
+    assert.match(continent, /^\d{3}$/, code);
+    assert.match(subcontinent, /^\d{3}$/, code);
+  }
+});
+
+test('every indexed name resolves to its ISO code and M49 region', () => {
+  for (const [code, names] of Object.entries(worker.COUNTRY_NAME_INDEX)) {
+    const [alpha3, englishName, continent, subcontinent] = worker.GEO_COUNTRIES[code];
+    const expected = continent ? { country_id: code, continent_id: continent, subcontinent_id: subcontinent } : { country_id: code };
+
+    for (const name of names.split(',')) {
+      assert.equal(worker.normalizeGeoName(name), name, `${code} index entry "${name}" is normalized`);
+    }
+    for (const name of [code, alpha3, englishName, ...names.split(',')]) {
+      assert.equal(worker.convertCountryToISO(name), code, `${name} -> ${code}`);
+      assert.deepEqual(worker.extractLocationData({ geo_country: name }), expected, `${name} location`);
+    }
+  }
+});
+
+test('every timezone resolves to a country and its M49 region in worker and browser', () => {
+  for (const [timezone, code] of Object.entries(worker.GEO_TIMEZONES)) {
+    const country = worker.GEO_COUNTRIES[code];
+    assert.ok(country, `${timezone} -> ${code}`);
+
+    // Worker fallback from the visitor's timezone
+    const fromTimezone = worker.extractLocationData({ timezone: timezone });
+    assert.equal(fromTimezone.country_id, code, timezone);
+    assert.equal(fromTimezone.continent_id, country[2] || undefined, timezone);
+
+    // Browser lookup sent as geo_country_tz
+    assert.equal(worker.extractLocationData({ geo_country_tz: browser.timezones[timezone] }).country_id, code, timezone);
+  }
+});
@@ -0,0 +1,110 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadWorker } from './load-worker.mjs';
+
+const worker = await loadWorker(['uploadGoogleAdsConversions', 'validateWithGoogleAds']);
+
+const ADS_MOCK = 'https://google-ads-mock.test/v17';
+const DESTINATION = {
+  id: 'ads',
+  transport: 'google_ads',
+  customer_id: '123-456-7890',
+  developer_token: 'dev-token',
+  access_token: 'access-token',
+  endpoint: ADS_MOCK,
+  conversion_actions: { purchase: '111', generate_lead: '222' }
+};
+
+const realFetch = globalThis.fetch;
+let uploads;
+let adsResponse;
+
+/**
+ * Partial failure response rejecting the uploaded conversions at the given indexes
+ */
+function partialFailure(indexes) {
+  return {
+    partialFailureError: {
+      code: 3,
+      details: [{
+        errors: indexes.map(index => ({
+          errorCode: { conversionUploadError: 'UNPARSEABLE_GCLID' },
+          message: `Conversion ${index} has an unparseable gclid`,
+          location: { fieldPathElements: [{ fieldName: 'conversions', ...(index > 0 ? { index: index } : {}) }] }
+        }))
+      }]
+    },
+    results: []
+  };
+}
+
+const PAYLOAD = {
+  client_id: '1.2',
+  timestamp_micros: Date.UTC(2024, 4, 1, 13, 45) * 1000,
+  events: [
+    { name: 'purchase', params: { gclid: 'gclid-a', value: 19.99, currency: 'EUR', transaction_id: 'T-1' } },
+    { name: 'page_view', params: { gclid: 'gclid-b' } },
+    { name: 'purchase', params: {} },
+    { name: 'generate_lead', params: { gclid: 'gclid-c' } },
+    { name: 'purchase', params: { gclid: 'gclid-d' } }
+  ]
+};
+
+beforeEach(() => {
+  uploads = [];
+  adsResponse = {};
+  globalThis.fetch = async (url, init) => {
+    uploads.push({ url: String(url), headers: init.headers, body: JSON.parse(init.body) });
+    return Response.json(adsResponse);
+  };
+});
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+test('events without a conversion action or identifier are rejected without being uploaded', async () => {
+  const result = await worker.uploadGoogleAdsConversions(PAYLOAD, {}, DESTINATION);
+
+  assert.equal(uploads.length, 1);
+  assert.equal(uploads[0].url, `${ADS_MOCK}/customers/1234567890:uploadClickConversions`);
+  assert.equal(uploads[0].headers['developer-token'], 'dev-token');
+  assert.equal(uploads[0].body.partialFailure, true);
+  assert.deepEqual(uploads[0].body.conversions.map(conversion => conversion.gclid), ['gclid-a', 'gclid-c', 'gclid-d']);
+  assert.deepEqual(uploads[0].body.conversions[0], {
+    conversionAction: 'customers/1234567890/conversionActions/111',
+    conversionDateTime: '2024-05-01 13:45:00+00:00',
+    gclid: 'gclid-a',
+    conversionValue: 19.99,
+    currencyCode: 'EUR',
+    orderId: 'T-1'
+  });
+
+  assert.deepEqual(result.event_results, [
+    { accepted: true },
+    { accepted: false, error: 'No conversion action configured for page_view' },
+    { accepted: false, error: 'No gclid or user identifiers' },
+    { accepted: true },
+    { accepted: true }
+  ]);
+});
+
+test('partial failure indexes are mapped back to the events they came from', async () => {
+  // conversions[0] omits its index (proto default), conversions[2] is the fifth event
+  adsResponse = partialFailure([0, 2]);
+  const result = await worker.uploadGoogleAdsConversions(PAYLOAD, {}, DESTINATION);
+
+  assert.equal(result.ok, true);
+  assert.deepEqual(result.event_results.map(eventResult => eventResult.accepted), [false, false, false, true, false]);
+  assert.equal(result.event_results[0].error, 'Conversion 0 has an unparseable gclid');
+  assert.equal(result.event_results[4].error, 'Conversion 2 has an unparseable gclid');
+});
+
+test('validation reports rejected conversions per event', async () => {
+  adsResponse = partialFailure([1]);
+  const validation = await worker.validateWithGoogleAds(PAYLOAD, {}, DESTINATION);
+
+  assert.equal(uploads[0].body.validateOnly, true);
+  assert.deepEqual(validation.validation_messages.map(message => message.field_path), ['events[1]', 'events[2]', 'events[3]']);
+  assert.equal(validation.validation_messages[2].description, 'Conversion 1 has an unparseable gclid');
+});
@@ -0,0 +1,111 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadWorker, createEnv } from './load-worker.mjs';
+
+const worker = await loadWorker(['truncateIP', 'loadIpPolicy', 'applyIpPolicy', 'buildMetaUserData', 'handleRequest']);
+
+const realFetch = globalThis.fetch;
+const realWarn = console.warn;
+let requests;
+
+const env = createEnv({
+  API_KEYS: JSON.stringify({ test: { key: 'test-key', scopes: ['send'], skip_bot_detection: true } })
+});
+
+function send(consent, requestEnv = env) {
+  return worker.handleRequest(new Request('https://worker.example.com/', {
+    method: 'POST',
+    headers: { 'Authorization': 'Bearer test-key', 'Content-Type': 'application/json', 'CF-Connecting-IP': '203.0.113.77' },
+    body: JSON.stringify({ name: 'page_view', params: { client_id: '1.2', session_id: '123', consent: consent } })
+  }), requestEnv);
+}
+
+beforeEach(() => {
+  requests = [];
+  globalThis.fetch = async (url, init) => {
+    requests.push({ headers: init.headers, body: JSON.parse(init.body) });
+    return new Response(null, { status: 204 });
+  };
+});
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+  console.warn = realWarn;
+});
+
+test('IPv4 addresses are truncated to their /24 network', () => {
+  assert.equal(worker.truncateIP('203.0.113.77'), '203.0.113.0');
+  assert.equal(worker.truncateIP(' 198.51.100.1:8080 '), '198.51.100.0');
+  assert.equal(worker.truncateIP('203.0.113.256'), '');
+  assert.equal(worker.truncateIP('203.0.113'), '');
+});
+
+test('IPv6 addresses are truncated to their /48 network', () => {
+  assert.equal(worker.truncateIP('2001:db8:85a3:8d3:1319:8a2e:370:7348'), '2001:db8:85a3::');
+  assert.equal(worker.truncateIP('2001:0DB8:0000:0042::1'), '2001:db8::');
+  assert.equal(worker.truncateIP('2001:db8::1'), '2001:db8::');
+  assert.equal(worker.truncateIP('[2001:db8:1:2::1]:443'), '2001:db8:1::');
+  assert.equal(worker.truncateIP('fe80::1%eth0'), 'fe80::');
+  assert.equal(worker.truncateIP('::1'), '::');
+  assert.equal(worker.truncateIP('::'), '::');
+});
+
+test('IPv4-mapped IPv6 addresses keep their prefix', () => {
+  assert.equal(worker.truncateIP('::ffff:203.0.113.77'), '::ffff:203.0.113.0');
+  assert.equal(worker.truncateIP('::FFFF:198.51.100.9'), '::ffff:198.51.100.0');
+});
+
+test('addresses that cannot be parsed are left out', () => {
+  for (const invalid of ['', 'unknown', '2001:::1', '2001::db8::1', '1:2:3:4:5:6:7:8:9', '1:2:3:4:5:6:7', '12345::1', 'g::1']) {
+    assert.equal(worker.truncateIP(invalid), '', invalid);
+  }
+});
+
+test('applyIpPolicy keeps the first forwarded address and applies the mode', () => {
+  assert.equal(worker.applyIpPolicy('203.0.113.77, 10.0.0.1', 'full'), '203.0.113.77');
+  assert.equal(worker.applyIpPolicy('203.0.113.77, 10.0.0.1', 'truncated'), '203.0.113.0');
+  assert.equal(worker.applyIpPolicy('203.0.113.77', 'none'), '');
+  assert.equal(worker.applyIpPolicy(null, 'full'), '');
+});
+
+test('IP_POLICY is one mode or JSON per consent state', () => {
+  const warnings = [];
+  console.warn = message => warnings.push(message);
+
+  assert.deepEqual(worker.loadIpPolicy({}), { granted: 'truncated', denied: 'none' });
+  assert.deepEqual(worker.loadIpPolicy({ IP_POLICY: 'Full' }), { granted: 'full', denied: 'full' });
+  assert.deepEqual(worker.loadIpPolicy({ IP_POLICY: '{"granted":"full"}' }), { granted: 'full', denied: 'none' });
+  assert.deepEqual(worker.loadIpPolicy({ IP_POLICY: { denied: 'truncated' } }), { granted: 'truncated', denied: 'truncated' });
+  assert.equal(warnings.length, 0);
+
+  assert.deepEqual(worker.loadIpPolicy({ IP_POLICY: '{"granted":"hashed"}' }), { granted: 'truncated', denied: 'none' });
+  assert.deepEqual(worker.loadIpPolicy({ IP_POLICY: 'partial' }), { granted: 'truncated', denied: 'none' });
+  assert.equal(warnings.length, 2);
+});
+
+test('ip_override and forwarded IP headers follow the policy of the consent state', async () => {
+  await send({ ad_user_data: 'GRANTED', ad_personalization: 'GRANTED' });
+  await send({ ad_user_data: 'DENIED', ad_personalization: 'DENIED' });
+
+  assert.equal(requests[0].body.ip_override, '203.0.113.0');
+  assert.equal(requests[0].headers['X-Forwarded-For'], '203.0.113.0');
+  assert.equal(requests[1].body.ip_override, undefined);
+  assert.equal(requests[1].headers['X-Forwarded-For'], undefined);
+
+  await send({ ad_user_data: 'GRANTED', ad_personalization: 'GRANTED' }, { ...env, IP_POLICY: '{"granted":"full"}' });
+  assert.equal(requests[2].body.ip_override, '203.0.113.77');
+});
+
+test('Meta only gets the client IP with ad_user_data consent', async () => {
+  const payload = { client_id: '1.2', ip_override: '203.0.113.0' };
+
+  const granted = await worker.buildMetaUserData({ ...payload, consent: { ad_user_data: 'GRANTED' } }, {}, {});
+  assert.equal(granted.client_ip_address, '203.0.113.0');
+
+  // IP_POLICY can allow a truncated ip_override without consent; Meta must not receive it
+  for (const consent of [{ ad_user_data: 'DENIED' }, undefined]) {
+    const userData = await worker.buildMetaUserData({ ...payload, consent: consent }, {}, {});
+    assert.equal('client_ip_address' in userData, false);
+    assert.ok(userData.external_id);
+  }
+});
@@ -0,0 +1,53 @@
+/**
+ * Test loader for cloudflare-worker-example.js
+ *
+ * The worker is deployed as a single file and only exports its handlers, so the
+ * tests load a copy with an export list for the internal functions they need.
+ * Every call returns a fresh module with its own configuration and in-memory stores.
+ */
+
+import { readFileSync, writeFileSync, unlinkSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join, dirname } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+const WORKER_FILE = join(dirname(fileURLToPath(import.meta.url)), '..', '..', 'cloudflare-worker-example.js');
+
+let loadCount = 0;
+
+/**
+ * Load the worker with internal functions exported
+ * @param {Array<string>} names - Top-level functions and constants to export
+ * @returns {Promise<Object>} Module namespace
+ */
+export async function loadWorker(names) {
+  // In-memory fallback stores live on globalThis so they survive requests; start every load empty
+  for (const name of Object.keys(globalThis).filter(key => key.endsWith('Memory'))) {
+    delete globalThis[name];
+  }
+
+  const source = readFileSync(WORKER_FILE, 'utf8')
+    .replace(/^var DEBUG_MODE = .*$/m, 'var DEBUG_MODE = false;');
+  const file = join(tmpdir(), `ga4-worker-test-${process.pid}-${++loadCount}.mjs`);
+  writeFileSync(file, `${source}\nexport { ${names.join(', ')} };\n`);
+
+  try {
+    return await import(pathToFileURL(file).href);
+  } finally {
+    unlinkSync(file);
+  }
+}
+
+/**
+ * Minimal Worker environment for initializeEnvironment
+ * @param {Object} overrides - Extra env vars and bindings
+ * @returns {Object} Worker env
+ */
+export function createEnv(overrides = {}) {
+  return {
+    GA4_MEASUREMENT_ID: 'G-TEST123',
+    GA4_API_SECRET: 'test-secret',
+    ALLOWED_DOMAINS: 'example.com',
+    ...overrides
+  };
+}
@@ -0,0 +1,100 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadWorker, createEnv } from './load-worker.mjs';
+
+const worker = await loadWorker(['handleRequest']);
+
+const META_MOCK = 'https://meta-mock.test';
+const realFetch = globalThis.fetch;
+let requests;
+
+const env = createEnv({
+  API_KEYS: JSON.stringify({ test: { key: 'test-key', scopes: ['send'], skip_bot_detection: true } }),
+  GA4_DESTINATIONS: JSON.stringify([
+    { id: 'ga4', measurement_id: 'G-TEST123', api_secret: 'test-secret' },
+    { id: 'meta', transport: 'meta_capi', pixel_id: '1234', access_token: 'token', endpoint: META_MOCK }
+  ])
+});
+
+function send(params, consent) {
+  return worker.handleRequest(new Request('https://worker.example.com/', {
+    method: 'POST',
+    headers: { 'Authorization': 'Bearer test-key', 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      name: 'purchase',
+      params: {
+        client_id: '1.2',
+        session_id: '123',
+        transaction_id: 'T-1',
+        value: 19.99,
+        currency: 'EUR',
+        items: [{ item_id: 'SKU-1', price: 19.99, quantity: 1 }],
+        event_id: 'evt-1',
+        fbp: 'fb.1.1700000000000.111',
+        fbc: 'fb.1.1700000000000.abc',
+        consent: { ad_user_data: consent, ad_personalization: consent },
+        ...params
+      }
+    })
+  }), env);
+}
+
+function requestsTo(prefix) {
+  return requests.filter(request => request.url.startsWith(prefix)).map(request => JSON.parse(request.body));
+}
+
+beforeEach(() => {
+  requests = [];
+  globalThis.fetch = async (url, init) => {
+    requests.push({ url: String(url), body: init.body });
+    return String(url).startsWith(META_MOCK)
+      ? Response.json({ events_received: 1 })
+      : new Response(null, { status: 204 });
+  };
+});
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+test('Meta receives the event id and _fbp/_fbc, GA4 does not', async () => {
+  const response = await send({}, 'GRANTED');
+  assert.equal(response.status, 200);
+
+  const [ga4Body] = requestsTo('https://www.google-analytics.com/mp/collect');
+  const ga4Event = ga4Body.events[0];
+  for (const param of ['event_id', 'fbp', 'fbc']) {
+    assert.equal(param in ga4Event.params, false, `${param} sent to GA4`);
+  }
+  assert.equal('ad_platform_params' in ga4Event, false);
+
+  const [metaBody] = requestsTo(`${META_MOCK}/1234/events`);
+  const metaEvent = metaBody.data[0];
+  assert.equal(metaEvent.event_name, 'Purchase');
+  assert.equal(metaEvent.event_id, 'evt-1');
+  assert.equal(metaEvent.user_data.fbp, 'fb.1.1700000000000.111');
+  assert.equal(metaEvent.user_data.fbc, 'fb.1.1700000000000.abc');
+  assert.deepEqual(metaEvent.custom_data.content_ids, ['SKU-1']);
+  assert.equal(metaEvent.custom_data.order_id, 'T-1');
+});
+
+test('without consent only GA4 is called and it gets no ad platform ids', async () => {
+  await send({}, 'DENIED');
+
+  assert.equal(requestsTo(META_MOCK).length, 0);
+  const [ga4Body] = requestsTo('https://www.google-analytics.com/mp/collect');
+  assert.equal(JSON.stringify(ga4Body).includes('fb.1.'), false);
+  assert.equal(JSON.stringify(ga4Body).includes('evt-1'), false);
+});
+
+test('ad platform ids do not use up the GA4 parameter limit', async () => {
+  const extra = {};
+  for (let i = 0; i < 18; i++) extra[`custom_${i}`] = i;
+  const body = await (await send(extra, 'GRANTED')).json();
+
+  assert.equal(body.trimmed, undefined);
+  const [ga4Body] = requestsTo('https://www.google-analytics.com/mp/collect');
+  assert.equal(Object.keys(ga4Body.events[0].params).length, 25);
+  const [metaBody] = requestsTo(META_MOCK);
+  assert.equal(metaBody.data[0].event_id, 'evt-1');
+});
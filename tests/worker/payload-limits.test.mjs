@@ -0,0 +1,118 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCipheriv, createHash, createHmac, randomBytes } from 'node:crypto';
+import { loadWorker, createEnv } from './load-worker.mjs';
+
+const worker = await loadWorker(['loadPayloadLimits', 'handleRequest']);
+
+const ENCRYPTION_KEY = 'c'.repeat(64);
+const CRON_BATCH_EVENTS = 5000; // Upper bound of the ga4_event_batch_size setting
+const realFetch = globalThis.fetch;
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+/**
+ * Build a queued event the way the WordPress cron sends it, padded to about `size` bytes of JSON
+ */
+function cronEvent(index, size) {
+  const event = {
+    name: 'page_view',
+    params: {
+      client_id: `${index}.1700000000`,
+      session_id: '1700000000',
+      page_location: 'https://example.com/shop/product/' + index,
+      page_title: ''
+    },
+    headers: {
+      'user-agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0 Safari/537.36',
+      'accept-language': 'en-US,en;q=0.9',
+      'x-forwarded-for': '198.51.100.' + (index % 250)
+    },
+    consent: { ad_user_data: 'GRANTED', ad_personalization: 'GRANTED' }
+  };
+  event.params.page_title = 'x'.repeat(size - JSON.stringify(event).length);
+  return event;
+}
+
+function cronBatch(count, size) {
+  return { events: Array.from({ length: count }, (_, i) => cronEvent(i, size)), batch: true, timestamp: 1700000000 };
+}
+
+/**
+ * Encrypt a payload as a permanent JWT, like GA4_Encryption_Util::create_permanent_jwt_token
+ */
+function permanentJwt(plaintext, keyHex) {
+  const key = Buffer.from(keyHex, 'hex');
+  const iv = randomBytes(12);
+  const cipher = createCipheriv('aes-256-gcm', key, iv);
+  const encrypted = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+  const header = encode({
+    typ: 'JWT', alg: 'HS256', enc: 'A256GCM', permanent: true,
+    kid: createHash('sha256').update(key).digest('hex').slice(0, 16)
+  });
+  const payload = encode({
+    enc_data: encrypted.toString('base64url'),
+    iv: iv.toString('base64url'),
+    tag: cipher.getAuthTag().toString('base64url'),
+    iat: Math.floor(Date.now() / 1000),
+    jti: randomBytes(16).toString('hex')
+  });
+  return `${header}.${payload}.${createHmac('sha256', key).update(`${header}.${payload}`).digest('base64url')}`;
+}
+
+function cronRequest(body) {
+  return new Request('https://worker.example/', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Authorization': 'Bearer test-key' },
+    body: body
+  });
+}
+
+const env = createEnv({
+  ENCRYPTION_KEY: ENCRYPTION_KEY,
+  API_KEYS: JSON.stringify({ test: { key: 'test-key', scopes: ['send'], skip_bot_detection: true } })
+});
+
+test('authenticated byte caps are derived from the event cap', () => {
+  const limits = worker.loadPayloadLimits({}).authenticated;
+  assert.equal(limits.maxBatchEvents, CRON_BATCH_EVENTS);
+  assert.equal(limits.maxBatch, CRON_BATCH_EVENTS * 4096);
+  assert.ok(limits.maxBody >= limits.maxBatch * 16 / 9);
+
+  const raised = worker.loadPayloadLimits({ MAX_AUTHENTICATED_BATCH_EVENTS: '10000', MAX_AUTHENTICATED_EVENT_SIZE: '2048' }).authenticated;
+  assert.equal(raised.maxBatch, 10000 * 2048);
+
+  // MAX_AUTHENTICATED_PAYLOAD_SIZE stays a floor for small event caps
+  const small = worker.loadPayloadLimits({ MAX_AUTHENTICATED_BATCH_EVENTS: '10' }).authenticated;
+  assert.equal(small.maxBatch, 10485760);
+  assert.equal(small.maxBody, Math.ceil(10485760 * 16 / 9) + 4096);
+});
+
+test('a full cron batch at the per-event budget is accepted, encrypted or not', async () => {
+  globalThis.fetch = async () => new Response(null, { status: 204 });
+  const json = JSON.stringify(cronBatch(CRON_BATCH_EVENTS, 4000));
+  assert.ok(json.length > 10485760, 'batch exceeds the old fixed 10MB cap');
+
+  const plain = await worker.handleRequest(cronRequest(json), env);
+  assert.equal(plain.status, 200);
+
+  const jwt = permanentJwt(json, ENCRYPTION_KEY);
+  const encrypted = await worker.handleRequest(cronRequest(JSON.stringify({ encrypted: true, jwt: jwt })), env);
+  assert.equal(encrypted.status, 200);
+});
+
+test('cron batches over the event cap or the derived byte cap get a 413', async () => {
+  globalThis.fetch = async () => new Response(null, { status: 204 });
+
+  const tooMany = await worker.handleRequest(cronRequest(JSON.stringify(cronBatch(CRON_BATCH_EVENTS + 1, 500))), env);
+  assert.equal(tooMany.status, 413);
+  assert.equal((await tooMany.json()).reason, 'too_many_events');
+
+  const tooLarge = await worker.handleRequest(cronRequest(JSON.stringify(cronBatch(1000, 20500))), env);
+  assert.equal(tooLarge.status, 413);
+  assert.equal((await tooLarge.json()).reason, 'batch_payload_too_large');
+});
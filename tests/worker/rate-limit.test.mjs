@@ -0,0 +1,197 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadWorker, createEnv } from './load-worker.mjs';
+
+const ENCRYPTION_KEY = 'a'.repeat(64);
+
+const worker = await loadWorker([
+  'createMemoryKVStore', 'applyRateLimitAlgorithm', 'checkRateLimit', 'getRateLimitRoute',
+  'initializeEnvironment', 'handleRequest', 'createJWTToken'
+]);
+
+/**
+ * Request from the browser with the given client IP
+ */
+function browserRequest(ip, headers = {}, body = '{}') {
+  return new Request('https://worker.example.com/', {
+    method: 'POST',
+    headers: { 'CF-Connecting-IP': ip, 'Content-Type': 'application/json', 'Origin': 'https://example.com', ...headers },
+    body: body
+  });
+}
+
+test('memory store supports get/put/delete/list with expiry', async () => {
+  const store = worker.createMemoryKVStore();
+  await store.put('a:2', JSON.stringify({ n: 2 }));
+  await store.put('a:1', 'one', { expirationTtl: 60 });
+  await store.put('b:1', 'other');
+
+  assert.deepEqual(await store.get('a:2', { type: 'json' }), { n: 2 });
+  assert.equal(await store.get('a:1'), 'one');
+  assert.deepEqual((await store.list({ prefix: 'a:' })).keys.map(key => key.name), ['a:1', 'a:2']);
+
+  await store.delete('a:1');
+  assert.equal(await store.get('a:1'), null);
+
+  const realNow = Date.now;
+  try {
+    Date.now = () => realNow() + 120000;
+    assert.equal(await store.get('b:1'), 'other');
+    await store.put('c', 'short', { expirationTtl: 60 });
+    Date.now = () => realNow() + 300000;
+    assert.equal(await store.get('c'), null);
+  } finally {
+    Date.now = realNow;
+  }
+});
+
+test('sliding window allows the limit and weights the previous window', () => {
+  const limits = { requests: 3, window: 60 };
+  const start = 600000; // Window boundary
+  let state = null;
+  const results = [];
+  for (let i = 0; i < 4; i++) {
+    const outcome = worker.applyRateLimitAlgorithm('sliding_window', state, limits, start + i);
+    state = outcome.state;
+    results.push(outcome.result.allowed);
+  }
+  assert.deepEqual(results, [true, true, true, false]);
+
+  // Halfway into the next window, half of the previous 3 requests still count
+  const next = worker.applyRateLimitAlgorithm('sliding_window', state, limits, start + 90000);
+  assert.equal(next.result.allowed, true);
+  assert.equal(next.result.count, 2);
+
+  // Two windows later the old requests are gone
+  const later = worker.applyRateLimitAlgorithm('sliding_window', state, limits, start + 180000);
+  assert.equal(later.result.count, 1);
+});
+
+test('token bucket refills at limit per window', () => {
+  const limits = { requests: 2, window: 60 };
+  let state = null;
+  for (const expected of [true, true, false]) {
+    const outcome = worker.applyRateLimitAlgorithm('token_bucket', state, limits, 1000);
+    state = outcome.state;
+    assert.equal(outcome.result.allowed, expected);
+    if (!expected) assert.equal(outcome.result.retryAfter, 30);
+  }
+  assert.equal(worker.applyRateLimitAlgorithm('token_bucket', state, limits, 31000).result.allowed, true);
+});
+
+test('checkRateLimit counts per IP and route in the memory store', async () => {
+  worker.initializeEnvironment(createEnv({
+    RATE_LIMIT_ROUTES: JSON.stringify({ single: { requests: 2, window: 60 }, batch: { requests: 1, window: 60 } })
+  }));
+
+  const allowed = async (ip, route) => (await worker.checkRateLimit(browserRequest(ip), route)).allowed;
+  assert.equal(await allowed('198.51.100.1', 'single'), true);
+  assert.equal(await allowed('198.51.100.1', 'single'), true);
+  assert.equal(await allowed('198.51.100.1', 'single'), false);
+  assert.equal(await allowed('198.51.100.2', 'single'), true);
+  assert.equal(await allowed('198.51.100.1', 'batch'), true);
+  assert.equal(await allowed('198.51.100.1', 'batch'), false);
+});
+
+/**
+ * KV namespace that rejects a second write of a key within one second, like Workers KV
+ */
+function createWriteLimitedKVStore(memory) {
+  const lastWrite = {};
+  return {
+    get: (...args) => memory.get(...args),
+    async put(key, ...args) {
+      if (Date.now() - (lastWrite[key] ?? -Infinity) < 1000) {
+        throw new Error('KV PUT failed: 429 Too Many Requests');
+      }
+      lastWrite[key] = Date.now();
+      return memory.put(key, ...args);
+    }
+  };
+}
+
+test('the KV backend denies a burst without writing a key more than once per second', async () => {
+  const isolate = await loadWorker(['createMemoryKVStore', 'checkRateLimit', 'initializeEnvironment']);
+  const memory = isolate.createMemoryKVStore();
+  isolate.initializeEnvironment(createEnv({
+    RATE_LIMIT_BACKEND: 'kv',
+    RATE_LIMIT_KV: createWriteLimitedKVStore(memory),
+    RATE_LIMIT_ROUTES: JSON.stringify({ single: { requests: 3, window: 60 } })
+  }));
+
+  const realNow = Date.now;
+  const start = Math.floor(realNow() / 60000) * 60000 + 1000;
+  try {
+    Date.now = () => start;
+    const burst = await Promise.all(Array.from({ length: 10 }, () => isolate.checkRateLimit(browserRequest('198.51.100.7'), 'single')));
+    assert.equal(burst.filter(result => result.allowed).length, 3);
+    assert.ok(burst.every(result => !result.error));
+
+    // The next write adds the locally counted requests to the stored state
+    Date.now = () => start + 1000;
+    assert.equal((await isolate.checkRateLimit(browserRequest('198.51.100.7'), 'single')).allowed, false);
+    assert.equal((await memory.get('rate_limit:single:198.51.100.7', { type: 'json' })).currentCount, 3);
+  } finally {
+    Date.now = realNow;
+  }
+});
+
+test('rate limit route comes from the request headers', () => {
+  assert.equal(worker.getRateLimitRoute(browserRequest('198.51.100.1'), 'regular'), 'single');
+  assert.equal(worker.getRateLimitRoute(browserRequest('198.51.100.1', { 'X-GA4-Batch': 'true' }), 'regular'), 'batch');
+  assert.equal(worker.getRateLimitRoute(browserRequest('198.51.100.1'), 'sendbeacon'), 'sendbeacon');
+  assert.equal(worker.getRateLimitRoute(browserRequest('198.51.100.1', { 'X-Simple-request': 'true' }), 'simple'), 'simple');
+});
+
+test('throttled requests are rejected before the body is read', async () => {
+  // Without Authorization or X-Simple-request header a JSON request is treated as sendBeacon
+  const env = createEnv({ RATE_LIMIT_ROUTES: JSON.stringify({ sendbeacon: { requests: 1, window: 60 } }) });
+  await worker.handleRequest(browserRequest('203.0.113.10', {}, 'not json'), env);
+
+  const request = browserRequest('203.0.113.10', {}, 'not json');
+  const response = await worker.handleRequest(request, env);
+  assert.equal(response.status, 429);
+  assert.equal(request.bodyUsed, false);
+  assert.ok(Number(response.headers.get('Retry-After')) > 0);
+});
+
+test('the X-Simple-request header does not skip rate limiting', async () => {
+  const env = createEnv({ RATE_LIMIT_ROUTES: JSON.stringify({ simple: { requests: 1, window: 60 } }) });
+  const simpleRequest = () => browserRequest('203.0.113.11', { 'X-Simple-request': 'true' }, 'not json');
+  await worker.handleRequest(simpleRequest(), env);
+
+  const response = await worker.handleRequest(simpleRequest(), env);
+  assert.equal(response.status, 429);
+  assert.match((await response.json()).details, /simple requests/);
+});
+
+test('a throttled API key request leaves its JWT id unused', async () => {
+  const replayStore = worker.createMemoryKVStore();
+  const env = createEnv({
+    ENCRYPTION_KEY: ENCRYPTION_KEY,
+    JWT_REPLAY_KV: replayStore,
+    API_KEYS: JSON.stringify({ partner: { key: 'partner-key', scopes: ['send'], rate_limit: { requests: 1, window: 60 } } })
+  });
+  worker.initializeEnvironment(env);
+
+  const realFetch = globalThis.fetch;
+  globalThis.fetch = async () => new Response('', { status: 204 });
+  try {
+    const send = async () => {
+      const jwt = await worker.createJWTToken(JSON.stringify({ name: 'page_view', params: { client_id: '1.2' } }), ENCRYPTION_KEY);
+      return worker.handleRequest(new Request('https://worker.example.com/', {
+        method: 'POST',
+        headers: { 'Authorization': 'Bearer partner-key', 'Content-Type': 'application/json' },
+        body: JSON.stringify({ encrypted: true, jwt: jwt })
+      }), env);
+    };
+
+    assert.equal((await send()).status, 200);
+    assert.equal((await replayStore.list({ prefix: 'jti:' })).keys.length, 1);
+
+    assert.equal((await send()).status, 429);
+    assert.equal((await replayStore.list({ prefix: 'jti:' })).keys.length, 1);
+  } finally {
+    globalThis.fetch = realFetch;
+  }
+});
@@ -0,0 +1,127 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash, createHmac } from 'node:crypto';
+import { readFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import vm from 'node:vm';
+import { loadWorker, createEnv } from './load-worker.mjs';
+
+const worker = await loadWorker(['verifyRequestSignature', 'loadRequestSigningConfig', 'initializeEnvironment', 'handleRequest']);
+
+const SIGNING_KEY = 'b'.repeat(64);
+
+/**
+ * Evaluate public/js/ga4-utilities.js with a stub window and jQuery and return its GA4Utils
+ */
+function loadBrowserUtils() {
+  const file = join(dirname(fileURLToPath(import.meta.url)), '..', '..', 'public', 'js', 'ga4-utilities.js');
+  const context = { window: {}, document: {}, jQuery: () => ({ ready: () => {} }), TextEncoder: TextEncoder, btoa: btoa, console: console };
+  vm.runInNewContext(readFileSync(file, 'utf8'), context);
+  return context.window.GA4Utils;
+}
+
+const browserUtils = loadBrowserUtils();
+const realFetch = globalThis.fetch;
+const realWarn = console.warn;
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+  console.warn = realWarn;
+});
+
+/**
+ * Sign a payload the way the browser does
+ */
+function sign(payload, ts) {
+  const sig = createHmac('sha256', Buffer.from(SIGNING_KEY, 'hex'))
+    .update(`${ts}.${JSON.stringify(payload)}`)
+    .digest('base64url');
+  return { ...payload, _sig: { ts: ts, sig: sig } };
+}
+
+function now() {
+  return Math.floor(Date.now() / 1000);
+}
+
+const payload = { client_id: '123.456', events: [{ name: 'page_view', params: {} }] };
+
+test('signature clock skew is configured separately from the JWT clock skew', () => {
+  assert.equal(worker.loadRequestSigningConfig({}).clockSkew, 30);
+  assert.equal(worker.loadRequestSigningConfig({ REQUEST_SIGNATURE_CLOCK_SKEW: '120' }).clockSkew, 120);
+  assert.equal(worker.loadRequestSigningConfig({ REQUEST_SIGNATURE_CLOCK_SKEW: 'soon' }).clockSkew, 30);
+});
+
+test('future timestamps are checked against REQUEST_SIGNATURE_CLOCK_SKEW, not JWT_CLOCK_SKEW', async () => {
+  const signed = sign(payload, now() + 60);
+
+  worker.initializeEnvironment(createEnv({ REQUEST_SIGNING_KEY: SIGNING_KEY, JWT_CLOCK_SKEW: '300' }));
+  assert.deepEqual(await worker.verifyRequestSignature(signed), { valid: false, reason: 'signature_in_future' });
+
+  worker.initializeEnvironment(createEnv({ REQUEST_SIGNING_KEY: SIGNING_KEY, JWT_CLOCK_SKEW: '0', REQUEST_SIGNATURE_CLOCK_SKEW: '120' }));
+  assert.deepEqual(await worker.verifyRequestSignature(signed), { valid: true });
+});
+
+test('stale and tampered signatures are rejected', async () => {
+  worker.initializeEnvironment(createEnv({ REQUEST_SIGNING_KEY: SIGNING_KEY, REQUEST_SIGNATURE_MAX_AGE: '60' }));
+
+  assert.equal((await worker.verifyRequestSignature(sign(payload, now() - 61))).reason, 'stale_signature');
+
+  const tampered = sign(payload, now());
+  tampered.client_id = '999.999';
+  assert.equal((await worker.verifyRequestSignature(tampered)).reason, 'invalid_signature');
+});
+
+test('a valid signature does not make a request authenticated', async () => {
+  const env = createEnv({
+    REQUEST_SIGNING_KEY: SIGNING_KEY,
+    REQUEST_SIGNING_STRICT: 'true',
+    RATE_LIMIT_ROUTES: JSON.stringify({ sendbeacon: { requests: 1, window: 60 } })
+  });
+  globalThis.fetch = async () => new Response(null, { status: 204 });
+  console.warn = () => {};
+
+  const send = () => worker.handleRequest(new Request('https://worker.example/', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Origin': 'https://example.com',
+      'CF-Connecting-IP': '198.51.100.23'
+    },
+    body: JSON.stringify(sign(payload, now()))
+  }), env);
+
+  assert.equal((await send()).status, 200);
+  // Signed requests stay subject to the unauthenticated rate limit
+  assert.equal((await send()).status, 429);
+});
+
+test('the browser hashes and signs synchronously, matching node:crypto', () => {
+  const encryption = browserUtils.encryption;
+
+  for (const length of [0, 1, 55, 56, 63, 64, 65, 1000]) {
+    const data = new Uint8Array(length).map((_, i) => (i * 31 + 7) & 0xff);
+    assert.equal(Buffer.from(encryption.sha256Sync(data)).toString('hex'), createHash('sha256').update(data).digest('hex'), `sha256 of ${length} bytes`);
+  }
+
+  const data = new TextEncoder().encode('1700000000.{"event_name":"page_view"}');
+  for (const key of [Buffer.from(SIGNING_KEY, 'hex'), Buffer.alloc(100, 7)]) {
+    assert.equal(
+      Buffer.from(encryption.hmacSHA256Sync(data, new Uint8Array(key))).toString('hex'),
+      createHmac('sha256', key).update(data).digest('hex')
+    );
+  }
+});
+
+test('payloads signed by the browser verify in the worker', async () => {
+  worker.initializeEnvironment(createEnv({ REQUEST_SIGNING_KEY: SIGNING_KEY }));
+  const config = { requestSigningKey: SIGNING_KEY, cloudflareWorkerUrl: 'https://worker.example/' };
+
+  const signed = browserUtils.ajax.signForWorker(config.cloudflareWorkerUrl, { ...payload, params: { title: 'Café ✓' } }, config);
+  assert.equal(typeof signed.then, 'undefined', 'signing returns the payload, not a promise');
+  assert.deepEqual(await worker.verifyRequestSignature(JSON.parse(JSON.stringify(signed))), { valid: true });
+
+  // Signing never throws: a bad key leaves the payload unsigned
+  const unsigned = browserUtils.ajax.signForWorker(config.cloudflareWorkerUrl, payload, { ...config, requestSigningKey: 'zz' });
+  assert.equal(typeof unsigned, 'object');
+});
@@ -0,0 +1,164 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadWorker, createEnv } from './load-worker.mjs';
+
+const worker = await loadWorker([
+  'initializeEnvironment', 'createMemoryKVStore', 'deliverGA4Payload', 'enqueueFailedEvent',
+  'processRetryQueue', 'getRetryQueueKey', 'RETRY_BATCH_SIZE', 'listDeadLetters', 'replayDeadLetters'
+]);
+
+const realFetch = globalThis.fetch;
+let retryQueue;
+let deadLetters;
+let sent;
+
+/**
+ * Answer every GA4 request with the given status (or throw for a network error)
+ */
+function mockGA4(status) {
+  globalThis.fetch = async (url, init) => {
+    sent.push({ url: String(url), body: init && init.body });
+    if (status === 'network') throw new Error('connection reset');
+    return new Response(status >= 400 ? 'error' : null, { status: status });
+  };
+}
+
+function ga4Payload(name = 'page_view') {
+  return { client_id: '1.2', events: [{ name: name, params: {} }] };
+}
+
+const request = new Request('https://worker.example.com/', { headers: { 'Origin': 'https://example.com' } });
+
+beforeEach(() => {
+  retryQueue = worker.createMemoryKVStore();
+  deadLetters = worker.createMemoryKVStore();
+  sent = [];
+  worker.initializeEnvironment(createEnv({ GA4_RETRY_QUEUE: retryQueue, GA4_DEAD_LETTERS: deadLetters }));
+});
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+for (const status of [429, 500, 503, 'network']) {
+  test(`a ${status} response is queued for retry`, async () => {
+    mockGA4(status);
+    const [delivery] = await worker.deliverGA4Payload(ga4Payload(), {}, request);
+    assert.equal(delivery.queued, true);
+    assert.equal((await retryQueue.list({ prefix: 'retry:' })).keys.length, 1);
+  });
+}
+
+for (const status of [400, 401, 403, 413]) {
+  test(`a ${status} response is reported without queueing`, async () => {
+    mockGA4(status);
+    const [delivery] = await worker.deliverGA4Payload(ga4Payload(), {}, request);
+    assert.equal(delivery.success, false);
+    assert.equal(delivery.status, status);
+    assert.equal(delivery.queued, undefined);
+    assert.equal((await retryQueue.list({ prefix: 'retry:' })).keys.length, 0);
+  });
+}
+
+test('retry keys sort by due time', () => {
+  const early = worker.getRetryQueueKey({ id: 'b', nextAttemptAt: 999999999999 });
+  const late = worker.getRetryQueueKey({ id: 'a', nextAttemptAt: 1700000000000 });
+  assert.ok(early < late);
+});
+
+test('due entries are processed even when many entries are not due yet', async () => {
+  mockGA4(503);
+  const realNow = Date.now;
+  try {
+    // Entries queued later are due later; the most recent one is queued last
+    for (let i = 0; i < worker.RETRY_BATCH_SIZE + 10; i++) {
+      Date.now = () => realNow() + 3600000;
+      await worker.enqueueFailedEvent(ga4Payload('future_' + i), {}, { status: 503, body: '' });
+    }
+    Date.now = () => realNow() - 3600000;
+    const due = await worker.enqueueFailedEvent(ga4Payload('due'), {}, { status: 503, body: '' });
+    Date.now = realNow;
+
+    mockGA4(204);
+    const summary = await worker.processRetryQueue();
+    assert.deepEqual(summary, { processed: 1, succeeded: 1, rescheduled: 0, dead_lettered: 0 });
+    assert.equal(sent.length, 1);
+    assert.match(sent[0].body, /"due"/);
+    assert.equal(await retryQueue.get(worker.getRetryQueueKey(due)), null);
+  } finally {
+    Date.now = realNow;
+  }
+});
+
+test('rescheduled entries move to a later key', async () => {
+  const realNow = Date.now;
+  try {
+    Date.now = () => realNow() - 3600000;
+    const entry = await worker.enqueueFailedEvent(ga4Payload(), {}, { status: 503, body: '' });
+    Date.now = realNow;
+
+    mockGA4(503);
+    const summary = await worker.processRetryQueue();
+    assert.equal(summary.rescheduled, 1);
+
+    const { keys } = await retryQueue.list({ prefix: 'retry:' });
+    assert.equal(keys.length, 1);
+    assert.notEqual(keys[0].name, worker.getRetryQueueKey(entry));
+    const stored = await retryQueue.get(keys[0].name, { type: 'json' });
+    assert.equal(stored.attempts, 2);
+    assert.equal(keys[0].name, worker.getRetryQueueKey(stored));
+  } finally {
+    Date.now = realNow;
+  }
+});
+
+test('a permanent error during a retry moves the entry to the dead letters', async () => {
+  const realNow = Date.now;
+  try {
+    Date.now = () => realNow() - 3600000;
+    await worker.enqueueFailedEvent(ga4Payload(), {}, { status: 503, body: '' });
+    Date.now = realNow;
+
+    mockGA4(400);
+    const summary = await worker.processRetryQueue();
+    assert.equal(summary.dead_lettered, 1);
+    assert.equal((await retryQueue.list({ prefix: 'retry:' })).keys.length, 0);
+    assert.equal((await deadLetters.list({ prefix: 'dead_letter:' })).keys.length, 1);
+  } finally {
+    Date.now = realNow;
+  }
+});
+
+/**
+ * Queue a failed event at the given time and move it to the dead letters with a permanent error
+ */
+async function deadLetterAt(time) {
+  const realNow = Date.now;
+  try {
+    Date.now = () => time;
+    const entry = await worker.enqueueFailedEvent(ga4Payload(), {}, { status: 503, body: '' });
+    Date.now = () => time + 3600000;
+    mockGA4(400);
+    await worker.processRetryQueue();
+    return entry.id;
+  } finally {
+    Date.now = realNow;
+  }
+}
+
+test('dead letters older than 72 hours are reported as expired instead of replayed', async () => {
+  const expiredId = await deadLetterAt(Date.now() - 73 * 3600000);
+  const freshId = await deadLetterAt(Date.now() - 2 * 3600000);
+
+  const listed = Object.fromEntries((await worker.listDeadLetters(10)).map(entry => [entry.id, entry.expired]));
+  assert.deepEqual(listed, { [expiredId]: true, [freshId]: false });
+
+  sent = [];
+  mockGA4(204);
+  const results = await worker.replayDeadLetters(null);
+
+  assert.deepEqual(results.find(result => result.id === expiredId), { id: expiredId, success: false, expired: true, error: 'expired' });
+  assert.equal(results.find(result => result.id === freshId).success, true);
+  assert.equal(sent.length, 1);
+  assert.deepEqual((await deadLetters.list({ prefix: 'dead_letter:' })).keys, []);
+});
@@ -0,0 +1,73 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadWorker, createEnv } from './load-worker.mjs';
+
+const worker = await loadWorker(['buildSGTMRequest', 'encodeSGTMItem', 'handleRequest']);
+
+const SGTM = { id: 'sgtm', transport: 'sgtm', measurement_id: 'G-SGTM', endpoint: 'https://sgtm.example.com/' };
+const realFetch = globalThis.fetch;
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+test('items are encoded in the g/collect pr format', () => {
+  assert.equal(
+    worker.encodeSGTMItem({ item_id: 'SKU~1', item_name: 'Shirt', price: 9.99, quantity: 2, size: 'M', empty: '' }),
+    'idSKU1~nmShirt~pr9.99~qt2~k0size~v0M'
+  );
+});
+
+test('request fields go in the query string and each event is one body line', () => {
+  const { query, lines } = worker.buildSGTMRequest({
+    client_id: '1.2',
+    user_id: 'user-7',
+    ip_override: '198.51.100.0',
+    consent: { ad_user_data: 'GRANTED', ad_personalization: 'DENIED' },
+    device: { language: 'en-US', screen_resolution: '1920x1080' },
+    user_properties: { plan: { value: 'pro' }, visits: { value: 3 } },
+    events: [
+      { name: 'page_view', params: { page_location: 'https://example.com/', session_id: '123', engagement_time_msec: 100 } },
+      { name: 'purchase', params: { currency: 'EUR', value: 19.99, coupon: 'SPRING', items: [{ item_id: 'A' }, { item_id: 'B' }], nested: { a: 1 } } }
+    ]
+  }, SGTM);
+
+  assert.deepEqual(Object.fromEntries(new URLSearchParams(query)), {
+    v: '2', tid: 'G-SGTM', cid: '1.2', uid: 'user-7', _uip: '198.51.100.0', gcs: 'G101',
+    ul: 'en-us', sr: '1920x1080', 'up.plan': 'pro', 'upn.visits': '3'
+  });
+  assert.deepEqual(lines.map(line => Object.fromEntries(new URLSearchParams(line))), [
+    { en: 'page_view', dl: 'https://example.com/', sid: '123', _et: '100' },
+    { en: 'purchase', cu: 'EUR', 'epn.value': '19.99', 'ep.coupon': 'SPRING', pr1: 'idA', pr2: 'idB' }
+  ]);
+});
+
+test('an sGTM destination receives a batch as one g/collect request', async () => {
+  const requests = [];
+  globalThis.fetch = async (url, init) => {
+    requests.push({ url: String(url), init: init });
+    return new Response(null, { status: 204 });
+  };
+  const env = createEnv({
+    API_KEYS: JSON.stringify({ test: { key: 'test-key', scopes: ['send'], skip_bot_detection: true } }),
+    GA4_DESTINATIONS: JSON.stringify([SGTM])
+  });
+
+  const response = await worker.handleRequest(new Request('https://worker.example.com/', {
+    method: 'POST',
+    headers: { 'Authorization': 'Bearer test-key', 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      batch: true,
+      events: [
+        { name: 'page_view', params: { client_id: '1.2', session_id: '123' } },
+        { name: 'scroll', params: { client_id: '1.2', session_id: '123' } }
+      ]
+    })
+  }), env);
+
+  assert.equal((await response.json()).success, true);
+  assert.equal(requests.length, 1);
+  assert.match(requests[0].url, /^https:\/\/sgtm\.example\.com\/g\/collect\?v=2&tid=G-SGTM&cid=1\.2/);
+  assert.equal(requests[0].init.headers['Content-Type'], 'text/plain;charset=UTF-8');
+  assert.deepEqual(requests[0].init.body.split('\r\n').map(line => new URLSearchParams(line).get('en')), ['page_view', 'scroll']);
+});
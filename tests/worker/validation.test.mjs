@@ -0,0 +1,124 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadWorker, createEnv } from './load-worker.mjs';
+
+const worker = await loadWorker(['handleRequest', 'splitValidationMessages']);
+
+const DEBUG_STUB = 'https://ga4-debug.stub/debug/mp/collect';
+const realFetch = globalThis.fetch;
+let calls;
+
+const env = createEnv({
+  GA4_DEBUG_ENDPOINT: DEBUG_STUB,
+  API_KEYS: JSON.stringify({ test: { key: 'test-key', scopes: ['send'], skip_bot_detection: true } })
+});
+
+/**
+ * Stub of the GA4 debug endpoint: flags events without a session_id param
+ */
+function debugEndpointStub(body) {
+  const messages = [];
+  body.events.forEach((event, index) => {
+    if (!event.params || !event.params.session_id) {
+      messages.push({
+        fieldPath: `events[${index}].params.session_id`,
+        description: 'session_id is missing',
+        validationCode: 'VALUE_REQUIRED'
+      });
+    }
+  });
+  if (!body.client_id) {
+    messages.push({ fieldPath: 'client_id', description: 'client_id is required', validationCode: 'VALUE_REQUIRED' });
+  }
+  return { validationMessages: messages };
+}
+
+function send(payload, validate) {
+  return worker.handleRequest(new Request('https://worker.example.com/', {
+    method: 'POST',
+    headers: { 'Authorization': 'Bearer test-key', 'Content-Type': 'application/json', 'X-GA4-Validate': validate },
+    body: JSON.stringify(payload)
+  }), env);
+}
+
+beforeEach(() => {
+  calls = [];
+  globalThis.fetch = async (url, init) => {
+    calls.push(String(url));
+    if (String(url).startsWith(DEBUG_STUB)) {
+      return Response.json(debugEndpointStub(JSON.parse(init.body)));
+    }
+    return new Response(null, { status: 204 });
+  };
+});
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+test('X-GA4-Validate sends the event to the debug endpoint only', async () => {
+  const response = await send({ name: 'page_view', params: { client_id: '1.2', session_id: '123' } }, 'true');
+  const body = await response.json();
+
+  assert.equal(response.status, 200);
+  assert.equal(calls.length, 1);
+  assert.ok(calls[0].startsWith(`${DEBUG_STUB}?measurement_id=G-TEST123`));
+  assert.equal(body.validated, true);
+  assert.equal(body.valid, true);
+  assert.deepEqual(body.validation_messages, []);
+});
+
+test('validation messages of the debug endpoint are returned', async () => {
+  const response = await send({ name: 'page_view', params: { client_id: '1.2' } }, 'validate_only');
+  const body = await response.json();
+
+  assert.equal(body.valid, false);
+  assert.deepEqual(body.validation_messages, [{
+    destination: 'default',
+    field_path: 'events[0].params.session_id',
+    description: 'session_id is missing',
+    validation_code: 'VALUE_REQUIRED'
+  }]);
+});
+
+test('validate_and_send validates first and then sends the event', async () => {
+  await send({ name: 'page_view', params: { client_id: '1.2', session_id: '123' } }, 'validate_and_send');
+
+  assert.equal(calls.length, 2);
+  assert.ok(calls[0].startsWith(DEBUG_STUB));
+  assert.ok(calls[1].startsWith('https://www.google-analytics.com/mp/collect'));
+});
+
+test('batch validation messages are assigned to their events', async () => {
+  const response = await send({
+    batch: true,
+    events: [
+      { name: 'page_view', params: { client_id: '1.2', session_id: '123' } },
+      { name: 'scroll', params: { client_id: '1.2' } }
+    ]
+  }, 'true');
+  const body = await response.json();
+
+  assert.equal(calls.length, 1);
+  assert.deepEqual(body.validation_messages, [{
+    index: 1,
+    event: 'scroll',
+    messages: [{
+      destination: 'default',
+      field_path: 'events[1].params.session_id',
+      description: 'session_id is missing',
+      validation_code: 'VALUE_REQUIRED'
+    }]
+  }]);
+});
+
+test('messages without an event index apply to every event', () => {
+  const messages = [
+    { field_path: 'events[1].name', description: 'bad name' },
+    { field_path: 'client_id', description: 'missing' }
+  ];
+  assert.deepEqual(worker.splitValidationMessages(messages, 2), [
+    [messages[1]],
+    [messages[0], messages[1]]
+  ]);
+});